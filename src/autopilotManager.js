@@ -0,0 +1,215 @@
+const bookingPolicy = require('./bookingPolicy');
+
+// Corre unos minutos después del sorteo de apertura, así el piloto automático no le gana a nadie
+const RUN_DELAY_MINUTES = 5;
+const SETTINGS = {
+    requiresApproval: 'autopilot_requires_approval'
+};
+
+const WEEKDAY_NAMES = { 1: 'lunes', 2: 'martes', 3: 'miércoles', 4: 'jueves', 5: 'viernes' };
+const WEEKDAY_ALIASES = { lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5 };
+const FULL_WEEK = [1, 2, 3, 4, 5];
+
+// Piloto automático: cada persona elige qué días quiere estacionamiento todas las semanas y,
+// al abrirse la semana siguiente (después del sorteo de apertura), se le reservan esos días con sus
+// espacios preferidos. Cada persona recibe un único resumen. Si el supervisor exige aprobación,
+// las altas nuevas quedan pendientes hasta que las apruebe con /autopilots.
+class AutopilotManager {
+    constructor(database, bot, parkingManager, supervisorId = null) {
+        this.db = database;
+        this.bot = bot;
+        this.parkingManager = parkingManager;
+        this.supervisorId = supervisorId;
+    }
+
+    // "lunes, viernes" / "martes y jueves" / "semana" -> { weekdays: [1, 5], unknown: [] }
+    static parseWeekdays(text) {
+        const normalized = text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        if (/\b(semana|todos)\b/.test(normalized)) {
+            return { weekdays: [...FULL_WEEK], unknown: [] };
+        }
+
+        const weekdays = new Set();
+        const unknown = [];
+        for (const token of normalized.split(/[\s,]+/).filter(token => token && token !== 'y')) {
+            if (WEEKDAY_ALIASES[token]) {
+                weekdays.add(WEEKDAY_ALIASES[token]);
+            } else {
+                unknown.push(token);
+            }
+        }
+
+        return { weekdays: [...weekdays].sort(), unknown };
+    }
+
+    static formatWeekdays(weekdays) {
+        if (weekdays.length === FULL_WEEK.length) return 'toda la semana';
+        return weekdays.map(weekday => WEEKDAY_NAMES[weekday]).join(', ');
+    }
+
+    async getRequiresApproval() {
+        const value = await this.db.getSetting(SETTINGS.requiresApproval);
+        return (value !== null ? value : process.env.AUTOPILOT_REQUIRES_APPROVAL) === 'true';
+    }
+
+    async setRequiresApproval(required) {
+        await this.db.setSetting(SETTINGS.requiresApproval, required ? 'true' : 'false');
+    }
+
+    // Alta o cambio de días. Quien ya estaba aprobado no vuelve a quedar pendiente.
+    // Devuelve el estado resultante: 'active' o 'pending'
+    async enroll(userId, user, weekdays) {
+        const existing = await this.db.getAutopilot(userId);
+        const approved = String(userId) === String(this.supervisorId) ||
+            (existing && existing.status === 'active') ||
+            !(await this.getRequiresApproval());
+        const status = approved ? 'active' : 'pending';
+
+        await this.db.setAutopilot(userId, user, weekdays, status);
+        return status;
+    }
+
+    // ref como en /fixedowner: { username } o { userId }
+    async findEnrollment(ref) {
+        const rows = await this.db.getAllAutopilots();
+        return rows.find(row => ref.userId
+            ? row.user_id === String(ref.userId)
+            : (row.username || '').toLowerCase() === ref.username.toLowerCase()) || null;
+    }
+
+    async approve(ref) {
+        const row = await this.findEnrollment(ref);
+        if (!row) return null;
+        await this.db.setAutopilotStatus(row.user_id, 'active');
+        return { ...row, status: 'active' };
+    }
+
+    async remove(ref) {
+        const row = await this.findEnrollment(ref);
+        if (!row) return null;
+        await this.db.removeAutopilot(row.user_id);
+        return row;
+    }
+
+    // Compatibilidad con la reserva automática del supervisor configurada por variables de entorno
+    // (AUTOMATIC_RESERVATION_*): la primera vez se convierte en su piloto automático, y el espacio
+    // preferido pasa a ser su preferencia si no tiene otra. Después se maneja con /autopilot.
+    async seedFromEnv() {
+        if (!this.supervisorId || process.env.AUTOMATIC_RESERVATION_ENABLED !== 'true') return false;
+        if (await this.db.getAutopilot(this.supervisorId)) return false;
+
+        const weekdays = process.env.AUTOMATIC_RESERVATION_FULL_WEEK !== 'false' ? FULL_WEEK : [5];
+        await this.db.setAutopilot(this.supervisorId, {}, weekdays, 'active');
+
+        const preferredSpot = process.env.AUTOMATIC_RESERVATION_PREFERRED_SPOT;
+        if (preferredSpot && (await this.db.getSpotPreferences(this.supervisorId)).length === 0) {
+            await this.db.setSpotPreferences(this.supervisorId, [preferredSpot]);
+        }
+
+        console.log(`🤖 Piloto automático del supervisor creado desde la configuración: ${AutopilotManager.formatWeekdays(weekdays)}`);
+        return true;
+    }
+
+    // Reserva los días elegidos de la semana que empieza en weekStart. Si ya tenía reserva ese
+    // día (por el sorteo o una reserva recurrente) se respeta; sin lugar, queda en lista de espera.
+    // Los días que la persona anotó que no viene se saltean.
+    async run(weekStart) {
+        const rows = await this.db.getAllAutopilots('active');
+        const results = [];
+
+        for (const row of rows) {
+            const user = {
+                username: row.username,
+                first_name: row.first_name,
+                last_name: row.last_name
+            };
+
+            for (const weekday of row.weekdays) {
+                const date = weekStart.clone().day(weekday);
+                let result;
+                try {
+                    const existing = await this.db.getReservation(row.user_id, date.format('YYYY-MM-DD'));
+                    const absence = await this.parkingManager.checkPlannedAbsence(row.user_id, date);
+                    if (existing) {
+                        result = { success: true, spotNumber: existing.spot_number, existing: true };
+                    } else if (absence) {
+                        result = { success: false, message: absence };
+                    } else {
+                        result = await this.parkingManager.reserveSpot(row.user_id, user, date);
+                        if (result.waitlist) {
+                            await this.parkingManager.addToWaitlist(row.user_id, user, date);
+                        }
+                    }
+                } catch (error) {
+                    console.error(`Error en el piloto automático de ${row.user_id} para ${date.format('YYYY-MM-DD')}:`, error);
+                    result = { success: false, message: 'Error interno procesando la reserva' };
+                }
+
+                results.push({ userId: row.user_id, date, result });
+            }
+        }
+
+        console.log(`🤖 Piloto automático: ${results.filter(r => r.result.success).length}/${results.length} días reservados`);
+        return results;
+    }
+
+    // Un mensaje por persona con todos sus días
+    formatSummaries(results, weekStart) {
+        const messages = new Map();
+
+        for (const { userId, date, result } of results) {
+            if (!messages.has(userId)) {
+                messages.set(userId, `🤖 *Piloto automático, semana del ${weekStart.format('DD/MM')}:*\n\n`);
+            }
+
+            let line = `• ${WEEKDAY_NAMES[date.day()]} ${date.format('DD/MM')}: `;
+            if (result.existing) {
+                line += `Ya tenías el estacionamiento ${result.spotNumber}`;
+            } else if (result.success) {
+                line += `Estacionamiento ${result.spotNumber}`;
+            } else if (result.waitlist) {
+                line += 'Sin espacios, quedaste en lista de espera';
+            } else {
+                line += result.message;
+            }
+
+            messages.set(userId, messages.get(userId) + line + '\n');
+        }
+
+        for (const [userId, text] of messages) {
+            messages.set(userId, text + '\nCambia tus días con /autopilot');
+        }
+
+        return messages;
+    }
+
+    async runAndNotify(weekStart) {
+        const results = await this.run(weekStart);
+
+        for (const [userId, text] of this.formatSummaries(results, weekStart)) {
+            try {
+                await this.bot.sendMessage(userId, text, { parse_mode: 'Markdown' });
+            } catch (error) {
+                console.error(`❌ Error enviando resumen del piloto automático a ${userId}:`, error);
+            }
+        }
+
+        return results;
+    }
+
+    // Próxima corrida (JobScheduler): unos minutos después del sorteo de apertura de la política de reservas
+    nextRun(after) {
+        const weeklyRun = (at) => bookingPolicy.openingAt(at)
+            .add(bookingPolicy.getPolicy().lotteryMinutes + RUN_DELAY_MINUTES, 'minutes');
+        const run = weeklyRun(after);
+        return run.isAfter(after) ? run : weeklyRun(after.clone().add(1, 'week'));
+    }
+
+    // Corrida programada: la semana que quedó abierta en ese momento, aunque se recupere más tarde
+    async runScheduled(scheduledFor) {
+        const results = await this.runAndNotify(bookingPolicy.openWeekStart(scheduledFor));
+        return `${results.filter(r => r.result.success).length}/${results.length} días reservados`;
+    }
+}
+
+module.exports = AutopilotManager;
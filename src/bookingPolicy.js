@@ -0,0 +1,302 @@
+const moment = require('moment-timezone');
+
+// Política de reservas: cuándo se abre cada semana (por defecto el viernes 17:00 de Montevideo
+// de la semana anterior), cuánto dura el sorteo que empieza en ese momento y cuántas semanas
+// hacia adelante se aceptan pedidos. Se guarda en settings y el supervisor la cambia con /policy.
+// La zona horaria de la política es la de todo el bot: fechas, check-in y mensajes usan timezone().
+// Las consultas son sincrónicas (las usa el parser de mensajes), así que la política vigente
+// se carga al arrancar con load() y se reemplaza con update().
+const DEFAULT_POLICY = {
+    openDay: 5,           // 1 = lunes ... 7 = domingo
+    openTime: '17:00',
+    lotteryMinutes: 15,
+    horizonWeeks: 1,      // semanas después de la actual
+    timezone: 'America/Montevideo'
+};
+
+const SETTINGS = {
+    openDay: 'booking_open_day',
+    openTime: 'booking_open_time',
+    lotteryMinutes: 'booking_lottery_minutes',
+    horizonWeeks: 'booking_horizon_weeks',
+    timezone: 'booking_timezone'
+};
+
+const DAY_NAMES = { 1: 'lunes', 2: 'martes', 3: 'miércoles', 4: 'jueves', 5: 'viernes', 6: 'sábado', 7: 'domingo' };
+const DAY_ALIASES = { lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6, domingo: 7 };
+
+// Nombre del comando -> campo, para "/policy dia=viernes hora=17:00 sorteo=15 semanas=1 zona=America/Montevideo"
+const FIELDS = {
+    dia: 'openDay',
+    hora: 'openTime',
+    sorteo: 'lotteryMinutes',
+    semanas: 'horizonWeeks',
+    zona: 'timezone'
+};
+
+const MAX_LOTTERY_MINUTES = 120;
+const MAX_HORIZON_WEEKS = 12;
+
+let current = { ...DEFAULT_POLICY };
+
+// Valida un valor ya convertido a su tipo; devuelve un mensaje de error o null
+function validateField(field, value) {
+    switch (field) {
+        case 'openDay':
+            return Number.isInteger(value) && value >= 1 && value <= 7 ? null : 'El día tiene que ser de lunes a domingo.';
+        case 'openTime':
+            return /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? null : 'La hora tiene que tener el formato HH:MM (ej: 17:00).';
+        case 'lotteryMinutes':
+            return Number.isInteger(value) && value >= 0 && value <= MAX_LOTTERY_MINUTES
+                ? null
+                : `El sorteo dura entre 0 y ${MAX_LOTTERY_MINUTES} minutos (0 = sin sorteo).`;
+        case 'horizonWeeks':
+            return Number.isInteger(value) && value >= 1 && value <= MAX_HORIZON_WEEKS
+                ? null
+                : `El horizonte va de 1 a ${MAX_HORIZON_WEEKS} semanas.`;
+        case 'timezone':
+            return moment.tz.zone(value) ? null : `No conozco la zona horaria ${value}.`;
+        default:
+            return `Campo desconocido: ${field}`;
+    }
+}
+
+function parseValue(field, raw) {
+    if (field === 'openDay') {
+        const normalized = raw.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        return DAY_ALIASES[normalized] || (/^\d$/.test(raw) ? Number(raw) : null);
+    }
+    if (field === 'lotteryMinutes' || field === 'horizonWeeks') {
+        return /^\d+$/.test(raw) ? Number(raw) : null;
+    }
+    if (field === 'openTime') {
+        return raw.padStart(5, '0');
+    }
+    if (field === 'timezone') {
+        // "america/montevideo" -> "America/Montevideo"
+        const zone = moment.tz.zone(raw);
+        return zone ? zone.name : raw;
+    }
+    return raw;
+}
+
+// "dia=jueves hora=18:30" -> { changes: { openDay: 4, openTime: '18:30' } } o { error }
+function parseChanges(args) {
+    const changes = {};
+    for (const arg of args.split(/\s+/).filter(Boolean)) {
+        const [name, raw = ''] = arg.split('=');
+        const field = FIELDS[name.toLowerCase()];
+        if (!field) {
+            return { error: `No conozco "${name}". Campos: ${Object.keys(FIELDS).join(', ')}.` };
+        }
+        const value = parseValue(field, raw);
+        const error = validateField(field, value);
+        if (error) {
+            return { error };
+        }
+        changes[field] = value;
+    }
+    return { changes };
+}
+
+async function load(db) {
+    const loaded = { ...DEFAULT_POLICY };
+    for (const [field, key] of Object.entries(SETTINGS)) {
+        const stored = await db.getSetting(key);
+        if (stored === null || stored === undefined) continue;
+
+        const value = typeof DEFAULT_POLICY[field] === 'number' ? Number(stored) : stored;
+        if (!validateField(field, value)) {
+            loaded[field] = value;
+        }
+    }
+    current = loaded;
+    return getPolicy();
+}
+
+async function update(db, changes) {
+    for (const [field, value] of Object.entries(changes)) {
+        const error = validateField(field, value);
+        if (error) throw new Error(error);
+    }
+    for (const [field, value] of Object.entries(changes)) {
+        await db.setSetting(SETTINGS[field], String(value));
+    }
+    current = { ...current, ...changes };
+    return getPolicy();
+}
+
+// Vuelve a los valores por defecto (tests)
+function reset() {
+    current = { ...DEFAULT_POLICY };
+}
+
+function getPolicy() {
+    return { ...current };
+}
+
+function timezone() {
+    return current.timezone;
+}
+
+function now() {
+    return moment().tz(current.timezone);
+}
+
+// Apertura dentro de la semana (lunes a domingo) de `at`
+function openingAt(at = now()) {
+    const [hour, minute] = current.openTime.split(':').map(Number);
+    return at.clone().tz(current.timezone).startOf('isoWeek')
+        .isoWeekday(current.openDay).hour(hour).minute(minute);
+}
+
+// Apertura de la semana de `date`: ocurre durante la semana anterior
+function openingFor(date) {
+    return openingAt(moment.tz(date.format('YYYY-MM-DD'), current.timezone).subtract(1, 'week'));
+}
+
+// 'open' si ya se puede reservar, 'lottery' si el sorteo de esa semana está en curso,
+// 'closed' si todavía no abrió
+function weekPhase(date, at = now()) {
+    const opening = openingFor(date);
+    if (at.isBefore(opening)) return 'closed';
+    return at.isBefore(opening.clone().add(current.lotteryMinutes, 'minutes')) ? 'lottery' : 'open';
+}
+
+// Lunes de la última semana abierta: la actual, o la siguiente desde la apertura
+function openWeekStart(at = now()) {
+    const nextWeek = at.clone().tz(current.timezone).startOf('isoWeek').add(1, 'week');
+    return at.isBefore(openingFor(nextWeek)) ? nextWeek.subtract(1, 'week') : nextWeek;
+}
+
+// Lunes de "la próxima semana" (la semana siguiente a la actual): desde la apertura es la
+// semana abierta, antes es la que le sigue
+function nextWeekStart(at = now()) {
+    const open = openWeekStart(at);
+    return open.isAfter(at, 'isoWeek') ? open : open.add(1, 'week');
+}
+
+function isLotteryRunning(at = now()) {
+    const opening = openingAt(at);
+    return !at.isBefore(opening) && at.isBefore(opening.clone().add(current.lotteryMinutes, 'minutes'));
+}
+
+// Momento en que se sortea (y queda abierta) la semana de `date`
+function lotteryEndFor(date) {
+    return openingFor(date).add(current.lotteryMinutes, 'minutes');
+}
+
+// Próxima apertura, que es también el reset semanal
+function nextOpening(at = now()) {
+    const opening = openingAt(at);
+    return opening.isAfter(at) ? opening : opening.add(1, 'week');
+}
+
+// Próximo cierre del sorteo de apertura
+function nextLotteryEnd(at = now()) {
+    const end = openingAt(at).add(current.lotteryMinutes, 'minutes');
+    return end.isAfter(at) ? end : openingAt(at.clone().add(1, 'week')).add(current.lotteryMinutes, 'minutes');
+}
+
+// Último día que se puede pedir: el domingo de la semana actual más horizonWeeks
+function lastBookableDay(at = now()) {
+    return at.clone().tz(current.timezone).startOf('isoWeek').add(current.horizonWeeks, 'weeks').add(6, 'days');
+}
+
+// La fecha cae dentro de las semanas que se pueden pedir (la actual más horizonWeeks)
+function isWithinHorizon(date, at = now()) {
+    return !moment.tz(date.format('YYYY-MM-DD'), current.timezone).isAfter(lastBookableDay(at), 'day');
+}
+
+// Con un horizonte de más de una semana, los pedidos para una semana que todavía no abrió
+// esperan en la cola del sorteo de esa semana; con el horizonte de siempre se rechazan
+function acceptsEarlyRequests(date, at = now()) {
+    return current.horizonWeeks > 1 && weekPhase(date, at) === 'closed' && isWithinHorizon(date, at);
+}
+
+// Por qué no se puede reservar todavía un día de una semana que no abrió
+function closedWeekMessage(date, at = now()) {
+    if (!isWithinHorizon(date, at)) {
+        return horizonMessage();
+    }
+
+    const opening = openingFor(date);
+    if (date.isSame(at.clone().add(1, 'week'), 'isoWeek')) {
+        return `Las reservas para la próxima semana estarán disponibles después del ${describeOpening()}.`;
+    }
+    return `Las reservas para la semana del ${openWeekStart(opening).format('DD/MM')} estarán disponibles después del ${opening.format('DD/MM HH:mm')}.`;
+}
+
+function horizonMessage() {
+    return current.horizonWeeks === 1
+        ? 'Solo se puede reservar para esta semana y la próxima.'
+        : `Solo se puede reservar hasta ${current.horizonWeeks} semanas después de la actual.`;
+}
+
+// Fecha del día de semana pedido (1-5) dentro de la semana abierta; si ya pasó, la siguiente
+function resolveWeekday(targetDay, at = now()) {
+    const date = openWeekStart(at).isoWeekday(targetDay);
+    if (date.isBefore(at, 'day')) {
+        date.add(1, 'week');
+    }
+    return date;
+}
+
+function formatTime(minutesOfDay) {
+    const hours = Math.floor(minutesOfDay / 60) % 24;
+    const minutes = minutesOfDay % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// "viernes 17:00"
+function describeOpening() {
+    return `${DAY_NAMES[current.openDay]} ${current.openTime}`;
+}
+
+// "viernes 17:15"; si el sorteo pasa la medianoche, el día cambia
+function describeLotteryEnd() {
+    const [hour, minute] = current.openTime.split(':').map(Number);
+    const total = hour * 60 + minute + current.lotteryMinutes;
+    const day = ((current.openDay - 1 + Math.floor(total / (24 * 60))) % 7) + 1;
+    return `${DAY_NAMES[day]} ${formatTime(total)}`;
+}
+
+function describe() {
+    const lottery = current.lotteryMinutes > 0
+        ? `${current.lotteryMinutes} minutos (hasta el ${describeLotteryEnd()})`
+        : 'sin sorteo, se reserva por orden de llegada';
+    const weeks = current.horizonWeeks === 1 ? '1 semana' : `${current.horizonWeeks} semanas`;
+    return `📆 Política de reservas:\n` +
+        `• Cada semana se abre el ${describeOpening()} de la semana anterior (${current.timezone})\n` +
+        `• Sorteo: ${lottery}\n` +
+        `• Horizonte: ${weeks} después de la actual`;
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    parseChanges,
+    load,
+    update,
+    reset,
+    getPolicy,
+    timezone,
+    now,
+    openingAt,
+    openingFor,
+    weekPhase,
+    openWeekStart,
+    nextWeekStart,
+    isLotteryRunning,
+    lotteryEndFor,
+    nextOpening,
+    nextLotteryEnd,
+    lastBookableDay,
+    isWithinHorizon,
+    acceptsEarlyRequests,
+    closedWeekMessage,
+    horizonMessage,
+    resolveWeekday,
+    describeOpening,
+    describeLotteryEnd,
+    describe
+};
@@ -0,0 +1,203 @@
+const moment = require('moment-timezone');
+const bookingPolicy = require('./bookingPolicy');
+
+const DEFAULT_PROMPT_TIME = '08:00';
+const DEFAULT_CUTOFF_TIME = '10:00';
+const SETTINGS = {
+    enabled: 'checkin_enabled',
+    promptTime: 'checkin_prompt_time',
+    cutoffTime: 'checkin_cutoff_time'
+};
+
+// Confirmación de llegada: cada mañana se le pregunta a quien tiene reserva para hoy si llegó.
+// Si nadie confirma antes del corte, la reserva se libera (releaseSpot + notifyWaitlist) y se
+// cuenta como ausencia sin aviso.
+class CheckInManager {
+    constructor(database, bot, parkingManager) {
+        this.db = database;
+        this.bot = bot;
+        this.parkingManager = parkingManager;
+    }
+
+    async getSettings() {
+        const [enabled, promptTime, cutoffTime] = await Promise.all([
+            this.db.getSetting(SETTINGS.enabled),
+            this.db.getSetting(SETTINGS.promptTime),
+            this.db.getSetting(SETTINGS.cutoffTime)
+        ]);
+
+        return {
+            enabled: (enabled !== null ? enabled : process.env.CHECKIN_ENABLED) === 'true', // apagado salvo que se active
+            promptTime: promptTime || process.env.CHECKIN_PROMPT_TIME || DEFAULT_PROMPT_TIME,
+            cutoffTime: cutoffTime || process.env.CHECKIN_CUTOFF_TIME || DEFAULT_CUTOFF_TIME
+        };
+    }
+
+    async setEnabled(enabled) {
+        await this.db.setSetting(SETTINGS.enabled, enabled ? 'true' : 'false');
+    }
+
+    async setTimes(promptTime, cutoffTime) {
+        await this.db.setSetting(SETTINGS.promptTime, promptTime);
+        await this.db.setSetting(SETTINGS.cutoffTime, cutoffTime);
+    }
+
+    // "08:00" -> moment de ese día a esa hora
+    static atTime(date, time) {
+        const [hour, minute] = time.split(':').map(Number);
+        return date.clone().tz(bookingPolicy.timezone()).hour(hour).minute(minute).second(0).millisecond(0);
+    }
+
+    // Pregunta a cada persona con reserva para ese día si llegó. Las reservas hechas después
+    // del aviso no se preguntan: quien reserva en el momento ya está yendo.
+    // Tampoco los visitantes, que no usan el bot.
+    async sendPrompts(date) {
+        const dateStr = date.format('YYYY-MM-DD');
+        const { cutoffTime } = await this.getSettings();
+        const reservations = await this.db.getReservationsByDate(dateStr);
+        let sent = 0;
+
+        for (const reservation of reservations) {
+            if (reservation.host_user_id) continue;
+
+            const created = await this.db.createCheckIn(reservation);
+            if (!created) continue;
+
+            try {
+                const message = await this.bot.sendMessage(
+                    reservation.user_id,
+                    `☀️ ¡Buen día! Hoy tienes el estacionamiento ${reservation.spot_number}.\n\n` +
+                    `¿Llegaste? Si no confirmas antes de las ${cutoffTime} lo libero para la lista de espera.`,
+                    {
+                        reply_markup: {
+                            inline_keyboard: [[
+                                { text: '✅ Llegué', callback_data: `checkin_arrived_${dateStr}` },
+                                { text: '🚫 No voy', callback_data: `checkin_skip_${dateStr}` }
+                            ]]
+                        }
+                    }
+                );
+                if (message && message.message_id) {
+                    await this.db.setCheckInMessage(reservation.user_id, dateStr, message.message_id);
+                }
+                sent++;
+            } catch (error) {
+                console.error(`❌ Error enviando check-in a ${reservation.user_id}:`, error);
+            }
+        }
+
+        console.log(`☀️ Check-in enviado a ${sent} personas para ${dateStr}`);
+        return sent;
+    }
+
+    async confirmArrival(userId, dateStr) {
+        const confirmed = await this.db.resolveCheckIn(userId, dateStr, 'arrived');
+        if (!confirmed) {
+            return { success: false, message: 'Esta confirmación ya no está pendiente.' };
+        }
+
+        const checkIn = await this.db.getCheckIn(userId, dateStr);
+        return { success: true, spotNumber: checkIn.spot_number };
+    }
+
+    // "No voy": se libera igual que "libero hoy", sin contar como ausencia
+    async skipDay(userId, dateStr) {
+        const skipped = await this.db.resolveCheckIn(userId, dateStr, 'released');
+        if (!skipped) {
+            return { success: false, message: 'Esta confirmación ya no está pendiente.' };
+        }
+
+        return this.releaseReservation(userId, dateStr);
+    }
+
+    async releaseReservation(userId, dateStr) {
+        const date = moment.tz(dateStr, bookingPolicy.timezone());
+        const result = await this.parkingManager.releaseSpot(userId, date);
+        if (result.success) {
+            await this.parkingManager.notifyWaitlist(date, result.spotNumber, this.bot);
+        }
+        return result;
+    }
+
+    // Al llegar el corte, libera las reservas que nadie confirmó
+    async releaseNoShows(date) {
+        const dateStr = date.format('YYYY-MM-DD');
+        const { cutoffTime } = await this.getSettings();
+        const pending = await this.db.getPendingCheckIns(dateStr);
+        const released = [];
+
+        for (const checkIn of pending) {
+            const reservation = await this.db.getReservation(checkIn.user_id, dateStr);
+            if (!reservation) {
+                // Ya la había liberado por su cuenta
+                await this.db.resolveCheckIn(checkIn.user_id, dateStr, 'released');
+                continue;
+            }
+
+            await this.db.resolveCheckIn(checkIn.user_id, dateStr, 'no_show');
+            const result = await this.releaseReservation(checkIn.user_id, dateStr);
+            if (!result.success) continue;
+            released.push({ userId: checkIn.user_id, spotNumber: result.spotNumber });
+
+            const text = `⌛ No confirmaste tu llegada antes de las ${cutoffTime}, así que liberé el estacionamiento ${result.spotNumber} para la lista de espera.`;
+            try {
+                if (checkIn.message_id) {
+                    await this.bot.editMessageText(text, { chat_id: checkIn.user_id, message_id: checkIn.message_id });
+                } else {
+                    await this.bot.sendMessage(checkIn.user_id, text);
+                }
+            } catch (error) {
+                console.error('❌ Error avisando liberación por ausencia:', error);
+            }
+        }
+
+        console.log(`⌛ ${released.length} reservas liberadas por falta de check-in para ${dateStr}`);
+        return released;
+    }
+
+    // Próximo aviso y próximo corte (JobScheduler), en días hábiles
+    async nextPromptRun(after) {
+        const { promptTime } = await this.getSettings();
+        return CheckInManager.nextWeekdayAt(after.clone().tz(bookingPolicy.timezone()), promptTime);
+    }
+
+    async nextCutoffRun(after) {
+        const { cutoffTime } = await this.getSettings();
+        return CheckInManager.nextWeekdayAt(after.clone().tz(bookingPolicy.timezone()), cutoffTime);
+    }
+
+    // Aviso de la mañana. Si se recupera después de un reinicio, solo se manda antes del corte
+    // de ese día (createCheckIn evita duplicados)
+    async runPrompt(scheduledFor) {
+        const settings = await this.getSettings();
+        if (!settings.enabled) return 'Check-in desactivado';
+
+        const date = scheduledFor.clone().tz(bookingPolicy.timezone());
+        if (!moment().isBefore(CheckInManager.atTime(date, settings.cutoffTime))) {
+            return 'Ya pasó el corte, no se preguntó';
+        }
+        return `${await this.sendPrompts(date)} avisos enviados`;
+    }
+
+    // Corte: libera las reservas sin confirmar, solo mientras sea el mismo día
+    async runCutoff(scheduledFor) {
+        const settings = await this.getSettings();
+        if (!settings.enabled) return 'Check-in desactivado';
+
+        const date = scheduledFor.clone().tz(bookingPolicy.timezone());
+        if (!moment().tz(bookingPolicy.timezone()).isSame(date, 'day')) {
+            return 'Ya pasó el día, no se liberó nada';
+        }
+        return `${(await this.releaseNoShows(date)).length} reservas liberadas`;
+    }
+
+    static nextWeekdayAt(now, time) {
+        let next = CheckInManager.atTime(now, time);
+        while (!next.isAfter(now) || next.day() === 0 || next.day() === 6) {
+            next = CheckInManager.atTime(next.add(1, 'day'), time);
+        }
+        return next;
+    }
+}
+
+module.exports = CheckInManager;
@@ -1,9 +1,21 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const EventEmitter = require('events');
+const { DEFAULT_SLOT } = require('./timeSlots');
+const { rankSpots } = require('./spotAttributes');
+const bookingPolicy = require('./bookingPolicy');
 
-class Database {
+// "1,5" -> [1, 5]
+function parseAutopilotRow(row) {
+    return { ...row, weekdays: row.weekdays.split(',').filter(Boolean).map(Number) };
+}
+
+// Emite 'reservationCreated' ({ userId, user, date, spotNumber, slot }) cada vez que se asigna un espacio,
+// sin importar el camino (reserva directa, sorteo, lista de espera o supervisor)
+class Database extends EventEmitter {
     constructor(dbPath = null) {
+        super();
         if (dbPath) {
             // Use provided path (for tests)
             this.dbPath = dbPath;
@@ -36,7 +48,9 @@ class Database {
         this.db = new sqlite3.Database(this.dbPath);
     }
     
+    // Resuelve cuando la tabla de reservas quedó migrada y con su trigger
     init() {
+        let slotsMigrated;
         this.db.serialize(() => {
             // Tabla de espacios de estacionamiento
             this.db.run(`
@@ -58,9 +72,13 @@ class Database {
                     last_name TEXT,
                     date TEXT NOT NULL,
                     spot_number TEXT NOT NULL,
+                    slot TEXT NOT NULL DEFAULT 'full',
+                    guest_plate TEXT,
+                    host_user_id TEXT,
+                    host_name TEXT,
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                     UNIQUE(user_id, date),
-                    UNIQUE(date, spot_number)
+                    UNIQUE(date, spot_number, slot)
                 )
             `);
             
@@ -79,6 +97,279 @@ class Database {
                 )
             `);
             
+            // Tabla de reservas recurrentes ("todos los martes")
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS recurring_reservations (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id TEXT NOT NULL,
+                    username TEXT,
+                    first_name TEXT,
+                    last_name TEXT,
+                    weekday INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_id, weekday)
+                )
+            `);
+            
+            // Cola de lotería de la apertura semanal, viernes 17:00-17:15 por defecto (persistida para sobrevivir reinicios)
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS lottery_requests (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id TEXT NOT NULL,
+                    username TEXT,
+                    first_name TEXT,
+                    last_name TEXT,
+                    chat_id TEXT,
+                    date TEXT NOT NULL,
+                    process_at TEXT NOT NULL,
+                    requested_at INTEGER NOT NULL,
+                    slot TEXT NOT NULL DEFAULT 'full',
+                    required TEXT,
+                    requested_spot TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_id, date)
+                )
+            `);
+            
+            // Registro auditable de cada sorteo (participantes, semilla, orden y asignaciones en JSON)
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS lottery_draws (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    date TEXT NOT NULL,
+                    process_at TEXT NOT NULL,
+                    seed TEXT NOT NULL,
+                    participants TEXT NOT NULL,
+                    drawn_order TEXT NOT NULL,
+                    assignments TEXT NOT NULL,
+                    weighting TEXT,
+                    recovered TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // Ofertas de espacios liberados a la lista de espera: mientras están pendientes el espacio queda retenido
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS waitlist_offers (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id TEXT NOT NULL,
+                    username TEXT,
+                    first_name TEXT,
+                    last_name TEXT,
+                    date TEXT NOT NULL,
+                    spot_number TEXT NOT NULL,
+                    slot TEXT NOT NULL DEFAULT 'full',
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    expires_at TEXT NOT NULL,
+                    message_id INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // Confirmación de llegada del día: pending -> arrived | released | no_show
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS checkins (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id TEXT NOT NULL,
+                    username TEXT,
+                    first_name TEXT,
+                    last_name TEXT,
+                    date TEXT NOT NULL,
+                    spot_number TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    message_id INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    responded_at DATETIME,
+                    UNIQUE(user_id, date)
+                )
+            `);
+            
+            // Configuración editable por el supervisor (clave -> valor)
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS settings (
+                    key TEXT PRIMARY KEY,
+                    value TEXT,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // Dueños de los espacios fijos (tabla aparte: /setfixed reemplaza fixed_spots completa
+            // y la migración de fixed_spots descarta la vieja columna owner_user_id)
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS fixed_spot_owners (
+                    spot_number TEXT PRIMARY KEY,
+                    owner_user_id TEXT,
+                    owner_username TEXT,
+                    owner_name TEXT,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // Liberaciones semanales de espacios fijos ("libero el 8033 todos los viernes");
+            // generan filas en fixed_spot_releases a medida que se abre cada semana
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS fixed_release_rules (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    spot_number TEXT NOT NULL,
+                    weekday INTEGER NOT NULL,
+                    end_date TEXT,
+                    created_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(spot_number, weekday)
+                )
+            `);
+            
+            // Atributos de cada espacio (ev, accessible, motorcycle, compact). Tabla aparte para que
+            // /setparking y /setfixed, que reemplazan las listas de espacios, no los borren
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS spot_attributes (
+                    spot_number TEXT NOT NULL,
+                    attribute TEXT NOT NULL,
+                    PRIMARY KEY (spot_number, attribute)
+                )
+            `);
+            
+            // Perfil del vehículo de cada persona, con las mismas claves que spot_attributes
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS vehicle_profiles (
+                    user_id TEXT NOT NULL,
+                    attribute TEXT NOT NULL,
+                    PRIMARY KEY (user_id, attribute)
+                )
+            `);
+            
+            // Espacios preferidos de cada persona, en orden ("prefiero el 1058 o el 1060")
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS spot_preferences (
+                    user_id TEXT NOT NULL,
+                    spot_number TEXT NOT NULL,
+                    rank INTEGER NOT NULL,
+                    PRIMARY KEY (user_id, spot_number)
+                )
+            `);
+            
+            // Piloto automático: reserva sola los días elegidos cada semana, después del sorteo.
+            // status 'pending' hasta que el supervisor lo apruebe (si se exige aprobación)
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS autopilot_users (
+                    user_id TEXT PRIMARY KEY,
+                    username TEXT,
+                    first_name TEXT,
+                    last_name TEXT,
+                    weekdays TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'active',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // Días reservados por persona en cada semana ya cerrada (se guarda en el reset del
+            // viernes, antes de borrar las reservas) para el límite de semanas completas seguidas
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS weekly_usage (
+                    user_id TEXT NOT NULL,
+                    week_start TEXT NOT NULL,
+                    days INTEGER NOT NULL,
+                    PRIMARY KEY (user_id, week_start)
+                )
+            `);
+            
+            // Personas a las que el supervisor liberó de los límites de reserva: ID o "@usuario"
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS quota_exemptions (
+                    ref TEXT PRIMARY KEY,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // Traspasos ("le paso mi lugar del martes a @juan") e intercambios ("cambio mi martes
+            // con @ana por su jueves") a la espera de que la otra persona confirme.
+            // status: pending -> accepted | declined | failed
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS spot_exchanges (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    kind TEXT NOT NULL,
+                    from_user_id TEXT NOT NULL,
+                    from_username TEXT,
+                    from_first_name TEXT,
+                    from_date TEXT NOT NULL,
+                    to_user_id TEXT NOT NULL,
+                    to_username TEXT,
+                    to_first_name TEXT,
+                    to_date TEXT,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    message_id INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // Feriados y cierres de oficina: no se reserva ni se sortea esos días
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS holidays (
+                    date TEXT PRIMARY KEY,
+                    name TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // Espacios bloqueados por obra o mantenimiento: quedan fuera de las reservas en ese rango
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS spot_blackouts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    spot_number TEXT NOT NULL,
+                    start_date TEXT NOT NULL,
+                    end_date TEXT NOT NULL,
+                    reason TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // "No voy" anotados para semanas que todavía no abrieron: las reservas recurrentes
+            // y el piloto automático no reservan esos días
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS planned_absences (
+                    user_id TEXT NOT NULL,
+                    date TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, date)
+                )
+            `);
+            
+            // Tareas programadas (reset semanal...): la próxima corrida sobrevive a los reinicios
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS scheduled_jobs (
+                    name TEXT PRIMARY KEY,
+                    next_run_at TEXT NOT NULL,
+                    last_run_at TEXT,
+                    last_status TEXT,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // Una fila por corrida y hora programada, así ninguna corrida se ejecuta dos veces
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS job_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    scheduled_for TEXT NOT NULL,
+                    started_at TEXT NOT NULL,
+                    finished_at TEXT,
+                    status TEXT NOT NULL,
+                    result TEXT,
+                    UNIQUE(name, scheduled_for)
+                )
+            `);
+            
+            // Add half-day slots to reservations, lottery requests and waitlist offers if needed
+            slotsMigrated = this.migrateReservationSlots().catch(() => {}); // El error ya queda en el log
+            
+            // Guest reservations ("reservo para un visitante el jueves") keep the plate and the host
+            this.migrateGuestReservations();
+            
+            // Lottery requests remember the spot attributes ("con cargador") and spot ("al 1058") asked for
+            this.migrateLotteryRequestOptions();
+            
+            // Lottery draws remember who got their lost day back later
+            this.migrateLotteryDrawRecoveries();
+            
             // Migrate fixed_spots table if needed
             this.migrateFixedSpotsTable();
             
@@ -98,6 +389,127 @@ class Database {
         if (process.env.NODE_ENV !== 'test') {
             console.log('✅ Base de datos inicializada');
         }
+        return slotsMigrated;
+    }
+    
+    // UNIQUE(date, spot_number, slot) solo impide repetir el mismo turno: el día completo también
+    // choca con la mañana y la tarde del mismo espacio, y eso lo controla este trigger en cada INSERT.
+    // Usa la columna slot, así que se crea recién con la tabla migrada (ver migrateReservationSlots)
+    createReservationSlotTrigger(callback) {
+        this.db.run(`
+            CREATE TRIGGER IF NOT EXISTS reservations_slot_overlap
+            BEFORE INSERT ON reservations
+            WHEN EXISTS (
+                SELECT 1 FROM reservations
+                WHERE date = NEW.date AND spot_number = NEW.spot_number
+                AND (slot = 'full' OR NEW.slot = 'full' OR slot = NEW.slot)
+            )
+            BEGIN
+                SELECT RAISE(ABORT, 'UNIQUE constraint failed: reservations.date, reservations.spot_number, reservations.slot');
+            END
+        `, callback);
+    }
+    
+    // Los turnos de medio día permiten dos reservas del mismo espacio en la misma fecha:
+    // UNIQUE(date, spot_number) pasa a incluir el turno, y SQLite obliga a recrear la tabla.
+    // Con la tabla ya migrada (o recién creada) solo crea el trigger; resuelve cuando termina
+    migrateReservationSlots() {
+        for (const table of ['lottery_requests', 'waitlist_offers']) {
+            this.db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+                if (err || columns.length === 0 || columns.some(col => col.name === 'slot')) return;
+                this.db.run(`ALTER TABLE ${table} ADD COLUMN slot TEXT NOT NULL DEFAULT 'full'`);
+            });
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.db.all("PRAGMA table_info(reservations)", (err, columns) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                if (columns.some(col => col.name === 'slot')) {
+                    this.createReservationSlotTrigger((err) => (err ? reject(err) : resolve()));
+                    return;
+                }
+                
+                console.log('🔄 Migrating reservations table to support half-day slots...');
+                this.db.serialize(() => {
+                    this.db.run('ALTER TABLE reservations RENAME TO reservations_old');
+                    this.db.run(`
+                        CREATE TABLE reservations (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            user_id TEXT NOT NULL,
+                            username TEXT,
+                            first_name TEXT,
+                            last_name TEXT,
+                            date TEXT NOT NULL,
+                            spot_number TEXT NOT NULL,
+                            slot TEXT NOT NULL DEFAULT 'full',
+                            guest_plate TEXT,
+                            host_user_id TEXT,
+                            host_name TEXT,
+                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                            UNIQUE(user_id, date),
+                            UNIQUE(date, spot_number, slot)
+                        )
+                    `);
+                    this.db.run(`
+                        INSERT INTO reservations (id, user_id, username, first_name, last_name, date, spot_number, created_at)
+                        SELECT id, user_id, username, first_name, last_name, date, spot_number, created_at FROM reservations_old
+                    `);
+                    this.db.run('DROP TABLE reservations_old');
+                    this.createReservationSlotTrigger();
+                    this.db.run(`CREATE INDEX IF NOT EXISTS idx_reservations_date ON reservations(date)`);
+                    this.db.run(`CREATE INDEX IF NOT EXISTS idx_reservations_user ON reservations(user_id)`, (err) => {
+                        if (err) {
+                            console.error('Error migrating reservations table:', err);
+                            reject(err);
+                        } else {
+                            console.log('✅ Reservations table migrated');
+                            resolve();
+                        }
+                    });
+                });
+            });
+        });
+    }
+    
+    migrateGuestReservations() {
+        if (process.env.NODE_ENV === 'test') {
+            return;
+        }
+        
+        this.db.all("PRAGMA table_info(reservations)", (err, columns) => {
+            if (err) return;
+            for (const column of ['guest_plate', 'host_user_id', 'host_name']) {
+                if (!columns.some(col => col.name === column)) {
+                    // Si migrateReservationSlots recreó la tabla en el medio, la columna ya existe
+                    this.db.run(`ALTER TABLE reservations ADD COLUMN ${column} TEXT`, () => {});
+                }
+            }
+        });
+    }
+    
+    migrateLotteryRequestOptions() {
+        if (process.env.NODE_ENV === 'test') {
+            return;
+        }
+        
+        this.db.all("PRAGMA table_info(lottery_requests)", (err, columns) => {
+            if (err) return;
+            for (const column of ['required', 'requested_spot']) {
+                if (!columns.some(col => col.name === column)) {
+                    this.db.run(`ALTER TABLE lottery_requests ADD COLUMN ${column} TEXT`);
+                }
+            }
+        });
+    }
+    
+    migrateLotteryDrawRecoveries() {
+        this.db.all("PRAGMA table_info(lottery_draws)", (err, columns) => {
+            if (err || columns.some(col => col.name === 'recovered')) return;
+            this.db.run('ALTER TABLE lottery_draws ADD COLUMN recovered TEXT');
+        });
     }
     
     migrateFixedSpotsTable() {
@@ -311,18 +723,26 @@ class Database {
     }
     
     // Métodos para reservas
-    async createReservation(userId, user, date, spotNumber) {
-        return new Promise((resolve, reject) => {
+    async createReservation(userId, user, date, spotNumber, slot = DEFAULT_SLOT) {
+        const id = await new Promise((resolve, reject) => {
             this.db.run(
-                `INSERT INTO reservations (user_id, username, first_name, last_name, date, spot_number)
-                 VALUES (?, ?, ?, ?, ?, ?)`,
-                [String(userId), user.username, user.first_name, user.last_name, date, spotNumber],
+                `INSERT INTO reservations (user_id, username, first_name, last_name, date, spot_number, slot,
+                                           guest_plate, host_user_id, host_name)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [String(userId), user.username, user.first_name, user.last_name, date, spotNumber, slot,
+                 user.guest_plate || null, user.host_user_id ? String(user.host_user_id) : null, user.host_name || null],
                 function(err) {
                     if (err) reject(err);
                     else resolve(this.lastID);
                 }
             );
         });
+        
+        if (!user.host_user_id) {
+            await this.markLotteryRecovery(userId, date);
+        }
+        this.emit('reservationCreated', { userId: String(userId), user, date, spotNumber: String(spotNumber), slot });
+        return id;
     }
     
     async getReservation(userId, date) {
@@ -353,27 +773,14 @@ class Database {
     
     async getUserReservations(userId) {
         return new Promise((resolve, reject) => {
-            const moment = require('moment-timezone');
-            const now = moment().tz('America/Montevideo');
-            
-            // Determine which week to show based on Friday 17:00 logic
-            let startOfWeek;
-            if (now.day() === 5 && now.hour() >= 17) {
-                // If it's Friday after 17:00, show next week
-                startOfWeek = now.clone().add(1, 'week').startOf('isoWeek');
-            } else if (now.day() === 6 || now.day() === 0) {
-                // If it's weekend, show next week
-                startOfWeek = now.clone().add(1, 'week').startOf('isoWeek');
-            } else {
-                // Otherwise show current week
-                startOfWeek = now.clone().startOf('isoWeek');
-            }
-            
-            const endOfWeek = startOfWeek.clone().add(4, 'days'); // Friday
+            // From the open week (the current one, or next week once it opened) to the end of
+            // the booking horizon, so bookings in weeks further ahead are listed too
+            const startOfWeek = bookingPolicy.openWeekStart();
+            const lastDay = bookingPolicy.lastBookableDay();
             
             this.db.all(
                 'SELECT * FROM reservations WHERE user_id = ? AND date >= ? AND date <= ? ORDER BY date',
-                [String(userId), startOfWeek.format('YYYY-MM-DD'), endOfWeek.format('YYYY-MM-DD')],
+                [String(userId), startOfWeek.format('YYYY-MM-DD'), lastDay.format('YYYY-MM-DD')],
                 (err, rows) => {
                     if (err) reject(err);
                     else resolve(rows);
@@ -408,53 +815,89 @@ class Database {
         });
     }
     
+    // Visitantes que alguien reservó desde fromDate en adelante
+    async getGuestReservations(hostUserId, fromDate) {
+        return this.query(
+            'SELECT * FROM reservations WHERE host_user_id = ? AND date >= ? ORDER BY date, first_name',
+            [String(hostUserId), fromDate]
+        );
+    }
+    
     // Alias for getDayReservations
     async getReservationsByDate(date) {
         return this.getDayReservations(date);
     }
     
-    async getAvailableSpot(date) {
+    // Un espacio está libre para el turno pedido si ninguna reserva de ese día se superpone
+    // (el día completo choca con todo; mañana y tarde pueden compartir espacio).
+    // Con userId se tienen en cuenta su vehículo y sus espacios preferidos, y required son atributos
+    // que el espacio debe tener ("voy el martes con cargador"); ver rankSpots en spotAttributes.
+    // requestedSpot ("voy el martes al 1058") se entrega si está libre y le sirve; si no, se sigue
+    // con el orden de siempre.
+    async getAvailableSpot(date, slot = DEFAULT_SLOT, userId = null, required = [], requestedSpot = null) {
         return new Promise(async (resolve, reject) => {
             try {
-                // First check regular flex spots
-                const flexSpot = await new Promise((res, rej) => {
-                    this.db.get(
+                // Regular flex spots first. Half-day requests fill spots whose other half
+                // is already taken, so whole spots stay free for full-day bookings
+                const flexSpots = await new Promise((res, rej) => {
+                    this.db.all(
                         `SELECT ps.number 
                          FROM parking_spots ps 
                          LEFT JOIN reservations r ON ps.number = r.spot_number AND r.date = ?
-                         WHERE ps.active = 1 AND r.id IS NULL 
-                         ORDER BY ps.number 
-                         LIMIT 1`,
-                        [date],
-                        (err, row) => err ? rej(err) : res(row)
+                              AND (r.slot = 'full' OR ? = 'full' OR r.slot = ?)
+                         LEFT JOIN waitlist_offers o ON ps.number = o.spot_number AND o.date = ? AND o.status = 'pending'
+                              AND (o.slot = 'full' OR ? = 'full' OR o.slot = ?)
+                         WHERE ps.active = 1 AND r.id IS NULL AND o.id IS NULL
+                           AND NOT EXISTS (SELECT 1 FROM spot_blackouts b
+                                           WHERE b.spot_number = ps.number AND ? BETWEEN b.start_date AND b.end_date)
+                         ORDER BY EXISTS (SELECT 1 FROM reservations h WHERE h.spot_number = ps.number AND h.date = ?) DESC,
+                                  ps.number`,
+                        [date, slot, slot, date, slot, slot, date, date],
+                        (err, rows) => err ? rej(err) : res(rows || [])
                     );
                 });
+                const candidates = flexSpots.map(row => row.number);
+                const { attributesBySpot, preferred, profile } = await this.getSpotRankingContext(userId);
                 
-                if (flexSpot) {
-                    resolve(flexSpot);
+                // Sin atributos ni preferencias no hay nada que ordenar: el primer flex libre gana
+                const needsRanking = attributesBySpot.size > 0 || required.length > 0 ||
+                    preferred.length > 0 || requestedSpot;
+                if (candidates.length > 0 && !needsRanking) {
+                    resolve({ number: candidates[0] });
                     return;
                 }
                 
-                // If no flex spots available, check released fixed spots
-                const releasedSpots = await this.getReleasedFixedSpots(date);
+                // Then temporarily released fixed spots, unless they're blacked out too
+                const blackedOut = (await this.getBlackedOutSpots(date)).map(row => row.spot_number);
+                const releasedSpots = (await this.getReleasedFixedSpots(date))
+                    .filter(released => !blackedOut.includes(released.spot_number));
                 
                 for (const released of releasedSpots) {
                     const isReserved = await new Promise((res, rej) => {
                         this.db.get(
-                            'SELECT id FROM reservations WHERE spot_number = ? AND date = ?',
-                            [released.spot_number, date],
+                            `SELECT id FROM reservations WHERE spot_number = ? AND date = ?
+                                 AND (slot = 'full' OR ? = 'full' OR slot = ?)
+                             UNION ALL
+                             SELECT id FROM waitlist_offers WHERE spot_number = ? AND date = ? AND status = 'pending'
+                                 AND (slot = 'full' OR ? = 'full' OR slot = ?)`,
+                            [released.spot_number, date, slot, slot, released.spot_number, date, slot, slot],
                             (err, row) => err ? rej(err) : res(row)
                         );
                     });
                     
-                    if (!isReserved) {
-                        resolve({ number: released.spot_number });
-                        return;
+                    if (!isReserved && !candidates.includes(released.spot_number)) {
+                        candidates.push(released.spot_number);
                     }
                 }
                 
-                // No spots available
-                resolve(null);
+                if (requestedSpot && candidates.includes(String(requestedSpot)) &&
+                    rankSpots([String(requestedSpot)], attributesBySpot, profile, required).length > 0) {
+                    resolve({ number: String(requestedSpot) });
+                    return;
+                }
+                
+                const [best] = rankSpots(candidates, attributesBySpot, profile, required, preferred);
+                resolve(best ? { number: best } : null);
             } catch (error) {
                 reject(error);
             }
@@ -468,28 +911,42 @@ class Database {
                 const flexSpots = await new Promise((res, rej) => {
                     this.db.all(
                         `SELECT ps.number as spot_number, 
-                                CASE WHEN r.id IS NOT NULL THEN 1 ELSE 0 END as reserved,
-                                r.username, r.first_name, r.last_name
+                                CASE WHEN r.id IS NOT NULL OR o.id IS NOT NULL THEN 1 ELSE 0 END as reserved,
+                                CASE WHEN r.id IS NULL AND o.id IS NOT NULL THEN 1 ELSE 0 END as held,
+                                COALESCE(r.username, o.username) as username,
+                                COALESCE(r.first_name, o.first_name) as first_name,
+                                COALESCE(r.last_name, o.last_name) as last_name,
+                                r.host_name
                          FROM parking_spots ps 
-                         LEFT JOIN reservations r ON ps.number = r.spot_number AND r.date = ?
+                         LEFT JOIN reservations r ON ps.number = r.spot_number AND r.date = ? AND r.slot = 'full'
+                         LEFT JOIN waitlist_offers o ON ps.number = o.spot_number AND o.date = ? AND o.status = 'pending'
+                              AND o.slot = 'full'
                          WHERE ps.active = 1 
+                           AND NOT EXISTS (SELECT 1 FROM spot_blackouts b
+                                           WHERE b.spot_number = ps.number AND ? BETWEEN b.start_date AND b.end_date)
                          ORDER BY ps.number`,
-                        [date],
+                        [date, date, date],
                         (err, rows) => err ? rej(err) : res(rows)
                     );
                 });
                 
-                // Get temporarily released fixed spots
-                const releasedSpots = await this.getReleasedFixedSpots(date);
+                // Get temporarily released fixed spots (blacked-out ones are not bookable)
+                const blackedOut = (await this.getBlackedOutSpots(date)).map(row => row.spot_number);
+                const releasedSpots = (await this.getReleasedFixedSpots(date))
+                    .filter(released => !blackedOut.includes(released.spot_number));
                 
                 // Add released fixed spots to the list
                 for (const released of releasedSpots) {
                     const spotReservation = await new Promise((res, rej) => {
                         this.db.get(
-                            `SELECT r.username, r.first_name, r.last_name
+                            `SELECT r.username, r.first_name, r.last_name, r.host_name, 0 as held
                              FROM reservations r
-                             WHERE r.spot_number = ? AND r.date = ?`,
-                            [released.spot_number, date],
+                             WHERE r.spot_number = ? AND r.date = ? AND r.slot = 'full'
+                             UNION ALL
+                             SELECT o.username, o.first_name, o.last_name, NULL as host_name, 1 as held
+                             FROM waitlist_offers o
+                             WHERE o.spot_number = ? AND o.date = ? AND o.status = 'pending' AND o.slot = 'full'`,
+                            [released.spot_number, date, released.spot_number, date],
                             (err, row) => err ? rej(err) : res(row)
                         );
                     });
@@ -497,12 +954,35 @@ class Database {
                     flexSpots.push({
                         spot_number: released.spot_number,
                         reserved: spotReservation ? 1 : 0,
+                        held: spotReservation?.held || 0,
                         username: spotReservation?.username || null,
                         first_name: spotReservation?.first_name || null,
-                        last_name: spotReservation?.last_name || null
+                        last_name: spotReservation?.last_name || null,
+                        host_name: spotReservation?.host_name || null
                     });
                 }
                 
+                // Medio día: cada espacio lleva quién lo tiene (o lo tiene ofrecido) de mañana y de tarde;
+                // con ambos turnos tomados cuenta como ocupado
+                const halfDay = await new Promise((res, rej) => {
+                    this.db.all(
+                        `SELECT spot_number, slot, username, first_name, last_name, host_name, 0 as held
+                         FROM reservations WHERE date = ? AND slot != 'full'
+                         UNION ALL
+                         SELECT spot_number, slot, username, first_name, last_name, NULL as host_name, 1 as held
+                         FROM waitlist_offers WHERE date = ? AND status = 'pending' AND slot != 'full'`,
+                        [date, date],
+                        (err, rows) => err ? rej(err) : res(rows)
+                    );
+                });
+                for (const spot of flexSpots) {
+                    spot.morning = halfDay.find(r => r.spot_number === spot.spot_number && r.slot === 'morning') || null;
+                    spot.afternoon = halfDay.find(r => r.spot_number === spot.spot_number && r.slot === 'afternoon') || null;
+                    if (spot.morning && spot.afternoon) {
+                        spot.reserved = 1;
+                    }
+                }
+                
                 resolve(flexSpots);
             } catch (error) {
                 reject(error);
@@ -652,6 +1132,37 @@ class Database {
         });
     }
     
+    // Vuelve a poner a alguien primero en la lista de espera (p. ej. si se retira la oferta que tenía)
+    async returnToWaitlistHead(user, date) {
+        await this.removeFromWaitlist(user.user_id, date);
+        await this.query(
+            'UPDATE waitlist SET position = position + 1 WHERE date = ?',
+            [date]
+        );
+        await this.query(
+            `INSERT INTO waitlist (user_id, username, first_name, last_name, date, position)
+             VALUES (?, ?, ?, ?, ?, 1)`,
+            [String(user.user_id), user.username, user.first_name, user.last_name, date]
+        );
+    }
+    
+    // Listas de espera de un usuario desde una fecha, con su posición y el total de cada día
+    async getUserWaitlistEntries(userId, fromDate) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT w.*, (SELECT COUNT(*) FROM waitlist w2 WHERE w2.date = w.date) as total
+                 FROM waitlist w
+                 WHERE w.user_id = ? AND w.date >= ?
+                 ORDER BY w.date`,
+                [String(userId), fromDate],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+    
     async getWaitlistCount(date) {
         return new Promise((resolve, reject) => {
             this.db.get(
@@ -688,8 +1199,15 @@ class Database {
                     }
                     
                     this.db.run('DELETE FROM waitlist', (err) => {
-                        if (err) reject(err);
-                        else resolve();
+                        if (err) {
+                            reject(err);
+                            return;
+                        }
+                        
+                        this.db.run('DELETE FROM waitlist_offers', (err) => {
+                            if (err) reject(err);
+                            else resolve();
+                        });
                     });
                 });
             });
@@ -698,7 +1216,7 @@ class Database {
     
     async cleanupExpiredReservations() {
         const moment = require('moment-timezone');
-        const yesterday = moment().tz('America/Montevideo').subtract(1, 'day').format('YYYY-MM-DD');
+        const yesterday = moment().tz(bookingPolicy.timezone()).subtract(1, 'day').format('YYYY-MM-DD');
         
         return new Promise((resolve, reject) => {
             this.db.serialize(() => {
@@ -725,22 +1243,36 @@ class Database {
         });
     }
 
-    async resetCurrentWeekReservations() {
+    // referenceDate: the scheduled time of the reset, so a late run still clears the week it was meant for
+    async resetCurrentWeekReservations(referenceDate = null) {
         const moment = require('moment-timezone');
-        const now = moment().tz('America/Montevideo');
+        const opening = bookingPolicy.openingAt(referenceDate ? referenceDate.clone() : moment());
         
-        // Calculate current work week (Monday to Friday based on the Friday reset cycle)
-        const weekStart = now.clone().day(1); // Monday of current week
-        const weekEnd = now.clone().day(5);   // Friday of current week
+        // Current work week (Monday to Friday of the opening's week). Only the days that already
+        // started by the opening are cleared: with a Thursday opening, Friday's bookings stay
+        const weekStart = opening.clone().startOf('isoWeek'); // Monday of current week
+        const weekEnd = weekStart.clone().add(4, 'days');  // Friday of current week
+        const clearUntil = moment.min(weekEnd, opening.clone().startOf('day'));
         
         const db = this.db; // Store reference to db
         
         return new Promise((resolve, reject) => {
             db.serialize(() => {
-                // Clear all reservations for current work week (Monday-Friday)
+                // Keep how many days each person booked before the week is wiped (quota history)
+                db.run(
+                    `INSERT OR REPLACE INTO weekly_usage (user_id, week_start, days)
+                     SELECT user_id, ?, COUNT(DISTINCT date) FROM reservations
+                     WHERE date >= ? AND date <= ? AND host_user_id IS NULL GROUP BY user_id`,
+                    [weekStart.format('YYYY-MM-DD'), weekStart.format('YYYY-MM-DD'), weekEnd.format('YYYY-MM-DD')],
+                    (err) => {
+                        if (err) console.error('Error saving weekly usage:', err);
+                    }
+                );
+                
+                // Clear the reservations of the current work week up to the opening
                 db.run(
                     'DELETE FROM reservations WHERE date >= ? AND date <= ?', 
-                    [weekStart.format('YYYY-MM-DD'), weekEnd.format('YYYY-MM-DD')], 
+                    [weekStart.format('YYYY-MM-DD'), clearUntil.format('YYYY-MM-DD')], 
                     function(err) {
                         if (err) {
                             console.error('Error clearing current week reservations:', err);
@@ -750,18 +1282,31 @@ class Database {
                         
                         const reservationsCleared = this.changes;
                         
-                        // Clear all waitlist entries for current work week
+                        // Clear the waitlist entries of the same days
                         db.run(
                             'DELETE FROM waitlist WHERE date >= ? AND date <= ?', 
-                            [weekStart.format('YYYY-MM-DD'), weekEnd.format('YYYY-MM-DD')], 
+                            [weekStart.format('YYYY-MM-DD'), clearUntil.format('YYYY-MM-DD')], 
                             function(err) {
                                 if (err) {
                                     console.error('Error clearing current week waitlist:', err);
                                     reject(err);
                                 } else {
                                     const waitlistCleared = this.changes;
-                                    console.log(`🔄 Friday 5PM Reset: Cleared ${reservationsCleared} reservations and ${waitlistCleared} waitlist entries for week ${weekStart.format('DD/MM')} - ${weekEnd.format('DD/MM')}`);
-                                    resolve({ reservationsCleared, waitlistCleared });
+                                    
+                                    // Las ofertas pendientes de esa semana ya no tienen sentido
+                                    db.run(
+                                        'DELETE FROM waitlist_offers WHERE date >= ? AND date <= ?',
+                                        [weekStart.format('YYYY-MM-DD'), clearUntil.format('YYYY-MM-DD')],
+                                        (err) => {
+                                            if (err) {
+                                                console.error('Error clearing current week waitlist offers:', err);
+                                                reject(err);
+                                                return;
+                                            }
+                                            console.log(`🔄 Weekly reset: Cleared ${reservationsCleared} reservations and ${waitlistCleared} waitlist entries for ${weekStart.format('DD/MM')} - ${clearUntil.format('DD/MM')}`);
+                                            resolve({ reservationsCleared, waitlistCleared });
+                                        }
+                                    );
                                 }
                             }
                         );
@@ -783,28 +1328,912 @@ class Database {
                     }
                     stats.totalSpots = result.count;
                     
-                    this.db.get('SELECT COUNT(*) as count FROM reservations', [], (err, result) => {
-                        if (err) {
-                            reject(err);
-                            return;
-                        }
-                        stats.totalReservations = result.count;
-                        
-                        this.db.get('SELECT COUNT(*) as count FROM waitlist', [], (err, result) => {
-                            if (err) reject(err);
-                            else {
-                                stats.totalWaitlist = result.count;
-                                resolve(stats);
+                    // Las reservas de visitantes se cuentan aparte
+                    this.db.get(
+                        `SELECT COUNT(*) - COUNT(host_user_id) as count, COUNT(host_user_id) as guests FROM reservations`,
+                        [],
+                        (err, result) => {
+                            if (err) {
+                                reject(err);
+                                return;
                             }
-                        });
-                    });
+                            stats.totalReservations = result.count;
+                            stats.totalGuestReservations = result.guests;
+                            
+                            this.db.get('SELECT COUNT(*) as count FROM waitlist', [], (err, result) => {
+                                if (err) reject(err);
+                                else {
+                                    stats.totalWaitlist = result.count;
+                                    resolve(stats);
+                                }
+                            });
+                        }
+                    );
                 });
             });
         });
     }
     
-    // Backup methods
-    getAllParkingSpots() {
+    // Métodos para reservas recurrentes
+    async addRecurringReservation(userId, user, weekday) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT OR IGNORE INTO recurring_reservations (user_id, username, first_name, last_name, weekday)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [String(userId), user.username, user.first_name, user.last_name, weekday],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    async removeRecurringReservations(userId, weekdays = null) {
+        return new Promise((resolve, reject) => {
+            let sql = 'DELETE FROM recurring_reservations WHERE user_id = ?';
+            const params = [String(userId)];
+            
+            // Sin días específicos se cancelan todas las reservas recurrentes del usuario
+            if (weekdays && weekdays.length > 0) {
+                sql += ` AND weekday IN (${weekdays.map(() => '?').join(', ')})`;
+                params.push(...weekdays);
+            }
+            
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+    
+    async getUserRecurringReservations(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM recurring_reservations WHERE user_id = ? ORDER BY weekday',
+                [String(userId)],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+    
+    async getAllRecurringReservations() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM recurring_reservations ORDER BY weekday, created_at',
+                [],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+    
+    // Métodos para la cola de lotería
+    async addLotteryRequest(userId, user, chatId, date, processAt, requestedAt, slot = DEFAULT_SLOT, required = [], requestedSpot = null) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT OR IGNORE INTO lottery_requests
+                 (user_id, username, first_name, last_name, chat_id, date, process_at, requested_at, slot, required, requested_spot)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [String(userId), user.username, user.first_name, user.last_name, String(chatId), date, processAt, requestedAt, slot,
+                 required.length > 0 ? required.join(',') : null, requestedSpot],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    async getPendingLotteryRequests() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM lottery_requests ORDER BY date, requested_at',
+                [],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+    
+    async deleteLotteryRequests(date) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM lottery_requests WHERE date = ?',
+                [date],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    async deleteLotteryRequest(userId, date) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM lottery_requests WHERE user_id = ? AND date = ?',
+                [String(userId), date],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    async clearLotteryRequests() {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM lottery_requests', function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+    
+    async saveLotteryDraw(date, processAt, seed, participants, drawnOrder, assignments, weighting = null) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO lottery_draws (date, process_at, seed, participants, drawn_order, assignments, weighting)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [date, processAt, seed, JSON.stringify(participants), JSON.stringify(drawnOrder), JSON.stringify(assignments),
+                 weighting ? JSON.stringify(weighting) : null],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.lastID);
+                }
+            );
+        });
+    }
+    
+    // Todos los sorteos de la última tanda (mismo viernes 17:15), uno por fecha
+    async getLastLotteryDraws() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM lottery_draws
+                 WHERE process_at = (SELECT process_at FROM lottery_draws ORDER BY id DESC LIMIT 1)
+                 ORDER BY date, id`,
+                [],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve((rows || []).map(row => this.parseLotteryDraw(row)));
+                }
+            );
+        });
+    }
+    
+    // Sorteos realizados desde una fecha (ISO) y antes de otra, para calcular el historial de equidad
+    async getLotteryDrawsBetween(fromProcessAt, toProcessAt) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM lottery_draws
+                 WHERE process_at >= ? AND process_at < ?
+                 ORDER BY process_at, date`,
+                [fromProcessAt, toProcessAt],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve((rows || []).map(row => this.parseLotteryDraw(row)));
+                }
+            );
+        });
+    }
+    
+    // Quien perdió este día en un sorteo y lo consigue después (lista de espera, un espacio
+    // liberado) queda anotado en el sorteo: las reservas se borran con el reset semanal, el sorteo no
+    async markLotteryRecovery(userId, date) {
+        const draws = await new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT id, assignments, recovered FROM lottery_draws WHERE date = ?',
+                [date],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+        
+        for (const draw of draws) {
+            const lost = JSON.parse(draw.assignments).some(a => a.userId === String(userId) && !a.spotNumber);
+            const recovered = draw.recovered ? JSON.parse(draw.recovered) : [];
+            if (!lost || recovered.includes(String(userId))) continue;
+            
+            await new Promise((resolve, reject) => {
+                this.db.run(
+                    'UPDATE lottery_draws SET recovered = ? WHERE id = ?',
+                    [JSON.stringify([...recovered, String(userId)]), draw.id],
+                    (err) => (err ? reject(err) : resolve())
+                );
+            });
+        }
+    }
+    
+    parseLotteryDraw(row) {
+        return {
+            ...row,
+            participants: JSON.parse(row.participants),
+            drawn_order: JSON.parse(row.drawn_order),
+            assignments: JSON.parse(row.assignments),
+            weighting: row.weighting ? JSON.parse(row.weighting) : null,
+            recovered: row.recovered ? JSON.parse(row.recovered) : []
+        };
+    }
+    
+    // Métodos para ofertas de lista de espera
+    async createWaitlistOffer(user, date, spotNumber, expiresAt, slot = DEFAULT_SLOT) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO waitlist_offers (user_id, username, first_name, last_name, date, spot_number, slot, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [String(user.user_id), user.username, user.first_name, user.last_name, date, String(spotNumber), slot, expiresAt],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.lastID);
+                }
+            );
+        });
+    }
+    
+    async getWaitlistOffer(offerId) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM waitlist_offers WHERE id = ?', [offerId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+    
+    async getPendingWaitlistOffers() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM waitlist_offers WHERE status = 'pending' ORDER BY expires_at`,
+                [],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+    
+    async getPendingOfferForSpot(date, spotNumber) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT * FROM waitlist_offers WHERE date = ? AND spot_number = ? AND status = 'pending'`,
+                [date, String(spotNumber)],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                }
+            );
+        });
+    }
+    
+    // Con turnos de medio día puede haber dos ofertas del mismo espacio (mañana y tarde)
+    async getPendingOffersForSpot(date, spotNumber) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM waitlist_offers WHERE date = ? AND spot_number = ? AND status = 'pending' ORDER BY id`,
+                [date, String(spotNumber)],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+    
+    async setWaitlistOfferMessage(offerId, messageId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE waitlist_offers SET message_id = ? WHERE id = ?',
+                [messageId, offerId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    // Cierra una oferta pendiente; devuelve 0 si ya había sido resuelta (evita dobles respuestas)
+    async resolveWaitlistOffer(offerId, status) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE waitlist_offers SET status = ? WHERE id = ? AND status = 'pending'`,
+                [status, offerId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    // Métodos de check-in
+    // Devuelve 0 si ya se le había pedido confirmación a esa persona para ese día
+    async createCheckIn(reservation) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT OR IGNORE INTO checkins (user_id, username, first_name, last_name, date, spot_number)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [String(reservation.user_id), reservation.username, reservation.first_name, reservation.last_name,
+                 reservation.date, String(reservation.spot_number)],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    async getCheckIn(userId, date) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM checkins WHERE user_id = ? AND date = ?',
+                [String(userId), date],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                }
+            );
+        });
+    }
+    
+    async getPendingCheckIns(date) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM checkins WHERE date = ? AND status = 'pending'`,
+                [date],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+    
+    async setCheckInMessage(userId, date, messageId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE checkins SET message_id = ? WHERE user_id = ? AND date = ?',
+                [messageId, String(userId), date],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    // Cierra un check-in pendiente; devuelve 0 si ya estaba resuelto (evita dobles respuestas)
+    async resolveCheckIn(userId, date, status) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE checkins SET status = ?, responded_at = CURRENT_TIMESTAMP
+                 WHERE user_id = ? AND date = ? AND status = 'pending'`,
+                [status, String(userId), date],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    // Ausencias sin aviso por usuario, de mayor a menor
+    async getNoShowCounts(fromDate = null) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT user_id, MAX(username) as username, MAX(first_name) as first_name,
+                        COUNT(*) as no_shows, MAX(date) as last_date
+                 FROM checkins
+                 WHERE status = 'no_show' AND date >= ?
+                 GROUP BY user_id
+                 ORDER BY no_shows DESC, last_date DESC`,
+                [fromDate || ''],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+    
+    // Atributos de espacios y perfiles de vehículo
+    async setSpotAttributes(spotNumber, attributes) {
+        await this.query('DELETE FROM spot_attributes WHERE spot_number = ?', [String(spotNumber)]);
+        for (const attribute of attributes) {
+            await this.query(
+                'INSERT OR IGNORE INTO spot_attributes (spot_number, attribute) VALUES (?, ?)',
+                [String(spotNumber), attribute]
+            );
+        }
+    }
+    
+    async getSpotAttributes(spotNumber) {
+        const rows = await this.query(
+            'SELECT attribute FROM spot_attributes WHERE spot_number = ? ORDER BY attribute',
+            [String(spotNumber)]
+        );
+        return rows.map(row => row.attribute);
+    }
+    
+    // spot_number -> [atributos]
+    async getAllSpotAttributes() {
+        const rows = await this.query('SELECT spot_number, attribute FROM spot_attributes ORDER BY spot_number, attribute');
+        const bySpot = new Map();
+        for (const row of rows) {
+            if (!bySpot.has(row.spot_number)) bySpot.set(row.spot_number, []);
+            bySpot.get(row.spot_number).push(row.attribute);
+        }
+        return bySpot;
+    }
+    
+    async setVehicleProfile(userId, attributes) {
+        await this.query('DELETE FROM vehicle_profiles WHERE user_id = ?', [String(userId)]);
+        for (const attribute of attributes) {
+            await this.query(
+                'INSERT OR IGNORE INTO vehicle_profiles (user_id, attribute) VALUES (?, ?)',
+                [String(userId), attribute]
+            );
+        }
+    }
+    
+    async getVehicleProfile(userId) {
+        const rows = await this.query(
+            'SELECT attribute FROM vehicle_profiles WHERE user_id = ? ORDER BY attribute',
+            [String(userId)]
+        );
+        return rows.map(row => row.attribute);
+    }
+    
+    // Todo lo que usa rankSpots en una sola consulta: atributos de todos los espacios y, si hay
+    // persona, sus espacios preferidos (en orden) y su perfil de vehículo
+    async getSpotRankingContext(userId = null) {
+        const rows = await this.query(
+            `SELECT 'attribute' as kind, spot_number as spot, attribute as value, 0 as rank FROM spot_attributes
+             UNION ALL
+             SELECT 'preference', spot_number, NULL, rank FROM spot_preferences WHERE user_id = ?
+             UNION ALL
+             SELECT 'profile', NULL, attribute, 0 FROM vehicle_profiles WHERE user_id = ?
+             ORDER BY kind, rank, spot, value`,
+            [String(userId), String(userId)]
+        );
+        
+        const attributesBySpot = new Map();
+        const preferred = [];
+        const profile = [];
+        for (const row of rows) {
+            if (row.kind === 'attribute') {
+                if (!attributesBySpot.has(row.spot)) attributesBySpot.set(row.spot, []);
+                attributesBySpot.get(row.spot).push(row.value);
+            } else if (row.kind === 'preference') {
+                preferred.push(row.spot);
+            } else {
+                profile.push(row.value);
+            }
+        }
+        
+        return { attributesBySpot, preferred, profile };
+    }
+    
+    // Espacios preferidos, en orden de preferencia (lista vacía para borrarlos)
+    async setSpotPreferences(userId, spotNumbers) {
+        await this.query('DELETE FROM spot_preferences WHERE user_id = ?', [String(userId)]);
+        for (const [rank, spotNumber] of spotNumbers.entries()) {
+            await this.query(
+                'INSERT OR IGNORE INTO spot_preferences (user_id, spot_number, rank) VALUES (?, ?, ?)',
+                [String(userId), String(spotNumber), rank]
+            );
+        }
+    }
+    
+    async getSpotPreferences(userId) {
+        const rows = await this.query(
+            'SELECT spot_number FROM spot_preferences WHERE user_id = ? ORDER BY rank',
+            [String(userId)]
+        );
+        return rows.map(row => row.spot_number);
+    }
+    
+    // Métodos del piloto automático. weekdays se guarda como "1,5"; los nombres se
+    // actualizan cada vez que la persona cambia sus días
+    async setAutopilot(userId, user, weekdays, status) {
+        await this.query(
+            `INSERT INTO autopilot_users (user_id, username, first_name, last_name, weekdays, status)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT(user_id) DO UPDATE SET username = excluded.username, first_name = excluded.first_name,
+                 last_name = excluded.last_name, weekdays = excluded.weekdays, status = excluded.status`,
+            [String(userId), user.username, user.first_name, user.last_name, weekdays.join(','), status]
+        );
+    }
+    
+    async setAutopilotStatus(userId, status) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE autopilot_users SET status = ? WHERE user_id = ?',
+                [status, String(userId)],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    async removeAutopilot(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM autopilot_users WHERE user_id = ?', [String(userId)], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+    
+    async getAutopilot(userId) {
+        const [row] = await this.query('SELECT * FROM autopilot_users WHERE user_id = ?', [String(userId)]);
+        return row ? parseAutopilotRow(row) : null;
+    }
+    
+    async getAllAutopilots(status = null) {
+        const rows = status
+            ? await this.query('SELECT * FROM autopilot_users WHERE status = ? ORDER BY created_at, user_id', [status])
+            : await this.query('SELECT * FROM autopilot_users ORDER BY created_at, user_id');
+        return rows.map(parseAutopilotRow);
+    }
+    
+    // Métodos de traspasos e intercambios
+    async createSpotExchange(exchange) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO spot_exchanges
+                 (kind, from_user_id, from_username, from_first_name, from_date, to_user_id, to_username, to_first_name, to_date)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [exchange.kind, String(exchange.fromUser.id), exchange.fromUser.username, exchange.fromUser.first_name,
+                 exchange.fromDate, String(exchange.toUser.user_id), exchange.toUser.username, exchange.toUser.first_name,
+                 exchange.toDate || null],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.lastID);
+                }
+            );
+        });
+    }
+    
+    async getSpotExchange(exchangeId) {
+        const [row] = await this.query('SELECT * FROM spot_exchanges WHERE id = ?', [exchangeId]);
+        return row;
+    }
+    
+    async setSpotExchangeMessage(exchangeId, messageId) {
+        await this.query('UPDATE spot_exchanges SET message_id = ? WHERE id = ?', [messageId, exchangeId]);
+    }
+    
+    // Solo cambia el estado si sigue en fromStatus; devuelve 0 si otro ya la resolvió
+    async resolveSpotExchange(exchangeId, status, fromStatus = 'pending') {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE spot_exchanges SET status = ? WHERE id = ? AND status = ?',
+                [status, exchangeId, fromStatus],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    // Última persona con ese @usuario que usó el bot (reservas, lista de espera, fijos, etc.)
+    async findUserByUsername(username) {
+        const [row] = await this.query(
+            `SELECT user_id, username, first_name, last_name FROM (
+                SELECT user_id, username, first_name, last_name, created_at FROM reservations
+                UNION ALL SELECT user_id, username, first_name, last_name, created_at FROM waitlist
+                UNION ALL SELECT user_id, username, first_name, last_name, created_at FROM checkins
+                UNION ALL SELECT user_id, username, first_name, last_name, created_at FROM recurring_reservations
+                UNION ALL SELECT user_id, username, first_name, last_name, created_at FROM autopilot_users
+             ) WHERE LOWER(username) = LOWER(?) ORDER BY created_at DESC LIMIT 1`,
+            [username]
+        );
+        return row || null;
+    }
+    
+    // La reserva pasa a otra persona en un solo UPDATE; 0 si ya no existe o la otra persona
+    // ya tiene reserva ese día
+    async transferReservation(fromUserId, date, toUser) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE reservations SET user_id = ?, username = ?, first_name = ?, last_name = ?
+                 WHERE user_id = ? AND date = ?
+                 AND NOT EXISTS (SELECT 1 FROM reservations WHERE user_id = ? AND date = ?)`,
+                [String(toUser.user_id), toUser.username, toUser.first_name, toUser.last_name,
+                 String(fromUserId), date, String(toUser.user_id), date],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    // Intercambia los dueños de dos reservas (de días distintos) en un solo UPDATE: o cambian
+    // las dos o ninguna (si alguien ya tenía reserva ese día, UNIQUE(user_id, date) lo impide)
+    async swapReservations(first, second) {
+        const columns = ['user_id', 'username', 'first_name', 'last_name'];
+        const assignments = columns.map(column => `${column} = CASE id WHEN ? THEN ? ELSE ? END`).join(', ');
+        const params = columns.flatMap(column => [first.id, second[column], first[column]]);
+        
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE reservations SET ${assignments} WHERE id IN (?, ?)`,
+                [...params, first.id, second.id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    // Métodos de feriados
+    async addHoliday(date, name, replace = true) {
+        await this.query(
+            `INSERT ${replace ? 'OR REPLACE' : 'OR IGNORE'} INTO holidays (date, name) VALUES (?, ?)`,
+            [date, name || null]
+        );
+    }
+    
+    async removeHoliday(date) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM holidays WHERE date = ?', [date], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+    
+    async getHoliday(date) {
+        const [row] = await this.query('SELECT * FROM holidays WHERE date = ?', [date]);
+        return row || null;
+    }
+    
+    async getHolidaysBetween(fromDate, toDate) {
+        return this.query(
+            'SELECT * FROM holidays WHERE date >= ? AND date <= ? ORDER BY date',
+            [fromDate, toDate]
+        );
+    }
+    
+    async clearWaitlistForDate(date) {
+        await this.query('DELETE FROM waitlist WHERE date = ?', [date]);
+    }
+    
+    // Métodos de bloqueos de espacios
+    async addSpotBlackout(spotNumber, startDate, endDate, reason) {
+        await this.query(
+            'INSERT INTO spot_blackouts (spot_number, start_date, end_date, reason) VALUES (?, ?, ?, ?)',
+            [String(spotNumber), startDate, endDate, reason || null]
+        );
+    }
+    
+    // Quita los bloqueos del espacio que todavía no terminaron; devuelve los rangos quitados
+    async removeSpotBlackouts(spotNumber, fromDate) {
+        const removed = await this.query(
+            'SELECT * FROM spot_blackouts WHERE spot_number = ? AND end_date >= ? ORDER BY start_date',
+            [String(spotNumber), fromDate]
+        );
+        await this.query(
+            'DELETE FROM spot_blackouts WHERE spot_number = ? AND end_date >= ?',
+            [String(spotNumber), fromDate]
+        );
+        return removed;
+    }
+    
+    async getSpotBlackouts(fromDate) {
+        return this.query(
+            'SELECT * FROM spot_blackouts WHERE end_date >= ? ORDER BY start_date, spot_number',
+            [fromDate]
+        );
+    }
+    
+    async getBlackedOutSpots(date) {
+        return this.query(
+            `SELECT spot_number, MAX(reason) as reason FROM spot_blackouts
+             WHERE ? BETWEEN start_date AND end_date
+             GROUP BY spot_number ORDER BY spot_number`,
+            [date]
+        );
+    }
+    
+    // Métodos de ausencias anotadas
+    async addPlannedAbsence(userId, date) {
+        await this.query(
+            'INSERT OR IGNORE INTO planned_absences (user_id, date) VALUES (?, ?)',
+            [String(userId), date]
+        );
+    }
+    
+    async removePlannedAbsence(userId, date) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM planned_absences WHERE user_id = ? AND date = ?',
+                [String(userId), date],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    async getPlannedAbsences(userId, fromDate) {
+        return this.query(
+            'SELECT date FROM planned_absences WHERE user_id = ? AND date >= ? ORDER BY date',
+            [String(userId), fromDate]
+        );
+    }
+    
+    async hasPlannedAbsence(userId, date) {
+        const [row] = await this.query(
+            'SELECT 1 FROM planned_absences WHERE user_id = ? AND date = ?',
+            [String(userId), date]
+        );
+        return Boolean(row);
+    }
+    
+    // Métodos de tareas programadas
+    async getScheduledJob(name) {
+        const [row] = await this.query('SELECT * FROM scheduled_jobs WHERE name = ?', [name]);
+        return row || null;
+    }
+    
+    async getScheduledJobs() {
+        return this.query('SELECT * FROM scheduled_jobs ORDER BY next_run_at');
+    }
+    
+    async setJobNextRun(name, nextRunAt) {
+        await this.query(
+            `INSERT INTO scheduled_jobs (name, next_run_at) VALUES (?, ?)
+             ON CONFLICT(name) DO UPDATE SET next_run_at = excluded.next_run_at, updated_at = CURRENT_TIMESTAMP`,
+            [name, nextRunAt]
+        );
+    }
+    
+    // Reserva la corrida para quien la ejecuta. Devuelve false si ya se ejecutó (o se está ejecutando);
+    // una corrida que quedó a medias por un reinicio se puede volver a tomar.
+    async claimJobRun(name, scheduledFor) {
+        const startedAt = new Date().toISOString();
+        const inserted = await new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT OR IGNORE INTO job_runs (name, scheduled_for, started_at, status) VALUES (?, ?, ?, 'running')`,
+                [name, scheduledFor, startedAt],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+        if (inserted > 0) return true;
+        
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE job_runs SET status = 'running', started_at = ?, finished_at = NULL, result = NULL
+                 WHERE name = ? AND scheduled_for = ? AND status = 'interrupted'`,
+                [startedAt, name, scheduledFor],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes > 0);
+                }
+            );
+        });
+    }
+    
+    async finishJobRun(name, scheduledFor, status, result = null) {
+        const finishedAt = new Date().toISOString();
+        await this.query(
+            'UPDATE job_runs SET status = ?, result = ?, finished_at = ? WHERE name = ? AND scheduled_for = ?',
+            [status, result, finishedAt, name, scheduledFor]
+        );
+        await this.query(
+            'UPDATE scheduled_jobs SET last_run_at = ?, last_status = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?',
+            [scheduledFor, status, name]
+        );
+    }
+    
+    // Al arrancar: lo que figuraba "ejecutándose" se cortó con el reinicio anterior
+    async markInterruptedJobRuns() {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE job_runs SET status = 'interrupted' WHERE status = 'running'`,
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    async getRecentJobRuns(limit = 10) {
+        return this.query('SELECT * FROM job_runs ORDER BY scheduled_for DESC, id DESC LIMIT ?', [limit]);
+    }
+    
+    // Métodos de límites de reserva
+    async countUserDaysBetween(userId, fromDate, toDate) {
+        const [row] = await this.query(
+            'SELECT COUNT(DISTINCT date) as days FROM reservations WHERE user_id = ? AND date >= ? AND date <= ?',
+            [String(userId), fromDate, toDate]
+        );
+        return row.days;
+    }
+    
+    // week_start -> días reservados, desde la semana indicada
+    async getWeeklyUsage(userId, fromWeekStart) {
+        const rows = await this.query(
+            'SELECT week_start, days FROM weekly_usage WHERE user_id = ? AND week_start >= ?',
+            [String(userId), fromWeekStart]
+        );
+        return new Map(rows.map(row => [row.week_start, row.days]));
+    }
+    
+    async addQuotaExemption(ref) {
+        await this.query('INSERT OR IGNORE INTO quota_exemptions (ref) VALUES (?)', [ref.toLowerCase()]);
+    }
+    
+    async removeQuotaExemption(ref) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM quota_exemptions WHERE ref = ?', [ref.toLowerCase()], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+    
+    async getQuotaExemptions() {
+        const rows = await this.query('SELECT ref FROM quota_exemptions ORDER BY created_at, ref');
+        return rows.map(row => row.ref);
+    }
+    
+    async isQuotaExempt(userId, username = null) {
+        const rows = await this.query(
+            'SELECT 1 FROM quota_exemptions WHERE ref = ? OR ref = ?',
+            [String(userId), username ? `@${username.toLowerCase()}` : null]
+        );
+        return rows.length > 0;
+    }
+    
+    // Métodos de configuración
+    async getSetting(key) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT value FROM settings WHERE key = ?', [key], (err, row) => {
+                if (err) reject(err);
+                else resolve(row ? row.value : null);
+            });
+        });
+    }
+    
+    async setSetting(key, value) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+                [key, String(value)],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    // Backup methods
+    getAllParkingSpots() {
         return new Promise((resolve, reject) => {
             this.db.all('SELECT * FROM parking_spots WHERE active = 1', [], (err, rows) => {
                 if (err) reject(err);
@@ -835,6 +2264,24 @@ class Database {
     async setFixedSpotNumbers(spotNumbers) {
         return new Promise((resolve, reject) => {
             this.db.serialize(() => {
+                // Los dueños de espacios que dejan de ser fijos se descartan
+                const placeholders = spotNumbers.map(() => '?').join(', ');
+                this.db.run(
+                    `DELETE FROM fixed_spot_owners WHERE spot_number NOT IN (${placeholders})`,
+                    spotNumbers.map(String),
+                    (err) => {
+                        if (err) console.error('Error clearing fixed spot owners:', err);
+                    }
+                );
+                
+                this.db.run(
+                    `DELETE FROM fixed_release_rules WHERE spot_number NOT IN (${placeholders})`,
+                    spotNumbers.map(String),
+                    (err) => {
+                        if (err) console.error('Error clearing fixed release rules:', err);
+                    }
+                );
+                
                 // Clear existing fixed spots
                 this.db.run('DELETE FROM fixed_spots', (err) => {
                     if (err) {
@@ -872,7 +2319,10 @@ class Database {
     async getFixedSpots() {
         return new Promise((resolve, reject) => {
             this.db.all(
-                'SELECT spot_number FROM fixed_spots ORDER BY spot_number',
+                `SELECT fs.spot_number, o.owner_user_id, o.owner_username, o.owner_name
+                 FROM fixed_spots fs
+                 LEFT JOIN fixed_spot_owners o ON o.spot_number = fs.spot_number
+                 ORDER BY fs.spot_number`,
                 [],
                 (err, rows) => {
                     if (err) reject(err);
@@ -895,6 +2345,57 @@ class Database {
         });
     }
     
+    // owner: { userId, username, name }; basta con userId o username
+    async setFixedSpotOwner(spotNumber, owner) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO fixed_spot_owners (spot_number, owner_user_id, owner_username, owner_name, updated_at)
+                 VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(spot_number) DO UPDATE SET
+                    owner_user_id = excluded.owner_user_id,
+                    owner_username = excluded.owner_username,
+                    owner_name = excluded.owner_name,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [
+                    String(spotNumber),
+                    owner.userId ? String(owner.userId) : null,
+                    owner.username ? owner.username.replace(/^@/, '').toLowerCase() : null,
+                    owner.name || null
+                ],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    async getFixedSpotOwner(spotNumber) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM fixed_spot_owners WHERE spot_number = ?',
+                [String(spotNumber)],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                }
+            );
+        });
+    }
+    
+    async removeFixedSpotOwner(spotNumber) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM fixed_spot_owners WHERE spot_number = ?',
+                [String(spotNumber)],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
     async releaseFixedSpot(spotNumber, startDate, endDate) {
         return new Promise((resolve, reject) => {
             this.db.run(
@@ -912,7 +2413,7 @@ class Database {
     async removeFixedSpotRelease(spotNumber) {
         const moment = require('moment-timezone');
         return new Promise((resolve, reject) => {
-            const now = moment().tz('America/Montevideo').format('YYYY-MM-DD');
+            const now = moment().tz(bookingPolicy.timezone()).format('YYYY-MM-DD');
             this.db.run(
                 'DELETE FROM fixed_spot_releases WHERE spot_number = ? AND end_date >= ?',
                 [spotNumber, now],
@@ -924,6 +2425,107 @@ class Database {
         });
     }
     
+    // Métodos para liberaciones recurrentes de espacios fijos
+    async addFixedReleaseRule(spotNumber, weekday, endDate, createdBy) {
+        return new Promise((resolve, reject) => {
+            // Repetir la regla solo actualiza la fecha de fin
+            this.db.run(
+                `INSERT INTO fixed_release_rules (spot_number, weekday, end_date, created_by)
+                 VALUES (?, ?, ?, ?)
+                 ON CONFLICT(spot_number, weekday) DO UPDATE SET end_date = excluded.end_date`,
+                [String(spotNumber), weekday, endDate, createdBy ? String(createdBy) : null],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    async removeFixedReleaseRules(spotNumber, weekdays = null) {
+        return new Promise((resolve, reject) => {
+            let sql = 'DELETE FROM fixed_release_rules WHERE spot_number = ?';
+            const params = [String(spotNumber)];
+            
+            // Sin días específicos se cancelan todas las reglas del espacio
+            if (weekdays && weekdays.length > 0) {
+                sql += ` AND weekday IN (${weekdays.map(() => '?').join(', ')})`;
+                params.push(...weekdays);
+            }
+            
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+    
+    async getFixedReleaseRules(spotNumber = null) {
+        return new Promise((resolve, reject) => {
+            const sql = spotNumber
+                ? 'SELECT * FROM fixed_release_rules WHERE spot_number = ? ORDER BY weekday'
+                : 'SELECT * FROM fixed_release_rules ORDER BY spot_number, weekday';
+            this.db.all(sql, spotNumber ? [String(spotNumber)] : [], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+    
+    async removeExpiredFixedReleaseRules(beforeDate) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM fixed_release_rules WHERE end_date IS NOT NULL AND end_date < ?',
+                [beforeDate],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+    
+    // Devuelve un día al dueño partiendo el rango liberado que lo contiene:
+    // lunes-viernes sin el miércoles queda como lunes-martes y jueves-viernes.
+    async reclaimFixedSpotDay(spotNumber, date) {
+        const moment = require('moment-timezone');
+        const ranges = await this.query(
+            'SELECT * FROM fixed_spot_releases WHERE spot_number = ? AND ? BETWEEN start_date AND end_date',
+            [String(spotNumber), date]
+        );
+        
+        // Los bordes nuevos saltan el fin de semana para no dejar rangos de solo sábado y domingo
+        const before = moment(date, 'YYYY-MM-DD').subtract(1, 'day');
+        while (before.day() === 0 || before.day() === 6) before.subtract(1, 'day');
+        const after = moment(date, 'YYYY-MM-DD').add(1, 'day');
+        while (after.day() === 0 || after.day() === 6) after.add(1, 'day');
+        
+        for (const range of ranges) {
+            await this.query('DELETE FROM fixed_spot_releases WHERE id = ?', [range.id]);
+            if (before.format('YYYY-MM-DD') >= range.start_date) {
+                await this.releaseFixedSpot(range.spot_number, range.start_date, before.format('YYYY-MM-DD'));
+            }
+            if (after.format('YYYY-MM-DD') <= range.end_date) {
+                await this.releaseFixedSpot(range.spot_number, after.format('YYYY-MM-DD'), range.end_date);
+            }
+        }
+        
+        return ranges.length;
+    }
+    
+    async getFixedSpotReleases(spotNumber) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM fixed_spot_releases WHERE spot_number = ? ORDER BY start_date',
+                [String(spotNumber)],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+    
     async getReleasedFixedSpots(date) {
         return new Promise((resolve, reject) => {
             this.db.all(
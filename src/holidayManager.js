@@ -0,0 +1,162 @@
+const moment = require('moment-timezone');
+const bookingPolicy = require('./bookingPolicy');
+
+const SETTINGS = {
+    seededYears: 'holidays_seeded_years'
+};
+
+// Feriados no laborables de Uruguay (ley 16.805) más Carnaval y jueves y viernes de Turismo,
+// que la oficina no abre. Los feriados laborables (6 de enero, 19 de abril, 18 de mayo...)
+// se agregan con /feriado add si la oficina cierra.
+const FIXED_HOLIDAYS = [
+    ['01-01', 'Año Nuevo'],
+    ['05-01', 'Día de los Trabajadores'],
+    ['07-18', 'Jura de la Constitución'],
+    ['08-25', 'Declaratoria de la Independencia'],
+    ['12-25', 'Navidad']
+];
+const EASTER_HOLIDAYS = [
+    [-48, 'Carnaval'],
+    [-47, 'Carnaval'],
+    [-3, 'Jueves de Turismo'],
+    [-2, 'Viernes de Turismo']
+];
+
+// Feriados y cierres de oficina. Esos días no se reserva ni se sortea, y el estado los marca.
+// Los feriados nacionales se cargan una vez por año; lo que el supervisor quite no vuelve.
+class HolidayManager {
+    constructor(database, bot, waitlistOffers = null) {
+        this.db = database;
+        this.bot = bot;
+        this.waitlistOffers = waitlistOffers;
+    }
+
+    // Domingo de Pascua (algoritmo de Meeus/Jones/Butcher)
+    static easterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return moment.tz({ year, month: month - 1, day }, bookingPolicy.timezone());
+    }
+
+    static nationalHolidays(year) {
+        const easter = HolidayManager.easterSunday(year);
+        return [
+            ...FIXED_HOLIDAYS.map(([monthDay, name]) => ({ date: `${year}-${monthDay}`, name })),
+            ...EASTER_HOLIDAYS.map(([offset, name]) => ({
+                date: easter.clone().add(offset, 'days').format('YYYY-MM-DD'),
+                name
+            }))
+        ].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    static closedMessage(date, holiday) {
+        const reason = holiday.name ? `es feriado (${holiday.name})` : 'es feriado';
+        return `El ${date.format('dddd DD/MM')} ${reason}: la oficina está cerrada y no se reservan estacionamientos.`;
+    }
+
+    // Carga los feriados nacionales de este año y el próximo, una sola vez por año
+    async seed(now = moment().tz(bookingPolicy.timezone())) {
+        const seeded = ((await this.db.getSetting(SETTINGS.seededYears)) || '').split(',').filter(Boolean);
+        const years = [now.year(), now.year() + 1].filter(year => !seeded.includes(String(year)));
+
+        for (const year of years) {
+            for (const holiday of HolidayManager.nationalHolidays(year)) {
+                // Un cierre que el supervisor ya cargó ese día conserva su nombre
+                await this.db.addHoliday(holiday.date, holiday.name, false);
+            }
+            seeded.push(String(year));
+        }
+
+        if (years.length > 0) {
+            await this.db.setSetting(SETTINGS.seededYears, seeded.join(','));
+            console.log(`🎉 Feriados nacionales cargados: ${years.join(', ')}`);
+        }
+        return years;
+    }
+
+    // Agrega un feriado o cierre. Las reservas, ofertas y listas de espera de ese día se cancelan
+    // y se avisa a cada persona (por los visitantes, a quien los invitó).
+    async addClosure(date, name = null) {
+        const dateStr = date.format('YYYY-MM-DD');
+        await this.db.addHoliday(dateStr, name);
+
+        const notices = new Map();
+        const notify = (userId, line) => {
+            notices.set(userId, [...(notices.get(userId) || []), line]);
+        };
+
+        const reservations = await this.db.getReservationsByDate(dateStr);
+        for (const reservation of reservations) {
+            await this.db.deleteReservation(reservation.user_id, dateStr);
+            if (reservation.host_user_id) {
+                notify(reservation.host_user_id, `Se canceló la reserva de tu visitante ${reservation.first_name} (estacionamiento ${reservation.spot_number}).`);
+            } else {
+                notify(reservation.user_id, `Se canceló tu reserva del estacionamiento ${reservation.spot_number}.`);
+            }
+        }
+
+        const offers = (await this.db.getPendingWaitlistOffers()).filter(offer => offer.date === dateStr);
+        for (const offer of offers) {
+            await this.db.resolveWaitlistOffer(offer.id, 'withdrawn');
+            if (this.waitlistOffers) this.waitlistOffers.clearExpiry(offer.id);
+            notify(offer.user_id, `La oferta del estacionamiento ${offer.spot_number} quedó sin efecto.`);
+        }
+
+        const waitlist = await this.db.getWaitlistForDate(dateStr);
+        await this.db.clearWaitlistForDate(dateStr);
+        for (const entry of waitlist) {
+            notify(entry.user_id, 'Saliste de la lista de espera de ese día.');
+        }
+
+        await this.db.deleteLotteryRequests(dateStr);
+
+        const header = `🎉 ${HolidayManager.closedMessage(date, { name })}`;
+        for (const [userId, lines] of notices) {
+            try {
+                await this.bot.sendMessage(userId, `${header}\n\n${lines.join('\n')}`);
+            } catch (error) {
+                console.error(`❌ Error avisando el feriado a ${userId}:`, error);
+            }
+        }
+
+        return { cancelled: reservations.length, waitlisted: waitlist.length + offers.length };
+    }
+
+    async remove(date) {
+        return (await this.db.removeHoliday(date.format('YYYY-MM-DD'))) > 0;
+    }
+
+    // Próximos feriados, hasta fin del año siguiente
+    async list(now = moment().tz(bookingPolicy.timezone())) {
+        return this.db.getHolidaysBetween(
+            now.format('YYYY-MM-DD'),
+            now.clone().add(1, 'year').endOf('year').format('YYYY-MM-DD')
+        );
+    }
+
+    formatList(holidays) {
+        if (holidays.length === 0) {
+            return '🎉 No hay feriados cargados.';
+        }
+
+        const lines = holidays.map(holiday => {
+            const date = moment.tz(holiday.date, bookingPolicy.timezone());
+            return `• ${date.format('dddd DD/MM/YYYY')}${holiday.name ? `: ${holiday.name}` : ''}`;
+        });
+        return `🎉 *Próximos feriados y cierres:*\n\n${lines.join('\n')}`;
+    }
+}
+
+module.exports = HolidayManager;
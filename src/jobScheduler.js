@@ -0,0 +1,150 @@
+const moment = require('moment-timezone');
+const bookingPolicy = require('./bookingPolicy');
+
+// Como mucho, cada cuánto se revisa si hay tareas vencidas. Si el proceso estuvo dormido
+// (Render suspende los servicios sin tráfico) o cambió la hora, la tarea corre al despertar.
+const MAX_SLEEP_MS = 10 * 60 * 1000;
+// Si una revisión falla (la base, el nextRun de una tarea), se vuelve a intentar en un minuto
+const RETRY_DELAY_MS = 60 * 1000;
+
+const STATUS_ICONS = {
+    success: '✅',
+    failed: '❌',
+    running: '⏳',
+    interrupted: '⚠️'
+};
+
+// Tareas programadas guardadas en SQLite: próxima corrida, última corrida y su estado.
+// Cada tarea dice cuándo le toca después de un momento dado (nextRun) y qué hace (run).
+// Las corridas que se perdieron con el bot caído se ejecutan una vez al arrancar, y cada
+// corrida queda registrada por su hora programada, así ninguna se ejecuta dos veces.
+class JobScheduler {
+    constructor(database) {
+        this.db = database;
+        this.jobs = new Map();
+        this.timer = null;
+        this.ticking = null;
+    }
+
+    // job: { description, nextRun(after) -> moment posterior a after (o una promesa), run(scheduledFor) -> resumen o null }
+    register(name, job) {
+        this.jobs.set(name, job);
+    }
+
+    async start() {
+        const interrupted = await this.db.markInterruptedJobRuns();
+        if (interrupted > 0) {
+            console.log(`⚠️ ${interrupted} tareas quedaron a medias antes del reinicio, se vuelven a correr`);
+        }
+
+        for (const [name, job] of this.jobs) {
+            if (!(await this.db.getScheduledJob(name))) {
+                await this.db.setJobNextRun(name, (await job.nextRun(moment())).toISOString());
+            }
+        }
+
+        await this.tick();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Corre las tareas vencidas, incluidas las que se perdieron, y programa la próxima revisión.
+    // Si ya hay una revisión en curso, se espera a que termine.
+    async tick() {
+        if (!this.ticking) {
+            this.ticking = this.runDueJobs().finally(() => {
+                this.ticking = null;
+            });
+        }
+        return this.ticking;
+    }
+
+    async runDueJobs() {
+        this.stop();
+        let delay = RETRY_DELAY_MS;
+
+        try {
+            for (const name of this.jobs.keys()) {
+                const stored = await this.db.getScheduledJob(name);
+                if (stored && !moment(stored.next_run_at).isAfter(moment())) {
+                    await this.runJob(name, moment(stored.next_run_at));
+                }
+            }
+
+            const nextRuns = (await this.db.getScheduledJobs())
+                .filter(row => this.jobs.has(row.name))
+                .map(row => moment(row.next_run_at).diff(moment()));
+            delay = Math.min(MAX_SLEEP_MS, ...nextRuns.map(ms => Math.max(0, ms)));
+        } finally {
+            // Aunque la revisión falle queda programada la siguiente; si no, las tareas se
+            // detendrían sin aviso hasta el próximo reinicio
+            this.timer = setTimeout(() => {
+                this.tick().catch(error => console.error('❌ Error en las tareas programadas:', error));
+            }, delay);
+        }
+    }
+
+    async runJob(name, scheduledFor) {
+        const job = this.jobs.get(name);
+        const key = scheduledFor.toISOString();
+
+        if (await this.db.claimJobRun(name, key)) {
+            console.log(`🗓️ Corriendo ${name} (${this.formatTime(scheduledFor)})`);
+            try {
+                const result = await job.run(scheduledFor);
+                await this.db.finishJobRun(name, key, 'success', result || null);
+            } catch (error) {
+                console.error(`❌ Error en la tarea ${name}:`, error);
+                await this.db.finishJobRun(name, key, 'failed', error.message);
+            }
+        } else {
+            console.log(`⏭️ ${name} de ${this.formatTime(scheduledFor)} ya se ejecutó`);
+        }
+
+        // La siguiente, a partir de ahora: varias corridas perdidas se recuperan con una sola
+        await this.db.setJobNextRun(name, (await job.nextRun(moment.max(moment(), scheduledFor))).toISOString());
+    }
+
+    // Recalcula la próxima corrida de cada tarea (por ejemplo, después de cambiar la política de reservas
+    // o los horarios del check-in)
+    async reschedule() {
+        for (const [name, job] of this.jobs) {
+            await this.db.setJobNextRun(name, (await job.nextRun(moment())).toISOString());
+        }
+        await this.tick();
+    }
+
+    formatTime(time) {
+        return moment(time).tz(bookingPolicy.timezone()).format('dddd DD/MM HH:mm');
+    }
+
+    // Texto de /jobs: próximas corridas y las últimas ejecutadas
+    async describe(limit = 10) {
+        const scheduled = (await this.db.getScheduledJobs()).filter(row => this.jobs.has(row.name));
+        const runs = await this.db.getRecentJobRuns(limit);
+
+        let text = '🗓️ Tareas programadas:\n';
+        for (const row of scheduled) {
+            text += `\n• ${this.jobs.get(row.name).description} (${row.name})\n`;
+            text += `  Próxima: ${this.formatTime(row.next_run_at)}\n`;
+            if (row.last_run_at) {
+                text += `  Última: ${this.formatTime(row.last_run_at)} ${STATUS_ICONS[row.last_status] || row.last_status}\n`;
+            }
+        }
+
+        text += '\n📜 Últimas ejecuciones:\n';
+        if (runs.length === 0) {
+            text += 'Todavía no corrió ninguna.';
+        }
+        for (const run of runs) {
+            const result = run.result ? `: ${run.result}` : '';
+            text += `${STATUS_ICONS[run.status] || run.status} ${this.formatTime(run.scheduled_for)} ${run.name}${result}\n`;
+        }
+        return text.trim();
+    }
+}
+
+module.exports = JobScheduler;
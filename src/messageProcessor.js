@@ -1,4 +1,33 @@
 const moment = require('moment-timezone');
+const bookingPolicy = require('./bookingPolicy');
+
+// Fechas explícitas: "24/10", "24-10", "24/10/2026", "3 de noviembre", "3 de noviembre de 2026"
+const MONTH_NAMES = 'enero|febrero|marzo|abril|mayo|junio|julio|agosto|septiembre|setiembre|octubre|noviembre|diciembre';
+const NUMERIC_DATE = '\\d{1,2}[\\/-]\\d{1,2}(?:[\\/-](?:\\d{4}|\\d{2}))?';
+const SPELLED_DATE = `\\d{1,2}\\s+de\\s+(?:${MONTH_NAMES})(?:\\s+(?:de(?:l)?\\s+)?\\d{4})?`;
+const DATE_TOKEN = `(?:${NUMERIC_DATE}|${SPELLED_DATE})`;
+
+// Rangos: "del lunes al jueves", "de martes a viernes", "desde el 24/10 hasta el 28/10"
+const WEEKDAY = 'lunes|martes|mi[eé]rcoles|jueves|viernes';
+const RANGE = `\\b(?:del?|desde(?:\\s+el)?)\\s+(${WEEKDAY}|${DATE_TOKEN})\\s+(?:al?|hasta(?:\\s+el)?)\\s+(${WEEKDAY}|${DATE_TOKEN})\\b`;
+
+// "próxima semana", "la semana que viene"
+const NEXT_WEEK = /pr[oó]xim[ao]\s+semana|semana\s+que\s+viene/i;
+
+// Medio día: "de mañana", "por la tarde", "a la tarde", "en la mañana"
+const HALF_DAY = /\s*\b(?:de|por\s+la|a\s+la|en\s+la)\s+(ma[ñn]ana|tarde)\b/i;
+
+// Espacio puntual: "voy el martes al 1058", "en el 1060", "el espacio 12" (no "al 28/10" ni "al 3 de noviembre")
+const REQUESTED_SPOT = new RegExp(
+    `\\s*\\b(?:al|en\\s+el|(?:el\\s+)?(?:espacio|estacionamiento|lugar))\\s+(\\d{1,5})(?![\\d\\/-])(?!\\s+de\\s+(?:${MONTH_NAMES}))`,
+    'i'
+);
+
+// Atributos pedidos para el espacio: "con cargador", "un lugar accesible"
+const REQUIRED_ATTRIBUTES = [
+    { attribute: 'ev', pattern: /\s*\bcon\s+(?:cargador|enchufe|carga(?:\s+el[eé]ctrica)?)\b/i },
+    { attribute: 'accessible', pattern: /\s*\b(?:(?:en\s+)?(?:un\s+)?(?:lugar|espacio|estacionamiento)\s+)?accesible\b/i }
+];
 
 class MessageProcessor {
     constructor() {
@@ -11,17 +40,29 @@ class MessageProcessor {
             /\b(reservar|reservo)\s+(lunes|martes|mi[eé]rcoles|jueves|viernes)\b/i,
             /\b(reservar|reservo)\s+.*?(lunes|martes|mi[eé]rcoles|jueves|viernes).*?(y|,).*?(lunes|martes|mi[eé]rcoles|jueves|viernes)/i,
             /\b(pr[oó]xim[ao]\s+semana)\s+(voy|vengo|reservo|reservar)\s+(el\s+)?(lunes|martes|mi[eé]rcoles|jueves|viernes)\b/i,
-            /\b(la\s+pr[oó]xim[ao]\s+semana)\s+(voy|vengo|reservo|reservar)\s+(el\s+)?(lunes|martes|mi[eé]rcoles|jueves|viernes)\b/i
+            /\b(la\s+pr[oó]xim[ao]\s+semana)\s+(voy|vengo|reservo|reservar)\s+(el\s+)?(lunes|martes|mi[eé]rcoles|jueves|viernes)\b/i,
+            new RegExp(`\\b(voy|vengo|necesito|quiero|reservo|reservar)\\b.*?\\b(${DATE_TOKEN})`, 'i'),
+            /\b(voy|vengo|necesito|quiero|reservo|reservar)\s+(pasado\s+ma[ñn]ana)\b/i,
+            /\b(voy|vengo|necesito|quiero|reservo|reservar)\s+(toda\s+la\s+semana)\b/i,
+            /\b((la\s+)?semana\s+que\s+viene)\s+(voy|vengo|reservo|reservar)\s+(el\s+)?(lunes|martes|mi[eé]rcoles|jueves|viernes)\b/i,
+            /\b(voy|vengo|necesito|quiero|reservo|reservar)\s+(la\s+)?(semana\s+que\s+viene|pr[oó]xim[ao]\s+semana)\s+(el\s+)?(lunes|martes|mi[eé]rcoles|jueves|viernes)\b/i,
+            new RegExp(`\\b(voy|vengo|necesito|quiero|reservo|reservar)\\b.*?${RANGE}`, 'i')
         ];
         
         this.releasePatterns = [
             /\b(libero|dejo\s+libre|queda\s+libre|no\s+voy)\s+(el\s+)?(lunes|martes|mi[eé]rcoles|jueves|viernes)\b/i,
             /\b(libero|dejo\s+libre|queda\s+libre|no\s+voy)\s+(ma[ñn]ana)\b/i,
             /\b(libero|dejo\s+libre|queda\s+libre|no\s+voy)\s+(hoy)\b/i,
+            /\b(libero|dejo\s+libre)\s+mi\s+(lugar|espacio|estacionamiento|reserva)\s+(del?|el)\s+(lunes|martes|mi[eé]rcoles|jueves|viernes)\b/i,
             /\b(libero|dejo\s+libre|queda\s+libre|no\s+voy)\s+.*?(lunes|martes|mi[eé]rcoles|jueves|viernes).*?(y|,).*?(lunes|martes|mi[eé]rcoles|jueves|viernes)/i,
             /\b(libero|dejo\s+libre|queda\s+libre|no\s+voy)\s+.*?(que\s+es\s+feriado|feriado)/i,
             /\b(ma[ñn]ana)\s+(queda\s+libre|libero|dejo\s+libre)\b/i,
-            /\b(hoy)\s+(queda\s+libre|libero|dejo\s+libre)\b/i
+            /\b(hoy)\s+(queda\s+libre|libero|dejo\s+libre)\b/i,
+            new RegExp(`\\b(libero|dejo\\s+libre|queda\\s+libre|no\\s+voy)\\b.*?\\b(${DATE_TOKEN})`, 'i'),
+            new RegExp(`\\b(${DATE_TOKEN})\\s+(queda\\s+libre|libero|dejo\\s+libre)\\b`, 'i'),
+            /\b(libero|dejo\s+libre|queda\s+libre|no\s+voy)\s+(pasado\s+ma[ñn]ana)\b/i,
+            /\b(libero|dejo\s+libre|no\s+voy)\s+(toda\s+la\s+semana)\b/i,
+            new RegExp(`\\b(libero|dejo\\s+libre|queda\\s+libre|no\\s+voy)\\b.*?${RANGE}`, 'i')
         ];
         
         this.statusPatterns = [
@@ -41,6 +82,69 @@ class MessageProcessor {
             /\b(comandos)\b/i
         ];
         
+        // Reservas recurrentes ("todos los martes y jueves")
+        this.recurringAddPatterns = [
+            /\b(voy|vengo|reservo|reservar|quiero)\s+todos\s+los\s+(lunes|martes|mi[eé]rcoles|jueves|viernes)\b/i,
+            /^todos\s+los\s+(lunes|martes|mi[eé]rcoles|jueves|viernes)\b.*\b(voy|vengo|reservo|reservar)\b/i
+        ];
+        
+        this.recurringCancelPatterns = [
+            /\b(cancelar|cancelo|borrar|borro)\s+(mis\s+)?(fijos|reservas\s+fijas|reservas\s+recurrentes|recurrentes)\b/i,
+            /\bya\s+no\s+(voy|vengo)\s+todos\s+los\s+(lunes|martes|mi[eé]rcoles|jueves|viernes)\b/i
+        ];
+        
+        this.recurringListPatterns = [
+            /\b(mis\s+fijos|mis\s+reservas\s+fijas|mis\s+reservas\s+recurrentes|mis\s+recurrentes)\b/i
+        ];
+        
+        // Lista de espera: consultar posición o salir de ella
+        this.waitlistLeavePatterns = [
+            /\b(salgo|salir|s[aá]came|sacarme|qu[ií]tame|quitarme|b[oó]rrame|borrarme|me\s+bajo|bajarme)\s+de\s+(la\s+)?(lista\s+de\s+)?espera\b/i,
+            /\b(salgo|salir|me\s+bajo|bajarme)\s+de\s+la\s+lista\b/i
+        ];
+        
+        // Solo preguntas explícitas: "libero mi lugar" o "me anoto en la lista de espera" son otra cosa
+        this.waitlistPositionPatterns = [
+            /^\s*¿?\s*(mi\s+lugar|lista\s+de\s+espera)\s*\??\s*$/i,
+            /\bmi\s+posici[oó]n\b/i,
+            /\bmi\s+lugar\s+en\s+la\s+lista\b/i,
+            /\ben\s+qu[eé]\s+(posici[oó]n|lugar)\s+estoy\b/i,
+            /\b(c[oó]mo\s+voy|d[oó]nde\s+estoy)\s+en\s+la\s+lista\b/i
+        ];
+        
+        // Espacios preferidos ("prefiero el 1058 o el 1060")
+        this.spotPreferenceSetPatterns = [
+            /\bprefiero\s+(?:el\s+|los\s+)?(?:(?:espacios?|estacionamientos?|lugar(?:es)?)\s+)?(?:el\s+)?\d+/i
+        ];
+        
+        this.spotPreferenceClearPatterns = [
+            /\b(borrar|borro|quitar|quito|sacar|saco)\s+(mis\s+)?(preferencias|preferidos)\b/i,
+            /\b(ya\s+)?no\s+tengo\s+preferencias?\b/i
+        ];
+        
+        this.spotPreferenceListPatterns = [
+            /\bmis\s+(preferencias|preferidos|espacios\s+preferidos)\b/i
+        ];
+        
+        // Visitantes: "reservo para un visitante el jueves: Pedro Gómez, patente ABC1234"
+        this.guestReservePatterns = [
+            /\b(reservo|reservar|voy|necesito|quiero)\b.*?\bpara\s+(un[ao]?|mi|el|la)\s+(visitantes?|visitas?|invitad[oa]s?|clientes?)\b/i
+        ];
+        
+        this.guestReleasePatterns = [
+            /\b(libero|liberar|cancelo|cancelar|borro|borrar)\s+(el\s+lugar\s+de\s+|la\s+reserva\s+de\s+)?(mi|mis|el|la|los|las)\s+(visitantes?|visitas?|invitad[oa]s?|clientes?)\b/i
+        ];
+        
+        // Traspaso a un colega: "le paso mi lugar del martes a @juan", "le doy mi jueves a @ana"
+        this.transferPatterns = [
+            /\b(paso|doy|cedo|regalo|transfiero)\s+(mi|el)\s+(lugar|espacio|estacionamiento|reserva|lunes|martes|mi[eé]rcoles|jueves|viernes|ma[ñn]ana|hoy)\b.*?@\w+/i
+        ];
+        
+        // Intercambio: "cambio mi martes con @ana por su jueves"
+        this.swapPatterns = [
+            /\b(cambio|intercambio)\s+(mi|el)\s+.*?\bcon\s+@\w+\s+.*?\bpor\s+(su|el)\b/i
+        ];
+        
         this.fixedListPatterns = [
             /\b(ver\s+fijos|espacios\s+fijos|lista\s+fijos)\b/i,
             /\b(mostrar\s+fijos|cu[aá]les\s+son\s+los\s+fijos)\b/i
@@ -51,7 +155,23 @@ class MessageProcessor {
             /\b(libero|liberar)\s+(el\s+)?(\d{4})\s+(para|por)\s+(el\s+)?(lunes|martes|mi[eé]rcoles|jueves|viernes)/i,
             /\b(libero|liberar)\s+(el\s+)?(\d{4})\s+(toda\s+la\s+semana|por\s+toda\s+la\s+semana)/i,
             /\b(libero|liberar)\s+(el\s+)?(\d{4})\s+(por\s+)?(\d+)\s+semanas?/i,
-            /\b(libero|liberar)\s+(el\s+)?(\d{4})\s+(para|por)\s+.*?(lunes|martes|mi[eé]rcoles|jueves|viernes).*?(y|,).*?(lunes|martes|mi[eé]rcoles|jueves|viernes)/i
+            /\b(libero|liberar)\s+(el\s+)?(\d{4})\s+(para|por)\s+.*?(lunes|martes|mi[eé]rcoles|jueves|viernes).*?(y|,).*?(lunes|martes|mi[eé]rcoles|jueves|viernes)/i,
+            new RegExp(`\\b(libero|liberar)\\s+(el\\s+)?(\\d{4})\\s+(para|por|el)\\s+.*?\\b(${DATE_TOKEN})`, 'i'),
+            new RegExp(`\\b(libero|liberar)\\s+(el\\s+)?(\\d{4})\\s+.*?${RANGE}`, 'i')
+        ];
+        
+        // Liberaciones recurrentes de espacios fijos ("libero el 8033 todos los viernes")
+        this.fixedReleaseRulePatterns = [
+            /\b(libero|liberar)\s+(el\s+)?(\d{4})\s+(todos\s+los|cada)\s+(lunes|martes|mi[eé]rcoles|jueves|viernes)\b/i
+        ];
+        
+        this.fixedReleaseRuleCancelPatterns = [
+            /\bya\s+no\s+(libero|liberar[eé])\s+(el\s+)?(\d{4})\b/i,
+            /\b(cancelar|cancelo|borrar|borro)\s+(las?\s+)?liberaci(?:[oó]n|ones)\s+((recurrentes?|fijas?|semanales?)\s+)?(del?\s+)?(\d{4})\b/i
+        ];
+        
+        this.fixedReleaseRuleListPatterns = [
+            /\b(liberaciones\s+(recurrentes|fijas|semanales)|ver\s+liberaciones)\b/i
         ];
         
         // Fixed spot removal patterns
@@ -68,16 +188,102 @@ class MessageProcessor {
             'jueves': 4,
             'viernes': 5
         };
+        
+        this.monthMap = {
+            'enero': 1,
+            'febrero': 2,
+            'marzo': 3,
+            'abril': 4,
+            'mayo': 5,
+            'junio': 6,
+            'julio': 7,
+            'agosto': 8,
+            'septiembre': 9,
+            'setiembre': 9,
+            'octubre': 10,
+            'noviembre': 11,
+            'diciembre': 12
+        };
+        
+        this.weekdayNames = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
     }
     
     processMessage(text) {
         text = text.toLowerCase().trim();
         
+        // Visitantes (antes que las reservas y liberaciones propias)
+        if (this.guestReleasePatterns.some(pattern => pattern.test(text))) {
+            const invalidDate = this.checkExplicitDates(text);
+            if (invalidDate) {
+                return invalidDate;
+            }
+            return { type: 'GUEST_RELEASE', date: this.extractDate(text) };
+        }
+        
+        if (this.guestReservePatterns.some(pattern => pattern.test(text))) {
+            return this.parseGuestReservation(text);
+        }
+        
+        // Traspasos e intercambios entre colegas (antes que la lista de espera y "mis reservas",
+        // cuyos patrones "mi lugar" / "mi reserva" también matchean "le paso mi lugar a @juan")
+        if (this.swapPatterns.some(pattern => pattern.test(text))) {
+            return this.parseSwap(text);
+        }
+        
+        if (this.transferPatterns.some(pattern => pattern.test(text))) {
+            const username = text.match(/@(\w+)/)[1];
+            const rest = text.replace(/\s*\ba\s+@\w+|@\w+/g, ' ');
+            const invalidDate = this.checkExplicitDates(rest);
+            if (invalidDate) {
+                return invalidDate;
+            }
+            return { type: 'TRANSFER', date: this.extractDate(rest), username };
+        }
+        
+        // Lista de espera (antes que el estado, cuyo patrón "lista" también matchea "lista de espera")
+        if (this.waitlistLeavePatterns.some(pattern => pattern.test(text))) {
+            const invalidDate = this.checkExplicitDates(text);
+            if (invalidDate) {
+                return invalidDate;
+            }
+            
+            // Sin días mencionados = salir de todas las listas de espera
+            let dates = this.processMultipleDays(text);
+            if (dates.length === 0) {
+                const date = this.extractDate(text);
+                dates = date ? [date] : [];
+            }
+            return { type: 'WAITLIST_LEAVE', dates };
+        }
+        
+        // "voy el martes, si no hay me anoto en la lista de espera" es una reserva, no una consulta
+        const booking = [...this.releasePatterns, ...this.reservePatterns].some(pattern => pattern.test(text));
+        
+        if (!booking && this.waitlistPositionPatterns.some(pattern => pattern.test(text))) {
+            return { type: 'WAITLIST_POSITION' };
+        }
+        
         // Verificar si es solicitud de estado
-        if (this.statusPatterns.some(pattern => pattern.test(text))) {
+        if (!booking && this.statusPatterns.some(pattern => pattern.test(text))) {
             return { type: 'STATUS' };
         }
         
+        // Reservas recurrentes (antes que "mis reservas", que también matchea "mis reservas fijas")
+        if (this.recurringCancelPatterns.some(pattern => pattern.test(text))) {
+            return { type: 'RECURRING_CANCEL', weekdays: this.extractWeekdays(text) };
+        }
+        
+        if (this.recurringAddPatterns.some(pattern => pattern.test(text))) {
+            const weekdays = this.extractWeekdays(text);
+            if (weekdays.length > 0) {
+                return { type: 'RECURRING_ADD', weekdays };
+            }
+        }
+        
+        if (this.recurringListPatterns.some(pattern => pattern.test(text))) {
+            return { type: 'RECURRING_LIST' };
+        }
+        
         // Verificar si es solicitud de mis reservas
         if (this.myReservationsPatterns.some(pattern => pattern.test(text))) {
             return { type: 'MY_RESERVATIONS' };
@@ -88,6 +294,38 @@ class MessageProcessor {
             return { type: 'HELP' };
         }
         
+        // Espacios preferidos
+        if (this.spotPreferenceClearPatterns.some(pattern => pattern.test(text))) {
+            return { type: 'SPOT_PREFERENCE_CLEAR' };
+        }
+        
+        if (this.spotPreferenceListPatterns.some(pattern => pattern.test(text))) {
+            return { type: 'SPOT_PREFERENCE_LIST' };
+        }
+        
+        if (this.spotPreferenceSetPatterns.some(pattern => pattern.test(text))) {
+            const rest = text.slice(text.indexOf('prefiero'));
+            const spotNumbers = [...new Set([...rest.matchAll(/\b(\d{1,5})\b/g)].map(match => match[1]))];
+            return { type: 'SPOT_PREFERENCE_SET', spotNumbers };
+        }
+        
+        // Liberaciones recurrentes de espacios fijos (antes que la liberación puntual)
+        if (this.fixedReleaseRuleCancelPatterns.some(pattern => pattern.test(text))) {
+            const spotNumber = text.match(/\b(\d{4})\b/)[1];
+            return { type: 'FIXED_RELEASE_RULE_CANCEL', spotNumber, weekdays: this.extractWeekdays(text) };
+        }
+        
+        if (this.fixedReleaseRuleListPatterns.some(pattern => pattern.test(text))) {
+            return { type: 'FIXED_RELEASE_RULE_LIST' };
+        }
+        
+        for (const pattern of this.fixedReleaseRulePatterns) {
+            const match = text.match(pattern);
+            if (match) {
+                return this.parseFixedReleaseRule(text, match[3]);
+            }
+        }
+        
         // Verificar si es solicitud de ver espacios fijos
         if (this.fixedListPatterns.some(pattern => pattern.test(text))) {
             return { type: 'FIXED_LIST' };
@@ -98,6 +336,16 @@ class MessageProcessor {
             const match = text.match(pattern);
             if (match) {
                 const spotNumber = match[3] || match[2]; // Capture the spot number
+                
+                // "quiero el 8033 de vuelta el miércoles": solo esos días salen del rango liberado
+                const rest = text.slice(match.index + match[0].length);
+                if (!/toda\s+la\s+semana/i.test(rest)) {
+                    const rangeDates = this.parseDateRange(rest);
+                    const dates = rangeDates && rangeDates.length > 0 ? rangeDates : this.processMultipleDays(rest);
+                    if (dates.length > 0) {
+                        return { type: 'FIXED_REMOVAL', spotNumber, dates };
+                    }
+                }
                 return { type: 'FIXED_REMOVAL', spotNumber };
             }
         }
@@ -106,6 +354,11 @@ class MessageProcessor {
         for (const pattern of this.fixedReleasePatterns) {
             const match = text.match(pattern);
             if (match) {
+                const invalidDate = this.checkExplicitDates(text);
+                if (invalidDate) {
+                    return invalidDate;
+                }
+                
                 const spotNumber = match[3]; // The spot number
                 const releaseInfo = this.parseFixedRelease(text, match, spotNumber);
                 if (releaseInfo) {
@@ -118,6 +371,20 @@ class MessageProcessor {
         for (const pattern of this.releasePatterns) {
             const match = text.match(pattern);
             if (match) {
+                const invalidDate = this.checkExplicitDates(text);
+                if (invalidDate) {
+                    return invalidDate;
+                }
+                
+                // Verificar si es un rango ("del lunes al jueves") o "toda la semana"
+                const rangeDates = this.parseDateRange(text) ||
+                    (/toda\s+la\s+semana/i.test(text) ? this.getWholeWeek(text) : null);
+                if (rangeDates && rangeDates.length > 0) {
+                    return rangeDates.length > 1
+                        ? { type: 'RELEASE_MULTIPLE', dates: rangeDates }
+                        : { type: 'RELEASE', date: rangeDates[0] };
+                }
+                
                 // Verificar si son múltiples días para liberar
                 const multipleDays = this.processMultipleDays(text);
                 if (multipleDays.length > 1) {
@@ -132,28 +399,70 @@ class MessageProcessor {
             }
         }
         
+        // Medio día ("voy el martes de mañana"): el turno se quita antes de buscar la fecha,
+        // así "de mañana" no se lee como el día de mañana. Si sin él no queda ninguna fecha
+        // ("voy de mañana"), se toma el mensaje tal cual, como día completo.
+        const halfDay = this.extractHalfDay(text);
+        const useHalfDay = halfDay && this.reservePatterns.some(pattern => pattern.test(halfDay.text));
+        const extras = useHalfDay ? { slot: halfDay.slot } : {};
+        if (useHalfDay) {
+            text = halfDay.text;
+        }
+        
+        // "voy el martes con cargador" / "voy el martes al 1058": igual que el turno, se quitan
+        // antes de buscar la fecha
+        const requirements = this.extractRequiredAttributes(text);
+        if (requirements.required.length > 0) {
+            extras.required = requirements.required;
+            text = requirements.text;
+        }
+        
+        const requestedSpot = text.match(REQUESTED_SPOT);
+        if (requestedSpot) {
+            const rest = (text.slice(0, requestedSpot.index) + text.slice(requestedSpot.index + requestedSpot[0].length)).trim();
+            if (this.reservePatterns.some(pattern => pattern.test(rest))) {
+                extras.spotNumber = requestedSpot[1];
+                text = rest;
+            }
+        }
+        
         // Verificar si es reserva
         for (const pattern of this.reservePatterns) {
             const match = text.match(pattern);
             if (match) {
+                const invalidDate = this.checkExplicitDates(text);
+                if (invalidDate) {
+                    return invalidDate;
+                }
+                
+                // Verificar si es un rango ("del lunes al jueves")
+                const rangeDates = this.parseDateRange(text);
+                if (rangeDates && rangeDates.length > 0) {
+                    return rangeDates.length > 1
+                        ? { type: 'RESERVE_MULTIPLE', dates: rangeDates, ...extras }
+                        : { type: 'RESERVE', date: rangeDates[0], ...extras };
+                }
+                
                 // Verificar si es "toda la semana"
                 if (/toda\s+la\s+semana/i.test(text)) {
                     const dates = this.getWholeWeek(text);
-                    if (dates.length > 0) {
-                        return { type: 'RESERVE_MULTIPLE', dates };
+                    if (dates.length > 1) {
+                        return { type: 'RESERVE_MULTIPLE', dates, ...extras };
+                    } else if (dates.length === 1) {
+                        return { type: 'RESERVE', date: dates[0], ...extras };
                     }
                 }
                 
                 // Verificar si son múltiples días
                 const multipleDays = this.processMultipleDays(text);
                 if (multipleDays.length > 1) {
-                    return { type: 'RESERVE_MULTIPLE', dates: multipleDays };
+                    return { type: 'RESERVE_MULTIPLE', dates: multipleDays, ...extras };
                 }
                 
                 // Un solo día
                 const date = this.extractDate(text, match);
                 if (date) {
-                    return { type: 'RESERVE', date };
+                    return { type: 'RESERVE', date, ...extras };
                 }
             }
         }
@@ -161,18 +470,44 @@ class MessageProcessor {
         return { type: 'UNKNOWN' };
     }
     
+    // "voy el martes de mañana" -> { slot: 'morning', text: 'voy el martes' }
+    extractHalfDay(text) {
+        const match = text.match(HALF_DAY);
+        if (!match) {
+            return null;
+        }
+        
+        return {
+            slot: /^tarde$/i.test(match[1]) ? 'afternoon' : 'morning',
+            text: (text.slice(0, match.index) + text.slice(match.index + match[0].length)).trim()
+        };
+    }
+    
+    // "voy el martes con cargador" -> { required: ['ev'], text: 'voy el martes' }
+    extractRequiredAttributes(text) {
+        const required = [];
+        for (const { attribute, pattern } of REQUIRED_ATTRIBUTES) {
+            const match = text.match(pattern);
+            if (match) {
+                required.push(attribute);
+                text = text.slice(0, match.index) + text.slice(match.index + match[0].length);
+            }
+        }
+        
+        return { required, text: text.trim() };
+    }
+    
     extractDate(text, match) {
-        const now = moment().tz('America/Montevideo');
+        const now = moment().tz(bookingPolicy.timezone());
         
-        // Verificar si menciona "próxima semana"
-        const isNextWeek = /pr[oó]xim[ao]\s+semana|la\s+pr[oó]xim[ao]\s+semana/i.test(text);
+        // Fechas explícitas ("el 24/10", "el 3 de noviembre") tienen prioridad
+        const explicit = this.parseExplicitDates(text);
+        if (explicit.dates.length > 0) {
+            return explicit.dates[0];
+        }
         
-        // Check if it's after Friday 17:00 reset (same logic as parkingManager)
-        const isAfterFridayReset = now.day() === 5 && now.hour() >= 17;
-        const isSaturday = now.day() === 6;
-        // Sunday (day 0) should allow booking for this week (Monday-Friday coming up)
-        // Saturday should use next week since work week is over
-        const shouldUseNextWeek = isSaturday || isAfterFridayReset;
+        // Verificar si menciona "próxima semana"
+        const isNextWeek = NEXT_WEEK.test(text);
         
         // Buscar día específico
         const dayMatch = text.match(/(lunes|martes|mi[eé]rcoles|jueves|viernes)/i);
@@ -185,18 +520,11 @@ class MessageProcessor {
                 
                 // Si específicamente mencionó próxima semana
                 if (isNextWeek) {
-                    targetDate = now.clone().add(1, 'week').day(targetDay);
-                } else if (shouldUseNextWeek) {
-                    // Después del viernes 17:00 o en fin de semana, usar próxima semana
-                    targetDate = now.clone().add(1, 'week').day(targetDay);
+                    targetDate = bookingPolicy.nextWeekStart(now).isoWeekday(targetDay);
                 } else {
-                    // Para esta semana
-                    targetDate = now.clone().day(targetDay);
-                    
-                    // Si el día ya pasó esta semana, usar la próxima semana
-                    if (targetDate.isBefore(now, 'day')) {
-                        targetDate.add(1, 'week');
-                    }
+                    // La semana abierta (desde la apertura del viernes 17:00, la próxima);
+                    // si el día ya pasó, el de la semana siguiente
+                    targetDate = bookingPolicy.resolveWeekday(targetDay, now);
                 }
                 
                 // Only log in non-test environments
@@ -212,6 +540,11 @@ class MessageProcessor {
             }
         }
         
+        // Manejar "pasado mañana" (antes que "mañana")
+        if (/pasado\s+ma[ñn]ana/i.test(text)) {
+            return now.clone().add(2, 'day');
+        }
+        
         // Manejar "mañana"
         if (/ma[ñn]ana/i.test(text)) {
             return now.clone().add(1, 'day');
@@ -228,55 +561,129 @@ class MessageProcessor {
     // Método para procesar múltiples días en un mensaje
     processMultipleDays(text) {
         const days = [];
-        const dayMatches = text.match(/(lunes|martes|mi[eé]rcoles|jueves|viernes)/gi);
         
-        if (dayMatches) {
-            const now = moment().tz('America/Montevideo');
-            const isNextWeek = /pr[oó]xim[ao]\s+semana|la\s+pr[oó]xim[ao]\s+semana/i.test(text);
-            
-            // Check if it's after Friday 17:00 reset (same logic as extractDate)
-            const isAfterFridayReset = now.day() === 5 && now.hour() >= 17;
-            const isSaturday = now.day() === 6;
-            // Sunday (day 0) should allow booking for this week (Monday-Friday coming up)
-            const shouldUseNextWeek = isSaturday || isAfterFridayReset;
+        // Las fechas explícitas (y el día de semana que las acompaña, "martes 24/10")
+        // se quitan del texto para no contarlas dos veces
+        const explicit = this.parseExplicitDates(text);
+        explicit.dates.forEach((date, i) => {
+            days.push({ date, index: explicit.spans[i].start });
+        });
+        const remainingText = explicit.spans.reduce(
+            (acc, span) => acc.slice(0, span.start) + ' '.repeat(span.end - span.start) + acc.slice(span.end),
+            text
+        );
+        
+        const dayMatches = [...remainingText.matchAll(/(lunes|martes|mi[eé]rcoles|jueves|viernes)/gi)];
+        
+        if (dayMatches.length > 0) {
+            const isNextWeek = NEXT_WEEK.test(text);
             
-            dayMatches.forEach(dayName => {
+            dayMatches.forEach(dayMatch => {
+                const dayName = dayMatch[1];
                 const targetDay = this.dayMap[dayName.toLowerCase()] || 
                                 this.dayMap[dayName.toLowerCase().replace('é', 'e')];
                 
                 if (targetDay) {
-                    let targetDate;
-                    
-                    if (isNextWeek) {
-                        targetDate = now.clone().add(1, 'week').day(targetDay);
-                    } else if (shouldUseNextWeek) {
-                        targetDate = now.clone().add(1, 'week').day(targetDay);
-                    } else {
-                        targetDate = now.clone().day(targetDay);
-                        
-                        if (targetDate.isBefore(now, 'day')) {
-                            targetDate.add(1, 'week');
-                        }
-                    }
-                    
-                    days.push(targetDate);
+                    days.push({ date: this.resolveWeekday(targetDay, isNextWeek), index: dayMatch.index });
                 }
             });
         }
         
-        return days;
+        // Mantener el orden en que aparecen en el mensaje
+        return days.sort((a, b) => a.index - b.index).map(day => day.date);
+    }
+    
+    // Parse explicit calendar dates ("24/10", "24-10-2026", "3 de noviembre").
+    // Returns the valid dates, the invalid tokens with the reason, and the text
+    // span each valid date occupies (including a leading weekday name, if any).
+    parseExplicitDates(text) {
+        const now = moment().tz(bookingPolicy.timezone());
+        const result = { dates: [], spans: [], invalid: [] };
+        const pattern = new RegExp(
+            `\\b(?:(lunes|martes|mi[eé]rcoles|jueves|viernes|s[aá]bado|domingo)\\s+(?:el\\s+)?)?(${DATE_TOKEN})`,
+            'gi'
+        );
+        
+        for (const match of text.matchAll(pattern)) {
+            const weekdayName = match[1] ? match[1].toLowerCase() : null;
+            const token = match[2];
+            let day, month, year = null;
+            
+            const numeric = token.match(/^(\d{1,2})[\/-](\d{1,2})(?:[\/-](\d{2,4}))?$/);
+            if (numeric) {
+                day = parseInt(numeric[1]);
+                month = parseInt(numeric[2]);
+                year = numeric[3] ? parseInt(numeric[3]) : null;
+            } else {
+                const spelled = token.match(/^(\d{1,2})\s+de\s+([a-z]+)(?:\s+(?:de(?:l)?\s+)?(\d{4}))?$/i);
+                day = parseInt(spelled[1]);
+                month = this.monthMap[spelled[2].toLowerCase()];
+                year = spelled[3] ? parseInt(spelled[3]) : null;
+            }
+            
+            if (year !== null && year < 100) {
+                year += 2000;
+            }
+            
+            // Sin año: usar el año en curso, salvo que la fecha haya quedado muy atrás
+            // (ej: "3 de enero" escrito en diciembre se refiere al año siguiente)
+            if (year === null) {
+                year = now.year();
+                const candidate = moment.tz([year, month - 1, day], bookingPolicy.timezone());
+                if (candidate.isValid() && candidate.isBefore(now.clone().subtract(6, 'months'), 'day')) {
+                    year += 1;
+                }
+            }
+            
+            const date = moment.tz([year, month - 1, day], bookingPolicy.timezone());
+            if (!date.isValid()) {
+                result.invalid.push({ token, nonexistent: true, reason: `La fecha ${token} no existe.` });
+                continue;
+            }
+            
+            if (weekdayName) {
+                const expectedDay = this.weekdayNames.findIndex(
+                    name => name.normalize('NFD').replace(/[\u0300-\u036f]/g, '') ===
+                            weekdayName.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+                );
+                if (expectedDay !== date.day()) {
+                    result.invalid.push({
+                        token,
+                        reason: `El ${date.format('DD/MM/YYYY')} es ${this.weekdayNames[date.day()]}, no ${this.weekdayNames[expectedDay]}.`
+                    });
+                    continue;
+                }
+            }
+            
+            result.dates.push(date);
+            result.spans.push({ start: match.index, end: match.index + match[0].length });
+        }
+        
+        return result;
+    }
+    
+    // Returns an INVALID_DATE intent if the message mentions a date that doesn't exist
+    checkExplicitDates(text) {
+        const { invalid } = this.parseExplicitDates(text);
+        if (invalid.length === 0) {
+            return null;
+        }
+        
+        let message = invalid.map(i => i.reason).join(' ');
+        if (invalid.some(i => i.nonexistent)) {
+            message += ' Usa el formato DD/MM (ej: "voy el 24/10") o escribe la fecha completa (ej: "voy el 3 de noviembre").';
+        }
+        
+        return { type: 'INVALID_DATE', message };
     }
     
     // Método para obtener toda la semana (lunes a viernes)
     getWholeWeek(text) {
-        const now = moment().tz('America/Montevideo');
-        const isNextWeek = /pr[oó]xim[ao]\s+semana|la\s+pr[oó]xim[ao]\s+semana/i.test(text);
+        const now = moment().tz(bookingPolicy.timezone());
+        const isNextWeek = NEXT_WEEK.test(text);
         
-        // Check if it's after Friday 17:00 reset (same logic as other methods)
-        const isAfterFridayReset = now.day() === 5 && now.hour() >= 17;
-        const isSaturday = now.day() === 6;
-        // Sunday (day 0) should allow booking for this week (Monday-Friday coming up)
-        const shouldUseNextWeek = isSaturday || isAfterFridayReset;
+        // La semana abierta: la actual, o la próxima desde la apertura (ver bookingPolicy)
+        const openWeekStart = bookingPolicy.openWeekStart(now);
         
         const days = [];
         const weekDays = [1, 2, 3, 4, 5]; // Lunes a viernes
@@ -285,15 +692,13 @@ class MessageProcessor {
             let targetDate;
             
             if (isNextWeek) {
-                targetDate = now.clone().add(1, 'week').day(dayNumber);
-            } else if (shouldUseNextWeek) {
-                targetDate = now.clone().add(1, 'week').day(dayNumber);
+                targetDate = bookingPolicy.nextWeekStart(now).isoWeekday(dayNumber);
             } else {
-                targetDate = now.clone().day(dayNumber);
+                targetDate = openWeekStart.clone().isoWeekday(dayNumber);
                 
-                // Si el día ya pasó esta semana, mover a la siguiente
+                // Si el día ya pasó esta semana, "toda la semana" solo cubre lo que queda
                 if (targetDate.isBefore(now, 'day')) {
-                    targetDate.add(1, 'week');
+                    return;
                 }
             }
             
@@ -303,9 +708,77 @@ class MessageProcessor {
         return days;
     }
     
+    // Weekday numbers (1-5) mentioned in the text, without duplicates, in order of appearance
+    extractWeekdays(text) {
+        const weekdays = [];
+        const dayMatches = text.match(/(lunes|martes|mi[eé]rcoles|jueves|viernes)/gi) || [];
+        
+        dayMatches.forEach(dayName => {
+            const targetDay = this.dayMap[dayName.toLowerCase()] || 
+                            this.dayMap[dayName.toLowerCase().replace('é', 'e')];
+            if (targetDay && !weekdays.includes(targetDay)) {
+                weekdays.push(targetDay);
+            }
+        });
+        
+        return weekdays;
+    }
+    
+    // Resolve a weekday number (1-5) to a date, using the same week rules as extractDate
+    resolveWeekday(targetDay, isNextWeek) {
+        const now = moment().tz(bookingPolicy.timezone());
+        
+        if (isNextWeek) {
+            return bookingPolicy.nextWeekStart(now).isoWeekday(targetDay);
+        }
+        return bookingPolicy.resolveWeekday(targetDay, now);
+    }
+    
+    // Expand a range ("del lunes al jueves", "de martes a viernes", "del 24/10 al 28/10")
+    // into every weekday in between. Returns null when the text has no range.
+    parseDateRange(text) {
+        const match = text.match(new RegExp(RANGE, 'i'));
+        if (!match) {
+            return null;
+        }
+        
+        const isNextWeek = NEXT_WEEK.test(text);
+        const resolveEndpoint = (token) => {
+            const dayName = token.toLowerCase();
+            const targetDay = this.dayMap[dayName] || this.dayMap[dayName.replace('é', 'e')];
+            if (targetDay) {
+                return { date: this.resolveWeekday(targetDay, isNextWeek), isWeekday: true };
+            }
+            const explicit = this.parseExplicitDates(token).dates;
+            return explicit.length > 0 ? { date: explicit[0], isWeekday: false } : null;
+        };
+        
+        const start = resolveEndpoint(match[1]);
+        const end = resolveEndpoint(match[2]);
+        if (!start || !end) {
+            return null;
+        }
+        
+        // "del jueves al martes" cruza a la semana siguiente
+        if (end.isWeekday && end.date.isBefore(start.date, 'day')) {
+            end.date.add(1, 'week');
+        }
+        
+        const days = [];
+        const current = start.date.clone();
+        while (current.isSameOrBefore(end.date, 'day')) {
+            if (current.day() !== 0 && current.day() !== 6) {
+                days.push(current.clone());
+            }
+            current.add(1, 'day');
+        }
+        
+        return days;
+    }
+    
     // Get remaining weekdays of current week (for fixed spot releases)
     getRemainingWeekDays() {
-        const now = moment().tz('America/Montevideo');
+        const now = moment().tz(bookingPolicy.timezone());
         const days = [];
         
         // Get current day (0=Sunday, 1=Monday, ..., 6=Saturday)
@@ -330,9 +803,102 @@ class MessageProcessor {
         return days;
     }
     
+    // "reservo para un visitante el jueves: pedro gómez, patente abc1234". El texto llega en
+    // minúsculas, así que el nombre se capitaliza y la patente va en mayúsculas
+    parseGuestReservation(text) {
+        const separator = text.indexOf(':');
+        const datePart = separator >= 0 ? text.slice(0, separator) : text;
+        let details = separator >= 0 ? text.slice(separator + 1) : '';
+        
+        const invalidDate = this.checkExplicitDates(datePart);
+        if (invalidDate) {
+            return invalidDate;
+        }
+        
+        let plate = null;
+        const plateMatch = details.match(/\b(?:patente|matr[ií]cula|placa|chapa)\s*:?\s*([a-z0-9-]+)/i);
+        if (plateMatch) {
+            plate = plateMatch[1].toUpperCase();
+            details = details.replace(plateMatch[0], ' ');
+        }
+        
+        const guestName = details
+            .replace(/[,;.]|\s+y\s*$/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+        
+        return {
+            type: 'GUEST_RESERVE',
+            date: this.extractDate(datePart),
+            guestName: guestName || null,
+            plate
+        };
+    }
+    
+    // "cambio mi martes con @ana por su jueves": mi día va antes del "con @ana", el suyo después del "por"
+    parseSwap(text) {
+        const match = text.match(/^(.*?)\bcon\s+@(\w+)\s+(.*)$/i);
+        const myPart = match[1];
+        const theirPart = match[3].replace(/^.*?\bpor\s+/i, '');
+        
+        const invalidDate = this.checkExplicitDates(myPart) || this.checkExplicitDates(theirPart);
+        if (invalidDate) {
+            return invalidDate;
+        }
+        
+        return {
+            type: 'SWAP',
+            date: this.extractDate(myPart),
+            username: match[2],
+            otherDate: this.extractDate(theirPart)
+        };
+    }
+    
+    // "libero el 8033 todos los viernes hasta el 30/11": días de la semana y fecha de fin opcional
+    parseFixedReleaseRule(text, spotNumber) {
+        const [rulePart, untilPart] = text.split(/\bhasta\s+(?:el\s+)?/i);
+        let endDate = null;
+        
+        if (untilPart !== undefined) {
+            const invalidDate = this.checkExplicitDates(untilPart);
+            if (invalidDate) {
+                return invalidDate;
+            }
+            
+            const explicit = this.parseExplicitDates(untilPart).dates;
+            if (explicit.length === 0) {
+                return {
+                    type: 'INVALID_DATE',
+                    message: 'No entendí hasta cuándo liberarlo. Usa una fecha, por ejemplo: "libero el 8033 todos los viernes hasta el 30/11".'
+                };
+            }
+            endDate = explicit[0];
+        }
+        
+        return {
+            type: 'FIXED_RELEASE_RULE_ADD',
+            spotNumber,
+            weekdays: this.extractWeekdays(rulePart),
+            endDate
+        };
+    }
+    
     // Parse fixed spot release information
     parseFixedRelease(text, match, spotNumber) {
-        const now = moment().tz('America/Montevideo');
+        const now = moment().tz(bookingPolicy.timezone());
+        
+        // Check for a range ("del lunes al jueves")
+        const rangeDates = this.parseDateRange(text);
+        if (rangeDates && rangeDates.length > 0) {
+            return { 
+                type: 'FIXED_RELEASE', 
+                spotNumber, 
+                startDate: rangeDates[0], 
+                endDate: rangeDates[rangeDates.length - 1] 
+            };
+        }
         
         // Check for "toda la semana" (whole week)
         if (/toda\s+la\s+semana|por\s+toda\s+la\s+semana/i.test(text)) {
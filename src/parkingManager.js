@@ -1,13 +1,34 @@
 const moment = require("moment-timezone");
+const { DEFAULT_SLOT, slotSuffix } = require("./timeSlots");
+const { formatAttributes } = require("./spotAttributes");
+const HolidayManager = require("./holidayManager");
+const bookingPolicy = require("./bookingPolicy");
+
+// Límites de reserva por persona (0 = sin límite): días por semana y semanas completas
+// (lunes a viernes) seguidas. Se configuran con /quota o por variable de entorno.
+const QUOTA_SETTINGS = {
+	maxDaysPerWeek: ["quota_max_days_per_week", "QUOTA_MAX_DAYS_PER_WEEK"],
+	maxFullWeeks: ["quota_max_full_weeks", "QUOTA_MAX_FULL_WEEKS"],
+};
+const FULL_WEEK_DAYS = 5;
+
+// Nombre a mostrar de quien ocupa un espacio; los visitantes llevan el nombre de quien los invitó
+function occupantName(reservation) {
+	const name = reservation.first_name || reservation.username || "Usuario";
+	return reservation.host_name ? `${name} (visita de ${reservation.host_name})` : name;
+}
 
 class ParkingManager {
-	constructor(database) {
+	constructor(database, waitlistOffers = null) {
 		this.db = database;
+		this.waitlistOffers = waitlistOffers;
 	}
 
-	async reserveSpot(userId, user, date) {
+	// required: atributos que el espacio debe tener ("voy el martes con cargador" -> ["ev"]).
+	// requestedSpot ("voy el martes al 1058") se usa si está libre; si no, se asigna otro.
+	async reserveSpot(userId, user, date, slot = DEFAULT_SLOT, required = [], requestedSpot = null) {
 		const moment = require('moment-timezone');
-		const now = moment().tz('America/Montevideo');
+		const now = moment().tz(bookingPolicy.timezone());
 		const dateStr = date.format("YYYY-MM-DD");
 		
 		// Check if trying to reserve for a past date
@@ -26,6 +47,17 @@ class ParkingManager {
 			};
 		}
 
+		// Semanas que todavía no abrieron o fuera del horizonte (ver bookingPolicy). QueueManager
+		// anota antes en el sorteo lo que corresponde; sin cola (bot.js) se reserva desde la apertura
+		if (bookingPolicy.weekPhase(date) === "closed") {
+			return { success: false, message: bookingPolicy.closedWeekMessage(date) };
+		}
+
+		const holidayMessage = await this.checkHoliday(date);
+		if (holidayMessage) {
+			return { success: false, message: holidayMessage };
+		}
+
 		// Verificar si el usuario ya tiene reserva para ese día
 		const existing = await this.db.getReservation(userId, dateStr);
 		if (existing) {
@@ -33,22 +65,39 @@ class ParkingManager {
 				success: false,
 				message: `Ya tienes reservado el estacionamiento ${
 					existing.spot_number
-				} para ${date.format("dddd DD/MM")}`,
+				} para ${date.format("dddd DD/MM")}${slotSuffix(existing.slot)}`,
 			};
 		}
 
+		const quotaMessage = await this.checkQuota(userId, user, date);
+		if (quotaMessage) {
+			return { success: false, message: quotaMessage };
+		}
+
 		// Buscar estacionamiento disponible
-		const availableSpot = await this.db.getAvailableSpot(dateStr);
+		const availableSpot = await this.db.getAvailableSpot(dateStr, slot, userId, required, requestedSpot);
 		if (availableSpot) {
 			await this.db.createReservation(
 				userId,
 				user,
 				dateStr,
-				availableSpot.number
+				availableSpot.number,
+				slot
 			);
+			// Reservar el día deja sin efecto un "no voy" anotado antes
+			await this.db.removePlannedAbsence(userId, dateStr);
 			return {
 				success: true,
 				spotNumber: availableSpot.number,
+				slot,
+			};
+		}
+
+		// Lo pedido no está libre pero otro espacio sí: que decida si lo quiere igual
+		if (required.length > 0 && (await this.db.getAvailableSpot(dateStr, slot, userId))) {
+			return {
+				success: false,
+				message: `No quedan espacios con ${formatAttributes(required)} para ${date.format("dddd DD/MM")}. Hay otros libres si quieres reservar sin ese requisito.`,
 			};
 		}
 
@@ -59,6 +108,122 @@ class ParkingManager {
 		};
 	}
 
+	// Mensaje si ese día es feriado o la oficina cierra (ver HolidayManager); null si se puede reservar
+	async checkHoliday(date) {
+		const holiday = await this.db.getHoliday(date.format("YYYY-MM-DD"));
+		return holiday ? HolidayManager.closedMessage(date, holiday) : null;
+	}
+
+	// Mensaje si la persona anotó que ese día no viene (ver planAbsence); null si no
+	async checkPlannedAbsence(userId, date) {
+		const absent = await this.db.hasPlannedAbsence(userId, date.format("YYYY-MM-DD"));
+		return absent ? "Avisaste que no venías" : null;
+	}
+
+	async getQuotaLimits() {
+		const limits = {};
+		for (const [field, [key, envName]] of Object.entries(QUOTA_SETTINGS)) {
+			const value = await this.db.getSetting(key);
+			limits[field] = Number(value !== null ? value : process.env[envName] || 0);
+		}
+		return limits;
+	}
+
+	async setQuotaLimits(updates) {
+		for (const [field, value] of Object.entries(updates)) {
+			if (!QUOTA_SETTINGS[field]) continue;
+			await this.db.setSetting(QUOTA_SETTINGS[field][0], value);
+		}
+		return this.getQuotaLimits();
+	}
+
+	describeQuotaLimits(limits) {
+		const parts = [
+			limits.maxDaysPerWeek
+				? `máximo ${limits.maxDaysPerWeek} ${limits.maxDaysPerWeek === 1 ? "día" : "días"} por semana`
+				: "sin máximo de días por semana",
+			limits.maxFullWeeks
+				? `semana completa hasta ${limits.maxFullWeeks} ${limits.maxFullWeeks === 1 ? "semana seguida" : "semanas seguidas"}`
+				: "sin límite de semanas completas",
+		];
+		return parts.join(", ");
+	}
+
+	// Devuelve el motivo por el que la persona no puede sumar otro día en la semana de date,
+	// o null si puede. Los exceptuados por el supervisor (/quota exempt) no tienen límite.
+	async checkQuota(userId, user, date) {
+		const limits = await this.getQuotaLimits();
+		if (!limits.maxDaysPerWeek && !limits.maxFullWeeks) return null;
+		if (await this.db.isQuotaExempt(userId, user && user.username)) return null;
+
+		const weekStart = date.clone().startOf("isoWeek");
+		const booked = await this.db.countUserDaysBetween(
+			userId,
+			weekStart.format("YYYY-MM-DD"),
+			weekStart.clone().add(FULL_WEEK_DAYS - 1, "days").format("YYYY-MM-DD")
+		);
+
+		if (limits.maxDaysPerWeek && booked >= limits.maxDaysPerWeek) {
+			const days = limits.maxDaysPerWeek === 1 ? "1 día" : `${limits.maxDaysPerWeek} días`;
+			return `Llegaste al máximo de ${days} por semana (semana del ${weekStart.format("DD/MM")}). Si necesitas este día, libera otro primero.`;
+		}
+
+		// Este sería el quinto día: solo se permite si no viene de varias semanas completas
+		if (limits.maxFullWeeks && booked >= FULL_WEEK_DAYS - 1) {
+			const fullWeeks = await this.countConsecutiveFullWeeks(userId, weekStart, limits.maxFullWeeks);
+			if (fullWeeks >= limits.maxFullWeeks) {
+				const streak = fullWeeks === 1 ? "la semana pasada" : `${fullWeeks} semanas seguidas`;
+				return `Ya reservaste la semana completa ${streak}, así que esta semana puedes reservar hasta ${FULL_WEEK_DAYS - 1} días para dejar lugar a los demás.`;
+			}
+		}
+
+		return null;
+	}
+
+	// Semanas completas seguidas justo antes de weekStart (mira como mucho `limit` semanas)
+	async countConsecutiveFullWeeks(userId, weekStart, limit) {
+		const usage = await this.db.getWeeklyUsage(
+			userId,
+			weekStart.clone().subtract(limit, "weeks").format("YYYY-MM-DD")
+		);
+
+		let count = 0;
+		const week = weekStart.clone().subtract(1, "week");
+		while (count < limit && usage.get(week.format("YYYY-MM-DD")) >= FULL_WEEK_DAYS) {
+			count++;
+			week.subtract(1, "week");
+		}
+		return count;
+	}
+
+	// "prefiero el 1058 o el 1060": solo se aceptan espacios que existen (flex o fijos)
+	async setSpotPreferences(userId, spotNumbers) {
+		const flexSpots = await this.db.getParkingSpots();
+		const fixedSpots = await this.db.getFixedSpots();
+		const known = new Set([
+			...flexSpots.map((spot) => String(spot.number)),
+			...fixedSpots.map((spot) => String(spot.spot_number)),
+		]);
+
+		const unknown = spotNumbers.filter((number) => !known.has(String(number)));
+		if (unknown.length > 0) {
+			return {
+				success: false,
+				message: `No existe el espacio ${unknown.join(", ")}. Escribe "estado" para ver los espacios.`,
+			};
+		}
+
+		await this.db.setSpotPreferences(userId, spotNumbers);
+		return { success: true, spotNumbers };
+	}
+
+	// Aclaración cuando se pidió un espacio puntual y se asignó otro
+	formatRequestedSpotNote(requestedSpot, spotNumber) {
+		return requestedSpot && String(requestedSpot) !== String(spotNumber)
+			? ` (el ${requestedSpot} no estaba libre)`
+			: "";
+	}
+
 	async releaseSpot(userId, date) {
 		const dateStr = date.format("YYYY-MM-DD");
 		const reservation = await this.db.getReservation(userId, dateStr);
@@ -77,6 +242,114 @@ class ParkingManager {
 		};
 	}
 
+	// "No voy": libera la reserva del día o, si esa semana todavía no abrió, anota la ausencia
+	async releaseDay(userId, date, queueManager = null) {
+		const result = await this.releaseSpot(userId, date);
+		if (result.success || bookingPolicy.weekPhase(date) === "open") {
+			return result;
+		}
+		return this.planAbsence(userId, date, queueManager);
+	}
+
+	// Ausencia anotada de antemano (viajes, vacaciones): sale del sorteo de ese día si estaba
+	// anotada, y las reservas recurrentes y el piloto automático no le reservan ese día
+	async planAbsence(userId, date, queueManager = null) {
+		if (!bookingPolicy.isWithinHorizon(date)) {
+			return { success: false, message: bookingPolicy.horizonMessage() };
+		}
+
+		await this.db.addPlannedAbsence(userId, date.format("YYYY-MM-DD"));
+		const withdrawn = queueManager ? await queueManager.withdrawRequest(userId, date) : false;
+		return { success: false, planned: true, withdrawn };
+	}
+
+	formatPlannedAbsence(date, result) {
+		return (
+			`📝 Anotado: el ${date.format("dddd DD/MM")} no vienes.` +
+			(result.withdrawn ? " Saliste del sorteo de ese día." : "") +
+			`\nTus reservas recurrentes y el piloto automático no te van a reservar ese día.`
+		);
+	}
+
+	// Reserva para un visitante ("reservo para un visitante el jueves: Pedro Gómez, patente ABC1234").
+	// Queda a nombre del visitante, vinculada a quien la hizo: no cuenta para sus límites ni
+	// ocupa su día, y solo esa persona la puede liberar. El visitante no entra en la lista de espera.
+	async reserveGuestSpot(hostId, host, date, guest) {
+		const now = moment().tz(bookingPolicy.timezone());
+		const dateStr = date.format("YYYY-MM-DD");
+
+		if (date.isBefore(now, "day")) {
+			return {
+				success: false,
+				message: `No puedes hacer reservas para fechas pasadas. La fecha ${date.format("dddd DD/MM")} ya ha pasado.`,
+			};
+		}
+		if (date.day() === 0 || date.day() === 6) {
+			return {
+				success: false,
+				message: `No se pueden hacer reservas para fines de semana. Solo días laborables (lunes a viernes).`,
+			};
+		}
+
+		const holidayMessage = await this.checkHoliday(date);
+		if (holidayMessage) {
+			return { success: false, message: holidayMessage };
+		}
+
+		// Un mismo visitante (por patente, o por nombre si no la hay) una vez por día
+		const guestId = `guest:${hostId}:${(guest.plate || guest.name).toLowerCase()}`;
+		const existing = await this.db.getReservation(guestId, dateStr);
+		if (existing) {
+			return {
+				success: false,
+				message: `${guest.name} ya tiene el estacionamiento ${existing.spot_number} para ${date.format("dddd DD/MM")}`,
+			};
+		}
+
+		const availableSpot = await this.db.getAvailableSpot(dateStr);
+		if (!availableSpot) {
+			return {
+				success: false,
+				message: `No hay espacios disponibles para ${date.format("dddd DD/MM")}.`,
+			};
+		}
+
+		await this.db.createReservation(
+			guestId,
+			{
+				first_name: guest.name,
+				guest_plate: guest.plate,
+				host_user_id: hostId,
+				host_name: host.first_name || host.username,
+			},
+			dateStr,
+			availableSpot.number
+		);
+		return { success: true, spotNumber: availableSpot.number };
+	}
+
+	// Libera los visitantes que hostId reservó para ese día
+	async releaseGuestSpots(hostId, date) {
+		const dateStr = date.format("YYYY-MM-DD");
+		const guests = (await this.db.getReservationsByDate(dateStr))
+			.filter((r) => r.host_user_id === String(hostId));
+
+		if (guests.length === 0) {
+			return {
+				success: false,
+				message: `No tienes visitantes con reserva para ${date.format("dddd DD/MM")}`,
+			};
+		}
+
+		for (const guest of guests) {
+			await this.db.deleteReservation(guest.user_id, dateStr);
+		}
+		return {
+			success: true,
+			released: guests.map((guest) => ({ name: guest.first_name, spotNumber: guest.spot_number })),
+		};
+	}
+
 	async addToWaitlist(userId, user, date) {
 		const dateStr = date.format("YYYY-MM-DD");
 		await this.db.addToWaitlist(userId, user, dateStr);
@@ -104,32 +377,14 @@ class ParkingManager {
 		return false;
 	}
 
-	async getWeekStatus() {
-		const now = moment().tz("America/Montevideo");
+	// Lunes de la semana abierta a reservas: la actual, o la próxima desde la apertura
+	// (viernes 17:00 por defecto, ver bookingPolicy)
+	getOpenWeekStart() {
+		return bookingPolicy.openWeekStart();
+	}
 
-		// Check if it's after Friday 17:00 reset
-		const isAfterFridayReset = now.day() === 5 && now.hour() >= 17;
-		
-		// Calcular semana laboral
-		let startOfWeek;
-
-		if (now.day() === 0 || now.day() === 6 || isAfterFridayReset) {
-			// Si es fin de semana O viernes después de las 17:00, mostrar próxima semana
-			const nextMonday = now.clone().add(1, 'week').day(1);
-			if (now.day() === 0) {
-				// Domingo: el lunes próximo es mañana
-				startOfWeek = now.clone().add(1, "day");
-			} else if (now.day() === 6) {
-				// Sábado: el lunes próximo es en 2 días
-				startOfWeek = now.clone().add(2, "day");
-			} else {
-				// Viernes después de las 17:00: el próximo lunes
-				startOfWeek = now.clone().add(3, "day"); // Viernes + 3 = Lunes
-			}
-		} else {
-			// Para días laborables (antes del reset del viernes), ir al lunes de esta semana
-			startOfWeek = now.clone().day(1); // Día 1 = lunes
-		}
+	async getWeekStatus() {
+		const startOfWeek = this.getOpenWeekStart();
 
 		// Siempre mostrar exactamente 5 días: lunes a viernes
 		const endOfWeek = startOfWeek.clone().day(5); // Día 5 = viernes
@@ -169,11 +424,11 @@ class ParkingManager {
 	}
 
 	// Método para manejar múltiples días (próxima semana)
-	async reserveMultipleDays(userId, user, dates) {
+	async reserveMultipleDays(userId, user, dates, slot = DEFAULT_SLOT, required = [], requestedSpot = null) {
 		const results = [];
 
 		for (const date of dates) {
-			const result = await this.reserveSpot(userId, user, date);
+			const result = await this.reserveSpot(userId, user, date, slot, required, requestedSpot);
 			results.push({
 				date: date.format("dddd DD/MM"),
 				...result,
@@ -198,13 +453,11 @@ class ParkingManager {
 	}
 
 	async formatWeekStatus(weekStatus) {
-		const now = moment().tz("America/Montevideo");
-		const isAfterFridayReset = now.day() === 5 && now.hour() >= 17;
-		const isSaturday = now.day() === 6;
+		const now = bookingPolicy.now();
 		
-		// Determinar si estamos mostrando la próxima semana
-		// Sunday should show "esta semana" since it shows Monday-Friday coming up
-		const showingNextWeek = isSaturday || isAfterFridayReset;
+		// Determinar si estamos mostrando la próxima semana: ya abrió y no empieza mañana
+		// (el domingo muestra "esta semana", que arranca el lunes)
+		const showingNextWeek = bookingPolicy.openWeekStart(now).isAfter(now.clone().add(1, "day"), "day");
 		const headerText = showingNextWeek ? "📅 *Estado de la próxima semana:*\n\n" : "📅 *Estado de la semana:*\n\n";
 		
 		let responseText = headerText;
@@ -213,28 +466,56 @@ class ParkingManager {
 			const date = moment(dateStr);
 			const dayName = date.format("dddd DD/MM");
 
-			const reservedSpots = spots.filter((spot) => spot.reserved === 1);
+			// Un espacio con un solo medio día tomado aparece en ambas listas
+			const isHalfBooked = (spot) => Boolean(spot.morning || spot.afternoon);
+			const reservedSpots = spots.filter((spot) => spot.reserved === 1 || isHalfBooked(spot));
 			const availableSpots = spots.filter((spot) => spot.reserved === 0);
 
 			responseText += `*${dayName}*\n`;
 
+			const holiday = await this.db.getHoliday(dateStr);
+			if (holiday) {
+				responseText += `🎉 Feriado${holiday.name ? `: ${holiday.name}` : ""}, no se reserva\n\n`;
+				continue;
+			}
+
 			if (reservedSpots.length > 0) {
 				responseText += `🚗 Ocupados:\n`;
 				reservedSpots.forEach((spot) => {
-					const name = spot.first_name || spot.username || "Usuario";
-					responseText += `   • ${spot.spot_number}: ${name}\n`;
+					let occupants;
+					if (isHalfBooked(spot)) {
+						occupants = [["morning", spot.morning], ["afternoon", spot.afternoon]]
+							.filter(([, half]) => half)
+							.map(([slot, half]) => `${occupantName(half)}${slotSuffix(slot)}${half.held === 1 ? " (oferta pendiente)" : ""}`)
+							.join(", ");
+					} else {
+						const name = occupantName(spot);
+						const held = spot.held === 1 ? " (oferta pendiente)" : "";
+						occupants = `${name}${held}`;
+					}
+					responseText += `   • ${spot.spot_number}: ${occupants}\n`;
 				});
 			}
 
 			if (availableSpots.length > 0) {
 				responseText += `🅿️ Disponibles: `;
 				const availableNumbers = availableSpots
-					.map((spot) => spot.spot_number)
+					.map((spot) => {
+						if (spot.morning) return `${spot.spot_number}${slotSuffix("afternoon")}`;
+						if (spot.afternoon) return `${spot.spot_number}${slotSuffix("morning")}`;
+						return spot.spot_number;
+					})
 					.join(", ");
 				responseText += `${availableNumbers}\n`;
 			}
 
-			if (spots.length === 0) {
+			const blackouts = await this.db.getBlackedOutSpots(dateStr);
+			if (blackouts.length > 0) {
+				const blocked = blackouts.map((row) => `${row.spot_number}${row.reason ? ` (${row.reason})` : ""}`);
+				responseText += `🚧 Bloqueados: ${blocked.join(", ")}\n`;
+			}
+
+			if (spots.length === 0 && blackouts.length === 0) {
 				responseText += `⚠️ No hay espacios configurados\n`;
 			}
 
@@ -245,7 +526,7 @@ class ParkingManager {
 					responseText += `📝 En espera:\n`;
 					waitlistUsers.forEach((user) => {
 						const name = user.first_name || user.username || 'Usuario';
-						responseText += `   • ?: ${name}\n`;
+						responseText += `   • ${user.position}: ${name}\n`;
 					});
 				}
 			} catch (error) {
@@ -258,37 +539,454 @@ class ParkingManager {
 		return responseText;
 	}
 
-	async notifyWaitlist(date, spotNumber, bot) {
-		const dateStr = date.format('YYYY-MM-DD');
-		const nextInLine = await this.db.getNextInWaitlist(dateStr);
-		
-		if (nextInLine) {
-			console.log(`📢 Notificando a ${nextInLine.first_name || nextInLine.username} sobre espacio liberado`);
-			
+	// Materializa las reservas recurrentes ("todos los martes") para la semana que empieza en weekStart.
+	// Durante la ventana del sorteo (viernes 17:00-17:15 por defecto) se encolan como cualquier otra solicitud,
+	// así los usuarios con reservas recurrentes no se saltean el sorteo.
+	async materializeRecurringReservations(weekStart, queueManager = null) {
+		const recurring = await this.db.getAllRecurringReservations();
+		const useQueue = queueManager && queueManager.isInQueuePeriod();
+		const results = [];
+
+		for (const row of recurring) {
+			const date = weekStart.clone().day(row.weekday);
+			const user = {
+				username: row.username,
+				first_name: row.first_name,
+				last_name: row.last_name,
+			};
+
+			let result;
 			try {
-				// Assign the spot to the next person in waitlist
-				await this.db.createReservation(nextInLine.user_id, nextInLine, dateStr, spotNumber);
-				await this.db.removeFromWaitlist(nextInLine.user_id, dateStr);
-				
-				// Notify the user
-				try {
-					await bot.sendMessage(nextInLine.user_id, 
-						`🎉 ¡Buenas noticias! Se liberó un espacio y te hemos asignado el estacionamiento ${spotNumber} para ${date.format('dddd DD/MM')}`);
-					
-					console.log(`✅ Notificación enviada a ${nextInLine.first_name || nextInLine.username}`);
-					return true;
-				} catch (error) {
-					console.error('❌ Error enviando notificación de lista de espera:', error);
-					// If notification fails, we still keep the reservation assigned
-					return true; 
+				const skipMessage =
+					(await this.checkHoliday(date)) || (await this.checkPlannedAbsence(row.user_id, date));
+				if (skipMessage) {
+					result = { success: false, message: skipMessage };
+				} else if (useQueue) {
+					result = await queueManager.addToQueue(row.user_id, user, date, row.user_id);
+				} else {
+					result = await this.reserveSpot(row.user_id, user, date);
+					if (result.waitlist) {
+						// El usuario ya pidió este día, lo anotamos directamente en la lista de espera
+						await this.addToWaitlist(row.user_id, user, date);
+					}
 				}
 			} catch (error) {
-				console.error('❌ Error asignando espacio de lista de espera:', error);
-				return false;
+				console.error(`Error materializando reserva recurrente de ${row.user_id} para ${date.format("YYYY-MM-DD")}:`, error);
+				result = { success: false, message: "Error interno procesando la reserva" };
 			}
+
+			results.push({ userId: row.user_id, user, date, result });
+		}
+
+		return results;
+	}
+
+	// Arma un mensaje por usuario con el resultado de sus reservas recurrentes
+	formatRecurringResults(results) {
+		const messages = new Map();
+
+		for (const { userId, date, result } of results) {
+			if (!messages.has(userId)) {
+				messages.set(userId, `🔁 *Tus reservas recurrentes para la semana del ${date.clone().day(1).format("DD/MM")}:*\n\n`);
+			}
+
+			let line = `• ${date.format("dddd DD/MM")}: `;
+			if (result.success) {
+				line += `Estacionamiento ${result.spotNumber}`;
+			} else if (result.queued) {
+				line += `En cola para el sorteo del ${bookingPolicy.describeLotteryEnd()}`;
+			} else if (result.waitlist) {
+				line += `Sin espacios, quedaste en lista de espera`;
+			} else {
+				line += result.message;
+			}
+
+			messages.set(userId, messages.get(userId) + line + "\n");
+		}
+
+		return messages;
+	}
+
+	// Genera las liberaciones de la semana a partir de las reglas "libero el 8033 todos los viernes".
+	// Se llama al abrirse cada semana y, con las reglas recién creadas, para la semana ya abierta.
+	async materializeFixedReleaseRules(weekStart, bot = null, rules = null) {
+		const today = moment().tz(bookingPolicy.timezone()).startOf("day");
+		if (!rules) {
+			await this.db.removeExpiredFixedReleaseRules(weekStart.format("YYYY-MM-DD"));
+			rules = await this.db.getFixedReleaseRules();
+		}
+
+		const releases = [];
+		for (const rule of rules) {
+			const date = weekStart.clone().day(rule.weekday);
+			const dateStr = date.format("YYYY-MM-DD");
+			if (date.isBefore(today, "day") || (rule.end_date && dateStr > rule.end_date)) {
+				continue;
+			}
+
+			const released = await this.db.getReleasedFixedSpots(dateStr);
+			if (released.some((row) => row.spot_number === rule.spot_number)) {
+				continue;
+			}
+
+			await this.db.releaseFixedSpot(rule.spot_number, dateStr, dateStr);
+			if (bot) {
+				await this.offerReleasedFixedSpot(rule.spot_number, date, date, bot);
+			}
+			releases.push({ spotNumber: rule.spot_number, date });
+		}
+
+		return releases;
+	}
+
+	describeFixedReleaseRule(rule) {
+		const day = moment().day(rule.weekday).format("dddd");
+		const until = rule.end_date ? ` hasta el ${moment(rule.end_date).format("DD/MM/YYYY")}` : "";
+		return `todos los ${day}${until}`;
+	}
+
+	// "/setfixed 222,8033:@ana,4424:123456:Juan" -> [{ spotNumber, owner }]
+	// El dueño puede ser @usuario o un ID numérico de Telegram (opcionalmente seguido del nombre)
+	parseFixedSpotDefinitions(fixedStr) {
+		return fixedStr
+			.split(",")
+			.map((definition) => definition.trim())
+			.filter((definition) => definition.length > 0)
+			.map((definition) => {
+				const [spotNumber, ownerRef, ...nameParts] = definition.split(":").map((part) => part.trim());
+				return { spotNumber, owner: this.parseFixedSpotOwner(ownerRef, nameParts.join(":")) };
+			});
+	}
+
+	parseFixedSpotOwner(ownerRef, name = "") {
+		if (!ownerRef) return null;
+		if (ownerRef.startsWith("@")) {
+			return { username: ownerRef.slice(1), name: name || null };
+		}
+		if (/^\d+$/.test(ownerRef)) {
+			return { userId: ownerRef, name: name || null };
+		}
+		return null;
+	}
+
+	describeFixedSpotOwner(owner) {
+		if (!owner) return "sin dueño";
+		if (owner.owner_username) return `@${owner.owner_username}`;
+		return owner.owner_name || owner.owner_user_id;
+	}
+
+	// Solo el dueño del espacio fijo o el supervisor pueden liberarlo o recuperarlo.
+	// Si el dueño se configuró por @usuario, la primera vez que escribe se guarda su ID
+	// para poder avisarle cuando alguien use su espacio.
+	async canManageFixedSpot(spotNumber, user, isSupervisor = false) {
+		if (isSupervisor) return { allowed: true };
+
+		const owner = await this.db.getFixedSpotOwner(spotNumber);
+		if (!owner) {
+			return {
+				allowed: false,
+				message: `El espacio ${spotNumber} no tiene dueño asignado. Pide al supervisor que lo configure con /fixedowner.`
+			};
+		}
+
+		const matchesId = owner.owner_user_id && owner.owner_user_id === String(user.id);
+		const matchesUsername = owner.owner_username && user.username &&
+			owner.owner_username === user.username.toLowerCase();
+
+		if (!matchesId && !matchesUsername) {
+			return {
+				allowed: false,
+				message: `Solo el dueño del espacio ${spotNumber} (${this.describeFixedSpotOwner(owner)}) o el supervisor pueden gestionarlo.`
+			};
+		}
+
+		if (!owner.owner_user_id) {
+			await this.db.setFixedSpotOwner(spotNumber, {
+				userId: user.id,
+				username: owner.owner_username,
+				name: owner.owner_name || user.first_name
+			});
+		}
+
+		return { allowed: true };
+	}
+
+	// Avisa al dueño de un espacio fijo cuando otra persona se queda con él (listener de 'reservationCreated')
+	async notifyFixedSpotOwner(reservation, bot) {
+		const owner = await this.db.getFixedSpotOwner(reservation.spotNumber);
+		if (!owner || !owner.owner_user_id || owner.owner_user_id === reservation.userId) {
+			return false;
+		}
+
+		const name = reservation.user.first_name || reservation.user.username || "Un compañero";
+		const date = moment.tz(reservation.date, bookingPolicy.timezone());
+
+		try {
+			await bot.sendMessage(
+				owner.owner_user_id,
+				`🔐 ${name} tomó tu espacio ${reservation.spotNumber} para ${date.format("dddd DD/MM")}.`
+			);
+			return true;
+		} catch (error) {
+			console.error("❌ Error avisando al dueño del espacio fijo:", error);
+			return false;
+		}
+	}
+
+	// Ofrece un espacio fijo recién liberado a la lista de espera de cada día hábil del rango.
+	// Devuelve [{ date, userId }] con a quién se le ofreció cada día.
+	async offerReleasedFixedSpot(spotNumber, startDate, endDate, bot) {
+		const today = moment().tz(bookingPolicy.timezone()).startOf("day");
+		const offers = [];
+		const currentDate = startDate.clone();
+
+		while (currentDate.isSameOrBefore(endDate, "day")) {
+			const isWeekend = currentDate.day() === 0 || currentDate.day() === 6;
+			if (!isWeekend && !currentDate.isBefore(today, "day")) {
+				const date = currentDate.clone();
+				if (await this.notifyWaitlist(date, spotNumber, bot)) {
+					const offer = await this.db.getPendingOfferForSpot(date.format("YYYY-MM-DD"), spotNumber);
+					offers.push({ date, userId: offer.user_id });
+				}
+			}
+			currentDate.add(1, "day");
+		}
+
+		return offers;
+	}
+
+	formatFixedReleaseOffers(offers) {
+		if (offers.length === 0) {
+			return "📝 Nadie estaba en lista de espera para esos días; el espacio queda disponible para reservar.";
+		}
+
+		const colleagues = new Set(offers.map((offer) => offer.userId)).size;
+		const days = offers.map((offer) => offer.date.format("dddd DD/MM")).join(", ");
+		return colleagues === 1
+			? `📢 1 compañero en lista de espera recibió la oferta del espacio para: ${days}`
+			: `📢 ${colleagues} compañeros en lista de espera recibieron la oferta del espacio para: ${days}`;
+	}
+
+	// "quiero el 8033 de vuelta el miércoles": saca esos días del rango liberado.
+	// Los días que alguien ya reservó no se tocan; vuelven en conflicts para que el dueño decida.
+	async reclaimFixedSpotDays(spotNumber, dates, bot) {
+		const result = { reclaimed: [], notReleased: [], conflicts: [] };
+
+		for (const date of dates) {
+			const dateStr = date.format("YYYY-MM-DD");
+			const released = await this.db.getReleasedFixedSpots(dateStr);
+			if (!released.some((row) => row.spot_number === String(spotNumber))) {
+				result.notReleased.push(date);
+				continue;
+			}
+
+			const reservations = await this.db.getReservationsByDate(dateStr);
+			const reservation = reservations.find((r) => String(r.spot_number) === String(spotNumber));
+			if (reservation) {
+				result.conflicts.push({ date, reservation });
+				continue;
+			}
+
+			for (const offer of await this.db.getPendingOffersForSpot(dateStr, spotNumber)) {
+				await this.getWaitlistOffers(bot).withdrawOffer(offer.id);
+			}
+			await this.db.reclaimFixedSpotDay(spotNumber, dateStr);
+			result.reclaimed.push(date);
+		}
+
+		return result;
+	}
+
+	// El dueño eligió recuperar un día que otra persona ya tenía reservado: se le cancela la
+	// reserva y se la pasa a otro espacio libre, o a la lista de espera si no queda ninguno.
+	async forceReclaimFixedSpotDay(spotNumber, date, bot) {
+		const dateStr = date.format("YYYY-MM-DD");
+		const released = await this.db.getReleasedFixedSpots(dateStr);
+		if (!released.some((row) => row.spot_number === String(spotNumber))) {
+			return {
+				success: false,
+				message: `El espacio ${spotNumber} ya no está liberado para ${date.format("dddd DD/MM")}.`
+			};
+		}
+
+		// Primero se cierra el rango para que getAvailableSpot no devuelva el mismo espacio
+		await this.db.reclaimFixedSpotDay(spotNumber, dateStr);
+
+		// Con reservas de medio día puede haber dos personas en el espacio: se mueven todas
+		const reservations = (await this.db.getReservationsByDate(dateStr))
+			.filter((r) => String(r.spot_number) === String(spotNumber));
+
+		const displaced = [];
+		for (const reservation of reservations) {
+			displaced.push(await this.relocateReservation(reservation, spotNumber, date, bot));
+		}
+
+		return { success: true, displaced };
+	}
+
+	// Confirmación para el dueño: a dónde fue a parar cada persona que tenía el espacio
+	formatForcedReclaim(spotNumber, date, result) {
+		const moves = result.displaced.map(({ name, newSpot }) =>
+			newSpot
+				? ` ${name} pasó al estacionamiento ${newSpot}.`
+				: ` ${name} no tenía otro lugar libre y quedó primero en la lista de espera.`
+		);
+		return `✅ Recuperaste el espacio ${spotNumber} para ${date.format("dddd DD/MM")}.${moves.join("")}`;
+	}
+
+	// cause explica por qué se mueve la reserva; por defecto, que el dueño del fijo lo recuperó
+	async relocateReservation(reservation, spotNumber, date, bot, cause = null) {
+		const dateStr = date.format("YYYY-MM-DD");
+		const slot = reservation.slot || DEFAULT_SLOT;
+		await this.db.deleteReservation(reservation.user_id, dateStr);
+		const name = reservation.first_name || reservation.username || "Un compañero";
+		const newSpot = await this.db.getAvailableSpot(dateStr, slot, reservation.user_id);
+		let text;
+
+		const needed = cause || `El dueño del espacio ${spotNumber} lo necesita el ${date.format("dddd DD/MM")}`;
+
+		if (newSpot) {
+			await this.db.createReservation(reservation.user_id, reservation, dateStr, newSpot.number, slot);
+			text = reservation.host_user_id
+				? `🔄 ${needed}. Tu visitante ${name} pasa al estacionamiento ${newSpot.number}.`
+				: `🔄 ${needed}. Te pasé al estacionamiento ${newSpot.number}.`;
+		} else if (reservation.host_user_id) {
+			// Los visitantes no tienen Telegram: no pasan a la lista de espera
+			text = `⚠️ ${needed} y no quedan otros libres. La reserva de tu visitante ${name} se canceló.`;
+		} else {
+			await this.db.returnToWaitlistHead(reservation, dateStr);
+			text = `⚠️ ${needed} y no quedan otros libres. Tu reserva se canceló y quedaste primero en la lista de espera.`;
+		}
+
+		try {
+			await bot.sendMessage(reservation.host_user_id || reservation.user_id, text);
+		} catch (error) {
+			console.error("❌ Error avisando a quien tenía reservado el espacio:", error);
+		}
+
+		return { name, newSpot: newSpot ? newSpot.number : null };
+	}
+
+	formatFixedReclaim(spotNumber, result) {
+		const lines = [];
+		if (result.reclaimed.length > 0) {
+			lines.push(
+				`✅ Recuperaste el espacio ${spotNumber} para: ${result.reclaimed.map((d) => d.format("dddd DD/MM")).join(", ")}`
+			);
+		}
+		if (result.notReleased.length > 0) {
+			lines.push(
+				`⚠️ El espacio ${spotNumber} no estaba liberado para: ${result.notReleased.map((d) => d.format("dddd DD/MM")).join(", ")}`
+			);
+		}
+		return lines.join("\n");
+	}
+
+	// Bloquea un espacio por obra o mantenimiento ("/bloquear 1058 del 20/10 al 24/10 obra").
+	// Las reservas de esos días pasan a otro espacio, o a la lista de espera si no queda ninguno,
+	// y las ofertas pendientes del espacio se retiran.
+	async blackoutSpot(spotNumber, startDate, endDate, reason, bot) {
+		const spot = String(spotNumber);
+		const known = [
+			...(await this.db.getParkingSpots()).map((row) => row.number),
+			...(await this.db.getFixedSpots()).map((row) => row.spot_number),
+		];
+		if (!known.includes(spot)) {
+			return { success: false, message: `❌ El espacio ${spot} no existe.` };
+		}
+
+		// Primero el bloqueo, para que getAvailableSpot no devuelva el mismo espacio al reubicar
+		await this.db.addSpotBlackout(spot, startDate.format("YYYY-MM-DD"), endDate.format("YYYY-MM-DD"), reason);
+
+		const today = moment().tz(bookingPolicy.timezone()).startOf("day");
+		const displaced = [];
+		for (const date = startDate.clone(); date.isSameOrBefore(endDate, "day"); date.add(1, "day")) {
+			if (date.day() === 0 || date.day() === 6 || date.isBefore(today, "day")) continue;
+
+			const dateStr = date.format("YYYY-MM-DD");
+			const cause = `El estacionamiento ${spot} está bloqueado el ${date.format("dddd DD/MM")}${reason ? ` (${reason})` : ""}`;
+
+			for (const offer of await this.db.getPendingOffersForSpot(dateStr, spot)) {
+				await this.getWaitlistOffers(bot).withdrawOffer(offer.id, cause);
+			}
+
+			const reservations = (await this.db.getReservationsByDate(dateStr))
+				.filter((r) => String(r.spot_number) === spot);
+			for (const reservation of reservations) {
+				const moved = await this.relocateReservation(reservation, spot, date.clone(), bot, cause);
+				displaced.push({ date: date.clone(), ...moved });
+			}
+		}
+
+		return { success: true, displaced };
+	}
+
+	// Quita los bloqueos vigentes del espacio y ofrece los días que quedan libres a la lista de espera
+	async unblockSpot(spotNumber, bot) {
+		const today = moment().tz(bookingPolicy.timezone()).startOf("day");
+		const removed = await this.db.removeSpotBlackouts(spotNumber, today.format("YYYY-MM-DD"));
+
+		for (const range of removed) {
+			const end = moment.tz(range.end_date, bookingPolicy.timezone());
+			for (const date = moment.tz(range.start_date, bookingPolicy.timezone()); date.isSameOrBefore(end, "day"); date.add(1, "day")) {
+				if (date.day() === 0 || date.day() === 6 || date.isBefore(today, "day")) continue;
+				await this.notifyWaitlist(date.clone(), String(spotNumber), bot);
+			}
+		}
+
+		return removed;
+	}
+
+	describeBlackout(spotNumber, startDate, endDate, reason) {
+		const range = startDate.isSame(endDate, "day")
+			? `el ${startDate.format("dddd DD/MM")}`
+			: `del ${startDate.format("dddd DD/MM")} al ${endDate.format("dddd DD/MM")}`;
+		return `${spotNumber} ${range}${reason ? ` (${reason})` : ""}`;
+	}
+
+	formatBlackoutResult(spotNumber, startDate, endDate, reason, result) {
+		let text = `🚧 Espacio ${this.describeBlackout(spotNumber, startDate, endDate, reason)} bloqueado.`;
+		if (result.displaced.length > 0) {
+			const lines = result.displaced.map(({ date, name, newSpot }) =>
+				`• ${date.format("dddd DD/MM")}: ${name} ${newSpot ? `pasó al ${newSpot}` : "se quedó sin lugar"}`
+			);
+			text += `\n\nReservas movidas (ya fueron avisadas):\n${lines.join("\n")}`;
+		}
+		return text;
+	}
+
+	formatBlackouts(blackouts) {
+		if (blackouts.length === 0) {
+			return "🚧 No hay espacios bloqueados.";
+		}
+
+		const lines = blackouts.map((row) => `• ${this.describeBlackout(
+			row.spot_number,
+			moment.tz(row.start_date, bookingPolicy.timezone()),
+			moment.tz(row.end_date, bookingPolicy.timezone()),
+			row.reason
+		)}`);
+		return `🚧 Espacios bloqueados:\n\n${lines.join("\n")}`;
+	}
+
+	getWaitlistOffers(bot) {
+		if (!this.waitlistOffers) {
+			const WaitlistOfferManager = require("./waitlistOfferManager");
+			this.waitlistOffers = new WaitlistOfferManager(this.db, bot);
+		}
+		return this.waitlistOffers;
+	}
+
+	// Ofrece el espacio liberado al primero de la lista de espera (ver WaitlistOfferManager)
+	async notifyWaitlist(date, spotNumber, bot) {
+		this.getWaitlistOffers(bot);
+
+		try {
+			return await this.waitlistOffers.offerSpot(date, spotNumber);
+		} catch (error) {
+			console.error('❌ Error ofreciendo espacio a lista de espera:', error);
+			return false;
 		}
-		
-		return false; // No one in waitlist
 	}
 }
 
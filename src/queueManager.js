@@ -1,52 +1,174 @@
 const moment = require('moment-timezone');
+const crypto = require('crypto');
+const { DEFAULT_SLOT, slotSuffix } = require('./timeSlots');
+const HolidayManager = require('./holidayManager');
+const bookingPolicy = require('./bookingPolicy');
+
+// PRNG determinístico (mulberry32): con la misma semilla produce siempre la misma secuencia,
+// así cualquiera puede reproducir el sorteo a partir del registro publicado
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    };
+}
+
+// Entero uniforme en [0, max) descartando los valores que introducirían sesgo de módulo
+function uniformInt(next, max) {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value;
+    do {
+        value = next();
+    } while (value >= limit);
+    return value % max;
+}
+
+// Valores por defecto del modo equidad: peso = 1 + perdidas × sorteos perdidos + dias × días sin lugar
+const DEFAULT_WEIGHTING = {
+    enabled: false,
+    lossWeight: 1,
+    dayWeight: 0.5,
+    lookbackWeeks: 4
+};
+
+const WEIGHTING_SETTINGS = {
+    enabled: 'lottery_fairness_enabled',
+    lossWeight: 'lottery_fairness_loss_weight',
+    dayWeight: 'lottery_fairness_day_weight',
+    lookbackWeeks: 'lottery_fairness_lookback_weeks'
+};
+
+// setTimeout no acepta más de ~24,8 días; los sorteos más lejanos se reprograman por tramos
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+function displayName(user) {
+    const fullName = [user.first_name, user.last_name].filter(Boolean).join(' ');
+    return fullName || user.username || 'Usuario';
+}
 
 class QueueManager {
-    constructor(database, bot, parkingManager = null) {
+    constructor(database, bot, parkingManager = null, waitlistOffers = null) {
         this.db = database;
         this.bot = bot;
         this.parkingManager = parkingManager;
+        this.waitlistOffers = waitlistOffers;
         this.queues = new Map(); // date -> array of requests
         this.processingTimeouts = new Map(); // date -> timeout reference
+        this.processTimes = new Map(); // date -> moment when the draw runs
         this.isQueueActive = false;
         this.currentQueueEnd = null;
     }
 
-    // Check if we're in Friday 17:00-17:15 GMT-3 period
+    // Semilla aleatoria de 32 bits en hexadecimal, guardada junto al resultado del sorteo
+    static generateSeed() {
+        return crypto.randomBytes(4).toString('hex');
+    }
+
+    // Fisher-Yates sin sesgo alimentado por la semilla; no modifica el array original
+    static seededShuffle(items, seed) {
+        const next = mulberry32(parseInt(seed, 16));
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = uniformInt(next, i + 1);
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    // Selección secuencial ponderada: cada lugar se sortea entre los que quedan con probabilidad
+    // proporcional a su peso. Con la misma semilla y pesos el orden es siempre el mismo.
+    static seededWeightedShuffle(items, weights, seed) {
+        const next = mulberry32(parseInt(seed, 16));
+        const remaining = items.map((item, index) => ({ item, weight: weights[index] }));
+        const ordered = [];
+
+        while (remaining.length > 0) {
+            const total = remaining.reduce((sum, entry) => sum + entry.weight, 0);
+            let target = (next() / 0x100000000) * total;
+            let index = 0;
+            while (index < remaining.length - 1 && target >= remaining[index].weight) {
+                target -= remaining[index].weight;
+                index++;
+            }
+            ordered.push(remaining.splice(index, 1)[0].item);
+        }
+
+        return ordered;
+    }
+
+    static describeWeighting(weighting) {
+        return `peso = 1 + ${weighting.lossWeight} × sorteos perdidos + ${weighting.dayWeight} × días sin lugar ` +
+               `(últimas ${weighting.lookbackWeeks} semanas)`;
+    }
+
+    // Current fairness configuration, falling back to the defaults for anything not set
+    async getLotteryWeighting() {
+        const weighting = { ...DEFAULT_WEIGHTING };
+
+        for (const [field, key] of Object.entries(WEIGHTING_SETTINGS)) {
+            const value = await this.db.getSetting(key);
+            if (value === null) continue;
+            weighting[field] = field === 'enabled' ? value === 'true' : Number(value);
+        }
+
+        return weighting;
+    }
+
+    async setLotteryWeighting(updates) {
+        for (const [field, value] of Object.entries(updates)) {
+            if (!WEIGHTING_SETTINGS[field]) continue;
+            await this.db.setSetting(WEIGHTING_SETTINGS[field], value);
+        }
+        return this.getLotteryWeighting();
+    }
+
+    // Peso de cada participante según su historial: sorteos (viernes) en los que se quedó sin
+    // algún día pedido y días perdidos que no recuperó después por lista de espera
+    async computeFairnessWeights(participants, processTime, weighting) {
+        const since = processTime.clone().subtract(weighting.lookbackWeeks, 'weeks');
+        const draws = await this.db.getLotteryDrawsBetween(since.toISOString(), processTime.toISOString());
+        const weights = new Map();
+
+        for (const participant of participants) {
+            const userId = String(participant.userId);
+            const lostRounds = new Set();
+            let daysWithoutSpot = 0;
+
+            for (const draw of draws) {
+                const assignment = draw.assignments.find(a => a.userId === userId);
+                if (!assignment || assignment.spotNumber) continue;
+
+                lostRounds.add(draw.process_at);
+                if (!draw.recovered.includes(userId)) daysWithoutSpot++;
+            }
+
+            const losses = lostRounds.size;
+            weights.set(userId, {
+                losses,
+                daysWithoutSpot,
+                weight: Math.round((1 + weighting.lossWeight * losses + weighting.dayWeight * daysWithoutSpot) * 100) / 100
+            });
+        }
+
+        return weights;
+    }
+
+    // Check if we're in the lottery window (Friday 17:00-17:15 by default, see bookingPolicy)
     isInQueuePeriod() {
-        const now = moment().tz('America/Montevideo');
-        return now.day() === 5 && // Friday
-               now.hour() === 17 && // 5 PM
-               now.minute() < 15;   // Before 17:15
+        return bookingPolicy.isLotteryRunning();
     }
 
-    // Check if reservation is for next week (the lottery target)
-    // "Next week" means the work week that gets reset at the next Friday 5PM
+    // Check if the date belongs to a week that hasn't opened yet or is being drawn
     isNextWeekReservation(targetDate) {
-        const now = moment().tz('America/Montevideo');
-        
-        // Determine what "next week" means based on current time
-        let nextWeekStart, nextWeekEnd;
-        
-        if (now.day() === 5 && (now.hour() > 17 || (now.hour() === 17 && now.minute() >= 15))) {
-            // Friday after 5:15PM - we're already in the booking period for "next week"
-            // "Next week" is the current week that just got reset
-            nextWeekStart = now.clone().day(1); // This Monday
-            nextWeekEnd = now.clone().day(5);   // This Friday
-        } else if (now.day() === 6 || now.day() === 0) {
-            // Weekend - we're in the booking period for current week
-            nextWeekStart = now.clone().day(1); // This Monday
-            nextWeekEnd = now.clone().day(5);   // This Friday
-        } else {
-            // Monday to Friday before 5PM - "next week" is the upcoming Monday-Friday
-            nextWeekStart = now.clone().add(1, 'week').day(1); // Next Monday
-            nextWeekEnd = now.clone().add(1, 'week').day(5);   // Next Friday
-        }
-        
-        return targetDate.isBetween(nextWeekStart, nextWeekEnd, 'day', '[]');
+        return bookingPolicy.weekPhase(targetDate) !== 'open';
     }
 
     // Add request to queue instead of processing immediately
-    async addToQueue(userId, user, targetDate, chatId) {
+    async addToQueue(userId, user, targetDate, chatId, slot = DEFAULT_SLOT, required = [], requestedSpot = null) {
         const dateStr = targetDate.format('YYYY-MM-DD');
         
         if (!this.queues.has(dateStr)) {
@@ -57,22 +179,43 @@ class QueueManager {
         const queue = this.queues.get(dateStr);
         
         // Check if user already in queue for this date
-        const existingRequest = queue.find(req => req.userId === userId);
+        const existingRequest = queue.find(req => String(req.userId) === String(userId));
         if (existingRequest) {
             return {
                 success: false,
-                message: `Ya estás en la cola para ${targetDate.format('dddd DD/MM')}. La asignación será a las 17:15.`
+                message: `Ya estás en la cola para ${targetDate.format('dddd DD/MM')}. La asignación será el ${this.describeDrawTime(targetDate)}.`
             };
         }
 
+        const timestamp = Date.now();
+
+        // Persist first so the request survives a restart during the lottery window
+        await this.db.addLotteryRequest(
+            userId,
+            user,
+            chatId,
+            dateStr,
+            this.processTimes.get(dateStr).toISOString(),
+            timestamp,
+            slot,
+            required,
+            requestedSpot
+        );
+
+        // Pedir el día deja sin efecto un "no voy" anotado antes
+        await this.db.removePlannedAbsence(userId, dateStr);
+
         // Add to queue
         queue.push({
             userId,
             user,
             chatId,
             targetDate,
-            timestamp: Date.now(),
-            id: `${userId}_${dateStr}_${Date.now()}`
+            slot,
+            required,
+            requestedSpot,
+            timestamp,
+            id: `${userId}_${dateStr}_${timestamp}`
         });
 
         console.log(`🎲 Usuario ${user.first_name || user.username} añadido a la cola para ${targetDate.format('dddd DD/MM')}`);
@@ -80,32 +223,103 @@ class QueueManager {
         return {
             success: true,
             queued: true,
-            message: `📋 Tu solicitud para ${targetDate.format('dddd DD/MM')} ha sido recibida.\n\n⏰ La asignación de espacios será el viernes a las 17:15.\n\n👥 Posición en cola: ${queue.length}`
+            message: `📋 Tu solicitud para ${targetDate.format('dddd DD/MM')}${slotSuffix(slot)} ha sido recibida.\n\n⏰ La asignación de espacios será el ${this.describeDrawTime(targetDate)}.\n\n👥 Posición en cola: ${queue.length}`
         };
     }
 
-    // Schedule the queue processing for 17:15
-    scheduleQueueProcessing(dateStr, targetDate) {
-        const now = moment().tz('America/Montevideo');
-        const processTime = now.clone().hour(17).minute(15).second(0);
+    // Schedule the queue processing when the lottery window of that week ends
+    // (or at the given time when restoring)
+    scheduleQueueProcessing(dateStr, targetDate, processTime = null) {
+        const now = moment().tz(bookingPolicy.timezone());
         
-        // If we're past 17:15 today, schedule for next Friday
-        if (now.isAfter(processTime)) {
-            processTime.add(1, 'week');
+        if (!processTime) {
+            processTime = bookingPolicy.lotteryEndFor(targetDate);
         }
 
-        const timeoutMs = processTime.diff(now);
+        // A draw time that already passed (e.g. the bot was down when the lottery ended) runs right away
+        const timeoutMs = Math.max(0, processTime.diff(now));
         
         console.log(`⏰ Cola programada para procesarse en: ${processTime.format('dddd DD/MM HH:mm')}`);
 
-        const timeoutId = setTimeout(() => {
-            this.processQueue(dateStr, targetDate);
-        }, timeoutMs);
+        // Weeks further ahead than the timer limit wait in steps until their opening
+        const timeoutId = timeoutMs > MAX_TIMEOUT_MS
+            ? setTimeout(() => this.scheduleQueueProcessing(dateStr, targetDate, processTime), MAX_TIMEOUT_MS)
+            : setTimeout(() => {
+                this.processQueue(dateStr, targetDate);
+            }, timeoutMs);
 
         this.processingTimeouts.set(dateStr, timeoutId);
+        this.processTimes.set(dateStr, processTime);
+    }
+
+    // "viernes 17:15" for the lottery about to run, the full date for weeks further ahead
+    describeDrawTime(targetDate) {
+        const drawTime = bookingPolicy.lotteryEndFor(targetDate);
+        return drawTime.isSame(bookingPolicy.now(), 'day')
+            ? bookingPolicy.describeLotteryEnd()
+            : drawTime.format('dddd DD/MM HH:mm');
+    }
+
+    // Días en los que la persona espera un sorteo, en orden
+    getUserRequests(userId) {
+        return [...this.queues.entries()]
+            .filter(([, queue]) => queue.some(req => String(req.userId) === String(userId)))
+            .map(([dateStr]) => moment.tz(dateStr, bookingPolicy.timezone()))
+            .sort((a, b) => a.diff(b));
+    }
+
+    // Quita a la persona de la cola de un día antes del sorteo. Devuelve si estaba anotada.
+    async withdrawRequest(userId, targetDate) {
+        const dateStr = targetDate.format('YYYY-MM-DD');
+        const queue = this.queues.get(dateStr) || [];
+        const index = queue.findIndex(req => String(req.userId) === String(userId));
+        if (index === -1) {
+            return false;
+        }
+
+        queue.splice(index, 1);
+        await this.db.deleteLotteryRequest(userId, dateStr);
+        return true;
+    }
+
+    // Reload the lottery requests persisted before a restart and re-schedule their draws
+    async restoreQueues() {
+        const rows = await this.db.getPendingLotteryRequests();
+        const processTimes = new Map();
+
+        for (const row of rows) {
+            const dateStr = row.date;
+            if (!this.queues.has(dateStr)) {
+                this.queues.set(dateStr, []);
+                processTimes.set(dateStr, moment(row.process_at).tz(bookingPolicy.timezone()));
+            }
+
+            this.queues.get(dateStr).push({
+                userId: row.user_id,
+                user: {
+                    username: row.username,
+                    first_name: row.first_name,
+                    last_name: row.last_name
+                },
+                chatId: row.chat_id,
+                targetDate: moment.tz(dateStr, bookingPolicy.timezone()),
+                slot: row.slot || DEFAULT_SLOT,
+                required: row.required ? row.required.split(',') : [],
+                requestedSpot: row.requested_spot || null,
+                timestamp: row.requested_at,
+                id: `${row.user_id}_${dateStr}_${row.requested_at}`
+            });
+        }
+
+        for (const [dateStr, processTime] of processTimes) {
+            console.log(`♻️ Restaurada cola de ${dateStr} con ${this.queues.get(dateStr).length} solicitudes`);
+            this.scheduleQueueProcessing(dateStr, moment.tz(dateStr, bookingPolicy.timezone()), processTime);
+        }
+
+        return rows.length;
     }
 
-    // Process queue at 17:15 - randomly assign spots
+    // Process queue when the lottery window ends - randomly assign spots
     async processQueue(dateStr, targetDate) {
         const queue = this.queues.get(dateStr);
         if (!queue || queue.length === 0) {
@@ -115,15 +329,40 @@ class QueueManager {
 
         console.log(`🎲 Procesando cola para ${dateStr} con ${queue.length} solicitudes`);
 
-        // Randomly shuffle the queue for fairness
-        const shuffledQueue = [...queue].sort(() => Math.random() - 0.5);
+        // Orden canónico (hora de solicitud) + semilla registrada = sorteo reproducible
+        const participants = [...queue].sort((a, b) =>
+            a.timestamp - b.timestamp || String(a.userId).localeCompare(String(b.userId))
+        );
+        const seed = QueueManager.generateSeed();
+        const processTime = this.processTimes.get(dateStr) || moment().tz(bookingPolicy.timezone());
+
+        let weighting = null;
+        let weights = null;
+        try {
+            const config = await this.getLotteryWeighting();
+            if (config.enabled) {
+                weights = await this.computeFairnessWeights(participants, processTime, config);
+                weighting = config;
+            }
+        } catch (error) {
+            console.error('Error calculando pesos de equidad, se sortea sin ponderar:', error);
+        }
+
+        const shuffledQueue = weights
+            ? QueueManager.seededWeightedShuffle(
+                participants,
+                participants.map(p => weights.get(String(p.userId)).weight),
+                seed
+            )
+            : QueueManager.seededShuffle(participants, seed);
         
         const results = [];
         
         for (const request of shuffledQueue) {
+            const fairness = weights ? weights.get(String(request.userId)) : null;
             try {
                 const result = await this.processQueuedReservation(request);
-                results.push({ ...request, result });
+                results.push({ ...request, result, fairness });
             } catch (error) {
                 console.error('Error procesando reserva de cola:', error);
                 results.push({ 
@@ -131,22 +370,100 @@ class QueueManager {
                     result: { 
                         success: false, 
                         message: 'Error procesando tu solicitud' 
-                    } 
+                    },
+                    fairness
                 });
             }
         }
 
+        try {
+            await this.recordDraw(dateStr, seed, participants, results, processTime, weighting, weights);
+        } catch (error) {
+            console.error('Error guardando el registro del sorteo:', error);
+        }
+
+        // The draw is done: drop the persisted requests before notifying,
+        // so a restart mid-notification doesn't run it twice
+        try {
+            await this.db.deleteLotteryRequests(dateStr);
+        } catch (error) {
+            console.error('Error eliminando solicitudes de lotería procesadas:', error);
+        }
+
         // Send results to users
-        await this.notifyQueueResults(results, targetDate);
+        await this.notifyQueueResults(results, targetDate, weighting);
 
         // Clean up
         this.queues.delete(dateStr);
         this.processingTimeouts.delete(dateStr);
+        this.processTimes.delete(dateStr);
+    }
+
+    // Store who took part, the seed, the resulting order and what each person got
+    async recordDraw(dateStr, seed, participants, results, processTime, weighting = null, weights = null) {
+        await this.db.saveLotteryDraw(
+            dateStr,
+            processTime.toISOString(),
+            seed,
+            participants.map(p => ({
+                userId: String(p.userId),
+                name: displayName(p.user),
+                requestedAt: p.timestamp,
+                ...(weights ? weights.get(String(p.userId)) : {})
+            })),
+            results.map(r => String(r.userId)),
+            results.map(r => ({
+                userId: String(r.userId),
+                name: displayName(r.user),
+                spotNumber: r.result.success ? r.result.spotNumber : null,
+                waitlist: !!r.result.waitlist,
+                message: r.result.success || r.result.waitlist ? null : r.result.message
+            })),
+            weighting
+        );
+    }
+
+    // Texto con el último sorteo publicado (/lottery), o null si todavía no hubo ninguno
+    async getLastDrawReport() {
+        const draws = await this.db.getLastLotteryDraws();
+        if (draws.length === 0) return null;
+
+        const processTime = moment(draws[0].process_at).tz(bookingPolicy.timezone());
+        let report = `🎲 Último sorteo: ${processTime.format('dddd DD/MM HH:mm')}\n`;
+
+        for (const draw of draws) {
+            const date = moment.tz(draw.date, bookingPolicy.timezone());
+            report += `\n📅 ${date.format('dddd DD/MM')} (semilla ${draw.seed})\n`;
+            if (draw.weighting) {
+                report += `⚖️ Modo equidad: ${QueueManager.describeWeighting(draw.weighting)}\n`;
+                report += `Participantes: ${draw.participants.map(p => `${p.name} (peso ${p.weight})`).join(', ')}\n`;
+            } else {
+                report += `Participantes: ${draw.participants.map(p => p.name).join(', ')}\n`;
+            }
+
+            draw.assignments.forEach((a, index) => {
+                let outcome;
+                if (a.spotNumber) {
+                    outcome = `estacionamiento ${a.spotNumber}`;
+                } else if (a.waitlist) {
+                    outcome = 'lista de espera';
+                } else {
+                    outcome = a.message || 'sin asignación';
+                }
+                report += `${index + 1}. ${a.name} → ${outcome}\n`;
+            });
+        }
+
+        report += `\n🔍 Para verificar: mezcla la lista de participantes (en el orden mostrado) con Fisher-Yates usando mulberry32 inicializado con la semilla.`;
+        if (draws.some(draw => draw.weighting)) {
+            report += ` En modo equidad, en lugar de Fisher-Yates se elige cada lugar entre los restantes con probabilidad proporcional a su peso, con la misma secuencia mulberry32.`;
+        }
+        return report;
     }
 
     // Process individual queued reservation
     async processQueuedReservation(request) {
-        const { userId, user, targetDate } = request;
+        const { userId, user, targetDate, slot = DEFAULT_SLOT, required = [], requestedSpot = null } = request;
         const dateStr = targetDate.format('YYYY-MM-DD');
 
         // Check if user already has reservation for this date
@@ -158,10 +475,24 @@ class QueueManager {
             };
         }
 
+        // A closure may have been added after the request was queued
+        const holiday = await this.db.getHoliday(dateStr);
+        if (holiday) {
+            return { success: false, message: HolidayManager.closedMessage(targetDate, holiday) };
+        }
+
+        // Weekly limits apply to lottery requests too
+        if (this.parkingManager) {
+            const quotaMessage = await this.parkingManager.checkQuota(userId, user, targetDate);
+            if (quotaMessage) {
+                return { success: false, message: quotaMessage };
+            }
+        }
+
         // Try to get available spot
-        const availableSpot = await this.db.getAvailableSpot(dateStr);
+        const availableSpot = await this.db.getAvailableSpot(dateStr, slot, userId, required, requestedSpot);
         if (availableSpot) {
-            await this.db.createReservation(userId, user, dateStr, availableSpot.number);
+            await this.db.createReservation(userId, user, dateStr, availableSpot.number, slot);
             return { 
                 success: true, 
                 spotNumber: availableSpot.number 
@@ -178,14 +509,14 @@ class QueueManager {
     }
 
     // Notify all users of queue results
-    async notifyQueueResults(results, targetDate) {
+    async notifyQueueResults(results, targetDate, weighting = null) {
         console.log(`📢 Enviando resultados de lotería para ${targetDate.format('dddd DD/MM')}`);
 
         const successful = results.filter(r => r.result.success);
         const waitlisted = results.filter(r => r.result.waitlist);
         
         // Send individual notifications
-        for (const { chatId, result, user } of results) {
+        for (const { chatId, result, user, fairness } of results) {
             try {
                 let message = `📋 **Asignación de Espacios - ${targetDate.format('dddd DD/MM')}**\n\n`;
                 
@@ -197,6 +528,13 @@ class QueueManager {
                     message += `❌ ${result.message}`;
                 }
 
+                if (weighting && fairness) {
+                    message += `\n\n⚖️ Sorteo con equidad: tu peso fue ${fairness.weight} ` +
+                               `(1 + ${weighting.lossWeight} × ${fairness.losses} sorteos perdidos + ` +
+                               `${weighting.dayWeight} × ${fairness.daysWithoutSpot} días sin lugar, últimas ${weighting.lookbackWeeks} semanas). ` +
+                               `Más peso = más chances. Detalle con /lottery`;
+                }
+
                 await this.bot.sendMessage(chatId, message);
             } catch (error) {
                 console.error(`Error enviando notificación a ${user.first_name}:`, error);
@@ -246,35 +584,26 @@ class QueueManager {
     }
 
     // Clear all queues (for testing or emergency)
-    clearAllQueues() {
+    async clearAllQueues() {
         for (const timeoutId of this.processingTimeouts.values()) {
             clearTimeout(timeoutId);
         }
         this.queues.clear();
         this.processingTimeouts.clear();
+        this.processTimes.clear();
+        await this.db.clearLotteryRequests();
         console.log('🧹 Todas las colas han sido limpiadas');
     }
 
-    // Check if we're after Friday 5:15PM (end of lottery) and allowed to book next week
+    // Check if the lottery of next week already ran and it can be booked directly
     isNextWeekBookingAllowed() {
-        const now = moment().tz('America/Montevideo');
-        
-        // Next week booking is only allowed after Friday 17:15
-        if (now.day() === 5) {
-            // Today is Friday - only allow after 17:15
-            return now.hour() > 17 || (now.hour() === 17 && now.minute() >= 15);
-        } else if (now.day() === 6 || now.day() === 0) {
-            // Saturday or Sunday - allowed (after Friday reset)
-            return true;
-        } else {
-            // Monday to Thursday - NOT allowed for next week
-            return false;
-        }
+        const nextWeek = bookingPolicy.now().startOf('isoWeek').add(1, 'week');
+        return bookingPolicy.weekPhase(nextWeek) === 'open';
     }
-
+    
     // Handle reservation - main entry point called by webhook bot
-    async handleReservation(userId, user, targetDate) {
-        const now = moment().tz('America/Montevideo');
+    async handleReservation(userId, user, targetDate, slot = DEFAULT_SLOT, required = [], requestedSpot = null) {
+        const now = moment().tz(bookingPolicy.timezone());
         
         // Check if trying to reserve for a past date
         if (targetDate.isBefore(now, 'day')) {
@@ -292,126 +621,85 @@ class QueueManager {
             };
         }
         
-        // Check if this is a next-week reservation
+        // Feriados y cierres de oficina: ni reserva ni sorteo
+        const holiday = await this.db.getHoliday(targetDate.format('YYYY-MM-DD'));
+        if (holiday) {
+            return { success: false, message: HolidayManager.closedMessage(targetDate, holiday) };
+        }
+        
+        // Weeks that haven't opened yet (see bookingPolicy): during the lottery window, or ahead
+        // of time with a horizon of several weeks, the request waits for that week's draw
         if (this.isNextWeekReservation(targetDate)) {
-            // Check if we're in the lottery period (Friday 17:00-17:15)
-            if (this.isInQueuePeriod()) {
-                // Add to lottery queue
-                return await this.addToQueue(userId, user, targetDate, userId); // Use userId as chatId fallback
-            } 
-            // Check if we're after Friday 17:15 (normal booking period)
-            else if (this.isNextWeekBookingAllowed()) {
-                // Regular booking for next week after lottery period
-                if (!this.parkingManager) {
-                    const ParkingManager = require('./parkingManager');
-                    this.parkingManager = new ParkingManager(this.db);
-                }
-                
-                const result = await this.parkingManager.reserveSpot(userId, user, targetDate);
-                
-                if (result.success) {
-                    return {
-                        success: true,
-                        spotNumber: result.spotNumber
-                    };
-                } else if (result.waitlist) {
-                    return {
-                        success: false,
-                        waitlist: true
-                    };
-                } else {
-                    return {
-                        success: false,
-                        message: result.message
-                    };
-                }
-            } else {
-                // Before Friday 5PM - no next week bookings allowed
-                return {
-                    success: false,
-                    message: `Las reservas para la próxima semana estarán disponibles después del viernes 17:00.`
-                };
+            if (bookingPolicy.weekPhase(targetDate) === 'lottery' || bookingPolicy.acceptsEarlyRequests(targetDate)) {
+                return await this.addToQueue(userId, user, targetDate, userId, slot, required, requestedSpot); // Use userId as chatId fallback
             }
+            return {
+                success: false,
+                message: bookingPolicy.closedWeekMessage(targetDate)
+            };
+        }
+        
+        // Regular immediate reservation using ParkingManager
+        if (!this.parkingManager) {
+            // Fallback: create ParkingManager if not provided (should not happen in production)
+            const ParkingManager = require('./parkingManager');
+            this.parkingManager = new ParkingManager(this.db);
+        }
+        
+        const result = await this.parkingManager.reserveSpot(userId, user, targetDate, slot, required, requestedSpot);
+        
+        if (result.success) {
+            return {
+                success: true,
+                spotNumber: result.spotNumber
+            };
+        } else if (result.waitlist) {
+            return {
+                success: false,
+                waitlist: true
+            };
         } else {
-            // Regular immediate reservation for current week using ParkingManager
-            if (!this.parkingManager) {
-                // Fallback: create ParkingManager if not provided (should not happen in production)
-                const ParkingManager = require('./parkingManager');
-                this.parkingManager = new ParkingManager(this.db);
-            }
-            
-            const result = await this.parkingManager.reserveSpot(userId, user, targetDate);
-            
-            if (result.success) {
-                return {
-                    success: true,
-                    spotNumber: result.spotNumber
-                };
-            } else if (result.waitlist) {
-                return {
-                    success: false,
-                    waitlist: true
-                };
-            } else {
-                return {
-                    success: false,
-                    message: result.message
-                };
-            }
+            return {
+                success: false,
+                message: result.message
+            };
+        }
+    }
+
+    // Reservas para visitantes: mismas reglas de semana que las propias, pero no participan del
+    // sorteo; durante la ventana del sorteo hay que esperar a que termine
+    async handleGuestReservation(hostId, host, targetDate, guest) {
+        if (this.isNextWeekReservation(targetDate)) {
+            return {
+                success: false,
+                message: bookingPolicy.weekPhase(targetDate) === 'lottery'
+                    ? `El sorteo de la próxima semana está en curso. Podrás reservar para tu visitante después del ${bookingPolicy.describeLotteryEnd()}.`
+                    : bookingPolicy.closedWeekMessage(targetDate)
+            };
         }
+
+        if (!this.parkingManager) {
+            const ParkingManager = require('./parkingManager');
+            this.parkingManager = new ParkingManager(this.db);
+        }
+
+        return await this.parkingManager.reserveGuestSpot(hostId, host, targetDate, guest);
     }
 
-    // Notify waitlist when a spot is released
+    // Offer a released spot to the waitlist (accept/decline with expiry, see WaitlistOfferManager)
     async notifyWaitlist(date, spotNumber) {
-        const dateStr = date.format('YYYY-MM-DD');
-        const nextInLine = await this.db.getNextInWaitlist(dateStr);
-        
-        if (nextInLine) {
-            console.log(`📢 Notificando a ${nextInLine.first_name || nextInLine.username} sobre espacio liberado`);
-            
-            try {
-                // Check if user already has a reservation for this date
-                const existingReservation = await this.db.getReservation(nextInLine.user_id, dateStr);
-                if (existingReservation) {
-                    console.log(`User ${nextInLine.user_id} already has a reservation for ${dateStr}, removing from waitlist`);
-                    await this.db.removeFromWaitlist(nextInLine.user_id, dateStr);
-                    // Try next person in waitlist recursively
-                    return await this.notifyWaitlist(date, spotNumber);
-                }
-                
-                // Check if the spot is actually available (important for fixed spots)
-                const reservationsForDate = await this.db.getReservationsByDate(dateStr);
-                const spotAlreadyReserved = reservationsForDate.some(r => r.spot_number === spotNumber);
-                
-                if (spotAlreadyReserved) {
-                    console.log(`⚠️ Spot ${spotNumber} is already reserved for ${dateStr}, cannot assign from waitlist`);
-                    return false;
-                }
-                
-                // Assign the spot to the next person in waitlist
-                await this.db.createReservation(nextInLine.user_id, nextInLine, dateStr, spotNumber);
-                await this.db.removeFromWaitlist(nextInLine.user_id, dateStr);
-                
-                // Notify the user
-                try {
-                    await this.bot.sendMessage(nextInLine.user_id, 
-                        `🎉 ¡Buenas noticias! Se liberó un espacio y te hemos asignado el estacionamiento ${spotNumber} para ${date.format('dddd DD/MM')}`);
-                    
-                    console.log(`✅ Notificación enviada a ${nextInLine.first_name || nextInLine.username}`);
-                    return true;
-                } catch (error) {
-                    console.error('❌ Error enviando notificación de lista de espera:', error);
-                    // If notification fails, we should still keep the reservation assigned
-                    return true; // Reservation was successful, just notification failed
-                }
-            } catch (error) {
-                console.error('❌ Error asignando espacio de lista de espera:', error);
-                // Could be because spot is already taken or user already has reservation
-                return false;
-            }
+        if (!this.waitlistOffers) {
+            // Fallback: create WaitlistOfferManager if not provided (should not happen in production)
+            const WaitlistOfferManager = require('./waitlistOfferManager');
+            this.waitlistOffers = new WaitlistOfferManager(this.db, this.bot);
+        }
+
+        try {
+            return await this.waitlistOffers.offerSpot(date, spotNumber);
+        } catch (error) {
+            console.error('❌ Error ofreciendo espacio a lista de espera:', error);
+            return false;
         }
-        
-        return false; // No one in waitlist
     }
 }
 
@@ -0,0 +1,86 @@
+// Atributos de los espacios (los configura el supervisor con /spotattr) y perfil del vehículo
+// de cada persona (/vehicle). Usan las mismas claves: un perfil "ev" es un auto eléctrico,
+// un espacio "ev" tiene cargador.
+const ATTRIBUTES = {
+    ev: '🔌 cargador eléctrico',
+    accessible: '♿ accesible',
+    motorcycle: '🏍️ moto',
+    compact: '🚙 compacto'
+};
+
+const ALIASES = {
+    ev: 'ev',
+    cargador: 'ev',
+    electrico: 'ev',
+    accessible: 'accessible',
+    accesible: 'accessible',
+    motorcycle: 'motorcycle',
+    moto: 'motorcycle',
+    compact: 'compact',
+    compacto: 'compact'
+};
+
+// Espacios que conviene dejar para quien los necesita: el resto los recibe solo si no queda otro.
+// Un espacio accesible pesa más que uno con cargador.
+const RESERVED_WEIGHT = { accessible: 2, ev: 1 };
+
+// "ev, Accesible" -> { attributes: ['ev', 'accessible'], unknown: [] }
+function parseAttributes(text) {
+    const attributes = [];
+    const unknown = [];
+
+    for (const token of text.split(/[\s,]+/).filter(Boolean)) {
+        const key = ALIASES[token.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')];
+        if (!key) {
+            unknown.push(token);
+        } else if (!attributes.includes(key)) {
+            attributes.push(key);
+        }
+    }
+
+    return { attributes, unknown };
+}
+
+// Un espacio de moto solo sirve para motos; uno compacto, para autos compactos o motos
+function canUseSpot(spotAttributes, profile) {
+    if (spotAttributes.includes('motorcycle')) {
+        return profile.includes('motorcycle');
+    }
+    if (spotAttributes.includes('compact')) {
+        return profile.includes('compact') || profile.includes('motorcycle');
+    }
+    return true;
+}
+
+// Ordena los espacios libres para una persona: descarta los que no puede usar o a los que les
+// falta algo pedido ("con cargador"), deja al final los accesibles o con cargador que no
+// necesita, y entre los demás van primero sus espacios preferidos (en su orden) y después los
+// que coinciden con su vehículo. Ante empate se mantiene el orden recibido.
+function rankSpots(spotNumbers, attributesBySpot, profile = [], required = [], preferred = []) {
+    const needs = [...new Set([...profile, ...required])];
+    const preference = (number) => {
+        const rank = preferred.indexOf(String(number));
+        return rank === -1 ? preferred.length : rank;
+    };
+
+    return spotNumbers
+        .map((number, index) => {
+            const attributes = attributesBySpot.get(String(number)) || [];
+            const wasted = attributes
+                .filter(attribute => !needs.includes(attribute))
+                .reduce((sum, attribute) => sum + (RESERVED_WEIGHT[attribute] || 0), 0);
+            const matches = attributes.filter(attribute => needs.includes(attribute)).length;
+            return { number, index, attributes, wasted, matches, preference: preference(number) };
+        })
+        .filter(spot => canUseSpot(spot.attributes, profile) &&
+            required.every(attribute => spot.attributes.includes(attribute)))
+        .sort((a, b) => a.wasted - b.wasted || a.preference - b.preference ||
+            b.matches - a.matches || a.index - b.index)
+        .map(spot => spot.number);
+}
+
+function formatAttributes(attributes) {
+    return attributes.map(attribute => ATTRIBUTES[attribute] || attribute).join(', ');
+}
+
+module.exports = { ATTRIBUTES, parseAttributes, canUseSpot, rankSpots, formatAttributes };
@@ -0,0 +1,287 @@
+const moment = require('moment-timezone');
+const bookingPolicy = require('./bookingPolicy');
+const { slotSuffix } = require('./timeSlots');
+
+function displayName(user) {
+    return user.first_name || (user.username ? `@${user.username}` : 'Alguien');
+}
+
+function formatDay(dateStr) {
+    return moment.tz(dateStr, bookingPolicy.timezone()).format('dddd DD/MM');
+}
+
+// Traspasos e intercambios de reservas entre colegas. Quien propone no pierde nada hasta que la
+// otra persona confirma con los botones; al aceptar, las reservas cambian de dueño en un solo
+// UPDATE (ver transferReservation / swapReservations), sin pasar por la lista de espera.
+class SpotExchangeManager {
+    constructor(database, bot, parkingManager) {
+        this.db = database;
+        this.bot = bot;
+        this.parkingManager = parkingManager;
+    }
+
+    // Busca a la otra persona y valida lo común a traspasos e intercambios
+    async findCounterpart(fromUser, username) {
+        if (fromUser.username && fromUser.username.toLowerCase() === username.toLowerCase()) {
+            return { message: 'No puedes hacer esto contigo mismo.' };
+        }
+
+        const counterpart = await this.db.findUserByUsername(username);
+        if (!counterpart) {
+            return { message: `No encontré a @${username}. Tiene que haber usado el bot antes (por ejemplo, anotándose en la lista de espera).` };
+        }
+        if (counterpart.user_id === String(fromUser.id)) {
+            return { message: 'No puedes hacer esto contigo mismo.' };
+        }
+
+        return { counterpart };
+    }
+
+    // "le paso mi lugar del martes a @juan"
+    async proposeTransfer(fromUser, date, username) {
+        const dateStr = date.format('YYYY-MM-DD');
+        if (date.isBefore(moment().tz(bookingPolicy.timezone()), 'day')) {
+            return { success: false, message: `El ${date.format('dddd DD/MM')} ya pasó.` };
+        }
+
+        const reservation = await this.db.getReservation(fromUser.id, dateStr);
+        if (!reservation) {
+            return { success: false, message: `No tienes reserva para ${date.format('dddd DD/MM')}.` };
+        }
+
+        const { counterpart, message } = await this.findCounterpart(fromUser, username);
+        if (!counterpart) {
+            return { success: false, message };
+        }
+        if (await this.db.getReservation(counterpart.user_id, dateStr)) {
+            return { success: false, message: `@${username} ya tiene estacionamiento para ${date.format('dddd DD/MM')}.` };
+        }
+
+        const exchangeId = await this.db.createSpotExchange({
+            kind: 'transfer',
+            fromUser,
+            fromDate: dateStr,
+            toUser: counterpart
+        });
+        await this.ask(
+            exchangeId,
+            counterpart.user_id,
+            `🔄 ${displayName(fromUser)} te pasa su estacionamiento ${reservation.spot_number} para ${date.format('dddd DD/MM')}${slotSuffix(reservation.slot)}. ¿Lo quieres?`
+        );
+
+        return {
+            success: true,
+            message: `📨 Le pregunté a @${username} si quiere tu lugar del ${date.format('dddd DD/MM')}. Hasta que acepte la reserva sigue siendo tuya.`
+        };
+    }
+
+    // "cambio mi martes con @ana por su jueves"
+    async proposeSwap(fromUser, fromDate, username, toDate) {
+        const fromDateStr = fromDate.format('YYYY-MM-DD');
+        const toDateStr = toDate.format('YYYY-MM-DD');
+        const today = moment().tz(bookingPolicy.timezone());
+
+        if (fromDateStr === toDateStr) {
+            return { success: false, message: 'Para intercambiar elige días distintos.' };
+        }
+        if (fromDate.isBefore(today, 'day') || toDate.isBefore(today, 'day')) {
+            return { success: false, message: 'Solo se pueden intercambiar días que todavía no pasaron.' };
+        }
+
+        const mine = await this.db.getReservation(fromUser.id, fromDateStr);
+        if (!mine) {
+            return { success: false, message: `No tienes reserva para ${fromDate.format('dddd DD/MM')}.` };
+        }
+
+        const { counterpart, message } = await this.findCounterpart(fromUser, username);
+        if (!counterpart) {
+            return { success: false, message };
+        }
+
+        const theirs = await this.db.getReservation(counterpart.user_id, toDateStr);
+        if (!theirs) {
+            return { success: false, message: `@${username} no tiene reserva para ${toDate.format('dddd DD/MM')}.` };
+        }
+        if (await this.db.getReservation(fromUser.id, toDateStr)) {
+            return { success: false, message: `Ya tienes estacionamiento para ${toDate.format('dddd DD/MM')}.` };
+        }
+        if (await this.db.getReservation(counterpart.user_id, fromDateStr)) {
+            return { success: false, message: `@${username} ya tiene estacionamiento para ${fromDate.format('dddd DD/MM')}.` };
+        }
+
+        const exchangeId = await this.db.createSpotExchange({
+            kind: 'swap',
+            fromUser,
+            fromDate: fromDateStr,
+            toUser: counterpart,
+            toDate: toDateStr
+        });
+        await this.ask(
+            exchangeId,
+            counterpart.user_id,
+            `🔄 ${displayName(fromUser)} te propone un cambio: te da su estacionamiento ${mine.spot_number} del ` +
+            `${fromDate.format('dddd DD/MM')}${slotSuffix(mine.slot)} a cambio de tu ${theirs.spot_number} del ` +
+            `${toDate.format('dddd DD/MM')}${slotSuffix(theirs.slot)}. ¿Aceptas?`
+        );
+
+        return {
+            success: true,
+            message: `📨 Le propuse el cambio a @${username}. Hasta que acepte, tus reservas no cambian.`
+        };
+    }
+
+    async ask(exchangeId, userId, text) {
+        try {
+            const sent = await this.bot.sendMessage(userId, text, {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '✅ Acepto', callback_data: `exchange_accept_${exchangeId}` },
+                        { text: '🙅 No, gracias', callback_data: `exchange_decline_${exchangeId}` }
+                    ]]
+                }
+            });
+            if (sent && sent.message_id) {
+                await this.db.setSpotExchangeMessage(exchangeId, sent.message_id);
+            }
+        } catch (error) {
+            console.error('❌ Error enviando propuesta de traspaso:', error);
+        }
+    }
+
+    async accept(exchangeId, userId) {
+        const exchange = await this.db.getSpotExchange(exchangeId);
+        if (!exchange || exchange.to_user_id !== String(userId)) {
+            return { success: false, message: 'Esta propuesta no es para ti.' };
+        }
+        if (exchange.status !== 'pending') {
+            return { success: false, message: 'Esta propuesta ya no está disponible.' };
+        }
+
+        const result = exchange.kind === 'swap'
+            ? await this.validateSwap(exchange)
+            : await this.validateTransfer(exchange);
+        if (result.message) {
+            await this.db.resolveSpotExchange(exchangeId, 'failed');
+            return { success: false, message: result.message };
+        }
+
+        // Un doble click no debe aplicar el cambio dos veces
+        if (!(await this.db.resolveSpotExchange(exchangeId, 'accepted'))) {
+            return { success: false, message: 'Esta propuesta ya no está disponible.' };
+        }
+
+        try {
+            const changed = exchange.kind === 'swap'
+                ? await this.db.swapReservations(result.mine, result.theirs)
+                : await this.db.transferReservation(exchange.from_user_id, exchange.from_date, result.counterpart);
+            if (!changed) throw new Error('reservation changed');
+        } catch (error) {
+            console.error(`❌ Error aplicando el traspaso ${exchangeId}:`, error);
+            await this.db.resolveSpotExchange(exchangeId, 'failed', 'accepted');
+            return { success: false, message: 'Las reservas cambiaron mientras tanto, así que no se hizo el cambio.' };
+        }
+
+        // Quien recibe un día deja de esperar por ese día
+        await this.db.removeFromWaitlist(exchange.to_user_id, exchange.from_date);
+        if (exchange.kind === 'swap') {
+            await this.db.removeFromWaitlist(exchange.from_user_id, exchange.to_date);
+        }
+
+        const counterpartName = exchange.to_username ? `@${exchange.to_username}` : exchange.to_first_name;
+        const notice = exchange.kind === 'swap'
+            ? `✅ ${counterpartName} aceptó el cambio: ahora tienes el estacionamiento ${result.theirs.spot_number} para ` +
+              `${formatDay(exchange.to_date)} y ${counterpartName} tiene tu ${result.mine.spot_number} del ${formatDay(exchange.from_date)}.`
+            : `✅ ${counterpartName} aceptó tu estacionamiento ${result.mine.spot_number} del ${formatDay(exchange.from_date)}.`;
+        await this.notifyProposer(exchange, notice);
+
+        return {
+            success: true,
+            message: exchange.kind === 'swap'
+                ? `✅ ¡Listo! Ahora tienes el estacionamiento ${result.mine.spot_number} para ${formatDay(exchange.from_date)}.`
+                : `✅ ¡Listo! Tienes el estacionamiento ${result.mine.spot_number} para ${formatDay(exchange.from_date)}.`
+        };
+    }
+
+    async validateTransfer(exchange) {
+        const mine = await this.db.getReservation(exchange.from_user_id, exchange.from_date);
+        if (!mine) {
+            return { message: 'Esa reserva ya no existe.' };
+        }
+        if (await this.db.getReservation(exchange.to_user_id, exchange.from_date)) {
+            return { message: `Ya tienes estacionamiento para ${formatDay(exchange.from_date)}.` };
+        }
+
+        const counterpart = await this.findRecipient(exchange);
+        const quotaMessage = await this.parkingManager.checkQuota(
+            exchange.to_user_id,
+            counterpart,
+            moment.tz(exchange.from_date, bookingPolicy.timezone())
+        );
+        if (quotaMessage) {
+            return { message: quotaMessage };
+        }
+
+        return { mine, counterpart };
+    }
+
+    async validateSwap(exchange) {
+        const mine = await this.db.getReservation(exchange.from_user_id, exchange.from_date);
+        const theirs = await this.db.getReservation(exchange.to_user_id, exchange.to_date);
+        if (!mine || !theirs) {
+            return { message: 'Alguna de las dos reservas ya no existe.' };
+        }
+
+        // Si los días son de semanas distintas, cada uno suma un día en la semana del otro
+        const fromDate = moment.tz(exchange.from_date, bookingPolicy.timezone());
+        const toDate = moment.tz(exchange.to_date, bookingPolicy.timezone());
+        if (!fromDate.isSame(toDate, 'isoWeek')) {
+            const quotaMessage =
+                (await this.parkingManager.checkQuota(exchange.to_user_id, theirs, fromDate)) ||
+                (await this.parkingManager.checkQuota(exchange.from_user_id, mine, toDate));
+            if (quotaMessage) {
+                return { message: quotaMessage };
+            }
+        }
+
+        return { mine, theirs };
+    }
+
+    // Datos de quien recibe el lugar, tal como figuran en la propuesta
+    async findRecipient(exchange) {
+        return (await this.db.findUserByUsername(exchange.to_username || '')) || {
+            user_id: exchange.to_user_id,
+            username: exchange.to_username,
+            first_name: exchange.to_first_name
+        };
+    }
+
+    async decline(exchangeId, userId) {
+        const exchange = await this.db.getSpotExchange(exchangeId);
+        if (!exchange || exchange.to_user_id !== String(userId)) {
+            return { success: false, message: 'Esta propuesta no es para ti.' };
+        }
+        if (!(await this.db.resolveSpotExchange(exchangeId, 'declined'))) {
+            return { success: false, message: 'Esta propuesta ya no está disponible.' };
+        }
+
+        const counterpartName = exchange.to_username ? `@${exchange.to_username}` : exchange.to_first_name;
+        await this.notifyProposer(
+            exchange,
+            exchange.kind === 'swap'
+                ? `🙅 ${counterpartName} no aceptó el cambio; tus reservas siguen igual.`
+                : `🙅 ${counterpartName} no aceptó tu lugar del ${formatDay(exchange.from_date)}; la reserva sigue siendo tuya.`
+        );
+
+        return { success: true, message: '👍 Entendido, no se cambió nada.' };
+    }
+
+    async notifyProposer(exchange, text) {
+        try {
+            await this.bot.sendMessage(exchange.from_user_id, text);
+        } catch (error) {
+            console.error('❌ Error avisando respuesta de traspaso:', error);
+        }
+    }
+}
+
+module.exports = SpotExchangeManager;
@@ -0,0 +1,21 @@
+// Turnos de reserva: el día completo o medio día. Dos reservas de medio día
+// (mañana y tarde) pueden compartir el mismo espacio la misma fecha.
+const SLOTS = {
+    full: 'todo el día',
+    morning: 'mañana',
+    afternoon: 'tarde'
+};
+
+const DEFAULT_SLOT = 'full';
+
+// Dos turnos chocan si alguno es el día completo o si son el mismo medio día
+function slotsOverlap(a, b) {
+    return a === 'full' || b === 'full' || a === b;
+}
+
+// " (mañana)" para mostrar junto a la fecha; vacío para el día completo
+function slotSuffix(slot) {
+    return slot && slot !== 'full' ? ` (${SLOTS[slot]})` : '';
+}
+
+module.exports = { SLOTS, DEFAULT_SLOT, slotsOverlap, slotSuffix };
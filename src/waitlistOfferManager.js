@@ -0,0 +1,292 @@
+const moment = require('moment-timezone');
+const bookingPolicy = require('./bookingPolicy');
+const { canUseSpot } = require('./spotAttributes');
+const { SLOTS, slotsOverlap, slotSuffix } = require('./timeSlots');
+
+const DEFAULT_OFFER_TIMEOUT_MINUTES = 30;
+const OFFER_TIMEOUT_SETTING = 'waitlist_offer_timeout_minutes';
+
+// Ofrece los espacios liberados a la lista de espera en orden, con botones para aceptar o rechazar.
+// Mientras la oferta está pendiente el espacio queda retenido (getAvailableSpot no lo entrega);
+// si la persona lo rechaza o no contesta a tiempo, se ofrece al siguiente.
+class WaitlistOfferManager {
+    constructor(database, bot) {
+        this.db = database;
+        this.bot = bot;
+        this.expiryTimeouts = new Map(); // offerId -> timeout reference
+    }
+
+    // The booking rules (holidays, quotas) live in ParkingManager, which requires this module
+    getParkingManager() {
+        if (!this.parkingManager) {
+            const ParkingManager = require('./parkingManager');
+            this.parkingManager = new ParkingManager(this.db, this);
+        }
+        return this.parkingManager;
+    }
+
+    async getOfferTimeoutMinutes() {
+        const value = await this.db.getSetting(OFFER_TIMEOUT_SETTING);
+        if (value !== null) return Number(value);
+        return Number(process.env.WAITLIST_OFFER_TIMEOUT_MINUTES) || DEFAULT_OFFER_TIMEOUT_MINUTES;
+    }
+
+    async setOfferTimeoutMinutes(minutes) {
+        await this.db.setSetting(OFFER_TIMEOUT_SETTING, minutes);
+    }
+
+    // First person in the waitlist who can use the spot: a motorcycle or compact spot skips
+    // the cars that do not fit (they keep their place for the next spot)
+    async getNextEligible(dateStr, spotNumber) {
+        const spotAttributes = await this.db.getSpotAttributes(spotNumber);
+
+        for (const entry of await this.db.getWaitlistForDate(dateStr)) {
+            if (await this.db.getReservation(entry.user_id, dateStr)) {
+                console.log(`User ${entry.user_id} already has a reservation for ${dateStr}, removing from waitlist`);
+                await this.db.removeFromWaitlist(entry.user_id, dateStr);
+                continue;
+            }
+            if (canUseSpot(spotAttributes, await this.db.getVehicleProfile(entry.user_id))) {
+                return entry;
+            }
+        }
+
+        return null;
+    }
+
+    // Free slot of the spot that day: 'full' if nobody has it, the other half if someone
+    // has half a day, or null if it is taken. `held` are the slots already on offer
+    async getFreeSlot(dateStr, spotNumber, held = []) {
+        const taken = (await this.db.getReservationsByDate(dateStr))
+            .filter(r => String(r.spot_number) === String(spotNumber))
+            .map(r => r.slot)
+            .concat(held);
+        return Object.keys(SLOTS).find(slot => !taken.some(other => slotsOverlap(slot, other))) || null;
+    }
+
+    // Offer a freed spot (or the freed half of it) to the head of the waitlist. Returns true if an offer was sent.
+    async offerSpot(date, spotNumber) {
+        const dateStr = date.format('YYYY-MM-DD');
+
+        // The spot may have been taken or already be on offer to someone else; a pending offer
+        // for one half leaves the other half free to offer
+        const pending = await this.db.getPendingOffersForSpot(dateStr, spotNumber);
+        const slot = await this.getFreeSlot(dateStr, spotNumber, pending.map(offer => offer.slot));
+        if (!slot) {
+            console.log(`⚠️ Spot ${spotNumber} is already reserved or on offer for ${dateStr}, no offer sent`);
+            return false;
+        }
+        if ((await this.db.getBlackedOutSpots(dateStr)).some(row => row.spot_number === String(spotNumber))) {
+            console.log(`⚠️ Spot ${spotNumber} is blacked out for ${dateStr}, no offer sent`);
+            return false;
+        }
+
+        if (await this.db.getHoliday(dateStr)) {
+            console.log(`⚠️ The office is closed on ${dateStr}, no offer sent`);
+            return false;
+        }
+
+        const nextInLine = await this.getNextEligible(dateStr, spotNumber);
+        if (!nextInLine) return false;
+
+        const timeoutMinutes = await this.getOfferTimeoutMinutes();
+        const now = moment().tz(bookingPolicy.timezone());
+        let expiresAt = now.clone().add(timeoutMinutes, 'minutes');
+
+        // No tiene sentido retener el espacio más allá del día en cuestión
+        const endOfDay = moment.tz(dateStr, bookingPolicy.timezone()).endOf('day');
+        if (expiresAt.isAfter(endOfDay)) expiresAt = endOfDay;
+
+        // The person leaves the waitlist while the offer is open; the offer keeps their data
+        await this.db.removeFromWaitlist(nextInLine.user_id, dateStr);
+        const offerId = await this.db.createWaitlistOffer(nextInLine, dateStr, spotNumber, expiresAt.toISOString(), slot);
+
+        console.log(`📢 Ofreciendo espacio ${spotNumber} a ${nextInLine.first_name || nextInLine.username} para ${dateStr}${slotSuffix(slot)}`);
+
+        try {
+            const sent = await this.bot.sendMessage(
+                nextInLine.user_id,
+                `🎉 ¡Se liberó un espacio! El estacionamiento ${spotNumber} está disponible para ${date.format('dddd DD/MM')}${slotSuffix(slot)}.\n\n` +
+                `¿Lo necesitas? Te lo guardo hasta las ${expiresAt.format('HH:mm')}; si no respondes pasa al siguiente de la lista.`,
+                {
+                    reply_markup: {
+                        inline_keyboard: [[
+                            { text: '✅ Lo tomo', callback_data: `offer_accept_${offerId}` },
+                            { text: '🙅 No lo necesito', callback_data: `offer_decline_${offerId}` }
+                        ]]
+                    }
+                }
+            );
+            if (sent && sent.message_id) {
+                await this.db.setWaitlistOfferMessage(offerId, sent.message_id);
+            }
+        } catch (error) {
+            // Sin forma de avisarle, la oferta vence sola y pasa al siguiente
+            console.error('❌ Error enviando oferta de lista de espera:', error);
+        }
+
+        this.scheduleExpiry(offerId, expiresAt);
+        return true;
+    }
+
+    scheduleExpiry(offerId, expiresAt) {
+        const timeoutMs = Math.max(0, moment(expiresAt).diff(moment()));
+        const timeoutId = setTimeout(() => {
+            this.expireOffer(offerId).catch(error => {
+                console.error('❌ Error expirando oferta de lista de espera:', error);
+            });
+        }, timeoutMs);
+        this.expiryTimeouts.set(offerId, timeoutId);
+    }
+
+    clearExpiry(offerId) {
+        const timeoutId = this.expiryTimeouts.get(offerId);
+        if (timeoutId) {
+            clearTimeout(timeoutId);
+            this.expiryTimeouts.delete(offerId);
+        }
+    }
+
+    async acceptOffer(offerId, userId) {
+        const offer = await this.db.getWaitlistOffer(offerId);
+        if (!offer || offer.user_id !== String(userId)) {
+            return { success: false, message: 'Esta oferta no es para ti.' };
+        }
+
+        const claimed = await this.db.resolveWaitlistOffer(offerId, 'accepted');
+        if (!claimed) {
+            return { success: false, message: 'Esta oferta ya no está disponible.' };
+        }
+        this.clearExpiry(offerId);
+
+        const date = moment.tz(offer.date, bookingPolicy.timezone());
+        const existing = await this.db.getReservation(offer.user_id, offer.date);
+        if (existing) {
+            // Already parked that day: the held spot goes to the next person
+            await this.offerSpot(date, offer.spot_number);
+            return {
+                success: false,
+                message: `Ya tienes el estacionamiento ${existing.spot_number} para ${date.format('dddd DD/MM')}.`
+            };
+        }
+
+        // The offer may have waited a while: the same checks as a normal booking, and if the
+        // person no longer qualifies the spot goes to the next one
+        const reason = await this.checkBooking(offer, date);
+        if (reason) {
+            await this.offerSpot(date, offer.spot_number);
+            return { success: false, message: reason };
+        }
+
+        await this.db.createReservation(offer.user_id, offer, offer.date, offer.spot_number, offer.slot);
+        console.log(`✅ ${offer.first_name || offer.username} aceptó el espacio ${offer.spot_number} para ${offer.date}${slotSuffix(offer.slot)}`);
+
+        return { success: true, spotNumber: offer.spot_number, slot: offer.slot, date };
+    }
+
+    // Motivo por el que la oferta ya no se puede tomar (feriado, bloqueo, cupo, espacio ocupado); null si se puede
+    async checkBooking(offer, date) {
+        const parkingManager = this.getParkingManager();
+
+        const holidayMessage = await parkingManager.checkHoliday(date);
+        if (holidayMessage) return holidayMessage;
+
+        if ((await this.db.getBlackedOutSpots(offer.date)).some(row => row.spot_number === String(offer.spot_number))) {
+            return `El estacionamiento ${offer.spot_number} quedó bloqueado para ${date.format('dddd DD/MM')}.`;
+        }
+
+        const quotaMessage = await parkingManager.checkQuota(offer.user_id, offer, date);
+        if (quotaMessage) return quotaMessage;
+
+        const taken = (await this.db.getReservationsByDate(offer.date))
+            .some(r => String(r.spot_number) === String(offer.spot_number) && slotsOverlap(r.slot, offer.slot));
+        return taken ? 'Esta oferta ya no está disponible.' : null;
+    }
+
+    async declineOffer(offerId, userId) {
+        const offer = await this.db.getWaitlistOffer(offerId);
+        if (!offer || offer.user_id !== String(userId)) {
+            return { success: false, message: 'Esta oferta no es para ti.' };
+        }
+
+        const declined = await this.db.resolveWaitlistOffer(offerId, 'declined');
+        if (!declined) {
+            return { success: false, message: 'Esta oferta ya no está disponible.' };
+        }
+        this.clearExpiry(offerId);
+
+        const date = moment.tz(offer.date, bookingPolicy.timezone());
+        await this.offerSpot(date, offer.spot_number);
+
+        return { success: true, spotNumber: offer.spot_number, date };
+    }
+
+    async expireOffer(offerId) {
+        this.expiryTimeouts.delete(offerId);
+
+        const expired = await this.db.resolveWaitlistOffer(offerId, 'expired');
+        if (!expired) return false; // Ya la habían aceptado o rechazado
+
+        const offer = await this.db.getWaitlistOffer(offerId);
+        const date = moment.tz(offer.date, bookingPolicy.timezone());
+        const text = `⌛ La oferta del estacionamiento ${offer.spot_number} para ${date.format('dddd DD/MM')} expiró y pasó al siguiente de la lista.`;
+
+        try {
+            if (offer.message_id) {
+                await this.bot.editMessageText(text, { chat_id: offer.user_id, message_id: offer.message_id });
+            } else {
+                await this.bot.sendMessage(offer.user_id, text);
+            }
+        } catch (error) {
+            console.error('❌ Error avisando expiración de oferta:', error);
+        }
+
+        await this.offerSpot(date, offer.spot_number);
+        return true;
+    }
+
+    // El espacio dejó de estar disponible (el dueño del fijo lo recuperó, o se bloqueó): la persona
+    // vuelve a quedar primera en la lista de espera de ese día
+    async withdrawOffer(offerId, reason = null) {
+        const withdrawn = await this.db.resolveWaitlistOffer(offerId, 'withdrawn');
+        if (!withdrawn) return false;
+        this.clearExpiry(offerId);
+
+        const offer = await this.db.getWaitlistOffer(offerId);
+        await this.db.returnToWaitlistHead(offer, offer.date);
+
+        const date = moment.tz(offer.date, bookingPolicy.timezone());
+        const cause = reason || `El dueño recuperó el estacionamiento ${offer.spot_number} para ${date.format('dddd DD/MM')}`;
+        const text = `↩️ ${cause}, así que la oferta quedó sin efecto. Sigues primero en la lista de espera.`;
+
+        try {
+            if (offer.message_id) {
+                await this.bot.editMessageText(text, { chat_id: offer.user_id, message_id: offer.message_id });
+            } else {
+                await this.bot.sendMessage(offer.user_id, text);
+            }
+        } catch (error) {
+            console.error('❌ Error avisando retiro de oferta:', error);
+        }
+
+        return true;
+    }
+
+    // Re-arm the expiry timers of offers left pending before a restart
+    async restoreOffers() {
+        const offers = await this.db.getPendingWaitlistOffers();
+        for (const offer of offers) {
+            this.scheduleExpiry(offer.id, offer.expires_at);
+        }
+        return offers.length;
+    }
+
+    clearAllTimers() {
+        for (const timeoutId of this.expiryTimeouts.values()) {
+            clearTimeout(timeoutId);
+        }
+        this.expiryTimeouts.clear();
+    }
+}
+
+module.exports = WaitlistOfferManager;
@@ -4,10 +4,19 @@ const moment = require("moment-timezone");
 const Database = require("./database");
 const MessageProcessor = require("./messageProcessor");
 const ParkingManager = require("./parkingManager");
+const WaitlistOfferManager = require("./waitlistOfferManager");
+const CheckInManager = require("./checkInManager");
+const AutopilotManager = require("./autopilotManager");
+const SpotExchangeManager = require("./spotExchangeManager");
+const HolidayManager = require("./holidayManager");
+const bookingPolicy = require("./bookingPolicy");
+const JobScheduler = require("./jobScheduler");
+const { slotSuffix } = require("./timeSlots");
+const { parseAttributes, formatAttributes } = require("./spotAttributes");
 const QueueManager = require("./queueManager");
 
 moment.locale("es");
-moment.tz.setDefault("America/Montevideo");
+moment.tz.setDefault(bookingPolicy.timezone());
 
 class WTCParkBotWebhook {
   constructor() {
@@ -17,28 +26,11 @@ class WTCParkBotWebhook {
     // This prevents issues when releasing auto-reserved spots (e.g., "libero el viernes")
     this.supervisorId = parseInt(process.env.SUPERVISOR_USER_ID);
 
-    // Automatic Reservation configuration
-    this.automaticReservationEnabled =
-      process.env.AUTOMATIC_RESERVATION_ENABLED === "true";
-    this.automaticReservationPreferredSpot =
-      process.env.AUTOMATIC_RESERVATION_PREFERRED_SPOT || "1058";
-    this.automaticReservationFullWeek =
-      process.env.AUTOMATIC_RESERVATION_FULL_WEEK !== "false";
-
     if (!this.token) {
       throw new Error("TELEGRAM_BOT_TOKEN no está configurado");
     }
 
     console.log("🚀 Starting WTC Parking Bot (WEBHOOK MODE)...");
-    if (this.automaticReservationEnabled) {
-      console.log("✅ Automatic Reservation feature enabled");
-      console.log(
-        `   - Preferred spot: ${this.automaticReservationPreferredSpot}`,
-      );
-      console.log(
-        `   - Full week reservation: ${this.automaticReservationFullWeek}`,
-      );
-    }
     this.initializeBot();
   }
 
@@ -50,14 +42,79 @@ class WTCParkBotWebhook {
     this.db = new Database();
     await this.db.init();
 
+    // Booking policy (opening day and time, lottery, horizon) saved by /policy
+    try {
+      await bookingPolicy.load(this.db);
+    } catch (error) {
+      console.error("❌ Error loading booking policy:", error);
+    }
+    // Fechas sin zona explícita (moment()) van en la zona de la política
+    moment.tz.setDefault(bookingPolicy.timezone());
+
     this.messageProcessor = new MessageProcessor();
-    this.parkingManager = new ParkingManager(this.db);
+    this.waitlistOffers = new WaitlistOfferManager(this.db, this.bot);
+    this.parkingManager = new ParkingManager(this.db, this.waitlistOffers);
+    this.checkIns = new CheckInManager(this.db, this.bot, this.parkingManager);
+    this.autopilot = new AutopilotManager(
+      this.db,
+      this.bot,
+      this.parkingManager,
+      this.supervisorId,
+    );
+    this.spotExchanges = new SpotExchangeManager(
+      this.db,
+      this.bot,
+      this.parkingManager,
+    );
+    this.holidays = new HolidayManager(this.db, this.bot, this.waitlistOffers);
+    this.scheduler = new JobScheduler(this.db);
+
+    // Let fixed-spot owners know when someone takes their released spot
+    this.db.on("reservationCreated", (reservation) => {
+      this.parkingManager
+        .notifyFixedSpotOwner(reservation, this.bot)
+        .catch((error) =>
+          console.error("❌ Error notifying fixed spot owner:", error),
+        );
+    });
     this.queueManager = new QueueManager(
       this.db,
       this.bot,
       this.parkingManager,
+      this.waitlistOffers,
     );
 
+    // Re-arm expiry timers of waitlist offers still pending before a restart
+    try {
+      await this.waitlistOffers.restoreOffers();
+    } catch (error) {
+      console.error("❌ Error restoring waitlist offers:", error);
+    }
+
+    // Legacy supervisor auto-reservation becomes an autopilot (runs as a scheduled job)
+    try {
+      await this.autopilot.seedFromEnv();
+    } catch (error) {
+      console.error("❌ Error seeding autopilot:", error);
+    }
+
+    // National holidays for this year and the next, loaded once per year
+    try {
+      await this.holidays.seed();
+    } catch (error) {
+      console.error("❌ Error seeding holidays:", error);
+    }
+
+    // Restore lottery requests queued before a restart or redeploy
+    try {
+      const restored = await this.queueManager.restoreQueues();
+      if (restored > 0) {
+        console.log(`♻️ Restored ${restored} lottery requests`);
+      }
+    } catch (error) {
+      console.error("❌ Error restoring lottery queue:", error);
+    }
+
     // Set up Express server for webhooks
     this.app = express();
     this.app.use(express.json());
@@ -126,11 +183,13 @@ class WTCParkBotWebhook {
     // Handle graceful shutdown
     this.setupGracefulShutdown();
 
-    // Setup automatic cleanup scheduler
-    this.setupAutomaticCleanup();
-
-    // Check if auto-reservation needs to be done on startup
-    this.checkAndPerformAutoReservation();
+    // Weekly reset and the other scheduled jobs, catching up runs missed while the bot was down
+    this.setupScheduledJobs();
+    try {
+      await this.scheduler.start();
+    } catch (error) {
+      console.error("❌ Error starting job scheduler:", error);
+    }
   }
 
   // Safe method for sending messages with retry logic
@@ -205,6 +264,30 @@ class WTCParkBotWebhook {
     );
 
     try {
+      // Published lottery results are public, including for the supervisor
+      if (text === "/lottery" || text.startsWith("/lottery@")) {
+        await this.handleLotteryResults(msg);
+        return;
+      }
+
+      // Vehicle profiles are per user, including the supervisor
+      if (/^\/vehicle(@\S+)?(\s|$)/.test(text)) {
+        await this.handleVehicleCommand(
+          msg,
+          text.replace(/^\/vehicle(@\S+)?/, "").trim(),
+        );
+        return;
+      }
+
+      // Anyone can opt into the weekly autopilot, including the supervisor
+      if (/^\/autopilot(@\S+)?(\s|$)/.test(text)) {
+        await this.handleAutopilotCommand(
+          msg,
+          text.replace(/^\/autopilot(@\S+)?/, "").trim(),
+        );
+        return;
+      }
+
       // Handle supervisor commands (use original text for commands)
       if (
         userId === this.supervisorId &&
@@ -259,6 +342,70 @@ class WTCParkBotWebhook {
           await this.handleFixedRemoval(msg, intent);
           break;
 
+        case "FIXED_RELEASE_RULE_ADD":
+          await this.handleFixedReleaseRuleAdd(msg, intent);
+          break;
+
+        case "FIXED_RELEASE_RULE_CANCEL":
+          await this.handleFixedReleaseRuleCancel(msg, intent);
+          break;
+
+        case "FIXED_RELEASE_RULE_LIST":
+          await this.handleFixedReleaseRuleList(msg);
+          break;
+
+        case "RECURRING_ADD":
+          await this.handleRecurringAdd(msg, intent);
+          break;
+
+        case "RECURRING_CANCEL":
+          await this.handleRecurringCancel(msg, intent);
+          break;
+
+        case "RECURRING_LIST":
+          await this.handleRecurringList(msg);
+          break;
+
+        case "SPOT_PREFERENCE_SET":
+          await this.handleSpotPreferenceSet(msg, intent);
+          break;
+
+        case "SPOT_PREFERENCE_CLEAR":
+          await this.handleSpotPreferenceClear(msg);
+          break;
+
+        case "SPOT_PREFERENCE_LIST":
+          await this.handleSpotPreferenceList(msg);
+          break;
+
+        case "WAITLIST_POSITION":
+          await this.handleWaitlistPosition(msg);
+          break;
+
+        case "WAITLIST_LEAVE":
+          await this.handleWaitlistLeave(msg, intent);
+          break;
+
+        case "GUEST_RESERVE":
+          await this.handleGuestReservation(msg, intent);
+          break;
+
+        case "GUEST_RELEASE":
+          await this.handleGuestRelease(msg, intent);
+          break;
+
+        case "TRANSFER":
+          await this.handleTransfer(msg, intent);
+          break;
+
+        case "SWAP":
+          await this.handleSwap(msg, intent);
+          break;
+
+        case "INVALID_DATE":
+          await this.bot.sendMessage(msg.chat.id, `❌ ${intent.message}`);
+          break;
+
         default:
           await this.handleUnknownCommand(msg);
       }
@@ -290,11 +437,12 @@ class WTCParkBotWebhook {
         `📊 Estadísticas:\n` +
           `• Espacios totales: ${stats.totalSpots}\n` +
           `• Reservas activas: ${stats.totalReservations}\n` +
+          `• Reservas de visitantes: ${stats.totalGuestReservations}\n` +
           `• En lista de espera: ${stats.totalWaitlist}`,
       );
     } else if (text === "/version") {
       const packageInfo = require("../../package.json");
-      const now = moment().tz("America/Montevideo");
+      const now = moment().tz(bookingPolicy.timezone());
       const uptime = process.uptime();
       const hours = Math.floor(uptime / 3600);
       const minutes = Math.floor((uptime % 3600) / 60);
@@ -323,21 +471,25 @@ class WTCParkBotWebhook {
       if (!fixedStr) {
         await this.bot.sendMessage(
           chatId,
-          "❌ Formato: /setfixed 222,4122,4424",
+          "❌ Formato: /setfixed 222,8033:@usuario,4424",
         );
         return;
       }
 
-      const spotNumbers = fixedStr
-        .split(",")
-        .map((n) => n.trim())
-        .filter((n) => n.length > 0);
+      const definitions =
+        this.parkingManager.parseFixedSpotDefinitions(fixedStr);
+      const spotNumbers = definitions.map((d) => d.spotNumber);
 
       if (spotNumbers.length > 0) {
         await this.db.setFixedSpotNumbers(spotNumbers);
+        for (const { spotNumber, owner } of definitions) {
+          if (owner) {
+            await this.db.setFixedSpotOwner(spotNumber, owner);
+          }
+        }
         await this.bot.sendMessage(
           chatId,
-          `✅ Espacios fijos configurados:\n${spotNumbers.map((s) => `• ${s}`).join("\n")}`,
+          `✅ Espacios fijos configurados:\n${definitions.map((d) => `• ${this.formatFixedSpotDefinition(d)}`).join("\n")}`,
         );
       } else {
         await this.bot.sendMessage(
@@ -365,12 +517,65 @@ class WTCParkBotWebhook {
       }
 
       await this.handleAssignAvailableSpots(chatId);
+    } else if (text.startsWith("/fairness")) {
+      await this.handleFairnessCommand(chatId, text.replace("/fairness", "").trim());
+    } else if (text.startsWith("/fixedowner")) {
+      await this.handleFixedOwnerCommand(
+        chatId,
+        text.replace("/fixedowner", "").trim(),
+      );
+    } else if (text.startsWith("/checkin")) {
+      await this.handleCheckInCommand(
+        chatId,
+        text.replace("/checkin", "").trim(),
+      );
+    } else if (text === "/noshows") {
+      await this.handleNoShowsCommand(chatId);
+    } else if (text.startsWith("/spotattr")) {
+      await this.handleSpotAttributesCommand(
+        chatId,
+        text.replace("/spotattr", "").trim(),
+      );
+    } else if (text.startsWith("/quota")) {
+      await this.handleQuotaCommand(chatId, text.replace("/quota", "").trim());
+    } else if (text === "/jobs") {
+      await this.bot.sendMessage(chatId, await this.scheduler.describe());
+    } else if (text.startsWith("/policy")) {
+      await this.handlePolicyCommand(chatId, text.replace("/policy", "").trim());
+    } else if (text.startsWith("/feriado")) {
+      await this.handleHolidayCommand(chatId, text.replace("/feriado", "").trim());
+    } else if (text.startsWith("/bloquear")) {
+      await this.handleBlackoutCommand(chatId, text.replace("/bloquear", "").trim());
+    } else if (text.startsWith("/desbloquear")) {
+      await this.handleUnblockCommand(chatId, text.replace("/desbloquear", "").trim());
+    } else if (text.startsWith("/autopilots")) {
+      await this.handleAutopilotAdminCommand(
+        chatId,
+        text.replace("/autopilots", "").trim(),
+      );
+    } else if (text.startsWith("/offertimeout")) {
+      const arg = text.replace("/offertimeout", "").trim();
+      if (arg) {
+        const minutes = parseInt(arg);
+        if (isNaN(minutes) || minutes <= 0) {
+          await this.bot.sendMessage(chatId, "❌ Formato: /offertimeout 30");
+          return;
+        }
+        await this.waitlistOffers.setOfferTimeoutMinutes(minutes);
+      }
+
+      const current = await this.waitlistOffers.getOfferTimeoutMinutes();
+      await this.bot.sendMessage(
+        chatId,
+        `⏳ Los espacios ofrecidos a la lista de espera se guardan ${current} minutos antes de pasar al siguiente.`,
+      );
     } else if (text === "/helpsuper") {
       const helpText = `🔧 *Comandos de Administrador:*
 
 📋 *Configuración:*
 • \`/setparking 1,2,3\` - Configurar espacios flex
-• \`/setfixed 222,4122,4424\` - Configurar espacios fijos
+• \`/setfixed 222,8033:@usuario,4424\` - Configurar espacios fijos (con dueño opcional)
+• \`/fixedowner 8033 @usuario\` - Asignar dueño a un espacio fijo (\`-\` para quitarlo)
 
 📊 *Información:*
 • \`/stats\` - Ver estadísticas del sistema
@@ -380,13 +585,24 @@ class WTCParkBotWebhook {
 • \`/clear\` - Limpiar todas las reservas
 • \`/reassign\` - Reasignar espacios fijos liberados a lista de espera
 • \`/assign\` - Asignar espacios disponibles a personas en lista de espera
+• \`/offertimeout 30\` - Minutos para aceptar un espacio ofrecido de la lista de espera
+• \`/checkin 08:00 10:00\` - Hora del aviso de llegada y corte para liberar (\`on\`/\`off\`)
+• \`/noshows\` - Ausencias sin confirmar por persona
+• \`/spotattr 5 ev,accesible\` - Atributos de un espacio: ev, accesible, moto, compacto (\`-\` para quitarlos; sin argumentos los lista)
+• \`/quota dias=3 semanas=2\` - Límites por persona: días por semana y semanas completas seguidas (\`off\` para quitarlos; \`exempt @usuario\` exceptúa a alguien)
+• \`/policy dia=viernes hora=17:00 sorteo=15 semanas=1\` - Cuándo se abre cada semana, minutos de sorteo y semanas que se pueden pedir (\`zona=America/Montevideo\` cambia la zona horaria; sin argumentos la muestra)
+• \`/jobs\` - Tareas programadas (reset semanal...): próximas corridas y las últimas ejecutadas
+• \`/feriado add 24/12 Cierre\` - Marca un feriado o cierre y cancela las reservas de ese día (\`remove 24/12\` lo quita, \`list\` muestra los próximos)
+• \`/bloquear 1058 del 20/10 al 24/10 obra\` - Bloquea un espacio por unos días y mueve a quienes lo tenían reservado (\`/bloquear\` lista los bloqueos, \`/desbloquear 1058\` los quita)
+• \`/autopilots\` - Ver los pilotos automáticos (\`approve @usuario\`, \`remove @usuario\`, \`approval on|off\`)
 
 ℹ️ *Formato espacios fijos:*
-\`/setfixed NUMERO1,NUMERO2,NUMERO3\`
-Ejemplo: \`/setfixed 222,4122,4424\`
+\`/setfixed NUMERO1,NUMERO2:@dueño,NUMERO3:ID\`
+Ejemplo: \`/setfixed 222,4122:@juan,4424:123456789\`
+Solo el dueño o el supervisor pueden liberar o recuperar un espacio fijo
 
 💡 *Uso:*
-Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
+Los dueños de espacios fijos pueden liberarlos diciendo "libero el 222 para martes"
             `;
       await this.bot.sendMessage(chatId, helpText, { parse_mode: "Markdown" });
     }
@@ -397,12 +613,17 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
       msg.from.id,
       msg.from,
       intent.date,
+      intent.slot,
+      intent.required,
+      intent.spotNumber,
     );
 
-    if (result.success) {
+    if (result.queued) {
+      await this.bot.sendMessage(msg.chat.id, result.message);
+    } else if (result.success) {
       await this.bot.sendMessage(
         msg.chat.id,
-        `✅ Estacionamiento ${result.spotNumber} reservado para ${intent.date.format("dddd DD/MM")}`,
+        `✅ Estacionamiento ${result.spotNumber} reservado para ${intent.date.format("dddd DD/MM")}${slotSuffix(intent.slot)}${this.parkingManager.formatRequestedSpotNote(intent.spotNumber, result.spotNumber)}`,
       );
     } else if (result.waitlist) {
       await this.bot.sendMessage(
@@ -437,6 +658,9 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
           msg.from.id,
           msg.from,
           date,
+          intent.slot,
+          intent.required,
+          intent.spotNumber,
         );
         results.push({
           date: date,
@@ -459,7 +683,7 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
       }
     }
 
-    const successful = results.filter((r) => r.success);
+    const successful = results.filter((r) => r.success && !r.queued);
     const queued = results.filter((r) => r.queued);
     const waitlisted = results.filter((r) => r.waitlist);
     const failed = results.filter(
@@ -471,14 +695,14 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
     if (successful.length > 0) {
       responseText += `✅ Reservas exitosas:\n`;
       successful.forEach((r) => {
-        responseText += `• ${r.date.format("dddd DD/MM")}: Estacionamiento ${r.spotNumber}\n`;
+        responseText += `• ${r.date.format("dddd DD/MM")}: Estacionamiento ${r.spotNumber}${slotSuffix(intent.slot)}${this.parkingManager.formatRequestedSpotNote(intent.spotNumber, r.spotNumber)}\n`;
       });
     }
 
     if (queued.length > 0) {
       responseText += `\n🎲 En cola de lotería:\n`;
       queued.forEach((r) => {
-        responseText += `• ${r.date.format("dddd DD/MM")}: En cola para sorteo del viernes 17:15\n`;
+        responseText += `• ${r.date.format("dddd DD/MM")}: En cola para sorteo del ${this.queueManager.describeDrawTime(r.date)}\n`;
       });
     }
 
@@ -524,9 +748,10 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
   }
 
   async handleRelease(msg, intent) {
-    const result = await this.parkingManager.releaseSpot(
+    const result = await this.parkingManager.releaseDay(
       msg.from.id,
       intent.date,
+      this.queueManager,
     );
 
     if (result.success) {
@@ -537,6 +762,11 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
 
       // Notify waitlist
       await this.queueManager.notifyWaitlist(intent.date, result.spotNumber);
+    } else if (result.planned) {
+      await this.bot.sendMessage(
+        msg.chat.id,
+        this.parkingManager.formatPlannedAbsence(intent.date, result),
+      );
     } else {
       await this.bot.sendMessage(msg.chat.id, `❌ ${result.message}`);
     }
@@ -548,15 +778,18 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
     // Process each release individually to properly handle waitlist notifications
     for (let i = 0; i < intent.dates.length; i++) {
       try {
-        const result = await this.parkingManager.releaseSpot(
+        const result = await this.parkingManager.releaseDay(
           msg.from.id,
           intent.dates[i],
+          this.queueManager,
         );
         results.push({
           date: intent.dates[i],
           success: result.success,
           spotNumber: result.spotNumber,
           message: result.message,
+          planned: result.planned,
+          withdrawn: result.withdrawn,
         });
 
         // Notify waitlist for successful releases
@@ -580,7 +813,8 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
     }
 
     const successful = results.filter((r) => r.success);
-    const failed = results.filter((r) => !r.success);
+    const planned = results.filter((r) => r.planned);
+    const failed = results.filter((r) => !r.success && !r.planned);
 
     let responseText = "";
 
@@ -591,6 +825,13 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
       });
     }
 
+    if (planned.length > 0) {
+      responseText += `\n📝 Anotado que no vienes (la semana todavía no abrió):\n`;
+      planned.forEach((r) => {
+        responseText += `• ${r.date.format("dddd DD/MM")}${r.withdrawn ? ": saliste del sorteo" : ""}\n`;
+      });
+    }
+
     if (failed.length > 0) {
       responseText += `\n❌ No se pudieron liberar:\n`;
       failed.forEach((r) => {
@@ -603,7 +844,7 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
 
   async handleStatusRequest(msg) {
     const status = await this.parkingManager.getWeekStatus();
-    const responseText = this.parkingManager.formatWeekStatus(status);
+    const responseText = await this.parkingManager.formatWeekStatus(status);
     await this.bot.sendMessage(msg.chat.id, responseText);
   }
 
@@ -611,18 +852,52 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
     const reservations = await this.parkingManager.getUserReservations(
       msg.from.id,
     );
-
-    if (reservations.length === 0) {
+    const today = moment().tz(bookingPolicy.timezone()).format("YYYY-MM-DD");
+    const guests = await this.db.getGuestReservations(msg.from.id, today);
+    const queued = this.queueManager.getUserRequests(msg.from.id);
+    const absences = await this.db.getPlannedAbsences(msg.from.id, today);
+
+    if (
+      reservations.length === 0 &&
+      guests.length === 0 &&
+      queued.length === 0 &&
+      absences.length === 0
+    ) {
       await this.bot.sendMessage(msg.chat.id, "📝 No tienes reservas activas");
       return;
     }
 
-    let responseText = "📝 Tus reservas:\n\n";
+    let responseText =
+      reservations.length > 0
+        ? "📝 Tus reservas:\n\n"
+        : "📝 No tienes reservas activas\n";
     reservations.forEach((reservation) => {
       const date = moment(reservation.date);
-      responseText += `• ${date.format("dddd DD/MM")}: Estacionamiento ${reservation.spot_number}\n`;
+      responseText += `• ${date.format("dddd DD/MM")}: Estacionamiento ${reservation.spot_number}${slotSuffix(reservation.slot)}\n`;
     });
 
+    if (guests.length > 0) {
+      responseText += "\n🧑‍💼 Tus visitantes:\n";
+      guests.forEach((guest) => {
+        const plate = guest.guest_plate ? ` (${guest.guest_plate})` : "";
+        responseText += `• ${moment(guest.date).format("dddd DD/MM")}: ${guest.first_name}${plate}, estacionamiento ${guest.spot_number}\n`;
+      });
+    }
+
+    if (queued.length > 0) {
+      responseText += "\n🎲 En cola de lotería:\n";
+      queued.forEach((date) => {
+        responseText += `• ${date.format("dddd DD/MM")}: sorteo del ${this.queueManager.describeDrawTime(date)}\n`;
+      });
+    }
+
+    if (absences.length > 0) {
+      responseText += "\n📝 Avisaste que no vienes:\n";
+      absences.forEach((absence) => {
+        responseText += `• ${moment(absence.date).format("dddd DD/MM")}\n`;
+      });
+    }
+
     await this.bot.sendMessage(msg.chat.id, responseText);
   }
 
@@ -632,23 +907,51 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
 📅 *Reservar:*
 • "voy el lunes" - Un día
 • "voy lunes y miércoles" - Múltiples días
+• "voy el 24/10" / "reservo el 3 de noviembre" - Fecha exacta
 • "voy toda la semana" - Lunes a viernes
+• "voy del lunes al jueves" - Rangos
+• "voy el martes de mañana" / "voy mañana a la tarde" - Medio día (el espacio se comparte)
+• "voy el martes con cargador" - Espacio con cargador eléctrico
+• "voy el martes al 1058" - Un espacio en particular (si está ocupado, te doy otro)
 
 🔓 *Liberar:*
 • "libero el martes" / "no voy el jueves"
+• "no voy del 7/12 al 11/12" - Para semanas que todavía no abrieron, queda anotado y no te reservo esos días
 
-🔐 *Espacios Fijos:*
+🧑‍💼 *Visitantes:*
+• "reservo para un visitante el jueves: Pedro Gómez, patente ABC1234"
+• "libero mi visitante del jueves" - Cancelar su reserva
+
+🔄 *Pasar o cambiar un día:*
+• "le paso mi lugar del martes a @juan" - Se lo doy si acepta
+• "cambio mi martes con @ana por su jueves" - Intercambio, si acepta
+
+🔐 *Espacios Fijos (solo el dueño):*
 • "libero el 8033 para martes"
 • "libero el 8033 toda la semana"
 • "libero el 8033 por 2 semanas"
 • "quitar el 8033" - Remover del pool
+• "quiero el 8033 de vuelta el miércoles" - Recuperar solo esos días
+• "libero el 8033 todos los viernes" - Liberarlo cada semana (opcional: "hasta el 30/11")
+• "liberaciones recurrentes" / "ya no libero el 8033 los viernes"
+
+🔁 *Recurrentes:*
+• "voy todos los martes y jueves"
+• "cancelar mis fijos de los martes"
+• "mis fijos" - Ver tus reservas recurrentes
 
 📊 *Consultar:*
 • "estado" - Ver disponibilidad
 • "mis reservas" - Ver tus reservas
+• "mi posición" - Ver tu lugar en las listas de espera
+• "salgo de la espera del martes" - Salir de una lista de espera
 • "ver fijos" - Ver espacios fijos
+• "prefiero el 1058 o el 1060" - Tus espacios preferidos, en orden ("mis preferencias" para verlos)
+• /vehicle ev,compacto - Tu vehículo (ev, moto, compacto, accesible) para asignarte el espacio adecuado
+• /autopilot lunes,viernes - Piloto automático: te reservo esos días cada semana, después del sorteo de apertura
+• /lottery - Ver el resultado del último sorteo
 
-⏰ Días: lunes-viernes, "mañana", "hoy"
+⏰ Días: lunes-viernes, "mañana", "pasado mañana", "hoy", "la semana que viene", fechas (24/10, 3 de noviembre)
 🎯 Lista de espera automática si no hay espacios
         `;
 
@@ -669,10 +972,17 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
         return;
       }
 
-      const spotNumbers = fixedSpots.map((spot) => spot.spot_number).join(", ");
+      const spotLines = fixedSpots
+        .map((spot) => {
+          const owner = this.parkingManager.describeFixedSpotOwner(
+            spot.owner_user_id || spot.owner_username ? spot : null,
+          );
+          return `• ${spot.spot_number}: ${owner.replace(/_/g, "\\_")}`;
+        })
+        .join("\n");
       await this.bot.sendMessage(
         msg.chat.id,
-        `🔐 *Espacios Fijos:*\n\n${spotNumbers}\n\n💡 Puedes liberar cualquiera de estos diciendo "libero el XXXX para martes"`,
+        `🔐 *Espacios Fijos:*\n\n${spotLines}\n\n💡 Si eres el dueño, libéralo diciendo "libero el XXXX para martes"`,
         { parse_mode: "Markdown" },
       );
     } catch (error) {
@@ -691,18 +1001,36 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
     );
   }
 
+  // The spot must be fixed, and only its owner (or the supervisor) can release or take it back
+  async ensureCanManageFixedSpot(chatId, spotNumber, from) {
+    if (!(await this.db.isFixedSpot(spotNumber))) {
+      await this.bot.sendMessage(
+        chatId,
+        `❌ El espacio ${spotNumber} no es un espacio fijo.`,
+      );
+      return false;
+    }
+
+    const permission = await this.parkingManager.canManageFixedSpot(
+      spotNumber,
+      from,
+      from.id === this.supervisorId,
+    );
+    if (!permission.allowed) {
+      await this.bot.sendMessage(chatId, `❌ ${permission.message}`);
+      return false;
+    }
+
+    return true;
+  }
+
   async handleFixedRelease(msg, intent) {
     const chatId = msg.chat.id;
 
     try {
-      // Check if the spot number is in the fixed spots list
-      const isFixed = await this.db.isFixedSpot(intent.spotNumber);
-
-      if (!isFixed) {
-        await this.bot.sendMessage(
-          chatId,
-          `❌ El espacio ${intent.spotNumber} no es un espacio fijo.`,
-        );
+      if (
+        !(await this.ensureCanManageFixedSpot(chatId, intent.spotNumber, msg.from))
+      ) {
         return;
       }
 
@@ -716,30 +1044,17 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
         endDateStr,
       );
 
-      // Process each day in the range to notify waitlist
-      const currentDate = intent.startDate.clone();
-      const notificationResults = [];
-
-      while (currentDate.isSameOrBefore(intent.endDate, "day")) {
-        // Skip weekends
-        if (currentDate.day() !== 0 && currentDate.day() !== 6) {
-          // Notify waitlist for this specific date
-          const notified = await this.queueManager.notifyWaitlist(
-            currentDate,
-            intent.spotNumber,
-          );
-          if (notified) {
-            notificationResults.push(currentDate.format("dddd DD/MM"));
-          }
-        }
-        currentDate.add(1, "day");
-      }
-
-      let responseMessage = `✅ Espacio ${intent.spotNumber} liberado desde ${intent.startDate.format("dddd DD/MM")} hasta ${intent.endDate.format("dddd DD/MM")}`;
+      // Offer the spot right away to whoever is waiting on each released day
+      const offers = await this.parkingManager.offerReleasedFixedSpot(
+        intent.spotNumber,
+        intent.startDate,
+        intent.endDate,
+        this.bot,
+      );
 
-      if (notificationResults.length > 0) {
-        responseMessage += `\n\n📢 Se asignó el espacio a personas en lista de espera para: ${notificationResults.join(", ")}`;
-      }
+      const responseMessage =
+        `✅ Espacio ${intent.spotNumber} liberado desde ${intent.startDate.format("dddd DD/MM")} hasta ${intent.endDate.format("dddd DD/MM")}\n\n` +
+        this.parkingManager.formatFixedReleaseOffers(offers);
 
       await this.bot.sendMessage(chatId, responseMessage);
     } catch (error) {
@@ -751,18 +1066,64 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
     }
   }
 
+  formatFixedSpotDefinition({ spotNumber, owner }) {
+    if (!owner) return spotNumber;
+    return `${spotNumber} → ${owner.username ? `@${owner.username}` : owner.userId}`;
+  }
+
+  async handleFixedOwnerCommand(chatId, args) {
+    const [spotNumber, ownerRef, ...nameParts] = args
+      .split(/\s+/)
+      .filter(Boolean);
+    const usage =
+      '❌ Formato: /fixedowner 8033 @usuario (o su ID numérico; "-" para quitar el dueño)';
+
+    if (!spotNumber) {
+      await this.bot.sendMessage(chatId, usage);
+      return;
+    }
+
+    if (!(await this.db.isFixedSpot(spotNumber))) {
+      await this.bot.sendMessage(
+        chatId,
+        `❌ El espacio ${spotNumber} no es un espacio fijo.`,
+      );
+      return;
+    }
+
+    if (ownerRef === "-") {
+      await this.db.removeFixedSpotOwner(spotNumber);
+    } else if (ownerRef) {
+      const owner = this.parkingManager.parseFixedSpotOwner(
+        ownerRef,
+        nameParts.join(" "),
+      );
+      if (!owner) {
+        await this.bot.sendMessage(chatId, usage);
+        return;
+      }
+      await this.db.setFixedSpotOwner(spotNumber, owner);
+    }
+
+    const current = await this.db.getFixedSpotOwner(spotNumber);
+    await this.bot.sendMessage(
+      chatId,
+      `🔐 Espacio ${spotNumber}: ${this.parkingManager.describeFixedSpotOwner(current)}`,
+    );
+  }
+
   async handleFixedRemoval(msg, intent) {
     const chatId = msg.chat.id;
 
     try {
-      // Check if the spot number is in the fixed spots list
-      const isFixed = await this.db.isFixedSpot(intent.spotNumber);
+      if (
+        !(await this.ensureCanManageFixedSpot(chatId, intent.spotNumber, msg.from))
+      ) {
+        return;
+      }
 
-      if (!isFixed) {
-        await this.bot.sendMessage(
-          chatId,
-          `❌ El espacio ${intent.spotNumber} no es un espacio fijo.`,
-        );
+      if (intent.dates) {
+        await this.handleFixedPartialReclaim(chatId, intent);
         return;
       }
 
@@ -789,331 +1150,1118 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
     }
   }
 
-  async handleCallbackQuery(query) {
-    const data = query.data;
+  async handleFixedReleaseRuleAdd(msg, intent) {
+    const chatId = msg.chat.id;
 
-    if (data.startsWith("waitlist_yes_")) {
-      const parts = data.split("_");
-      const userId = parseInt(parts[2]);
-      const dateStr = parts[3];
-      const date = moment(dateStr);
+    try {
+      if (
+        !(await this.ensureCanManageFixedSpot(chatId, intent.spotNumber, msg.from))
+      ) {
+        return;
+      }
 
-      await this.parkingManager.addToWaitlist(userId, query.from, date);
+      const today = moment().tz(bookingPolicy.timezone()).startOf("day");
+      if (intent.endDate && intent.endDate.isBefore(today, "day")) {
+        await this.bot.sendMessage(
+          chatId,
+          `❌ La fecha de fin (${intent.endDate.format("DD/MM/YYYY")}) ya pasó.`,
+        );
+        return;
+      }
 
-      await this.bot.editMessageText(
-        `📝 Añadido a lista de espera para ${date.format("dddd DD/MM")}. Te notificaré si se libera un espacio.`,
-        {
-          chat_id: query.message.chat.id,
-          message_id: query.message.message_id,
-        },
+      const endDateStr = intent.endDate
+        ? intent.endDate.format("YYYY-MM-DD")
+        : null;
+      for (const weekday of intent.weekdays) {
+        await this.db.addFixedReleaseRule(
+          intent.spotNumber,
+          weekday,
+          endDateStr,
+          msg.from.id,
+        );
+      }
+
+      // The week that is already open gets its releases right away
+      const rules = (
+        await this.db.getFixedReleaseRules(intent.spotNumber)
+      ).filter((rule) => intent.weekdays.includes(rule.weekday));
+      const releases = await this.parkingManager.materializeFixedReleaseRules(
+        this.parkingManager.getOpenWeekStart(),
+        this.bot,
+        rules,
       );
-    } else if (data === "waitlist_no") {
-      await this.bot.editMessageText("👍 Entendido. ¡Que tengas buen día!", {
-        chat_id: query.message.chat.id,
-        message_id: query.message.message_id,
-      });
-    }
 
-    await this.bot.answerCallbackQuery(query.id);
-  }
+      const description = rules
+        .map((rule) => this.parkingManager.describeFixedReleaseRule(rule))
+        .join(", ");
+      let text =
+        `🔁 Listo, el espacio ${intent.spotNumber} queda liberado ${description}.\n\n` +
+        `Cada semana se libera solo cuando se abren las reservas (${bookingPolicy.describeOpening()}).`;
+      if (releases.length > 0) {
+        text += `\nEsta semana ya quedó libre: ${releases
+          .map((release) => release.date.format("dddd DD/MM"))
+          .join(", ")}`;
+      }
 
-  setupAutomaticCleanup() {
-    const scheduleNextFridayReset = () => {
-      const now = moment().tz("America/Montevideo");
+      await this.bot.sendMessage(chatId, text);
+    } catch (error) {
+      console.error("Error adding fixed release rule:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Error al guardar la liberación recurrente.",
+      );
+    }
+  }
 
-      // Calculate next Friday at 17:00
-      let nextFriday = now.clone();
+  async handleFixedReleaseRuleCancel(msg, intent) {
+    const chatId = msg.chat.id;
 
-      // If today is Friday and we haven't passed 17:00 yet
-      if (now.day() === 5 && now.hour() < 17) {
-        nextFriday = now.clone().hour(17).minute(0).second(0);
-      } else {
-        // Go to next Friday
-        nextFriday = now
-          .clone()
-          .day(5 + 7)
-          .hour(17)
-          .minute(0)
-          .second(0); // Next Friday
+    try {
+      if (
+        !(await this.ensureCanManageFixedSpot(chatId, intent.spotNumber, msg.from))
+      ) {
+        return;
       }
 
-      const timeUntilReset = nextFriday.diff(now);
-
-      console.log(
-        `🔄 Next Friday 5PM reset scheduled for: ${nextFriday.format("dddd DD/MM/YYYY HH:mm")}`,
+      const removed = await this.db.removeFixedReleaseRules(
+        intent.spotNumber,
+        intent.weekdays,
       );
 
-      this.fridayResetTimeout = setTimeout(async () => {
-        try {
-          console.log("🔄 Running Friday 5PM reset...");
-          const result = await this.db.resetCurrentWeekReservations();
+      if (removed === 0) {
+        await this.bot.sendMessage(
+          chatId,
+          `⚠️ El espacio ${intent.spotNumber} no tenía liberaciones recurrentes para esos días.`,
+        );
+        return;
+      }
 
-          // Auto-reserve spot for supervisor (Wilman Arambillete) for next week
-          if (this.supervisorId && this.automaticReservationEnabled) {
-            try {
-              // Get next Monday date
-              const nextMonday = moment()
-                .tz("America/Montevideo")
-                .add(1, "week")
-                .startOf("isoWeek");
-
-              // Create supervisor user object
-              const supervisorUser = {
-                username: "warambillete",
-                first_name: "Wilman",
-                last_name: "Arambillete",
-              };
-
-              // Reserve based on AUTOMATIC_RESERVATION_FULL_WEEK setting
-              const weekDays = [];
-              if (this.automaticReservationFullWeek) {
-                // Reserve entire week (Monday to Friday)
-                for (let i = 0; i < 5; i++) {
-                  weekDays.push(
-                    nextMonday.clone().add(i, "days").format("YYYY-MM-DD"),
-                  );
-                }
-              } else {
-                // Only reserve for next Friday when FULL_WEEK=false
-                const nextFriday = nextMonday.clone().add(4, "days");
-                weekDays.push(nextFriday.format("YYYY-MM-DD"));
-              }
+      const what =
+        intent.weekdays.length > 0
+          ? `los ${intent.weekdays.map((weekday) => moment().day(weekday).format("dddd")).join(", ")}`
+          : "";
+      await this.bot.sendMessage(
+        chatId,
+        `✅ El espacio ${intent.spotNumber} ya no se liberará automáticamente ${what}`.trim() +
+          `\n\nLos días ya liberados siguen disponibles; recupéralos con "quiero el ${intent.spotNumber} de vuelta el viernes" si los necesitas.`,
+      );
+    } catch (error) {
+      console.error("Error removing fixed release rules:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Error al cancelar la liberación recurrente.",
+      );
+    }
+  }
 
-              // Silently perform automatic reservations
-              for (const date of weekDays) {
-                // Check if preferred spot is available
-                const spots = await this.db.getParkingSpots();
-                const preferredSpotExists = spots.some(
-                  (spot) =>
-                    spot.number === this.automaticReservationPreferredSpot,
-                );
+  async handleFixedReleaseRuleList(msg) {
+    const rules = await this.db.getFixedReleaseRules();
 
-                let spotToReserve = null;
+    if (rules.length === 0) {
+      await this.bot.sendMessage(
+        msg.chat.id,
+        '📭 No hay liberaciones recurrentes. Ej: "libero el 8033 todos los viernes"',
+      );
+      return;
+    }
 
-                if (preferredSpotExists) {
-                  // Check if preferred spot is available for this date
-                  const reservations =
-                    await this.db.getReservationsByDate(date);
-                  const isPreferredSpotReserved = reservations.some(
-                    (res) =>
-                      res.spot_number ===
-                      this.automaticReservationPreferredSpot,
-                  );
+    const lines = rules.map(
+      (rule) =>
+        `• ${rule.spot_number}: ${this.parkingManager.describeFixedReleaseRule(rule)}`,
+    );
+    await this.bot.sendMessage(
+      msg.chat.id,
+      `🔁 Liberaciones recurrentes:\n\n${lines.join("\n")}\n\n` +
+        `💡 Para cancelar: "ya no libero el 8033 los viernes"`,
+    );
+  }
 
-                  if (!isPreferredSpotReserved) {
-                    spotToReserve = this.automaticReservationPreferredSpot;
-                  }
-                }
+  async handleFixedPartialReclaim(chatId, intent) {
+    const result = await this.parkingManager.reclaimFixedSpotDays(
+      intent.spotNumber,
+      intent.dates,
+      this.bot,
+    );
 
-                // If preferred spot is not available or doesn't exist, get any available spot
-                if (!spotToReserve) {
-                  const availableSpot = await this.db.getAvailableSpot(date);
-                  if (availableSpot) {
-                    spotToReserve = availableSpot;
-                  }
-                }
+    const summary = this.parkingManager.formatFixedReclaim(
+      intent.spotNumber,
+      result,
+    );
+    if (summary) {
+      await this.bot.sendMessage(chatId, summary);
+    }
 
-                // Make the reservation
-                if (spotToReserve) {
-                  try {
-                    await this.db.createReservation(
-                      this.supervisorId,
-                      supervisorUser,
-                      date,
-                      spotToReserve,
-                    );
-                    console.log(
-                      `Auto-reserved spot ${spotToReserve} for ${date}`,
-                    );
-                  } catch (err) {
-                    console.error(`Error auto-reserving for ${date}:`, err);
-                  }
-                }
-              }
+    // Someone already booked that day: the owner decides instead of orphaning the booking
+    for (const { date, reservation } of result.conflicts) {
+      const name = reservation.first_name || reservation.username || "Alguien";
+      const dateStr = date.format("YYYY-MM-DD");
+      await this.bot.sendMessage(
+        chatId,
+        `⚠️ ${name} ya reservó el espacio ${intent.spotNumber} para ${date.format("dddd DD/MM")}. ` +
+          `Si lo recuperas, le busco otro espacio libre o queda primero en la lista de espera.`,
+        {
+          reply_markup: {
+            inline_keyboard: [
+              [
+                {
+                  text: "🔙 Recuperarlo igual",
+                  callback_data: `fixedback_force_${intent.spotNumber}_${dateStr}`,
+                },
+                {
+                  text: `🤝 Dejárselo a ${name}`,
+                  callback_data: `fixedback_keep_${intent.spotNumber}_${dateStr}`,
+                },
+              ],
+            ],
+          },
+        },
+      );
+    }
+  }
 
-              // Send only the reset notification
-              await this.bot.sendMessage(
-                this.supervisorId,
-                `🔄 Reset automático de viernes 17:00 completado: ${result.reservationsCleared} reservas y ${result.waitlistCleared} listas de espera eliminadas.`,
-              );
-            } catch (error) {
-              console.error("Error during supervisor auto-reservation:", error);
-              // Still send regular reset notification even if auto-reservation failed
-              await this.bot.sendMessage(
-                this.supervisorId,
-                `🔄 Reset automático de viernes 17:00 completado: ${result.reservationsCleared} reservas y ${result.waitlistCleared} listas de espera eliminadas.`,
-              );
-            }
-          } else if (this.supervisorId && !this.automaticReservationEnabled) {
-            // Send regular notification without automatic reservation
-            try {
-              await this.bot.sendMessage(
-                this.supervisorId,
-                `🔄 Reset automático de viernes 17:00 completado: ${result.reservationsCleared} reservas y ${result.waitlistCleared} listas de espera eliminadas.`,
-              );
-            } catch (error) {
-              console.error(
-                "Error sending Friday reset notification to supervisor:",
-                error,
-              );
-            }
-          }
-        } catch (error) {
-          console.error("❌ Error during Friday reset:", error);
-        }
+  async handleCheckInAnswer(query) {
+    const [, action, dateStr] = query.data.split("_");
+    const date = moment.tz(dateStr, bookingPolicy.timezone());
 
-        // Schedule next Friday reset
-        scheduleNextFridayReset();
-      }, timeUntilReset);
-    };
+    let text;
+    if (action === "arrived") {
+      const result = await this.checkIns.confirmArrival(query.from.id, dateStr);
+      text = result.success
+        ? `✅ ¡Gracias! El estacionamiento ${result.spotNumber} queda confirmado para hoy.`
+        : `❌ ${result.message}`;
+    } else {
+      const result = await this.checkIns.skipDay(query.from.id, dateStr);
+      text = result.success
+        ? `👍 Liberé el estacionamiento ${result.spotNumber} para ${date.format("dddd DD/MM")}. ¡Gracias por avisar!`
+        : `❌ ${result.message}`;
+    }
 
-    // Only start Friday reset scheduler - no daily cleanup
-    scheduleNextFridayReset();
+    await this.bot.editMessageText(text, {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+    });
   }
 
-  async checkAndPerformAutoReservation() {
-    // Check if auto-reservation should be performed on startup
-    if (!this.supervisorId || !this.automaticReservationEnabled) {
+  async handleCheckInCommand(chatId, args) {
+    const usage =
+      "❌ Formato: /checkin 08:00 10:00 (hora del aviso y hora de corte), /checkin on o /checkin off";
+    const times = args.split(/\s+/).filter(Boolean);
+
+    if (args === "on" || args === "off") {
+      await this.checkIns.setEnabled(args === "on");
+    } else if (times.length > 0) {
+      const valid =
+        times.length === 2 &&
+        times.every((time) => /^([01]\d|2[0-3]):[0-5]\d$/.test(time));
+      if (!valid || times[0] >= times[1]) {
+        await this.bot.sendMessage(chatId, usage);
+        return;
+      }
+      await this.checkIns.setTimes(times[0], times[1]);
+    }
+
+    if (args) {
+      await this.scheduler.reschedule();
+    }
+
+    const settings = await this.checkIns.getSettings();
+    await this.bot.sendMessage(
+      chatId,
+      settings.enabled
+        ? `☀️ Check-in activo: aviso a las ${settings.promptTime}, las reservas sin confirmar se liberan a las ${settings.cutoffTime} (días hábiles).`
+        : "☀️ Check-in desactivado. Actívalo con /checkin on",
+    );
+  }
+
+  async handleSpotAttributesCommand(chatId, args) {
+    const [spotNumber, ...rest] = args.split(/\s+/).filter(Boolean);
+
+    if (!spotNumber) {
+      const bySpot = await this.db.getAllSpotAttributes();
+      if (bySpot.size === 0) {
+        await this.bot.sendMessage(
+          chatId,
+          "ℹ️ Ningún espacio tiene atributos. Formato: /spotattr 5 ev,accesible",
+        );
+        return;
+      }
+
+      const lines = [...bySpot].map(
+        ([number, attributes]) => `• ${number}: ${formatAttributes(attributes)}`,
+      );
+      await this.bot.sendMessage(
+        chatId,
+        `🏷️ Atributos de los espacios:\n\n${lines.join("\n")}`,
+      );
       return;
     }
 
-    const now = moment().tz("America/Montevideo");
+    const value = rest.join(" ");
+    const { attributes, unknown } =
+      value === "-" ? { attributes: [], unknown: [] } : parseAttributes(value);
+    if (!value || unknown.length > 0) {
+      await this.bot.sendMessage(
+        chatId,
+        '❌ Formato: /spotattr 5 ev,accesible,moto,compacto ("-" para quitarlos)',
+      );
+      return;
+    }
+
+    await this.db.setSpotAttributes(spotNumber, attributes);
+    await this.bot.sendMessage(
+      chatId,
+      attributes.length > 0
+        ? `✅ Espacio ${spotNumber}: ${formatAttributes(attributes)}`
+        : `✅ El espacio ${spotNumber} quedó sin atributos.`,
+    );
+  }
+
+  // Cada persona configura su vehículo; los espacios se asignan según el perfil (ver rankSpots)
+  async handleVehicleCommand(msg, args) {
+    if (args) {
+      const { attributes, unknown } =
+        args === "-" ? { attributes: [], unknown: [] } : parseAttributes(args);
+      if (unknown.length > 0) {
+        await this.bot.sendMessage(
+          msg.chat.id,
+          `❌ No entendí: ${unknown.join(", ")}. Opciones: ev (auto eléctrico), moto, compacto, accesible. Ej: /vehicle ev,compacto`,
+        );
+        return;
+      }
+      await this.db.setVehicleProfile(msg.from.id, attributes);
+    }
+
+    const profile = await this.db.getVehicleProfile(msg.from.id);
+    await this.bot.sendMessage(
+      msg.chat.id,
+      profile.length > 0
+        ? `🚗 Tu vehículo: ${formatAttributes(profile)}\n\nTe asigno primero espacios que coincidan. Cámbialo con /vehicle ev,compacto o bórralo con /vehicle -`
+        : "🚗 No tienes perfil de vehículo, así que recibes espacios comunes. Configúralo con /vehicle ev, moto, compacto o accesible.",
+    );
+  }
 
-    // Check if we're after Friday 17:00 (i.e., in the period where next week should be reserved)
-    const isAfterFridayReset =
-      (now.day() === 5 && now.hour() >= 17) ||
-      now.day() === 6 ||
-      now.day() === 0;
+  // Piloto automático: "/autopilot lunes,viernes", "/autopilot semana", "/autopilot off"
+  async handleAutopilotCommand(msg, args) {
+    const chatId = msg.chat.id;
 
-    if (!isAfterFridayReset) {
-      console.log(
-        "⏰ Not after Friday 17:00 reset, skipping auto-reservation check",
+    if (args === "off" || args === "-") {
+      const removed = await this.db.removeAutopilot(msg.from.id);
+      await this.bot.sendMessage(
+        chatId,
+        removed > 0
+          ? "🤖 Desactivé tu piloto automático. Las reservas ya hechas se mantienen."
+          : "🤖 No tenías piloto automático.",
       );
       return;
     }
 
-    try {
-      // Get next Monday date
-      const nextMonday = moment()
-        .tz("America/Montevideo")
-        .add(1, "week")
-        .startOf("isoWeek");
-
-      // Check which days to reserve based on AUTOMATIC_RESERVATION_FULL_WEEK setting
-      const datesToCheck = [];
-      if (this.automaticReservationFullWeek) {
-        // Check entire week
-        for (let i = 0; i < 5; i++) {
-          datesToCheck.push(
-            nextMonday.clone().add(i, "days").format("YYYY-MM-DD"),
+    if (args) {
+      const { weekdays, unknown } = AutopilotManager.parseWeekdays(args);
+      if (weekdays.length === 0 || unknown.length > 0) {
+        await this.bot.sendMessage(
+          chatId,
+          "❌ Formato: /autopilot lunes,viernes (o /autopilot semana; /autopilot off para desactivarlo)",
+        );
+        return;
+      }
+
+      const status = await this.autopilot.enroll(msg.from.id, msg.from, weekdays);
+      const days = AutopilotManager.formatWeekdays(weekdays);
+
+      if (status === "pending") {
+        await this.bot.sendMessage(
+          chatId,
+          `🕐 Tu piloto automático (${days}) quedó pendiente de aprobación del supervisor. Te aviso cuando lo apruebe.`,
+        );
+        if (this.supervisorId) {
+          const who = msg.from.username
+            ? `@${msg.from.username}`
+            : msg.from.first_name || msg.from.id;
+          await this.safelySendMessage(
+            this.supervisorId,
+            `🤖 ${who} pidió piloto automático para ${days}. Apruébalo con /autopilots approve ${msg.from.id}`,
           );
         }
-      } else {
-        // Only check Friday
-        const nextFriday = nextMonday.clone().add(4, "days");
-        datesToCheck.push(nextFriday.format("YYYY-MM-DD"));
+        return;
       }
+    }
 
-      // Check if supervisor already has reservations for these dates
-      let needsReservation = false;
-      for (const date of datesToCheck) {
-        const existingReservation = await this.db.getReservation(
-          this.supervisorId,
-          date,
+    const current = await this.db.getAutopilot(msg.from.id);
+    let text;
+    if (!current) {
+      text =
+        "🤖 No tienes piloto automático. Actívalo con /autopilot lunes,viernes (o /autopilot semana) y cada viernes, después del sorteo, te reservo esos días de la semana siguiente.";
+    } else if (current.status === "pending") {
+      text = `🕐 Tu piloto automático (${AutopilotManager.formatWeekdays(current.weekdays)}) está pendiente de aprobación del supervisor.`;
+    } else {
+      text =
+        `🤖 Piloto automático: ${AutopilotManager.formatWeekdays(current.weekdays)}.\n\n` +
+        `Cada semana, después del sorteo del ${bookingPolicy.describeLotteryEnd()}, te reservo esos días de la semana siguiente (con tus espacios preferidos) y te mando un resumen. Desactívalo con /autopilot off`;
+    }
+    await this.bot.sendMessage(chatId, text);
+  }
+
+  async handleAutopilotAdminCommand(chatId, args) {
+    const [action, value] = args.split(/\s+/).filter(Boolean);
+    const usage =
+      "❌ Formato: /autopilots approve @usuario | remove @usuario | approval on|off";
+
+    if (action === "approval") {
+      if (value !== "on" && value !== "off") {
+        await this.bot.sendMessage(chatId, usage);
+        return;
+      }
+      await this.autopilot.setRequiresApproval(value === "on");
+    } else if (action === "approve" || action === "remove") {
+      const ref = this.parkingManager.parseFixedSpotOwner(value);
+      const row = ref
+        ? action === "approve"
+          ? await this.autopilot.approve(ref)
+          : await this.autopilot.remove(ref)
+        : null;
+      if (!row) {
+        await this.bot.sendMessage(
+          chatId,
+          ref ? `❌ ${value} no pidió piloto automático.` : usage,
         );
-        if (!existingReservation) {
-          needsReservation = true;
-          break;
+        return;
+      }
+
+      const days = AutopilotManager.formatWeekdays(row.weekdays);
+      await this.safelySendMessage(
+        row.user_id,
+        action === "approve"
+          ? `✅ El supervisor aprobó tu piloto automático (${days}). Cada viernes, después del sorteo, te reservo esos días.`
+          : "🤖 El supervisor desactivó tu piloto automático.",
+      );
+    } else if (action) {
+      await this.bot.sendMessage(chatId, usage);
+      return;
+    }
+
+    const rows = await this.db.getAllAutopilots();
+    const requiresApproval = await this.autopilot.getRequiresApproval();
+    const lines = rows.map((row) => {
+      const name =
+        [row.first_name, row.last_name].filter(Boolean).join(" ") ||
+        (row.username ? `@${row.username}` : row.user_id);
+      const pending = row.status === "pending" ? " ⏳ pendiente" : "";
+      return `• ${name} (${row.user_id}): ${AutopilotManager.formatWeekdays(row.weekdays)}${pending}`;
+    });
+
+    await this.bot.sendMessage(
+      chatId,
+      `🤖 Pilotos automáticos:\n\n${lines.length > 0 ? lines.join("\n") : "Nadie lo tiene activado."}\n\n` +
+        `Aprobación del supervisor: ${requiresApproval ? "requerida" : "no requerida"}`,
+    );
+  }
+
+  // Límites de reserva: "/quota dias=3 semanas=2", "/quota off", "/quota exempt @usuario"
+  async handleQuotaCommand(chatId, args) {
+    const fields = { dias: "maxDaysPerWeek", semanas: "maxFullWeeks" };
+    const [action, ref] = args.split(/\s+/).filter(Boolean);
+
+    if (action === "exempt" || action === "unexempt") {
+      const owner = this.parkingManager.parseFixedSpotOwner(ref);
+      if (!owner) {
+        await this.bot.sendMessage(
+          chatId,
+          "❌ Formato: /quota exempt @usuario (o su ID numérico)",
+        );
+        return;
+      }
+      const key = owner.username ? `@${owner.username}` : owner.userId;
+      if (action === "exempt") {
+        await this.db.addQuotaExemption(key);
+      } else if ((await this.db.removeQuotaExemption(key)) === 0) {
+        await this.bot.sendMessage(chatId, `❌ ${ref} no estaba exceptuado.`);
+        return;
+      }
+    } else if (action === "off") {
+      await this.parkingManager.setQuotaLimits({ maxDaysPerWeek: 0, maxFullWeeks: 0 });
+    } else if (action) {
+      const updates = {};
+      for (const arg of args.split(/\s+/).filter(Boolean)) {
+        const [name, value] = arg.toLowerCase().split("=");
+        if (!fields[name] || !/^\d+$/.test(value || "")) {
+          await this.bot.sendMessage(
+            chatId,
+            "❌ Formato: /quota [dias=3] [semanas=2] (0 = sin límite), /quota off, /quota exempt|unexempt @usuario",
+          );
+          return;
         }
+        updates[fields[name]] = Number(value);
       }
+      await this.parkingManager.setQuotaLimits(updates);
+    }
 
-      if (!needsReservation) {
-        console.log("✅ Auto-reservation already exists for supervisor");
+    const limits = await this.parkingManager.getQuotaLimits();
+    const exemptions = await this.db.getQuotaExemptions();
+    await this.bot.sendMessage(
+      chatId,
+      `📏 Límites de reserva: ${this.parkingManager.describeQuotaLimits(limits)}\n` +
+        `Exceptuados: ${exemptions.length > 0 ? exemptions.join(", ") : "nadie"}`,
+    );
+  }
+
+  // Política de reservas: "/policy dia=jueves hora=12:00 sorteo=30 semanas=2", "/policy" la muestra
+  async handlePolicyCommand(chatId, args) {
+    if (args) {
+      const { changes, error } = bookingPolicy.parseChanges(args);
+      if (error) {
+        await this.bot.sendMessage(
+          chatId,
+          `❌ ${error}\nFormato: /policy [dia=viernes] [hora=17:00] [sorteo=15] [semanas=1] [zona=America/Montevideo]`,
+        );
         return;
       }
+      await bookingPolicy.update(this.db, changes);
+      moment.tz.setDefault(bookingPolicy.timezone());
 
-      console.log(
-        "🔄 Performing auto-reservation on startup (after Friday 17:00)...",
-      );
+      // The weekly reset and the autopilot follow the new opening
+      await this.scheduler.reschedule();
+    }
+
+    await this.bot.sendMessage(chatId, bookingPolicy.describe());
+  }
 
-      // Create supervisor user object
-      const supervisorUser = {
-        username: "warambillete",
-        first_name: "Wilman",
-        last_name: "Arambillete",
-      };
-
-      // Perform reservations
-      const weekDays = datesToCheck;
-      let reservedDays = [];
-
-      for (const date of weekDays) {
-        // Check if preferred spot is available
-        const spots = await this.db.getParkingSpots();
-        const preferredSpotExists = spots.some(
-          (spot) => spot.number === this.automaticReservationPreferredSpot,
+  // Feriados y cierres: "/feriado add 24/12 Cierre de fin de año", "/feriado remove 24/12", "/feriado"
+  async handleHolidayCommand(chatId, args) {
+    const [action, dateArg, ...nameParts] = args.split(/\s+/).filter(Boolean);
+
+    if (action === "add" || action === "remove") {
+      const { dates, invalid } = this.messageProcessor.parseExplicitDates(dateArg || "");
+      if (dates.length !== 1 || invalid.length > 0) {
+        await this.bot.sendMessage(
+          chatId,
+          invalid.length > 0
+            ? `❌ ${invalid[0].reason}`
+            : "❌ Formato: /feriado add 24/12 [nombre], /feriado remove 24/12",
         );
+        return;
+      }
+
+      const date = dates[0];
+      if (action === "add") {
+        const name = nameParts.join(" ") || null;
+        const result = await this.holidays.addClosure(date, name);
+        await this.bot.sendMessage(
+          chatId,
+          `🎉 ${date.format("dddd DD/MM/YYYY")} marcado como feriado${name ? ` (${name})` : ""}.\n` +
+            `Reservas canceladas: ${result.cancelled}. Personas quitadas de la lista de espera: ${result.waitlisted}.`,
+        );
+      } else if (await this.holidays.remove(date)) {
+        await this.bot.sendMessage(
+          chatId,
+          `✅ El ${date.format("dddd DD/MM/YYYY")} ya no es feriado: se puede reservar.`,
+        );
+      } else {
+        await this.bot.sendMessage(
+          chatId,
+          `❌ El ${date.format("dddd DD/MM/YYYY")} no estaba marcado como feriado.`,
+        );
+      }
+      return;
+    }
+
+    if (action && action !== "list") {
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Formato: /feriado add 24/12 [nombre], /feriado remove 24/12, /feriado list",
+      );
+      return;
+    }
+
+    const holidays = await this.holidays.list();
+    await this.bot.sendMessage(chatId, this.holidays.formatList(holidays), {
+      parse_mode: "Markdown",
+    });
+  }
+
+  // Bloqueos de espacios: "/bloquear 1058 del 20/10 al 24/10 obra", "/bloquear" lista los vigentes
+  async handleBlackoutCommand(chatId, args) {
+    if (!args) {
+      const today = moment().tz(bookingPolicy.timezone()).format("YYYY-MM-DD");
+      await this.bot.sendMessage(
+        chatId,
+        this.parkingManager.formatBlackouts(await this.db.getSpotBlackouts(today)),
+      );
+      return;
+    }
+
+    const [spotNumber] = args.split(/\s+/);
+    const rest = args.slice(spotNumber.length);
+    const { dates, spans, invalid } = this.messageProcessor.parseExplicitDates(rest);
+    if (invalid.length > 0) {
+      await this.bot.sendMessage(chatId, `❌ ${invalid[0].reason}`);
+      return;
+    }
+
+    const [startDate, endDate = startDate] = dates;
+    if (dates.length === 0 || dates.length > 2 || endDate.isBefore(startDate, "day")) {
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Formato: /bloquear 1058 del 20/10 al 24/10 [motivo] (o un solo día: /bloquear 1058 20/10 [motivo])",
+      );
+      return;
+    }
+    if (endDate.isBefore(moment().tz(bookingPolicy.timezone()), "day")) {
+      await this.bot.sendMessage(chatId, "❌ Ese rango de fechas ya pasó.");
+      return;
+    }
+
+    const reason = rest.slice(spans[spans.length - 1].end).trim() || null;
+    const result = await this.parkingManager.blackoutSpot(
+      spotNumber,
+      startDate,
+      endDate,
+      reason,
+      this.bot,
+    );
+    await this.bot.sendMessage(
+      chatId,
+      result.success
+        ? this.parkingManager.formatBlackoutResult(spotNumber, startDate, endDate, reason, result)
+        : result.message,
+    );
+  }
+
+  async handleUnblockCommand(chatId, spotNumber) {
+    if (!spotNumber) {
+      await this.bot.sendMessage(chatId, "❌ Formato: /desbloquear 1058");
+      return;
+    }
+
+    const removed = await this.parkingManager.unblockSpot(spotNumber, this.bot);
+    await this.bot.sendMessage(
+      chatId,
+      removed.length > 0
+        ? `✅ El espacio ${spotNumber} vuelve a estar disponible; si alguien esperaba lugar esos días, se le ofrece.`
+        : `❌ El espacio ${spotNumber} no tenía bloqueos vigentes.`,
+    );
+  }
+
+  async handleNoShowsCommand(chatId) {
+    const rows = await this.db.getNoShowCounts();
+
+    if (rows.length === 0) {
+      await this.bot.sendMessage(chatId, "✅ No hay ausencias sin confirmar registradas.");
+      return;
+    }
+
+    const lines = rows.map((row) => {
+      const name = row.first_name || row.username || row.user_id;
+      return `• ${name}: ${row.no_shows} (última: ${moment(row.last_date).format("DD/MM")})`;
+    });
+    await this.bot.sendMessage(
+      chatId,
+      `⌛ Reservas liberadas por no confirmar llegada:\n\n${lines.join("\n")}`,
+    );
+  }
+
+  async handleFixedReclaimAnswer(query) {
+    const [, action, spotNumber, dateStr] = query.data.split("_");
+    const date = moment.tz(dateStr, bookingPolicy.timezone());
+    const permission = await this.parkingManager.canManageFixedSpot(
+      spotNumber,
+      query.from,
+      query.from.id === this.supervisorId,
+    );
+
+    let text;
+    if (!permission.allowed) {
+      text = `❌ ${permission.message}`;
+    } else if (action === "keep") {
+      text = `🤝 El espacio ${spotNumber} sigue liberado para ${date.format("dddd DD/MM")}; la reserva se mantiene.`;
+    } else {
+      const result = await this.parkingManager.forceReclaimFixedSpotDay(
+        spotNumber,
+        date,
+        this.bot,
+      );
+      text = result.success
+        ? this.parkingManager.formatForcedReclaim(spotNumber, date, result)
+        : `❌ ${result.message}`;
+    }
+
+    await this.bot.editMessageText(text, {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+    });
+  }
+
+  async handleRecurringAdd(msg, intent) {
+    for (const weekday of intent.weekdays) {
+      await this.db.addRecurringReservation(msg.from.id, msg.from, weekday);
+    }
+
+    const dayNames = intent.weekdays
+      .map((weekday) => moment().day(weekday).format("dddd"))
+      .join(", ");
+
+    await this.bot.sendMessage(
+      msg.chat.id,
+      `🔁 Listo, te reservaré automáticamente todos los ${dayNames}.\n\n` +
+        `Las reservas se crean cuando se abre cada semana (${bookingPolicy.describeOpening()}) y participan del sorteo como cualquier otra solicitud.\n` +
+        `Para esta semana reserva normalmente (ej: "voy el martes").`,
+    );
+  }
 
-        let spotToReserve = null;
+  async handleRecurringCancel(msg, intent) {
+    const removed = await this.db.removeRecurringReservations(
+      msg.from.id,
+      intent.weekdays,
+    );
+
+    if (removed === 0) {
+      await this.bot.sendMessage(
+        msg.chat.id,
+        "⚠️ No tenías reservas recurrentes para esos días.",
+      );
+      return;
+    }
+
+    const what =
+      intent.weekdays.length > 0
+        ? `de los ${intent.weekdays.map((weekday) => moment().day(weekday).format("dddd")).join(", ")}`
+        : "";
+    await this.bot.sendMessage(
+      msg.chat.id,
+      `✅ Cancelé tus reservas recurrentes ${what}`.trim() +
+        `\n\nLas reservas ya creadas para esta semana se mantienen; libéralas con "libero el martes" si no las necesitas.`,
+    );
+  }
+
+  async handleWaitlistPosition(msg) {
+    const today = moment().tz(bookingPolicy.timezone()).format("YYYY-MM-DD");
+    const entries = await this.db.getUserWaitlistEntries(msg.from.id, today);
+
+    if (entries.length === 0) {
+      await this.bot.sendMessage(
+        msg.chat.id,
+        "📝 No estás en ninguna lista de espera.",
+      );
+      return;
+    }
+
+    const lines = entries
+      .map(
+        (entry) =>
+          `• ${moment(entry.date).format("dddd DD/MM")}: posición ${entry.position} de ${entry.total}`,
+      )
+      .join("\n");
+    await this.bot.sendMessage(
+      msg.chat.id,
+      `📝 Tus listas de espera:\n\n${lines}\n\n💡 Para salir: "salgo de la espera del martes"`,
+    );
+  }
+
+  async handleWaitlistLeave(msg, intent) {
+    const today = moment().tz(bookingPolicy.timezone()).format("YYYY-MM-DD");
 
-        if (preferredSpotExists) {
-          // Check if preferred spot is available for this date
-          const reservations = await this.db.getReservationsByDate(date);
-          const isPreferredSpotReserved = reservations.some(
-            (res) => res.spot_number === this.automaticReservationPreferredSpot,
+    // Without days, leave every waitlist the user is on
+    const dateStrs =
+      intent.dates.length > 0
+        ? intent.dates.map((date) => date.format("YYYY-MM-DD"))
+        : (await this.db.getUserWaitlistEntries(msg.from.id, today)).map(
+            (entry) => entry.date,
           );
 
-          if (!isPreferredSpotReserved) {
-            spotToReserve = this.automaticReservationPreferredSpot;
-          }
-        }
+    const left = [];
+    for (const dateStr of dateStrs) {
+      const removed = await this.db.removeFromWaitlist(msg.from.id, dateStr);
+      if (removed > 0) {
+        left.push(moment(dateStr).format("dddd DD/MM"));
+      }
+    }
 
-        // If preferred spot is not available or doesn't exist, get any available spot
-        if (!spotToReserve) {
-          const availableSpot = await this.db.getAvailableSpot(date);
-          if (availableSpot) {
-            spotToReserve = availableSpot;
-          }
-        }
+    if (left.length === 0) {
+      await this.bot.sendMessage(
+        msg.chat.id,
+        intent.dates.length > 0
+          ? "❌ No estabas en la lista de espera de esos días."
+          : "📝 No estás en ninguna lista de espera.",
+      );
+      return;
+    }
 
-        // Make the reservation
-        if (spotToReserve) {
-          try {
-            const existingReservation = await this.db.getReservation(
-              this.supervisorId,
-              date,
-            );
-            if (!existingReservation) {
-              await this.db.createReservation(
-                this.supervisorId,
-                supervisorUser,
-                date,
-                spotToReserve,
-              );
-              const dateFormatted = moment(date).format("dddd DD/MM");
-              reservedDays.push(`${dateFormatted}: Espacio ${spotToReserve}`);
-              console.log(`✅ Auto-reserved spot ${spotToReserve} for ${date}`);
-            }
-          } catch (err) {
-            console.error(`Error auto-reserving for ${date}:`, err);
-          }
-        }
+    await this.bot.sendMessage(
+      msg.chat.id,
+      `✅ Saliste de la lista de espera de: ${left.join(", ")}`,
+    );
+  }
+
+  async handleRecurringList(msg) {
+    const recurring = await this.db.getUserRecurringReservations(msg.from.id);
+
+    if (recurring.length === 0) {
+      await this.bot.sendMessage(
+        msg.chat.id,
+        '🔁 No tienes reservas recurrentes. Escribe "voy todos los martes" para crear una.',
+      );
+      return;
+    }
+
+    const dayNames = recurring
+      .map((row) => `• ${moment().day(row.weekday).format("dddd")}`)
+      .join("\n");
+    await this.bot.sendMessage(
+      msg.chat.id,
+      `🔁 Tus reservas recurrentes:\n\n${dayNames}\n\n💡 Para cancelar: "cancelar mis fijos de los martes"`,
+    );
+  }
+
+  async handleFairnessCommand(chatId, args) {
+    const fields = { perdidas: "lossWeight", dias: "dayWeight", semanas: "lookbackWeeks" };
+    const updates = {};
+
+    for (const arg of args.split(/\s+/).filter(Boolean)) {
+      const [name, value] = arg.toLowerCase().split("=");
+      if (name === "on" || name === "off") {
+        updates.enabled = name === "on";
+      } else if (fields[name] && value !== undefined && Number(value) >= 0) {
+        updates[fields[name]] = Number(value);
+      } else {
+        await this.bot.sendMessage(
+          chatId,
+          "❌ Formato: /fairness [on|off] [perdidas=1] [dias=0.5] [semanas=4]",
+        );
+        return;
       }
+    }
 
-      // Notify supervisor if reservations were made
-      if (reservedDays.length > 0) {
-        try {
-          await this.bot.sendMessage(
-            this.supervisorId,
-            `🔄 Auto-reservación completada en el arranque del bot:\n\n${reservedDays.join("\n")}`,
-          );
-        } catch (error) {
-          console.error("Error sending auto-reservation notification:", error);
-        }
+    const weighting =
+      Object.keys(updates).length > 0
+        ? await this.queueManager.setLotteryWeighting(updates)
+        : await this.queueManager.getLotteryWeighting();
+
+    await this.bot.sendMessage(
+      chatId,
+      `⚖️ Modo equidad: ${weighting.enabled ? "activado" : "desactivado"}\n` +
+        `${QueueManager.describeWeighting(weighting)}`,
+    );
+  }
+
+  async handleLotteryResults(msg) {
+    const report = await this.queueManager.getLastDrawReport();
+
+    await this.bot.sendMessage(
+      msg.chat.id,
+      report || "🎲 Todavía no se realizó ningún sorteo.",
+    );
+  }
+
+  async handleSpotPreferenceSet(msg, intent) {
+    const result = await this.parkingManager.setSpotPreferences(
+      msg.from.id,
+      intent.spotNumbers,
+    );
+
+    await this.bot.sendMessage(
+      msg.chat.id,
+      result.success
+        ? `⭐ Tus espacios preferidos: ${result.spotNumbers.join(", ")}.\n\nCuando reserves te asigno el primero que esté libre; si ninguno lo está, cualquier otro.`
+        : `❌ ${result.message}`,
+    );
+  }
+
+  async handleSpotPreferenceClear(msg) {
+    await this.db.setSpotPreferences(msg.from.id, []);
+    await this.bot.sendMessage(
+      msg.chat.id,
+      "⭐ Borré tus espacios preferidos. Te asigno el primero libre.",
+    );
+  }
+
+  async handleSpotPreferenceList(msg) {
+    const preferences = await this.db.getSpotPreferences(msg.from.id);
+    await this.bot.sendMessage(
+      msg.chat.id,
+      preferences.length > 0
+        ? `⭐ Tus espacios preferidos, en orden: ${preferences.join(", ")}\n\n💡 Para cambiarlos: "prefiero el 1058 o el 1060"; para borrarlos: "borrar mis preferencias"`
+        : '⭐ No tienes espacios preferidos. Escribe "prefiero el 1058 o el 1060" para elegirlos.',
+    );
+  }
+
+  async handleWaitlistOfferAnswer(query) {
+    const [, action, offerId] = query.data.split("_");
+    const result =
+      action === "accept"
+        ? await this.waitlistOffers.acceptOffer(parseInt(offerId), query.from.id)
+        : await this.waitlistOffers.declineOffer(parseInt(offerId), query.from.id);
+
+    let text;
+    if (!result.success) {
+      text = `❌ ${result.message}`;
+    } else if (action === "accept") {
+      text = `✅ ¡Listo! Tienes el estacionamiento ${result.spotNumber} para ${result.date.format("dddd DD/MM")}${slotSuffix(result.slot)}`;
+    } else {
+      text = `👍 Entendido, el estacionamiento ${result.spotNumber} pasa al siguiente de la lista de espera.`;
+    }
+
+    await this.bot.editMessageText(text, {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+    });
+  }
+
+  async handleGuestReservation(msg, intent) {
+    if (!intent.date || !intent.guestName) {
+      await this.bot.sendMessage(
+        msg.chat.id,
+        '❓ Indica el día y el nombre del visitante. Por ejemplo: "reservo para un visitante el jueves: Pedro Gómez, patente ABC1234"',
+      );
+      return;
+    }
+
+    const result = await this.queueManager.handleGuestReservation(
+      msg.from.id,
+      msg.from,
+      intent.date,
+      { name: intent.guestName, plate: intent.plate },
+    );
+
+    if (result.success) {
+      const plate = intent.plate ? ` (${intent.plate})` : "";
+      await this.bot.sendMessage(
+        msg.chat.id,
+        `✅ Estacionamiento ${result.spotNumber} reservado para tu visitante ${intent.guestName}${plate} el ${intent.date.format("dddd DD/MM")}.\n\n💡 Para cancelarlo: "libero mi visitante del ${intent.date.format("dddd")}"`,
+      );
+    } else {
+      await this.bot.sendMessage(msg.chat.id, `❌ ${result.message}`);
+    }
+  }
+
+  async handleGuestRelease(msg, intent) {
+    if (!intent.date) {
+      await this.bot.sendMessage(
+        msg.chat.id,
+        '❓ ¿De qué día? Por ejemplo: "libero mi visitante del jueves"',
+      );
+      return;
+    }
+
+    const result = await this.parkingManager.releaseGuestSpots(
+      msg.from.id,
+      intent.date,
+    );
+    if (!result.success) {
+      await this.bot.sendMessage(msg.chat.id, `❌ ${result.message}`);
+      return;
+    }
+
+    const lines = result.released.map(
+      (guest) => `• ${guest.name}: estacionamiento ${guest.spotNumber}`,
+    );
+    await this.bot.sendMessage(
+      msg.chat.id,
+      `✅ Liberé la reserva de tus visitantes para ${intent.date.format("dddd DD/MM")}:\n${lines.join("\n")}`,
+    );
+
+    for (const guest of result.released) {
+      await this.queueManager.notifyWaitlist(intent.date, guest.spotNumber);
+    }
+  }
+
+  async handleTransfer(msg, intent) {
+    if (!intent.date) {
+      await this.bot.sendMessage(
+        msg.chat.id,
+        '❓ ¿Qué día? Por ejemplo: "le paso mi lugar del martes a @juan"',
+      );
+      return;
+    }
+
+    const result = await this.spotExchanges.proposeTransfer(
+      msg.from,
+      intent.date,
+      intent.username,
+    );
+    await this.bot.sendMessage(
+      msg.chat.id,
+      result.success ? result.message : `❌ ${result.message}`,
+    );
+  }
+
+  async handleSwap(msg, intent) {
+    if (!intent.date || !intent.otherDate) {
+      await this.bot.sendMessage(
+        msg.chat.id,
+        '❓ Indica los dos días. Por ejemplo: "cambio mi martes con @ana por su jueves"',
+      );
+      return;
+    }
+
+    const result = await this.spotExchanges.proposeSwap(
+      msg.from,
+      intent.date,
+      intent.username,
+      intent.otherDate,
+    );
+    await this.bot.sendMessage(
+      msg.chat.id,
+      result.success ? result.message : `❌ ${result.message}`,
+    );
+  }
+
+  async handleSpotExchangeAnswer(query) {
+    const [, action, exchangeId] = query.data.split("_");
+    const result =
+      action === "accept"
+        ? await this.spotExchanges.accept(parseInt(exchangeId), query.from.id)
+        : await this.spotExchanges.decline(parseInt(exchangeId), query.from.id);
+
+    await this.bot.editMessageText(
+      result.success ? result.message : `❌ ${result.message}`,
+      {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+      },
+    );
+  }
+
+  async handleCallbackQuery(query) {
+    const data = query.data;
+
+    if (data.startsWith("waitlist_yes_")) {
+      const parts = data.split("_");
+      const userId = parseInt(parts[2]);
+      const dateStr = parts[3];
+      const date = moment(dateStr);
+
+      await this.parkingManager.addToWaitlist(userId, query.from, date);
+
+      await this.bot.editMessageText(
+        `📝 Añadido a lista de espera para ${date.format("dddd DD/MM")}. Te notificaré si se libera un espacio.`,
+        {
+          chat_id: query.message.chat.id,
+          message_id: query.message.message_id,
+        },
+      );
+    } else if (data === "waitlist_no") {
+      await this.bot.editMessageText("👍 Entendido. ¡Que tengas buen día!", {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+      });
+    } else if (
+      data.startsWith("offer_accept_") ||
+      data.startsWith("offer_decline_")
+    ) {
+      await this.handleWaitlistOfferAnswer(query);
+    } else if (data.startsWith("fixedback_")) {
+      await this.handleFixedReclaimAnswer(query);
+    } else if (data.startsWith("checkin_")) {
+      await this.handleCheckInAnswer(query);
+    } else if (data.startsWith("exchange_")) {
+      await this.handleSpotExchangeAnswer(query);
+    }
+
+    await this.bot.answerCallbackQuery(query.id);
+  }
+
+  // Jobs kept by JobScheduler in SQLite, so a redeploy or a long sleep doesn't skip them
+  setupScheduledJobs() {
+    this.scheduler.register("weekly-reset", {
+      description: "Reset semanal y apertura de la semana siguiente",
+      nextRun: (after) => bookingPolicy.nextOpening(after),
+      run: (scheduledFor) => this.runWeeklyReset(scheduledFor),
+    });
+
+    // Standing bookings for next week enter the opening lottery like everyone else
+    // (registered after the reset, so they run right after it)
+    this.scheduler.register("recurring-reservations", {
+      description: "Reservas recurrentes de la semana siguiente",
+      nextRun: (after) => bookingPolicy.nextOpening(after),
+      run: async (scheduledFor) => {
+        const results = await this.materializeRecurringReservations(
+          bookingPolicy.openWeekStart(scheduledFor),
+        );
+        return `${results.length} reservas recurrentes`;
+      },
+    });
+
+    this.registerManagerJobs();
+  }
+
+  // Jobs of the managers, the same in both bots
+  registerManagerJobs() {
+    this.scheduler.register("autopilot", {
+      description: "Piloto automático de la semana siguiente",
+      nextRun: (after) => this.autopilot.nextRun(after),
+      run: (scheduledFor) => this.autopilot.runScheduled(scheduledFor),
+    });
+
+    this.scheduler.register("checkin-prompt", {
+      description: "Aviso de check-in",
+      nextRun: (after) => this.checkIns.nextPromptRun(after),
+      run: (scheduledFor) => this.checkIns.runPrompt(scheduledFor),
+    });
+
+    this.scheduler.register("checkin-cutoff", {
+      description: "Liberación de reservas sin check-in",
+      nextRun: (after) => this.checkIns.nextCutoffRun(after),
+      run: (scheduledFor) => this.checkIns.runCutoff(scheduledFor),
+    });
+  }
+
+  // Runs at the opening of the booking policy. Everything goes by the scheduled time,
+  // so a run caught up after a restart clears and opens the same weeks.
+  async runWeeklyReset(scheduledFor) {
+    console.log("🔄 Running weekly reset...");
+    const result = await this.db.resetCurrentWeekReservations(scheduledFor);
+    const weekStart = bookingPolicy.openWeekStart(scheduledFor);
+
+    // Next year's national holidays, once the calendar gets there
+    await this.holidays.seed();
+
+    // Weekly fixed-spot releases go into the pool before anyone books
+    const releases = await this.materializeFixedReleaseRules(weekStart);
+
+    // Autopilot reservations run later, after the opening lottery (see AutopilotManager)
+    const summary =
+      `${result.reservationsCleared} reservas y ${result.waitlistCleared} listas de espera eliminadas, ` +
+      `${releases.length} liberaciones recurrentes`;
+    if (this.supervisorId) {
+      try {
+        await this.bot.sendMessage(
+          this.supervisorId,
+          `🔄 Reset automático de ${bookingPolicy.describeOpening()} completado: ${summary}.`,
+        );
+      } catch (error) {
+        console.error(
+          "Error sending weekly reset notification to supervisor:",
+          error,
+        );
       }
-    } catch (error) {
-      console.error("Error during startup auto-reservation check:", error);
     }
+    return summary;
+  }
+
+  // Part of a job: errors are left to JobScheduler, which records the run as failed
+  async materializeFixedReleaseRules(weekStart) {
+    const releases = await this.parkingManager.materializeFixedReleaseRules(
+      weekStart,
+      this.bot,
+    );
+    console.log(
+      `🔁 Generated ${releases.length} fixed spot releases from recurring rules`,
+    );
+    return releases;
+  }
+
+  // Part of a job: errors are left to JobScheduler, which records the run as failed
+  async materializeRecurringReservations(weekStart) {
+    const results = await this.parkingManager.materializeRecurringReservations(
+      weekStart,
+      this.queueManager,
+    );
+    console.log(`🔁 Materialized ${results.length} recurring reservations`);
+
+    const messages = this.parkingManager.formatRecurringResults(results);
+    for (const [userId, text] of messages) {
+      await this.safelySendMessage(userId, text, { parse_mode: "Markdown" });
+    }
+    return results;
   }
 
   setupGracefulShutdown() {
@@ -1121,10 +2269,14 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
       console.log(`🛑 ${signal} received. Shutting down gracefully...`);
 
       try {
-        // Clear Friday reset timeout
-        if (this.fridayResetTimeout) {
-          clearTimeout(this.fridayResetTimeout);
-          console.log("✅ Friday reset scheduler stopped");
+        // Stop the job scheduler (pending runs are caught up on the next start)
+        if (this.scheduler) {
+          this.scheduler.stop();
+          console.log("✅ Job scheduler stopped");
+        }
+
+        if (this.waitlistOffers) {
+          this.waitlistOffers.clearAllTimers();
         }
 
         // Stop server
@@ -1200,7 +2352,7 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
 
         while (currentDate.isSameOrBefore(endDate, "day")) {
           // Skip weekends and past dates
-          const now = moment().tz("America/Montevideo").startOf("day");
+          const now = moment().tz(bookingPolicy.timezone()).startOf("day");
           if (
             currentDate.day() === 0 ||
             currentDate.day() === 6 ||
@@ -1301,7 +2453,7 @@ Los usuarios pueden liberar espacios fijos diciendo "libero el 222 para martes"
       );
 
       const moment = require("moment-timezone");
-      const now = moment().tz("America/Montevideo");
+      const now = moment().tz(bookingPolicy.timezone());
       const futureDate = now.clone().add(7, "days"); // Check next week
 
       let totalAssignments = 0;
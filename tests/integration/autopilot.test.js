@@ -0,0 +1,119 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const AutopilotManager = require('../../src/autopilotManager');
+const TelegramBotMock = require('../mocks/TelegramBotMock');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Autopilot', () => {
+    let db, bot, parkingManager, autopilot, clock;
+    const weekStart = moment.tz('2030-11-18', 'America/Montevideo'); // Monday after the lottery
+    const ana = { username: 'ana', first_name: 'Ana' };
+    const beto = { username: 'beto', first_name: 'Beto' };
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-16 10:00', 'America/Montevideo').toDate(), // Saturday
+            toFake: ['Date', 'setTimeout', 'clearTimeout']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1', '2']);
+        bot = new TelegramBotMock('test-token');
+        parkingManager = new ParkingManager(db);
+        autopilot = new AutopilotManager(db, bot, parkingManager, '999');
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+        delete process.env.AUTOMATIC_RESERVATION_ENABLED;
+        delete process.env.AUTOMATIC_RESERVATION_FULL_WEEK;
+        delete process.env.AUTOMATIC_RESERVATION_PREFERRED_SPOT;
+    });
+
+    test('should parse weekdays for the /autopilot command', () => {
+        expect(AutopilotManager.parseWeekdays('viernes, lunes')).toEqual({ weekdays: [1, 5], unknown: [] });
+        expect(AutopilotManager.parseWeekdays('martes y miércoles').weekdays).toEqual([2, 3]);
+        expect(AutopilotManager.parseWeekdays('toda la semana').weekdays).toEqual([1, 2, 3, 4, 5]);
+        expect(AutopilotManager.parseWeekdays('lunes sabado').unknown).toEqual(['sabado']);
+        expect(AutopilotManager.formatWeekdays([1, 5])).toBe('lunes, viernes');
+    });
+
+    test('should leave new requests pending when the supervisor requires approval', async () => {
+        expect(await autopilot.enroll('100', ana, [1])).toBe('active');
+
+        await autopilot.setRequiresApproval(true);
+        expect(await autopilot.enroll('200', beto, [2])).toBe('pending');
+        expect(await autopilot.enroll('999', { first_name: 'Sup' }, [5])).toBe('active');
+        // Changing the days of an approved autopilot keeps it approved
+        expect(await autopilot.enroll('100', ana, [1, 3])).toBe('active');
+
+        const approved = await autopilot.approve({ username: 'Beto' });
+        expect(approved.user_id).toBe('200');
+        expect((await db.getAutopilot('200')).status).toBe('active');
+        expect(await autopilot.approve({ userId: '300' })).toBeNull();
+    });
+
+    test('should reserve the chosen days with preferred spots and report them in one message', async () => {
+        await autopilot.enroll('100', ana, [1, 3, 5]);
+        await autopilot.enroll('200', beto, [1]);
+        await db.setSpotPreferences('100', ['2']);
+
+        // Ana already won Wednesday in the lottery; Friday is taken by others
+        await db.createReservation('100', ana, '2030-11-20', '1');
+        await db.createReservation('300', { first_name: 'Carla' }, '2030-11-22', '1');
+        await db.createReservation('400', { first_name: 'Dani' }, '2030-11-22', '2');
+
+        const results = await autopilot.runAndNotify(weekStart);
+
+        expect(results.map(r => [r.userId, r.date.format('YYYY-MM-DD'), r.result.spotNumber || null])).toEqual([
+            ['100', '2030-11-18', '2'],
+            ['100', '2030-11-20', '1'],
+            ['100', '2030-11-22', null],
+            ['200', '2030-11-18', '1']
+        ]);
+        expect((await db.getWaitlistForDate('2030-11-22')).map(w => w.user_id)).toEqual(['100']);
+
+        expect(bot.sentMessages.map(m => m.chatId)).toEqual(['100', '200']);
+        const summary = bot.sentMessages[0].text;
+        expect(summary).toContain('semana del 18/11');
+        expect(summary).toContain('lunes 18/11: Estacionamiento 2');
+        expect(summary).toContain('miércoles 20/11: Ya tenías el estacionamiento 1');
+        expect(summary).toContain('viernes 22/11: Sin espacios, quedaste en lista de espera');
+    });
+
+    test('should skip pending requests', async () => {
+        await autopilot.setRequiresApproval(true);
+        await autopilot.enroll('200', beto, [1]);
+
+        expect(await autopilot.run(weekStart)).toEqual([]);
+        expect(await db.getReservation('200', '2030-11-18')).toBeUndefined();
+    });
+
+    test('should run on Friday after the lottery, for the week that opened then', async () => {
+        await autopilot.enroll('100', ana, [2]);
+
+        expect(autopilot.nextRun(moment()).format('YYYY-MM-DD HH:mm')).toBe('2030-11-22 17:20');
+        expect(autopilot.nextRun(moment.tz('2030-11-15 17:19', 'America/Montevideo')).format('YYYY-MM-DD HH:mm'))
+            .toBe('2030-11-15 17:20');
+
+        // Caught up on Saturday, it still books the week that opened on Friday
+        expect(await autopilot.runScheduled(moment.tz('2030-11-15 17:20', 'America/Montevideo')))
+            .toBe('1/1 días reservados');
+        expect((await db.getReservation('100', '2030-11-19')).spot_number).toBe('1');
+        expect(bot.sentMessages).toHaveLength(1);
+    });
+
+    test('should turn the legacy supervisor auto-reservation into an autopilot once', async () => {
+        process.env.AUTOMATIC_RESERVATION_ENABLED = 'true';
+        process.env.AUTOMATIC_RESERVATION_FULL_WEEK = 'false';
+        process.env.AUTOMATIC_RESERVATION_PREFERRED_SPOT = '2';
+
+        expect(await autopilot.seedFromEnv()).toBe(true);
+        expect(await autopilot.seedFromEnv()).toBe(false);
+
+        expect(await db.getAutopilot('999')).toMatchObject({ weekdays: [5], status: 'active' });
+        expect(await db.getSpotPreferences('999')).toEqual(['2']);
+    });
+});
@@ -0,0 +1,171 @@
+const Database = require('../../src/database');
+const QueueManager = require('../../src/queueManager');
+const ParkingManager = require('../../src/parkingManager');
+const MessageProcessor = require('../../src/messageProcessor');
+const CheckInManager = require('../../src/checkInManager');
+const bookingPolicy = require('../../src/bookingPolicy');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Booking Policy', () => {
+    let db, clock;
+    const at = (time) => moment.tz(time, 'America/Montevideo');
+    const nextMonday = at('2030-11-11');
+
+    const startClockAt = (time) => {
+        clock = sinon.useFakeTimers({
+            now: at(time).toDate(),
+            toFake: ['Date', 'setTimeout', 'clearTimeout']
+        });
+    };
+
+    beforeEach(async () => {
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1']);
+    });
+
+    afterEach(() => {
+        if (clock) {
+            clock.restore();
+            clock = null;
+        }
+        bookingPolicy.reset();
+        db.close();
+    });
+
+    test('should open next week on Friday at 17:00 with a 15 minute lottery by default', () => {
+        expect(bookingPolicy.weekPhase(nextMonday, at('2030-11-08 16:59'))).toBe('closed');
+        expect(bookingPolicy.weekPhase(nextMonday, at('2030-11-08 17:05'))).toBe('lottery');
+        expect(bookingPolicy.weekPhase(nextMonday, at('2030-11-08 17:15'))).toBe('open');
+        expect(bookingPolicy.weekPhase(at('2030-11-18'), at('2030-11-08 17:15'))).toBe('closed');
+
+        expect(bookingPolicy.openWeekStart(at('2030-11-07 10:00')).format('YYYY-MM-DD')).toBe('2030-11-04');
+        expect(bookingPolicy.openWeekStart(at('2030-11-08 17:00')).format('YYYY-MM-DD')).toBe('2030-11-11');
+        expect(bookingPolicy.openWeekStart(at('2030-11-10 10:00')).format('YYYY-MM-DD')).toBe('2030-11-11');
+
+        expect(bookingPolicy.nextOpening(at('2030-11-08 17:00')).format('YYYY-MM-DD HH:mm')).toBe('2030-11-15 17:00');
+        expect(bookingPolicy.describeLotteryEnd()).toBe('viernes 17:15');
+    });
+
+    test('should parse /policy arguments and reject invalid values', () => {
+        expect(bookingPolicy.parseChanges('dia=Miércoles hora=9:30 sorteo=0 semanas=2')).toEqual({
+            changes: { openDay: 3, openTime: '09:30', lotteryMinutes: 0, horizonWeeks: 2 }
+        });
+        expect(bookingPolicy.parseChanges('dia=feriado').error).toBe('El día tiene que ser de lunes a domingo.');
+        expect(bookingPolicy.parseChanges('hora=25:00').error).toContain('HH:MM');
+        expect(bookingPolicy.parseChanges('semanas=20').error).toBe('El horizonte va de 1 a 12 semanas.');
+        expect(bookingPolicy.parseChanges('zona=Marte/Base').error).toBe('No conozco la zona horaria Marte/Base.');
+        expect(bookingPolicy.parseChanges('zona=europe/madrid').changes).toEqual({ timezone: 'Europe/Madrid' });
+        expect(bookingPolicy.parseChanges('color=rojo').error).toContain('No conozco "color"');
+    });
+
+    test('should keep the policy in settings across restarts', async () => {
+        await bookingPolicy.update(db, { openDay: 4, openTime: '12:00', lotteryMinutes: 30 });
+        bookingPolicy.reset();
+        await db.setSetting('booking_horizon_weeks', 'muchas');
+
+        expect(await bookingPolicy.load(db)).toEqual({
+            openDay: 4,
+            openTime: '12:00',
+            lotteryMinutes: 30,
+            horizonWeeks: 1,
+            timezone: 'America/Montevideo'
+        });
+        expect(bookingPolicy.describe()).toContain('Cada semana se abre el jueves 12:00 de la semana anterior');
+        await expect(bookingPolicy.update(db, { lotteryMinutes: 500 })).rejects.toThrow('El sorteo dura entre 0 y 120 minutos');
+    });
+
+    test('should store the time zone and use it across the bot', async () => {
+        await bookingPolicy.update(db, { timezone: 'Europe/Madrid' });
+        bookingPolicy.reset();
+        expect((await bookingPolicy.load(db)).timezone).toBe('Europe/Madrid');
+
+        // Friday 17:00 in Madrid is 13:00 in Montevideo
+        const madrid = (time) => moment.tz(time, 'Europe/Madrid');
+        expect(bookingPolicy.weekPhase(nextMonday, madrid('2030-11-08 16:59'))).toBe('closed');
+        expect(bookingPolicy.nextOpening(at('2030-11-08 12:00')).toISOString()).toBe(madrid('2030-11-08 17:00').toISOString());
+
+        // Check-in times and "today" in messages follow the same zone
+        const checkIns = new CheckInManager(db, { sendMessage: jest.fn() }, new ParkingManager(db));
+        expect((await checkIns.nextPromptRun(madrid('2030-11-12 07:00'))).toISOString()).toBe(madrid('2030-11-12 08:00').toISOString());
+        startClockAt('2030-11-11 20:30'); // Monday night in Montevideo, already Tuesday in Madrid
+        expect(new MessageProcessor().processMessage('voy hoy').date.format('YYYY-MM-DD')).toBe('2030-11-12');
+    });
+
+    test('should only reset the days that started before a custom opening', async () => {
+        await bookingPolicy.update(db, { openDay: 4, openTime: '12:00' });
+        for (const date of ['2030-11-06', '2030-11-07', '2030-11-08']) {
+            await db.createReservation('100', 'ana', date, '1');
+            await db.addToWaitlist('200', 'beto', date);
+        }
+
+        const result = await db.resetCurrentWeekReservations(at('2030-11-07 12:00'));
+
+        expect(result).toEqual({ reservationsCleared: 2, waitlistCleared: 2 });
+        expect(await db.getReservation('100', '2030-11-07')).toBeUndefined();
+        expect((await db.getReservation('100', '2030-11-08')).spot_number).toBe('1');
+
+        // A Monday opening only clears that Monday
+        await bookingPolicy.update(db, { openDay: 1 });
+        await db.createReservation('100', 'ana', '2030-11-11', '1');
+        await db.createReservation('100', 'ana', '2030-11-12', '1');
+        expect((await db.resetCurrentWeekReservations(at('2030-11-11 12:00'))).reservationsCleared).toBe(1);
+        expect(await db.getReservation('100', '2030-11-12')).toBeDefined();
+    });
+
+    test('should apply a custom opening and lottery to bookings', async () => {
+        await bookingPolicy.update(db, { openDay: 4, openTime: '12:00', lotteryMinutes: 30 });
+        const queueManager = new QueueManager(db, { sendMessage: jest.fn().mockResolvedValue(true) }, new ParkingManager(db));
+        const ana = { id: 100, first_name: 'Ana' };
+
+        startClockAt('2030-11-07 11:00'); // Thursday
+        expect((await queueManager.handleReservation(ana.id, ana, nextMonday)).message)
+            .toBe('Las reservas para la próxima semana estarán disponibles después del jueves 12:00.');
+
+        clock.restore();
+        startClockAt('2030-11-07 12:10');
+        const queued = await queueManager.handleReservation(ana.id, ana, nextMonday);
+        expect(queued.queued).toBe(true);
+        expect(queued.message).toContain('La asignación de espacios será el jueves 12:30.');
+
+        // Guests don't queue: the week after opens on the following Thursday
+        expect((await queueManager.handleGuestReservation(ana.id, ana, at('2030-11-18'), { name: 'Pedro' })).message)
+            .toBe('Solo se puede reservar para esta semana y la próxima.');
+        await bookingPolicy.update(db, { horizonWeeks: 2 });
+        expect((await queueManager.handleGuestReservation(ana.id, ana, at('2030-11-18'), { name: 'Pedro' })).message)
+            .toBe('Las reservas para la semana del 18/11 estarán disponibles después del 14/11 12:00.');
+
+        // The lottery runs when the 30 minutes are up
+        const processSpy = jest.spyOn(queueManager, 'processQueue').mockResolvedValue();
+        clock.tick(19 * 60 * 1000);
+        expect(processSpy).not.toHaveBeenCalled();
+        clock.tick(60 * 1000);
+        expect(processSpy).toHaveBeenCalledWith('2030-11-11', expect.anything());
+        processSpy.mockRestore();
+        await queueManager.processQueue('2030-11-11', nextMonday);
+        expect((await db.getReservation('100', '2030-11-11')).spot_number).toBe('1');
+
+        // Weekday names resolve into the open week once it has opened
+        const parsed = new MessageProcessor().processMessage('voy el martes');
+        expect(parsed.date.format('YYYY-MM-DD')).toBe('2030-11-12');
+    });
+
+    test('should resolve "la próxima semana" to the week after the current one', () => {
+        const processor = new MessageProcessor();
+        const dateOf = (text) => processor.processMessage(text).date.format('YYYY-MM-DD');
+
+        startClockAt('2030-11-06 10:00'); // Wednesday, before the opening
+        expect(dateOf('voy el martes')).toBe('2030-11-12');
+        expect(dateOf('la próxima semana voy el martes')).toBe('2030-11-12');
+
+        // On Sunday the open week is already the next one
+        clock.restore();
+        startClockAt('2030-11-10 10:00');
+        expect(dateOf('la próxima semana voy el martes')).toBe('2030-11-12');
+        expect(processor.getWholeWeek('toda la semana que viene').map(date => date.format('DD/MM')))
+            .toEqual(['11/11', '12/11', '13/11', '14/11', '15/11']);
+        expect(bookingPolicy.nextWeekStart(at('2030-11-08 16:59')).format('YYYY-MM-DD')).toBe('2030-11-11');
+        expect(bookingPolicy.nextWeekStart(at('2030-11-08 17:00')).format('YYYY-MM-DD')).toBe('2030-11-11');
+    });
+});
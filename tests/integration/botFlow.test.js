@@ -105,28 +105,28 @@ describe('Bot Complete Flow Tests', () => {
     test('Complete reservation flow', async () => {
         // 1. Supervisor sets parking spots
         bot.simulateMessage(999999, '/setparking 1,2,3');
-        await new Promise(resolve => setTimeout(resolve, 10)); // Allow async processing
+        await bot.settle();
         expect(bot.getLastMessage().text).toContain('Estacionamientos: 1, 2, 3');
 
         // 2. User reserves a spot
         bot.simulateMessage(111, 'voy mañana', 'Alice');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         expect(bot.getLastMessage().text).toContain('✅ Estacionamiento');
         expect(bot.getLastMessage().text).toMatch(/[123]/);
 
         // 3. Another user reserves
         bot.simulateMessage(222, 'reservo mañana', 'Bob');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         expect(bot.getLastMessage().text).toContain('✅ Estacionamiento');
 
         // 4. Third user reserves
         bot.simulateMessage(333, 'necesito mañana', 'Carlos');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         expect(bot.getLastMessage().text).toContain('✅ Estacionamiento');
 
         // 5. Fourth user gets waitlist option
         bot.simulateMessage(444, 'voy mañana', 'Diana');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         const lastMsg = bot.getLastMessage();
         expect(lastMsg.text).toContain('No hay espacios');
         expect(lastMsg.options.reply_markup.inline_keyboard).toBeDefined();
@@ -135,74 +135,74 @@ describe('Bot Complete Flow Tests', () => {
     test('Waitlist flow', async () => {
         // Setup
         bot.simulateMessage(999999, '/setparking 1,2');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         
         // Fill all spots
         bot.simulateMessage(111, 'voy mañana', 'Alice');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         bot.simulateMessage(222, 'voy mañana', 'Bob');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         
         // Third user gets waitlist
         bot.simulateMessage(333, 'voy mañana', 'Carlos');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         expect(bot.getLastMessage().text).toContain('No hay espacios');
         
         // Carlos accepts waitlist
         const tomorrow = moment().add(1, 'day').format('YYYY-MM-DD');
         bot.simulateCallbackQuery(333, `waitlist_yes_333_${tomorrow}`);
-        await new Promise(resolve => setTimeout(resolve, 50)); // Longer timeout
+        await bot.settle();
         expect(bot.getLastActivity().text).toContain('Añadido a lista de espera');
         
         // Alice releases her spot
         bot.simulateMessage(111, 'libero mañana', 'Alice');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         expect(bot.getLastMessage().text).toContain('Liberado estacionamiento');
     });
 
     test('Status command', async () => {
         bot.simulateMessage(999999, '/setparking 1,2,3');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         bot.simulateMessage(111, 'voy mañana');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         
         bot.simulateMessage(111, 'estado');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         expect(bot.getLastMessage().text).toMatch(/Estado de la (semana|próxima semana)/);
     });
 
     test('Double booking prevention', async () => {
         bot.simulateMessage(999999, '/setparking 1,2,3');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         
         // First reservation
         bot.simulateMessage(111, 'voy mañana');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         expect(bot.getLastMessage().text).toContain('✅');
         
         // Try to book again
         bot.simulateMessage(111, 'reservo mañana');
-        await new Promise(resolve => setTimeout(resolve, 50)); // Longer timeout
+        await bot.settle();
         expect(bot.getLastMessage().text).toContain('Ya tienes reservado');
     });
 
     test('Release and re-reserve', async () => {
         bot.simulateMessage(999999, '/setparking 1,2,3');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         
         // Reserve
         bot.simulateMessage(111, 'voy mañana');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         const firstReservation = bot.getLastMessage().text;
         
         // Release
         bot.simulateMessage(111, 'libero mañana');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         expect(bot.getLastMessage().text).toContain('Liberado');
         
         // Reserve again
         bot.simulateMessage(111, 'voy mañana');
-        await new Promise(resolve => setTimeout(resolve, 10));
+        await bot.settle();
         expect(bot.getLastMessage().text).toContain('✅ Estacionamiento');
     });
 });
\ No newline at end of file
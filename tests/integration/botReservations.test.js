@@ -0,0 +1,57 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const MessageProcessor = require('../../src/messageProcessor');
+const WTCParkBotWebhook = require('../../src/bot');
+const TelegramBotMock = require('../mocks/TelegramBotMock');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+// bot.js (npm start) books through ParkingManager directly, without the lottery queue
+describe('Bot Reservations (bot.js)', () => {
+    let db, bot, clock, parkBot;
+    const msg = (text) => ({ text, chat: { id: 100 }, from: { id: 100, first_name: 'Ana' } });
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-11 10:00', 'America/Montevideo').toDate(), // Monday
+            toFake: ['Date']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1']);
+        bot = new TelegramBotMock('test-token');
+
+        // The constructor starts the Telegram client and the web server
+        parkBot = Object.create(WTCParkBotWebhook.prototype);
+        Object.assign(parkBot, {
+            bot,
+            db,
+            messageProcessor: new MessageProcessor(),
+            parkingManager: new ParkingManager(db),
+            supervisorId: 999
+        });
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+    });
+
+    test('should keep to the open week and the booking horizon', async () => {
+        await parkBot.handleTextMessage(msg('voy el 24/11/2031'));
+        expect(bot.getLastMessage().text).toBe('❌ Solo se puede reservar para esta semana y la próxima.');
+
+        await parkBot.handleTextMessage(msg('voy el 18/11'));
+        expect(bot.getLastMessage().text)
+            .toBe('❌ Las reservas para la próxima semana estarán disponibles después del viernes 17:00.');
+        expect(await db.getReservationsByUser('100')).toEqual([]);
+
+        await parkBot.handleTextMessage(msg('voy el 12/11'));
+        expect(bot.getLastMessage().text).toContain('✅ Estacionamiento 1 reservado');
+
+        // Once next week opens it can be booked straight away
+        clock.setSystemTime(moment.tz('2030-11-15 17:00', 'America/Montevideo').toDate());
+        await parkBot.handleTextMessage(msg('voy el 18/11'));
+        expect((await db.getReservation('100', '2030-11-18')).spot_number).toBe('1');
+    });
+});
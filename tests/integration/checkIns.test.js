@@ -0,0 +1,123 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const WaitlistOfferManager = require('../../src/waitlistOfferManager');
+const CheckInManager = require('../../src/checkInManager');
+const TelegramBotMock = require('../mocks/TelegramBotMock');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Check-in and No-show Release', () => {
+    let db, bot, offers, parkingManager, checkIns, clock;
+    const date = moment.tz('2030-11-12', 'America/Montevideo'); // Tuesday
+    const dateStr = '2030-11-12';
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-12 08:00', 'America/Montevideo').toDate(),
+            toFake: ['Date', 'setTimeout', 'clearTimeout']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1', '2']);
+        bot = new TelegramBotMock('test-token');
+        offers = new WaitlistOfferManager(db, bot);
+        parkingManager = new ParkingManager(db, offers);
+        checkIns = new CheckInManager(db, bot, parkingManager);
+
+        // Ana and Beto have today's spots, Carla waits
+        await db.createReservation('100', { first_name: 'Ana' }, dateStr, '1');
+        await db.createReservation('200', { first_name: 'Beto' }, dateStr, '2');
+        await db.addToWaitlist('300', { first_name: 'Carla' }, dateStr);
+    });
+
+    afterEach(() => {
+        offers.clearAllTimers();
+        clock.restore();
+        db.close();
+    });
+
+    test('should prompt everyone with a reservation once', async () => {
+        expect(await checkIns.sendPrompts(date)).toBe(2);
+        expect(await checkIns.sendPrompts(date)).toBe(0);
+
+        const [first] = bot.sentMessages;
+        expect(first.chatId).toBe('100');
+        expect(first.text).toContain('antes de las 10:00');
+        expect(first.options.reply_markup.inline_keyboard[0].map(b => b.callback_data))
+            .toEqual([`checkin_arrived_${dateStr}`, `checkin_skip_${dateStr}`]);
+        expect((await db.getCheckIn('100', dateStr)).message_id).toBe(1);
+    });
+
+    test('should release unconfirmed reservations at the cutoff and count the no-show', async () => {
+        await checkIns.sendPrompts(date);
+        expect((await checkIns.confirmArrival('100', dateStr)).spotNumber).toBe('1');
+
+        const released = await checkIns.releaseNoShows(date);
+
+        expect(released).toEqual([{ userId: '200', spotNumber: '2' }]);
+        expect(await db.getReservation('200', dateStr)).toBeUndefined();
+        expect(await db.getReservation('100', dateStr)).toBeDefined();
+        expect(bot.getLastEditedMessage().text).toContain('No confirmaste tu llegada antes de las 10:00');
+
+        // The freed spot goes to the waitlist through the usual offer
+        expect((await db.getPendingOfferForSpot(dateStr, '2')).user_id).toBe('300');
+
+        const counts = await db.getNoShowCounts();
+        expect(counts.map(r => [r.user_id, r.first_name, r.no_shows])).toEqual([['200', 'Beto', 1]]);
+    });
+
+    test('should release right away on "No voy" without counting a no-show', async () => {
+        await checkIns.sendPrompts(date);
+
+        const result = await checkIns.skipDay('200', dateStr);
+
+        expect(result).toMatchObject({ success: true, spotNumber: '2' });
+        expect((await db.getPendingOfferForSpot(dateStr, '2')).user_id).toBe('300');
+        expect((await checkIns.skipDay('200', dateStr)).success).toBe(false);
+
+        await checkIns.releaseNoShows(date); // Only Ana is left unconfirmed
+        expect((await db.getNoShowCounts()).map(r => r.user_id)).toEqual(['100']);
+    });
+
+    test('should not count someone who released the spot by hand', async () => {
+        await checkIns.sendPrompts(date);
+        await parkingManager.releaseSpot('200', date);
+
+        const released = await checkIns.releaseNoShows(date);
+
+        expect(released.map(r => r.userId)).toEqual(['100']);
+        expect((await db.getCheckIn('200', dateStr)).status).toBe('released');
+    });
+
+    test('should schedule the prompt and cutoff on the configured weekday times', async () => {
+        await checkIns.setTimes('08:30', '09:45');
+
+        expect((await checkIns.nextPromptRun(moment())).format('YYYY-MM-DD HH:mm')).toBe('2030-11-12 08:30');
+        expect((await checkIns.nextCutoffRun(moment())).format('YYYY-MM-DD HH:mm')).toBe('2030-11-12 09:45');
+
+        // Friday after the cutoff: the next ones are on Monday
+        const friday = moment.tz('2030-11-15 10:00', 'America/Montevideo');
+        expect((await checkIns.nextPromptRun(friday)).format('YYYY-MM-DD HH:mm')).toBe('2030-11-18 08:30');
+    });
+
+    test('should catch up the prompt before the cutoff, and do nothing when disabled', async () => {
+        const prompt = moment.tz('2030-11-12 08:00', 'America/Montevideo');
+        expect(await checkIns.runPrompt(prompt)).toBe('Check-in desactivado'); // Off until /checkin on
+        await checkIns.setEnabled(true);
+        clock.setSystemTime(moment.tz('2030-11-12 09:00', 'America/Montevideo').toDate());
+
+        expect(await checkIns.runPrompt(prompt)).toBe('2 avisos enviados');
+        expect(bot.sentMessages.map(m => m.chatId)).toEqual(['100', '200']);
+
+        // Back after the cutoff: yesterday's prompt and cutoff are skipped
+        clock.setSystemTime(moment.tz('2030-11-13 11:00', 'America/Montevideo').toDate());
+        expect(await checkIns.runPrompt(prompt)).toBe('Ya pasó el corte, no se preguntó');
+        expect(await checkIns.runCutoff(moment.tz('2030-11-12 10:00', 'America/Montevideo')))
+            .toBe('Ya pasó el día, no se liberó nada');
+        expect(await db.getReservation('100', dateStr)).toBeDefined();
+
+        await checkIns.setEnabled(false);
+        expect(await checkIns.runPrompt(prompt)).toBe('Check-in desactivado');
+        expect((await checkIns.getSettings()).enabled).toBe(false);
+    });
+});
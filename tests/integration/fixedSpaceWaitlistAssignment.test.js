@@ -1,5 +1,7 @@
 const Database = require('../../src/database');
 const QueueManager = require('../../src/queueManager');
+const ParkingManager = require('../../src/parkingManager');
+const WaitlistOfferManager = require('../../src/waitlistOfferManager');
 const moment = require('moment-timezone');
 
 describe('Fixed Space Release and Waitlist Assignment', () => {
@@ -26,11 +28,18 @@ describe('Fixed Space Release and Waitlist Assignment', () => {
     });
     
     afterEach(async () => {
+        queueManager.waitlistOffers?.clearAllTimers();
         await db.close();
     });
     
+    // Freed spots are offered first; the person has to accept them
+    const acceptOffer = async (dateStr, spotNumber) => {
+        const offer = await db.getPendingOfferForSpot(dateStr, spotNumber);
+        return queueManager.waitlistOffers.acceptOffer(offer.id, offer.user_id);
+    };
+    
     describe('Fixed Space Release with Waitlist', () => {
-        test('should assign freed fixed space to person in waitlist', async () => {
+        test('should offer freed fixed space to person in waitlist and assign it on accept', async () => {
             const tomorrow = moment().add(1, 'day');
             if (tomorrow.day() === 0) tomorrow.add(1, 'day'); // Skip Sunday
             if (tomorrow.day() === 6) tomorrow.add(2, 'days'); // Skip Saturday
@@ -48,10 +57,19 @@ describe('Fixed Space Release and Waitlist Assignment', () => {
             // Release fixed spot
             await db.releaseFixedSpot('222', tomorrowStr, tomorrowStr);
             
-            // Call notifyWaitlist to assign the space
-            const assigned = await queueManager.notifyWaitlist(tomorrow, '222');
+            // Call notifyWaitlist to offer the space
+            const offered = await queueManager.notifyWaitlist(tomorrow, '222');
+            
+            expect(offered).toBe(true);
+            
+            // Verify the offer was sent with accept/decline buttons
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(
+                waitlistUser.user_id,
+                expect.stringContaining('222'),
+                expect.objectContaining({ reply_markup: expect.any(Object) })
+            );
             
-            expect(assigned).toBe(true);
+            await acceptOffer(tomorrowStr, '222');
             
             // Verify user now has reservation
             const reservation = await db.getReservation(waitlistUser.user_id, tomorrowStr);
@@ -61,12 +79,6 @@ describe('Fixed Space Release and Waitlist Assignment', () => {
             // Verify user was removed from waitlist
             const waitlistCount = await db.getWaitlistCount(tomorrowStr);
             expect(waitlistCount).toBe(0);
-            
-            // Verify notification was sent
-            expect(mockBot.sendMessage).toHaveBeenCalledWith(
-                waitlistUser.user_id,
-                expect.stringContaining('222')
-            );
         });
         
         test('should handle multiple people in waitlist', async () => {
@@ -89,8 +101,9 @@ describe('Fixed Space Release and Waitlist Assignment', () => {
             // Release one fixed spot
             await db.releaseFixedSpot('222', tomorrowStr, tomorrowStr);
             
-            // Assign to first in waitlist
+            // Offer to first in waitlist, who accepts
             await queueManager.notifyWaitlist(tomorrow, '222');
+            await acceptOffer(tomorrowStr, '222');
             
             // Verify first user got the spot
             const reservation = await db.getReservation('101', tomorrowStr);
@@ -107,6 +120,38 @@ describe('Fixed Space Release and Waitlist Assignment', () => {
         });
     });
     
+    describe('Offers On Fixed Release', () => {
+        test('should offer the released spot on every weekday of the range', async () => {
+            const parkingManager = new ParkingManager(db, new WaitlistOfferManager(db, mockBot));
+            const monday = moment.tz('2030-11-11', 'America/Montevideo');
+            const sunday = moment.tz('2030-11-17', 'America/Montevideo');
+            
+            await db.addToWaitlist('101', { first_name: 'Ana' }, '2030-11-11');
+            await db.addToWaitlist('101', { first_name: 'Ana' }, '2030-11-12');
+            await db.addToWaitlist('102', { first_name: 'Beto' }, '2030-11-12');
+            await db.addToWaitlist('103', { first_name: 'Carla' }, '2030-11-14');
+            
+            await db.releaseFixedSpot('222', '2030-11-11', '2030-11-17');
+            const offers = await parkingManager.offerReleasedFixedSpot('222', monday, sunday, mockBot);
+            parkingManager.waitlistOffers.clearAllTimers();
+            
+            expect(offers.map(o => [o.date.format('YYYY-MM-DD'), o.userId])).toEqual([
+                ['2030-11-11', '101'],
+                ['2030-11-12', '101'],
+                ['2030-11-14', '103']
+            ]);
+            expect(parkingManager.formatFixedReleaseOffers(offers)).toContain('2 compañeros');
+            
+            // Beto stays first in line for Tuesday
+            expect((await db.getNextInWaitlist('2030-11-12')).user_id).toBe('102');
+        });
+        
+        test('should say so when nobody is waiting', () => {
+            const parkingManager = new ParkingManager(db);
+            expect(parkingManager.formatFixedReleaseOffers([])).toContain('Nadie estaba en lista de espera');
+        });
+    });
+    
     describe('Waitlist Display Format', () => {
         test('should return waitlist users with proper format', async () => {
             const tomorrow = moment().add(1, 'day');
@@ -189,6 +234,11 @@ describe('Fixed Space Release and Waitlist Assignment', () => {
                 }
             }
             
+            // Everyone offered a spot accepts it
+            await acceptOffer(tomorrowStr, '222');
+            await acceptOffer(tomorrowStr, '4122');
+            await acceptOffer(dayAfterStr, '222');
+            
             // Verify assignments
             const res1 = await db.getReservation('301', tomorrowStr);
             const res2 = await db.getReservation('302', tomorrowStr);
@@ -1,6 +1,7 @@
 const moment = require('moment-timezone');
 const Database = require('../../src/database');
 const MessageProcessor = require('../../src/messageProcessor');
+const ParkingManager = require('../../src/parkingManager');
 
 describe('Fixed Spaces Feature Tests', () => {
     let db, messageProcessor;
@@ -213,4 +214,247 @@ describe('Fixed Spaces Feature Tests', () => {
             expect(waitlistCount).toBe(0);
         });
     });
-});
\ No newline at end of file
+
+    describe('Fixed Spot Ownership', () => {
+        let parkingManager;
+        const ana = { id: 111, username: 'Ana_B', first_name: 'Ana' };
+        const beto = { id: 222, username: 'beto', first_name: 'Beto' };
+        
+        beforeEach(() => {
+            parkingManager = new ParkingManager(db);
+        });
+        
+        test('should only let the owner or the supervisor manage a fixed spot', async () => {
+            // No owner yet: only the supervisor
+            expect((await parkingManager.canManageFixedSpot('8033', ana)).allowed).toBe(false);
+            expect((await parkingManager.canManageFixedSpot('8033', ana, true)).allowed).toBe(true);
+            
+            await db.setFixedSpotOwner('8033', { username: '@ana_b' });
+            
+            const denied = await parkingManager.canManageFixedSpot('8033', beto);
+            expect(denied.allowed).toBe(false);
+            expect(denied.message).toContain('@ana_b');
+            
+            // Matched by username (case-insensitive), then bound to the Telegram ID
+            expect((await parkingManager.canManageFixedSpot('8033', ana)).allowed).toBe(true);
+            expect((await db.getFixedSpotOwner('8033')).owner_user_id).toBe('111');
+        });
+        
+        test('should keep owners across /setfixed only for spots still fixed', async () => {
+            await db.setFixedSpotOwner('8033', { userId: 111 });
+            await db.setFixedSpotOwner('8034', { userId: 222 });
+            
+            await db.setFixedSpotNumbers(['8033', '9000']);
+            
+            const spots = await db.getFixedSpots();
+            expect(spots.map(s => [s.spot_number, s.owner_user_id])).toEqual([
+                ['8033', '111'],
+                ['9000', null]
+            ]);
+            expect(await db.getFixedSpotOwner('8034')).toBeUndefined();
+        });
+        
+        test('should notify the owner when someone else takes the released spot', async () => {
+            const bot = { sendMessage: jest.fn().mockResolvedValue(true) };
+            await db.setFixedSpotOwner('8033', { userId: 111 });
+            const notifications = [];
+            db.on('reservationCreated', (reservation) => {
+                notifications.push(parkingManager.notifyFixedSpotOwner(reservation, bot));
+            });
+            
+            const tuesday = '2030-11-12';
+            await db.releaseFixedSpot('8033', tuesday, tuesday);
+            await db.createReservation(222, beto, tuesday, '8033');
+            await db.createReservation(111, ana, '2030-11-13', '8033'); // The owner's own booking
+            await Promise.all(notifications);
+            
+            expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+            expect(bot.sendMessage).toHaveBeenCalledWith('111', expect.stringContaining('Beto tomó tu espacio 8033'));
+        });
+    });
+
+    describe('Partial Reclaim', () => {
+        let parkingManager, bot;
+        const beto = { id: 222, username: 'beto', first_name: 'Beto' };
+        
+        beforeEach(() => {
+            bot = {
+                sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+                editMessageText: jest.fn().mockResolvedValue(true)
+            };
+            parkingManager = new ParkingManager(db);
+        });
+        
+        afterEach(() => {
+            if (parkingManager.waitlistOffers) parkingManager.waitlistOffers.clearAllTimers();
+        });
+        
+        const rangesOf = async (spotNumber) =>
+            (await db.getFixedSpotReleases(spotNumber)).map(r => [r.start_date, r.end_date]);
+        
+        test('should detect the days to take back', () => {
+            const single = messageProcessor.processMessage('quiero el 8033 de vuelta el miércoles');
+            expect(single.type).toBe('FIXED_REMOVAL');
+            expect(single.dates.map(d => d.day())).toEqual([3]);
+            
+            const range = messageProcessor.processMessage('quito el 8033 del martes al jueves');
+            expect(range.dates.map(d => d.day())).toEqual([2, 3, 4]);
+            
+            expect(messageProcessor.processMessage('quiero el 8033 de vuelta').dates).toBeUndefined();
+        });
+        
+        test('should split the release range around the reclaimed day', async () => {
+            await db.releaseFixedSpot('8033', '2030-11-11', '2030-11-22'); // Two weeks, Mon to Fri
+            
+            await db.reclaimFixedSpotDay('8033', '2030-11-13');
+            await db.reclaimFixedSpotDay('8033', '2030-11-15'); // Friday: the tail restarts on Monday
+            
+            expect(await rangesOf('8033')).toEqual([
+                ['2030-11-11', '2030-11-12'],
+                ['2030-11-14', '2030-11-14'],
+                ['2030-11-18', '2030-11-22']
+            ]);
+        });
+        
+        test('should leave booked days for the owner to decide', async () => {
+            await db.releaseFixedSpot('8033', '2030-11-11', '2030-11-15');
+            await db.createReservation(222, beto, '2030-11-13', '8033');
+            
+            const wednesday = moment.tz('2030-11-13', 'America/Montevideo');
+            const thursday = moment.tz('2030-11-14', 'America/Montevideo');
+            const nextWeek = moment.tz('2030-11-20', 'America/Montevideo');
+            const result = await parkingManager.reclaimFixedSpotDays('8033', [wednesday, thursday, nextWeek], bot);
+            
+            expect(result.reclaimed.map(d => d.format('YYYY-MM-DD'))).toEqual(['2030-11-14']);
+            expect(result.notReleased.map(d => d.format('YYYY-MM-DD'))).toEqual(['2030-11-20']);
+            expect(result.conflicts).toHaveLength(1);
+            expect(result.conflicts[0].reservation.user_id).toBe('222');
+            
+            // Wednesday is untouched until the owner answers
+            expect(await rangesOf('8033')).toEqual([
+                ['2030-11-11', '2030-11-13'],
+                ['2030-11-15', '2030-11-15']
+            ]);
+        });
+        
+        test('should move the displaced booking to a free spot when the owner insists', async () => {
+            await db.setParkingSpots(['1']);
+            await db.releaseFixedSpot('8033', '2030-11-13', '2030-11-13');
+            await db.createReservation(222, beto, '2030-11-13', '8033');
+            
+            const result = await parkingManager.forceReclaimFixedSpotDay('8033', moment.tz('2030-11-13', 'America/Montevideo'), bot);
+            
+            expect(result).toEqual({ success: true, displaced: [{ name: 'Beto', newSpot: '1' }] });
+            expect((await db.getReservation(222, '2030-11-13')).spot_number).toBe('1');
+            expect(await rangesOf('8033')).toEqual([]);
+            expect(bot.sendMessage).toHaveBeenCalledWith('222', expect.stringContaining('Te pasé al estacionamiento 1'));
+        });
+        
+        test('should move and report both half-day holders of the spot', async () => {
+            await db.setParkingSpots(['1']);
+            await db.releaseFixedSpot('8033', '2030-11-13', '2030-11-13');
+            await db.createReservation(222, beto, '2030-11-13', '8033', 'morning');
+            await db.createReservation(333, { username: 'caro', first_name: 'Caro' }, '2030-11-13', '8033', 'afternoon');
+            const date = moment.tz('2030-11-13', 'America/Montevideo');
+            
+            const result = await parkingManager.forceReclaimFixedSpotDay('8033', date, bot);
+            
+            expect(result.displaced).toEqual([{ name: 'Caro', newSpot: '1' }, { name: 'Beto', newSpot: '1' }]);
+            expect(parkingManager.formatForcedReclaim('8033', date, result)).toBe(
+                `✅ Recuperaste el espacio 8033 para ${date.format('dddd DD/MM')}. Caro pasó al estacionamiento 1. Beto pasó al estacionamiento 1.`
+            );
+            expect(bot.sendMessage).toHaveBeenCalledWith('333', expect.stringContaining('Te pasé al estacionamiento 1'));
+        });
+        
+        test('should put the displaced person first in the waitlist when nothing is free', async () => {
+            await db.releaseFixedSpot('8033', '2030-11-13', '2030-11-13');
+            await db.createReservation(222, beto, '2030-11-13', '8033');
+            await db.addToWaitlist(333, { username: 'caro', first_name: 'Caro' }, '2030-11-13');
+            
+            const result = await parkingManager.forceReclaimFixedSpotDay('8033', moment.tz('2030-11-13', 'America/Montevideo'), bot);
+            
+            expect(result.displaced).toEqual([{ name: 'Beto', newSpot: null }]);
+            expect(await db.getReservation(222, '2030-11-13')).toBeUndefined();
+            expect((await db.getWaitlistForDate('2030-11-13')).map(w => [w.user_id, w.position])).toEqual([
+                ['222', 1],
+                ['333', 2]
+            ]);
+        });
+        
+        test('should withdraw a pending waitlist offer for the reclaimed day', async () => {
+            await db.addToWaitlist(333, { username: 'caro', first_name: 'Caro' }, '2030-11-13');
+            await db.releaseFixedSpot('8033', '2030-11-13', '2030-11-13');
+            const wednesday = moment.tz('2030-11-13', 'America/Montevideo');
+            await parkingManager.offerReleasedFixedSpot('8033', wednesday, wednesday, bot);
+            const offer = await db.getPendingOfferForSpot('2030-11-13', '8033');
+            
+            const result = await parkingManager.reclaimFixedSpotDays('8033', [wednesday], bot);
+            
+            expect(result.reclaimed).toHaveLength(1);
+            expect((await db.getWaitlistOffer(offer.id)).status).toBe('withdrawn');
+            expect((await db.getNextInWaitlist('2030-11-13')).user_id).toBe('333');
+            expect(bot.editMessageText).toHaveBeenCalledWith(
+                expect.stringContaining('El dueño recuperó el estacionamiento 8033'),
+                expect.objectContaining({ chat_id: '333' })
+            );
+        });
+    });
+
+    describe('Recurring Releases', () => {
+        let parkingManager;
+        
+        beforeEach(() => {
+            parkingManager = new ParkingManager(db);
+        });
+        
+        test('should detect recurring release rules', () => {
+            const add = messageProcessor.processMessage('libero el 8033 todos los lunes y viernes hasta el 30/11');
+            expect(add.type).toBe('FIXED_RELEASE_RULE_ADD');
+            expect(add.spotNumber).toBe('8033');
+            expect(add.weekdays).toEqual([1, 5]);
+            expect(add.endDate.format('DD/MM')).toBe('30/11');
+            
+            expect(messageProcessor.processMessage('libero el 8033 cada viernes').endDate).toBeNull();
+            expect(messageProcessor.processMessage('libero el 8033 todos los viernes hasta fin de año').type).toBe('INVALID_DATE');
+            
+            expect(messageProcessor.processMessage('ya no libero el 8033 los viernes')).toEqual({
+                type: 'FIXED_RELEASE_RULE_CANCEL', spotNumber: '8033', weekdays: [5]
+            });
+            expect(messageProcessor.processMessage('cancelar la liberación del 8033').weekdays).toEqual([]);
+            expect(messageProcessor.processMessage('liberaciones recurrentes').type).toBe('FIXED_RELEASE_RULE_LIST');
+        });
+        
+        test('should keep one rule per spot and weekday', async () => {
+            await db.addFixedReleaseRule('8033', 5, null, 111);
+            await db.addFixedReleaseRule('8033', 5, '2030-12-20', 111);
+            await db.addFixedReleaseRule('8033', 1, null, 111);
+            await db.addFixedReleaseRule('8034', 5, null, 222);
+            
+            expect((await db.getFixedReleaseRules('8033')).map(r => [r.weekday, r.end_date])).toEqual([
+                [1, null],
+                [5, '2030-12-20']
+            ]);
+            
+            expect(await db.removeFixedReleaseRules('8033', [1])).toBe(1);
+            await db.setFixedSpotNumbers(['8033']); // 8034 is no longer fixed: its rules go away
+            expect((await db.getFixedReleaseRules()).map(r => [r.spot_number, r.weekday])).toEqual([['8033', 5]]);
+        });
+        
+        test('should generate the week releases from the rules', async () => {
+            await db.addFixedReleaseRule('8033', 5, null, 111);
+            await db.addFixedReleaseRule('8033', 3, '2030-11-12', 111); // Ends before that Wednesday
+            await db.addFixedReleaseRule('8034', 1, '2030-11-01', 222); // Already expired
+            
+            const weekStart = moment.tz('2030-11-11', 'America/Montevideo');
+            const releases = await parkingManager.materializeFixedReleaseRules(weekStart);
+            
+            expect(releases.map(r => [r.spotNumber, r.date.format('YYYY-MM-DD')])).toEqual([['8033', '2030-11-15']]);
+            expect((await db.getReleasedFixedSpots('2030-11-15')).map(r => r.spot_number)).toEqual(['8033']);
+            expect(await db.getFixedReleaseRules('8034')).toEqual([]);
+            
+            // Running it again does not duplicate the release
+            expect(await parkingManager.materializeFixedReleaseRules(weekStart)).toEqual([]);
+            expect(await db.getFixedSpotReleases('8033')).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const QueueManager = require('../../src/queueManager');
+const CheckInManager = require('../../src/checkInManager');
+const TelegramBotMock = require('../mocks/TelegramBotMock');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Guest Reservations', () => {
+    let db, bot, parkingManager, clock;
+    const thursday = moment.tz('2030-11-14', 'America/Montevideo');
+    const ana = { id: 100, username: 'ana', first_name: 'Ana' };
+    const pedro = { name: 'Pedro Gómez', plate: 'ABC1234' };
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-11 10:00', 'America/Montevideo').toDate(), // Monday
+            toFake: ['Date']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1', '2']);
+        bot = new TelegramBotMock('test-token');
+        parkingManager = new ParkingManager(db);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+    });
+
+    test('should book for the guest without taking the host\'s own day', async () => {
+        const result = await parkingManager.reserveGuestSpot(ana.id, ana, thursday, pedro);
+
+        expect(result).toEqual({ success: true, spotNumber: '1' });
+        const [guest] = await db.getGuestReservations(ana.id, '2030-11-11');
+        expect(guest).toMatchObject({
+            first_name: 'Pedro Gómez',
+            guest_plate: 'ABC1234',
+            host_user_id: '100',
+            host_name: 'Ana',
+            spot_number: '1'
+        });
+
+        // Ana can still book for herself, but the same guest only once per day
+        expect((await parkingManager.reserveSpot(ana.id, ana, thursday)).spotNumber).toBe('2');
+        expect((await parkingManager.reserveGuestSpot(ana.id, ana, thursday, pedro)).message)
+            .toContain('Pedro Gómez ya tiene el estacionamiento 1');
+    });
+
+    test('should show the host in the status and count guests apart in the stats', async () => {
+        await parkingManager.reserveGuestSpot(ana.id, ana, thursday, pedro);
+        await parkingManager.reserveSpot('200', { first_name: 'Beto' }, thursday);
+
+        const status = await parkingManager.formatWeekStatus({ '2030-11-14': await db.getDayStatus('2030-11-14') });
+        expect(status).toContain('1: Pedro Gómez (visita de Ana)');
+        expect(status).toContain('2: Beto');
+
+        expect(await db.getSystemStats()).toMatchObject({ totalReservations: 1, totalGuestReservations: 1 });
+    });
+
+    test('should let only the host release the guest', async () => {
+        await parkingManager.reserveGuestSpot(ana.id, ana, thursday, pedro);
+
+        expect((await parkingManager.releaseGuestSpots('200', thursday)).success).toBe(false);
+        expect((await parkingManager.releaseSpot(ana.id, thursday)).success).toBe(false);
+
+        const result = await parkingManager.releaseGuestSpots(ana.id, thursday);
+        expect(result.released).toEqual([{ name: 'Pedro Gómez', spotNumber: '1' }]);
+        expect(await db.getReservationsByDate('2030-11-14')).toEqual([]);
+    });
+
+    test('should not put guests in the waitlist, the quota or the check-in', async () => {
+        await parkingManager.setQuotaLimits({ maxDaysPerWeek: 1 });
+        await parkingManager.reserveSpot(ana.id, ana, thursday);
+        expect((await parkingManager.reserveGuestSpot(ana.id, ana, thursday, pedro)).success).toBe(true);
+
+        const full = await parkingManager.reserveGuestSpot(ana.id, ana, thursday, { name: 'Carla' });
+        expect(full).toEqual({ success: false, message: expect.stringContaining('No hay espacios disponibles') });
+        expect(await db.getWaitlistForDate('2030-11-14')).toEqual([]);
+
+        clock.setSystemTime(moment.tz('2030-11-14 08:00', 'America/Montevideo').toDate());
+        const checkIns = new CheckInManager(db, bot, parkingManager);
+        await checkIns.sendPrompts(thursday);
+        expect(bot.sentMessages.map(m => m.chatId)).toEqual(['100']);
+    });
+
+    test('should follow the next-week booking rules', async () => {
+        const queueManager = new QueueManager(db, bot, parkingManager);
+        const nextMonday = moment.tz('2030-11-18', 'America/Montevideo');
+
+        expect((await queueManager.handleGuestReservation(ana.id, ana, nextMonday, pedro)).message)
+            .toContain('después del viernes 17:00');
+
+        clock.setSystemTime(moment.tz('2030-11-15 17:05', 'America/Montevideo').toDate());
+        expect((await queueManager.handleGuestReservation(ana.id, ana, nextMonday, pedro)).message)
+            .toContain('sorteo');
+
+        clock.setSystemTime(moment.tz('2030-11-15 17:30', 'America/Montevideo').toDate());
+        expect((await queueManager.handleGuestReservation(ana.id, ana, nextMonday, pedro)).success).toBe(true);
+    });
+});
@@ -0,0 +1,109 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Half-day Reservations', () => {
+    let db, parkingManager, clock;
+    const date = moment.tz('2030-11-12', 'America/Montevideo'); // Tuesday
+    const dateStr = '2030-11-12';
+    const ana = { first_name: 'Ana' };
+    const beto = { first_name: 'Beto' };
+    const carla = { first_name: 'Carla' };
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-11 10:00', 'America/Montevideo').toDate(),
+            toFake: ['Date']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        parkingManager = new ParkingManager(db);
+        await parkingManager.setParkingSpots(['1', '2']);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+    });
+
+    test('should let a morning and an afternoon booking share one spot', async () => {
+        const morning = await parkingManager.reserveSpot('100', ana, date, 'morning');
+        const afternoon = await parkingManager.reserveSpot('200', beto, date, 'afternoon');
+
+        expect(morning).toMatchObject({ success: true, spotNumber: '1', slot: 'morning' });
+        expect(afternoon).toMatchObject({ success: true, spotNumber: '1', slot: 'afternoon' });
+        expect((await db.getReservation('200', dateStr)).slot).toBe('afternoon');
+
+        // The shared spot is complete, so a full-day booking goes to the other one
+        expect((await parkingManager.reserveSpot('300', carla, date)).spotNumber).toBe('2');
+    });
+
+    test('should not mix a full-day booking with half-day ones on the same spot', async () => {
+        await parkingManager.reserveSpot('100', ana, date);
+        await parkingManager.reserveSpot('200', beto, date, 'morning');
+
+        expect((await db.getReservation('200', dateStr)).spot_number).toBe('2');
+
+        // Spot 2 still has its afternoon free, but nothing is left for a whole day
+        const full = await parkingManager.reserveSpot('300', carla, date);
+        expect(full).toEqual({ success: false, waitlist: true });
+        expect((await parkingManager.reserveSpot('300', carla, date, 'morning')).waitlist).toBe(true);
+        expect((await parkingManager.reserveSpot('300', carla, date, 'afternoon')).spotNumber).toBe('2');
+    });
+
+    test('should show per-slot occupancy in the week status', async () => {
+        await parkingManager.reserveSpot('100', ana, date, 'morning');
+        await parkingManager.reserveSpot('200', beto, date, 'afternoon');
+        await parkingManager.reserveSpot('300', carla, date, 'morning');
+
+        const status = await parkingManager.formatWeekStatus({ [dateStr]: await db.getDayStatus(dateStr) });
+
+        expect(status).toContain('• 1: Ana (mañana), Beto (tarde)');
+        expect(status).toContain('• 2: Carla (mañana)');
+        expect(status).toContain('🅿️ Disponibles: 2 (tarde)');
+    });
+
+    test('should reject a full-day row over a half-day one at insert time', async () => {
+        await db.createReservation('100', ana, dateStr, '1', 'morning');
+
+        await expect(db.createReservation('200', beto, dateStr, '1')).rejects.toThrow('UNIQUE constraint failed');
+        await expect(db.createReservation('200', beto, dateStr, '1', 'morning')).rejects.toThrow('UNIQUE constraint failed');
+        await db.createReservation('200', beto, dateStr, '1', 'afternoon');
+
+        await db.createReservation('300', carla, dateStr, '2');
+        await expect(db.createReservation('400', { first_name: 'Dani' }, dateStr, '2', 'afternoon'))
+            .rejects.toThrow('UNIQUE constraint failed');
+    });
+
+    test('should rebuild a pre-slots reservations table keeping its rows', async () => {
+        const legacy = new Database(':memory:');
+        await new Promise((resolve, reject) => legacy.db.exec(`
+            CREATE TABLE reservations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                username TEXT,
+                first_name TEXT,
+                last_name TEXT,
+                date TEXT NOT NULL,
+                spot_number TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user_id, date),
+                UNIQUE(date, spot_number)
+            );
+            INSERT INTO reservations (user_id, first_name, date, spot_number) VALUES ('100', 'Ana', '${dateStr}', '1');
+        `, (err) => (err ? reject(err) : resolve())));
+
+        await legacy.init();
+
+        expect(await legacy.getReservation('100', dateStr)).toMatchObject({ spot_number: '1', slot: 'full', host_user_id: null });
+        await expect(legacy.createReservation('200', beto, dateStr, '1', 'afternoon')).rejects.toThrow('UNIQUE constraint failed');
+        await legacy.createReservation('200', beto, dateStr, '2', 'morning');
+        await legacy.createReservation('300', carla, dateStr, '2', 'afternoon');
+
+        // Starting again is a no-op
+        await legacy.init();
+        expect((await legacy.getReservation('300', dateStr)).slot).toBe('afternoon');
+        legacy.close();
+    });
+});
@@ -0,0 +1,113 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const QueueManager = require('../../src/queueManager');
+const WaitlistOfferManager = require('../../src/waitlistOfferManager');
+const HolidayManager = require('../../src/holidayManager');
+const TelegramBotMock = require('../mocks/TelegramBotMock');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Holidays and Office Closures', () => {
+    let db, bot, parkingManager, waitlistOffers, holidays, clock;
+    const thursday = moment.tz('2030-11-14', 'America/Montevideo');
+    const ana = { id: 100, username: 'ana', first_name: 'Ana' };
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-11 10:00', 'America/Montevideo').toDate(), // Monday
+            toFake: ['Date']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1']);
+        bot = new TelegramBotMock('test-token');
+        waitlistOffers = new WaitlistOfferManager(db, bot);
+        parkingManager = new ParkingManager(db, waitlistOffers);
+        holidays = new HolidayManager(db, bot, waitlistOffers);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+    });
+
+    test('should compute the Uruguayan national holidays, Carnaval and Turismo included', () => {
+        expect(HolidayManager.easterSunday(2025).format('YYYY-MM-DD')).toBe('2025-04-20');
+        expect(HolidayManager.easterSunday(2030).format('YYYY-MM-DD')).toBe('2030-04-21');
+
+        expect(HolidayManager.nationalHolidays(2025)).toEqual([
+            { date: '2025-01-01', name: 'Año Nuevo' },
+            { date: '2025-03-03', name: 'Carnaval' },
+            { date: '2025-03-04', name: 'Carnaval' },
+            { date: '2025-04-17', name: 'Jueves de Turismo' },
+            { date: '2025-04-18', name: 'Viernes de Turismo' },
+            { date: '2025-05-01', name: 'Día de los Trabajadores' },
+            { date: '2025-07-18', name: 'Jura de la Constitución' },
+            { date: '2025-08-25', name: 'Declaratoria de la Independencia' },
+            { date: '2025-12-25', name: 'Navidad' }
+        ]);
+    });
+
+    test('should seed each year once, without bringing back removed holidays', async () => {
+        expect(await holidays.seed()).toEqual([2030, 2031]);
+        expect(await db.getHoliday('2031-12-25')).toMatchObject({ name: 'Navidad' });
+
+        await holidays.remove(moment.tz('2030-12-25', 'America/Montevideo'));
+        expect(await holidays.seed()).toEqual([]);
+        expect(await db.getHoliday('2030-12-25')).toBeNull();
+
+        // A new year only loads the year that was missing
+        expect(await holidays.seed(moment.tz('2031-01-02', 'America/Montevideo'))).toEqual([2032]);
+    });
+
+    test('should block reservations, guests and the lottery on a closure', async () => {
+        await db.addHoliday('2030-11-14', 'Cierre por mudanza');
+        const queueManager = new QueueManager(db, bot, parkingManager, waitlistOffers);
+
+        const direct = await parkingManager.reserveSpot(ana.id, ana, thursday);
+        expect(direct).toEqual({ success: false, message: expect.stringContaining('es feriado (Cierre por mudanza)') });
+        expect((await parkingManager.reserveGuestSpot(ana.id, ana, thursday, { name: 'Pedro' })).success).toBe(false);
+        expect((await queueManager.handleReservation(ana.id, ana, thursday)).message).toContain('la oficina está cerrada');
+
+        // A request queued before the closure is dropped when the lottery runs
+        const result = await queueManager.processQueuedReservation({
+            userId: ana.id,
+            user: ana,
+            targetDate: thursday
+        });
+        expect(result.success).toBe(false);
+        expect(await db.getReservationsByDate('2030-11-14')).toEqual([]);
+    });
+
+    test('should cancel bookings and waitlists when a closure is added', async () => {
+        await db.setParkingSpots(['1', '2']);
+        await parkingManager.reserveSpot(ana.id, ana, thursday);
+        await parkingManager.reserveGuestSpot(ana.id, ana, thursday, { name: 'Pedro' });
+        await parkingManager.addToWaitlist('300', { first_name: 'Carla' }, thursday);
+
+        const result = await holidays.addClosure(thursday, 'Cierre por mudanza');
+
+        expect(result).toEqual({ cancelled: 2, waitlisted: 1 });
+        expect(await db.getReservationsByDate('2030-11-14')).toEqual([]);
+        expect(await db.getWaitlistForDate('2030-11-14')).toEqual([]);
+
+        // One message per person; the guest's cancellation goes to the host
+        expect(bot.sentMessages.map(m => m.chatId).sort()).toEqual(['100', '300']);
+        const toAna = bot.sentMessages.find(m => m.chatId === '100').text;
+        expect(toAna).toContain('es feriado (Cierre por mudanza)');
+        expect(toAna).toContain('Se canceló tu reserva del estacionamiento 1.');
+        expect(toAna).toContain('Se canceló la reserva de tu visitante Pedro');
+    });
+
+    test('should mark holidays in the weekly status', async () => {
+        await db.addHoliday('2030-11-14', null);
+
+        const status = await parkingManager.formatWeekStatus({
+            '2030-11-13': await db.getDayStatus('2030-11-13'),
+            '2030-11-14': await db.getDayStatus('2030-11-14')
+        });
+
+        expect(status).toContain('🎉 Feriado, no se reserva');
+        expect(status.match(/Disponibles/g)).toHaveLength(1);
+    });
+});
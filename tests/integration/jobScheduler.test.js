@@ -0,0 +1,166 @@
+const Database = require('../../src/database');
+const JobScheduler = require('../../src/jobScheduler');
+const bookingPolicy = require('../../src/bookingPolicy');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Job Scheduler', () => {
+    let db, scheduler, clock, run;
+    const at = (time) => moment.tz(time, 'America/Montevideo');
+    const friday = at('2030-11-08 17:00');
+
+    const startClockAt = (time) => {
+        clock = sinon.useFakeTimers({
+            now: at(time).toDate(),
+            toFake: ['Date', 'setTimeout', 'clearTimeout']
+        });
+    };
+
+    const registerReset = () => {
+        scheduler.register('weekly-reset', {
+            description: 'Reset semanal',
+            nextRun: (after) => bookingPolicy.nextOpening(after),
+            run
+        });
+    };
+
+    beforeEach(async () => {
+        db = new Database(':memory:');
+        await db.init();
+        scheduler = new JobScheduler(db);
+        run = jest.fn().mockResolvedValue('2 reservas eliminadas');
+    });
+
+    afterEach(() => {
+        scheduler.stop();
+        clock.restore();
+        db.close();
+    });
+
+    test('should store the next run and run the job when it is due', async () => {
+        startClockAt('2030-11-08 16:59');
+        registerReset();
+        await scheduler.start();
+
+        expect(run).not.toHaveBeenCalled();
+        expect((await db.getScheduledJob('weekly-reset')).next_run_at).toBe(friday.toISOString());
+
+        clock.tick(60 * 1000);
+        await scheduler.tick();
+
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(run.mock.calls[0][0].toISOString()).toBe(friday.toISOString());
+        expect(await db.getScheduledJob('weekly-reset')).toMatchObject({
+            next_run_at: at('2030-11-15 17:00').toISOString(),
+            last_run_at: friday.toISOString(),
+            last_status: 'success'
+        });
+
+        const text = await scheduler.describe();
+        expect(text).toContain('• Reset semanal (weekly-reset)\n  Próxima: Friday 15/11 17:00\n  Última: Friday 08/11 17:00 ✅');
+        expect(text).toContain('✅ Friday 08/11 17:00 weekly-reset: 2 reservas eliminadas');
+    });
+
+    test('should catch up a run missed while the bot was down, only once', async () => {
+        startClockAt('2030-11-05 10:00');
+        await db.setJobNextRun('weekly-reset', friday.toISOString());
+        clock.tick(at('2030-11-11 09:00').diff(at('2030-11-05 10:00'))); // Back on Monday
+
+        registerReset();
+        await scheduler.start();
+
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(run.mock.calls[0][0].toISOString()).toBe(friday.toISOString());
+        expect((await db.getScheduledJob('weekly-reset')).next_run_at).toBe(at('2030-11-15 17:00').toISOString());
+
+        // A second start (another restart) doesn't run it again
+        await scheduler.start();
+        expect(run).toHaveBeenCalledTimes(1);
+    });
+
+    test('should never run the same scheduled time twice, but retry an interrupted one', async () => {
+        startClockAt('2030-11-08 17:00');
+        const key = friday.toISOString();
+
+        expect(await db.claimJobRun('weekly-reset', key)).toBe(true);
+        expect(await db.claimJobRun('weekly-reset', key)).toBe(false);
+
+        // The process died mid-run: the next start marks it and runs it again
+        await db.setJobNextRun('weekly-reset', key);
+        registerReset();
+        await scheduler.start();
+
+        expect(run).toHaveBeenCalledTimes(1);
+        const [record] = await db.getRecentJobRuns();
+        expect(record).toMatchObject({ scheduled_for: key, status: 'success', result: '2 reservas eliminadas' });
+    });
+
+    test('should record failures and keep the schedule going', async () => {
+        startClockAt('2030-11-08 17:00');
+        run.mockRejectedValue(new Error('disco lleno'));
+        registerReset();
+        await db.setJobNextRun('weekly-reset', friday.toISOString());
+
+        await scheduler.start();
+
+        expect((await db.getRecentJobRuns())[0]).toMatchObject({ status: 'failed', result: 'disco lleno' });
+        expect(await db.getScheduledJob('weekly-reset')).toMatchObject({
+            next_run_at: at('2030-11-15 17:00').toISOString(),
+            last_status: 'failed'
+        });
+    });
+
+    test('should keep checking after nextRun throws', async () => {
+        startClockAt('2030-11-08 17:00');
+        await db.setJobNextRun('weekly-reset', friday.toISOString());
+        const nextRun = jest.fn()
+            .mockRejectedValueOnce(new Error('base bloqueada'))
+            .mockImplementation((after) => bookingPolicy.nextOpening(after));
+        scheduler.register('weekly-reset', { description: 'Reset semanal', nextRun, run });
+
+        await expect(scheduler.start()).rejects.toThrow('base bloqueada');
+        expect(run).toHaveBeenCalledTimes(1);
+        expect((await db.getScheduledJob('weekly-reset')).next_run_at).toBe(friday.toISOString());
+
+        // A minute later the next check schedules it again, without running it twice
+        clock.tick(60 * 1000);
+        await scheduler.tick();
+
+        expect(run).toHaveBeenCalledTimes(1);
+        expect((await db.getScheduledJob('weekly-reset')).next_run_at).toBe(at('2030-11-15 17:00').toISOString());
+    });
+
+    test('should take next runs that come from a promise (settings)', async () => {
+        startClockAt('2030-11-12 08:00');
+        await db.setSetting('checkin_prompt_time', '08:30');
+        scheduler.register('checkin-prompt', {
+            description: 'Aviso de check-in',
+            nextRun: async (after) => {
+                const [hour, minute] = (await db.getSetting('checkin_prompt_time')).split(':');
+                const next = after.clone().tz('America/Montevideo').hour(hour).minute(minute).startOf('minute');
+                return next.isAfter(after) ? next : next.add(1, 'day');
+            },
+            run
+        });
+
+        await scheduler.start();
+        clock.tick(30 * 60 * 1000);
+        await scheduler.tick();
+
+        expect(run).toHaveBeenCalledTimes(1);
+        expect((await db.getScheduledJob('checkin-prompt')).next_run_at).toBe(at('2030-11-13 08:30').toISOString());
+    });
+
+    test('should clear the week of the scheduled reset, not the one of a late run', async () => {
+        startClockAt('2030-11-11 09:00'); // Monday after a missed Friday reset
+        await db.setParkingSpots(['1']);
+        await db.createReservation('100', 'ana', '2030-11-07', '1');
+        await db.createReservation('100', 'ana', '2030-11-12', '1');
+
+        const result = await db.resetCurrentWeekReservations(friday);
+
+        expect(result.reservationsCleared).toBe(1);
+        expect(await db.getReservation('100', '2030-11-07')).toBeUndefined();
+        expect(await db.getReservation('100', '2030-11-12')).toBeDefined();
+    });
+});
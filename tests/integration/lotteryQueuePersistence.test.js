@@ -0,0 +1,329 @@
+const Database = require('../../src/database');
+const QueueManager = require('../../src/queueManager');
+const ParkingManager = require('../../src/parkingManager');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Lottery Queue Persistence', () => {
+    let db;
+    let mockBot;
+    let clock;
+    const targetDate = moment.tz('2030-11-11', 'America/Montevideo'); // Monday
+
+    const startClockAt = (time) => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz(time, 'America/Montevideo').toDate(),
+            toFake: ['Date', 'setTimeout', 'clearTimeout']
+        });
+    };
+
+    beforeEach(async () => {
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1', '2']);
+        mockBot = { sendMessage: jest.fn().mockResolvedValue(true) };
+    });
+
+    afterEach(() => {
+        if (clock) {
+            clock.restore();
+            clock = null;
+        }
+        db.close();
+    });
+
+    test('should persist queued requests', async () => {
+        startClockAt('2030-11-08 17:05');
+        const queueManager = new QueueManager(db, mockBot);
+
+        await queueManager.addToQueue(100, { first_name: 'Ana' }, targetDate, 100);
+        await queueManager.addToQueue(200, { first_name: 'Beto' }, targetDate, 200);
+
+        const rows = await db.getPendingLotteryRequests();
+        expect(rows).toHaveLength(2);
+        expect(rows[0].date).toBe('2030-11-11');
+        expect(moment(rows[0].process_at).tz('America/Montevideo').format('YYYY-MM-DD HH:mm')).toBe('2030-11-08 17:15');
+
+        await queueManager.clearAllQueues();
+    });
+
+    test('should restore requests after a restart and keep the 17:15 draw', async () => {
+        startClockAt('2030-11-08 17:05');
+        const before = new QueueManager(db, mockBot);
+        await before.addToQueue(100, { first_name: 'Ana' }, targetDate, 100);
+        for (const timeoutId of before.processingTimeouts.values()) {
+            clearTimeout(timeoutId); // The process "dies" before the draw
+        }
+
+        clock.tick(5 * 60 * 1000); // Restart at 17:10
+        const after = new QueueManager(db, mockBot);
+        const processSpy = jest.spyOn(after, 'processQueue').mockResolvedValue();
+
+        const restored = await after.restoreQueues();
+
+        expect(restored).toBe(1);
+        expect(after.getQueueStatus('2030-11-11')).toEqual({
+            total: 1,
+            date: '2030-11-11',
+            processingScheduled: true
+        });
+
+        // A duplicate request after the restart is still rejected
+        const duplicate = await after.addToQueue('100', { first_name: 'Ana' }, targetDate, 100);
+        expect(duplicate.success).toBe(false);
+
+        clock.tick(4 * 60 * 1000);
+        expect(processSpy).not.toHaveBeenCalled();
+        clock.tick(60 * 1000);
+        expect(processSpy).toHaveBeenCalledWith('2030-11-11', expect.anything());
+    });
+
+    test('should run the draw immediately if 17:15 passed while the bot was down', async () => {
+        startClockAt('2030-11-08 17:05');
+        const before = new QueueManager(db, mockBot);
+        await before.addToQueue(100, { first_name: 'Ana' }, targetDate, 100);
+        for (const timeoutId of before.processingTimeouts.values()) {
+            clearTimeout(timeoutId);
+        }
+
+        clock.tick(30 * 60 * 1000); // Back at 17:35
+        const after = new QueueManager(db, mockBot);
+        const processSpy = jest.spyOn(after, 'processQueue').mockResolvedValue();
+
+        await after.restoreQueues();
+        clock.tick(0);
+
+        expect(processSpy).toHaveBeenCalledWith('2030-11-11', expect.anything());
+    });
+
+    test('should drop persisted requests once the draw is processed', async () => {
+        startClockAt('2030-11-08 17:05');
+        const queueManager = new QueueManager(db, mockBot, new ParkingManager(db));
+        await queueManager.addToQueue(100, { first_name: 'Ana' }, targetDate, 100);
+
+        await queueManager.processQueue('2030-11-11', targetDate);
+
+        expect(await db.getPendingLotteryRequests()).toHaveLength(0);
+        const reservation = await db.getReservation(100, '2030-11-11');
+        expect(reservation).toBeTruthy();
+        expect(mockBot.sendMessage).toHaveBeenCalledWith(100, expect.stringContaining('Felicitaciones'));
+    });
+});
+
+describe('Auditable Lottery Draw', () => {
+    let db;
+    let mockBot;
+    let clock;
+    const targetDate = moment.tz('2030-11-11', 'America/Montevideo'); // Monday
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-08 17:05', 'America/Montevideo').toDate(),
+            toFake: ['Date', 'setTimeout', 'clearTimeout']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1', '2']);
+        mockBot = { sendMessage: jest.fn().mockResolvedValue(true) };
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+    });
+
+    test('seeded shuffle should be reproducible and keep every participant', () => {
+        const items = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+        const first = QueueManager.seededShuffle(items, '1a2b3c4d');
+        const second = QueueManager.seededShuffle(items, '1a2b3c4d');
+
+        expect(first).toEqual(second);
+        expect([...first].sort()).toEqual(items);
+        expect(items).toEqual(['a', 'b', 'c', 'd', 'e', 'f']); // Original untouched
+    });
+
+    test('seeded shuffle should not favour any position', () => {
+        const counts = [0, 0, 0];
+        for (let seed = 0; seed < 3000; seed++) {
+            const order = QueueManager.seededShuffle(['a', 'b', 'c'], seed.toString(16));
+            counts[order.indexOf('a')]++;
+        }
+
+        // Each position should get roughly a third of the draws
+        for (const count of counts) {
+            expect(count).toBeGreaterThan(850);
+            expect(count).toBeLessThan(1150);
+        }
+    });
+
+    test('should record the draw so anyone can replay it', async () => {
+        const queueManager = new QueueManager(db, mockBot, new ParkingManager(db));
+        await queueManager.addToQueue(100, { first_name: 'Ana' }, targetDate, 100);
+        clock.tick(1000);
+        await queueManager.addToQueue(200, { first_name: 'Beto' }, targetDate, 200);
+        clock.tick(1000);
+        await queueManager.addToQueue(300, { first_name: 'Carla' }, targetDate, 300);
+
+        await queueManager.processQueue('2030-11-11', targetDate);
+
+        const [draw] = await db.getLastLotteryDraws();
+        expect(draw.date).toBe('2030-11-11');
+        expect(draw.participants.map(p => p.userId)).toEqual(['100', '200', '300']);
+
+        // Replaying the shuffle with the stored seed gives the stored order
+        const replay = QueueManager.seededShuffle(draw.participants, draw.seed).map(p => p.userId);
+        expect(draw.drawn_order).toEqual(replay);
+
+        // Two spots: the first two in the drawn order got them, the third went to the waitlist
+        expect(draw.assignments.map(a => a.userId)).toEqual(replay);
+        expect(draw.assignments[0].spotNumber).toBeTruthy();
+        expect(draw.assignments[1].spotNumber).toBeTruthy();
+        expect(draw.assignments[2]).toMatchObject({ spotNumber: null, waitlist: true });
+
+        const report = await queueManager.getLastDrawReport();
+        expect(report).toContain(draw.seed);
+        expect(report).toContain('Participantes: Ana, Beto, Carla');
+        expect(report).toContain('lista de espera');
+    });
+
+    test('should report that there is no draw yet', async () => {
+        const queueManager = new QueueManager(db, mockBot);
+        expect(await queueManager.getLastDrawReport()).toBeNull();
+    });
+});
+
+describe('Fairness Weighted Lottery', () => {
+    let db;
+    let mockBot;
+    let clock;
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-08 17:05', 'America/Montevideo').toDate(),
+            toFake: ['Date', 'setTimeout', 'clearTimeout']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1']);
+        mockBot = { sendMessage: jest.fn().mockResolvedValue(true) };
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+    });
+
+    const lostDraw = (processAt, date, loserId) => db.saveLotteryDraw(
+        date,
+        moment.tz(processAt, 'America/Montevideo').toISOString(),
+        '00000001',
+        [{ userId: '100', name: 'Ana' }, { userId: loserId, name: 'Beto' }],
+        ['100', loserId],
+        [
+            { userId: '100', name: 'Ana', spotNumber: '1', waitlist: false, message: null },
+            { userId: loserId, name: 'Beto', spotNumber: null, waitlist: true, message: null }
+        ]
+    );
+
+    test('should be off by default with the documented formula', async () => {
+        const queueManager = new QueueManager(db, mockBot);
+        expect(await queueManager.getLotteryWeighting()).toEqual({
+            enabled: false,
+            lossWeight: 1,
+            dayWeight: 0.5,
+            lookbackWeeks: 4
+        });
+    });
+
+    test('should persist supervisor changes to the formula', async () => {
+        const queueManager = new QueueManager(db, mockBot);
+        await queueManager.setLotteryWeighting({ enabled: true, dayWeight: 2 });
+
+        const reloaded = await new QueueManager(db, mockBot).getLotteryWeighting();
+        expect(reloaded).toMatchObject({ enabled: true, lossWeight: 1, dayWeight: 2 });
+    });
+
+    test('should weigh recent losses and days without a spot', async () => {
+        const queueManager = new QueueManager(db, mockBot);
+        await lostDraw('2030-11-01 17:15', '2030-11-04', '200');
+        await lostDraw('2030-11-01 17:15', '2030-11-05', '200');
+        await lostDraw('2030-10-25 17:15', '2030-10-28', '200');
+        await lostDraw('2030-09-20 17:15', '2030-09-23', '200'); // Outside the 4-week window
+
+        // Beto later got Tuesday 05/11 from the waitlist, so that day doesn't count
+        await db.createReservation('200', { first_name: 'Beto' }, '2030-11-05', '1');
+
+        const weights = await queueManager.computeFairnessWeights(
+            [{ userId: 100 }, { userId: 200 }],
+            moment.tz('2030-11-08 17:15', 'America/Montevideo'),
+            await queueManager.getLotteryWeighting()
+        );
+
+        expect(weights.get('100')).toEqual({ losses: 0, daysWithoutSpot: 0, weight: 1 });
+        // 1 + 1 × 2 lost Fridays + 0.5 × 2 days without a spot
+        expect(weights.get('200')).toEqual({ losses: 2, daysWithoutSpot: 2, weight: 4 });
+    });
+
+    test('should remember a recovered day across the weekly reset', async () => {
+        const queueManager = new QueueManager(db, mockBot);
+        await lostDraw('2030-11-01 17:15', '2030-11-04', '200');
+        await lostDraw('2030-11-01 17:15', '2030-11-05', '200');
+
+        // Beto got Monday 04/11 from the waitlist; the Friday reset deletes that week's bookings
+        await db.createReservation('200', { first_name: 'Beto' }, '2030-11-04', '1');
+        await db.resetCurrentWeekReservations(moment.tz('2030-11-08 17:00', 'America/Montevideo'));
+        expect(await db.getReservation('200', '2030-11-04')).toBeUndefined();
+
+        const weights = await queueManager.computeFairnessWeights(
+            [{ userId: 200 }],
+            moment.tz('2030-11-08 17:15', 'America/Montevideo'),
+            await queueManager.getLotteryWeighting()
+        );
+
+        expect(weights.get('200')).toEqual({ losses: 1, daysWithoutSpot: 1, weight: 2.5 });
+        const [monday] = await db.getLotteryDrawsBetween('2030-11-01', '2030-11-02');
+        expect(monday.recovered).toEqual(['200']);
+    });
+
+    test('weighted shuffle should favour heavier participants and be reproducible', () => {
+        let heavyFirst = 0;
+        for (let seed = 0; seed < 2000; seed++) {
+            const order = QueueManager.seededWeightedShuffle(['light', 'heavy'], [1, 3], seed.toString(16));
+            if (order[0] === 'heavy') heavyFirst++;
+        }
+
+        // Expected 3/4 of the draws
+        expect(heavyFirst).toBeGreaterThan(1400);
+        expect(heavyFirst).toBeLessThan(1600);
+        expect(QueueManager.seededWeightedShuffle(['a', 'b', 'c'], [1, 2, 3], 'beef'))
+            .toEqual(QueueManager.seededWeightedShuffle(['a', 'b', 'c'], [1, 2, 3], 'beef'));
+    });
+
+    test('should record weights and explain them in the results', async () => {
+        const queueManager = new QueueManager(db, mockBot, new ParkingManager(db));
+        await queueManager.setLotteryWeighting({ enabled: true });
+        await lostDraw('2030-11-01 17:15', '2030-11-04', '200');
+
+        const targetDate = moment.tz('2030-11-11', 'America/Montevideo');
+        await queueManager.addToQueue(100, { first_name: 'Ana' }, targetDate, 100);
+        await queueManager.addToQueue(200, { first_name: 'Beto' }, targetDate, 200);
+        await queueManager.processQueue('2030-11-11', targetDate);
+
+        const [draw] = await db.getLastLotteryDraws();
+        expect(draw.weighting).toMatchObject({ enabled: true, lossWeight: 1 });
+        expect(draw.participants.map(p => p.weight)).toEqual([1, 2.5]);
+
+        const replay = QueueManager.seededWeightedShuffle(
+            draw.participants,
+            draw.participants.map(p => p.weight),
+            draw.seed
+        ).map(p => p.userId);
+        expect(draw.drawn_order).toEqual(replay);
+
+        expect(mockBot.sendMessage).toHaveBeenCalledWith(200, expect.stringContaining('tu peso fue 2.5'));
+        const report = await queueManager.getLastDrawReport();
+        expect(report).toContain('Modo equidad');
+        expect(report).toContain('Beto (peso 2.5)');
+    });
+});
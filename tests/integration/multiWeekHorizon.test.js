@@ -0,0 +1,104 @@
+const Database = require('../../src/database');
+const QueueManager = require('../../src/queueManager');
+const ParkingManager = require('../../src/parkingManager');
+const bookingPolicy = require('../../src/bookingPolicy');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Multi-week Booking Horizon', () => {
+    let db, clock, parkingManager, queueManager;
+    const at = (time) => moment.tz(time, 'America/Montevideo');
+    const ana = { id: 100, first_name: 'Ana' };
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: at('2030-11-11 10:00').toDate(), // Monday
+            toFake: ['Date', 'setTimeout', 'clearTimeout']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1']);
+        await bookingPolicy.update(db, { horizonWeeks: 4 });
+        parkingManager = new ParkingManager(db);
+        queueManager = new QueueManager(db, { sendMessage: jest.fn().mockResolvedValue(true) }, parkingManager);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        bookingPolicy.reset();
+        db.close();
+    });
+
+    test('should queue requests for weeks ahead until the draw of their opening', async () => {
+        const result = await queueManager.handleReservation(ana.id, ana, at('2030-12-03'));
+
+        expect(result.queued).toBe(true);
+        expect(result.message).toContain(`La asignación de espacios será el ${at('2030-11-29 17:15').format('dddd DD/MM HH:mm')}.`);
+        const [request] = await db.getPendingLotteryRequests();
+        expect(request).toMatchObject({ user_id: '100', date: '2030-12-03' });
+        expect(moment(request.process_at).tz('America/Montevideo').format('YYYY-MM-DD HH:mm')).toBe('2030-11-29 17:15');
+        expect(queueManager.getUserRequests(ana.id).map(date => date.format('YYYY-MM-DD'))).toEqual(['2030-12-03']);
+
+        // The listing covers the whole horizon, not only the open week
+        await db.createReservation('100', ana, '2030-12-02', '1');
+        expect((await parkingManager.getUserReservations(ana.id)).map(r => r.date)).toEqual(['2030-12-02']);
+
+        expect((await queueManager.handleReservation(ana.id, ana, at('2030-12-16'))).message)
+            .toBe('Solo se puede reservar hasta 4 semanas después de la actual.');
+
+        // With the usual horizon the same request waits for the Friday of the week before
+        bookingPolicy.reset();
+        expect((await queueManager.handleReservation('200', { first_name: 'Beto' }, at('2030-12-03'))).message)
+            .toBe('Solo se puede reservar para esta semana y la próxima.');
+    });
+
+    test('should wait in steps for draws beyond the timer limit', async () => {
+        await queueManager.handleReservation(ana.id, ana, at('2030-12-09'));
+        const processSpy = jest.spyOn(queueManager, 'processQueue').mockResolvedValue();
+
+        const untilDraw = at('2030-12-06 17:15').diff(at('2030-11-11 10:00'));
+        clock.tick(2 ** 31 - 1);
+        expect(processSpy).not.toHaveBeenCalled();
+        clock.tick(untilDraw - (2 ** 31 - 1));
+        expect(processSpy).toHaveBeenCalledWith('2030-12-09', expect.anything());
+    });
+
+    test('should note a planned absence and leave the draw of that day', async () => {
+        await db.addRecurringReservation(100, ana, 2);
+        await queueManager.handleReservation(ana.id, ana, at('2030-11-26'));
+
+        const result = await parkingManager.releaseDay(ana.id, at('2030-11-26'), queueManager);
+
+        expect(result).toEqual({ success: false, planned: true, withdrawn: true });
+        expect(await db.getPendingLotteryRequests()).toEqual([]);
+        expect(parkingManager.formatPlannedAbsence(at('2030-11-26'), result)).toContain('Saliste del sorteo de ese día.');
+
+        // Standing bookings skip that Tuesday when its week opens
+        clock.tick(at('2030-11-22 17:20').diff(at('2030-11-11 10:00')));
+        const [skipped] = await parkingManager.materializeRecurringReservations(at('2030-11-25'));
+        expect(skipped.result).toEqual({ success: false, message: 'Avisaste que no venías' });
+        expect(await db.getReservation('100', '2030-11-26')).toBeUndefined();
+
+        // A rejected request leaves it in place
+        await db.addHoliday('2030-11-26', 'Cierre de oficina');
+        expect((await queueManager.handleReservation(ana.id, ana, at('2030-11-26'))).success).toBe(false);
+        expect(await db.hasPlannedAbsence('100', '2030-11-26')).toBe(true);
+        await db.removeHoliday('2030-11-26');
+
+        // Booking the day again cancels the absence
+        expect((await queueManager.handleReservation(ana.id, ana, at('2030-11-26'))).success).toBe(true);
+        expect(await db.getPlannedAbsences('100', '2030-11-11')).toEqual([]);
+    });
+
+    test('should still release existing bookings and reject days beyond the horizon', async () => {
+        await parkingManager.reserveSpot(ana.id, ana, at('2030-11-12'));
+
+        expect(await parkingManager.releaseDay(ana.id, at('2030-11-12'), queueManager))
+            .toEqual({ success: true, spotNumber: '1' });
+        expect((await parkingManager.releaseDay(ana.id, at('2030-11-13'))).planned).toBeUndefined();
+        expect(await parkingManager.releaseDay(ana.id, at('2031-01-06'))).toEqual({
+            success: false,
+            message: 'Solo se puede reservar hasta 4 semanas después de la actual.'
+        });
+    });
+});
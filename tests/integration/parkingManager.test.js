@@ -126,6 +126,28 @@ describe('ParkingManager Integration Tests', () => {
             expect(second.user_id).toBe('222'); // Database stores as string
         });
 
+        test('should report real waitlist positions', async () => {
+            const date = moment().add(1, 'day').format('YYYY-MM-DD');
+            const later = moment().add(2, 'day').format('YYYY-MM-DD');
+
+            await db.addToWaitlist(1, { first_name: 'First' }, date);
+            await db.addToWaitlist(2, { first_name: 'Second' }, date);
+            await db.addToWaitlist(3, { first_name: 'Third' }, date);
+            await db.addToWaitlist(2, { first_name: 'Second' }, later);
+            await db.removeFromWaitlist(1, date);
+
+            const entries = await db.getUserWaitlistEntries(2, moment().format('YYYY-MM-DD'));
+            expect(entries.map(e => [e.date, e.position, e.total])).toEqual([
+                [date, 1, 2],
+                [later, 1, 1]
+            ]);
+
+            const status = await parkingManager.formatWeekStatus({ [date]: [] });
+            expect(status).toContain('• 1: Second');
+            expect(status).toContain('• 2: Third');
+            expect(status).not.toContain('?:');
+        });
+
         test('should assign spot from waitlist', async () => {
             const date = moment().add(1, 'day');
             const waitlistUser = { username: 'waituser', first_name: 'Wait' };
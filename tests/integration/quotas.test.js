@@ -0,0 +1,100 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const QueueManager = require('../../src/queueManager');
+const TelegramBotMock = require('../mocks/TelegramBotMock');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Reservation Quotas', () => {
+    let db, parkingManager, clock;
+    const ana = { username: 'AnaP', first_name: 'Ana' };
+    const day = (dateStr) => moment.tz(dateStr, 'America/Montevideo');
+    const week = ['2030-11-18', '2030-11-19', '2030-11-20', '2030-11-21', '2030-11-22'].map(day);
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-16 10:00', 'America/Montevideo').toDate(), // Saturday
+            toFake: ['Date']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1', '2', '3']);
+        parkingManager = new ParkingManager(db);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+        delete process.env.QUOTA_MAX_DAYS_PER_WEEK;
+    });
+
+    test('should not limit anything by default', async () => {
+        const results = await parkingManager.reserveMultipleDays('100', ana, week);
+
+        expect(results.every(r => r.success)).toBe(true);
+        expect(await parkingManager.getQuotaLimits()).toEqual({ maxDaysPerWeek: 0, maxFullWeeks: 0 });
+    });
+
+    test('should stop at the maximum days per week, counting half days', async () => {
+        await parkingManager.setQuotaLimits({ maxDaysPerWeek: 2 });
+        await parkingManager.reserveSpot('100', ana, week[0], 'morning');
+
+        const results = await parkingManager.reserveMultipleDays('100', ana, week.slice(1, 4));
+
+        expect(results.map(r => r.success)).toEqual([true, false, false]);
+        expect(results[1].message).toContain('máximo de 2 días por semana (semana del 18/11)');
+        expect(results[1].waitlist).toBeUndefined();
+
+        // Releasing a day frees room for another one
+        await parkingManager.releaseSpot('100', week[1]);
+        expect((await parkingManager.reserveSpot('100', ana, week[3])).success).toBe(true);
+    });
+
+    test('should fall back to the environment and let the supervisor exempt someone', async () => {
+        process.env.QUOTA_MAX_DAYS_PER_WEEK = '1';
+        await parkingManager.reserveSpot('100', ana, week[0]);
+        expect((await parkingManager.reserveSpot('100', ana, week[1])).success).toBe(false);
+
+        await db.addQuotaExemption('@anap');
+        expect(await db.isQuotaExempt('100', 'AnaP')).toBe(true);
+        expect((await parkingManager.reserveSpot('100', ana, week[1])).success).toBe(true);
+
+        await db.removeQuotaExemption('@AnaP');
+        await db.addQuotaExemption('100');
+        expect((await parkingManager.reserveSpot('100', ana, week[2])).success).toBe(true);
+    });
+
+    test('should cap the fifth day after too many full weeks in a row', async () => {
+        await parkingManager.setQuotaLimits({ maxFullWeeks: 1 });
+
+        // Ana books the whole current week; the Friday reset records it
+        clock.setSystemTime(moment.tz('2030-11-11 09:00', 'America/Montevideo').toDate());
+        const current = ['2030-11-11', '2030-11-12', '2030-11-13', '2030-11-14', '2030-11-15'].map(day);
+        expect((await parkingManager.reserveMultipleDays('100', ana, current)).every(r => r.success)).toBe(true);
+
+        clock.setSystemTime(moment.tz('2030-11-15 17:00', 'America/Montevideo').toDate());
+        await db.resetCurrentWeekReservations();
+        expect((await db.getWeeklyUsage('100', '2030-11-11')).get('2030-11-11')).toBe(5);
+
+        const results = await parkingManager.reserveMultipleDays('100', ana, week);
+
+        expect(results.map(r => r.success)).toEqual([true, true, true, true, false]);
+        expect(results[4].message).toContain('semana completa la semana pasada');
+        expect(results[4].message).toContain('hasta 4 días');
+
+        // Someone else without that history can book the full week
+        const beto = await parkingManager.reserveMultipleDays('200', { first_name: 'Beto' }, week);
+        expect(beto.every(r => r.success)).toBe(true);
+    });
+
+    test('should apply the limits to lottery requests', async () => {
+        await parkingManager.setQuotaLimits({ maxDaysPerWeek: 1 });
+        const queueManager = new QueueManager(db, new TelegramBotMock('test-token'), parkingManager);
+        await parkingManager.reserveSpot('100', ana, week[0]);
+
+        const result = await queueManager.processQueuedReservation({ userId: '100', user: ana, targetDate: week[1] });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('máximo de 1 día por semana');
+    });
+});
@@ -0,0 +1,112 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Recurring Reservations', () => {
+    let db;
+    let parkingManager;
+    let clock;
+    // A Monday far enough in the future to never be in the past
+    const weekStart = moment.tz('2030-11-04', 'America/Montevideo');
+
+    beforeEach(async () => {
+        // The Friday before, once that week opened
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-01 17:20', 'America/Montevideo').toDate(),
+            toFake: ['Date']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        parkingManager = new ParkingManager(db);
+        await parkingManager.setParkingSpots(['1', '2']);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+    });
+
+    describe('Storage', () => {
+        test('should store one standing booking per user and weekday', async () => {
+            const user = { username: 'ana', first_name: 'Ana' };
+
+            await db.addRecurringReservation(100, user, 2);
+            await db.addRecurringReservation(100, user, 4);
+            await db.addRecurringReservation(100, user, 2); // duplicate is ignored
+
+            const recurring = await db.getUserRecurringReservations(100);
+            expect(recurring.map(r => r.weekday)).toEqual([2, 4]);
+        });
+
+        test('should cancel specific weekdays or all of them', async () => {
+            const user = { username: 'ana', first_name: 'Ana' };
+            await db.addRecurringReservation(100, user, 1);
+            await db.addRecurringReservation(100, user, 2);
+            await db.addRecurringReservation(100, user, 3);
+
+            expect(await db.removeRecurringReservations(100, [2])).toBe(1);
+            expect((await db.getUserRecurringReservations(100)).map(r => r.weekday)).toEqual([1, 3]);
+
+            expect(await db.removeRecurringReservations(100)).toBe(2);
+            expect(await db.getUserRecurringReservations(100)).toHaveLength(0);
+        });
+    });
+
+    describe('Materialization', () => {
+        test('should book standing reservations directly outside the lottery window', async () => {
+            await db.addRecurringReservation(100, { first_name: 'Ana' }, 2);
+            await db.addRecurringReservation(200, { first_name: 'Beto' }, 2);
+            await db.addRecurringReservation(300, { first_name: 'Caro' }, 2);
+
+            const results = await parkingManager.materializeRecurringReservations(weekStart);
+
+            expect(results).toHaveLength(3);
+            expect(results.filter(r => r.result.success)).toHaveLength(2);
+
+            // No spot left for the third one: straight to the waitlist
+            const waitlisted = results.find(r => r.result.waitlist);
+            expect(waitlisted).toBeDefined();
+            const waitlist = await db.getWaitlistForDate('2030-11-05');
+            expect(waitlist).toHaveLength(1);
+            expect(waitlist[0].user_id).toBe(waitlisted.userId);
+        });
+
+        test('should queue standing reservations during the lottery window', async () => {
+            await db.addRecurringReservation(100, { first_name: 'Ana' }, 3);
+
+            const queueManager = {
+                isInQueuePeriod: jest.fn().mockReturnValue(true),
+                addToQueue: jest.fn().mockResolvedValue({ success: true, queued: true })
+            };
+
+            const results = await parkingManager.materializeRecurringReservations(weekStart, queueManager);
+
+            expect(queueManager.addToQueue).toHaveBeenCalledWith(
+                '100',
+                expect.objectContaining({ first_name: 'Ana' }),
+                expect.anything(),
+                '100'
+            );
+            expect(queueManager.addToQueue.mock.calls[0][2].format('YYYY-MM-DD')).toBe('2030-11-06');
+            expect(results[0].result.queued).toBe(true);
+
+            // Nothing was booked before the draw
+            expect(await db.getReservation(100, '2030-11-06')).toBeUndefined();
+        });
+
+        test('should build one summary message per user', async () => {
+            await db.addRecurringReservation(100, { first_name: 'Ana' }, 1);
+            await db.addRecurringReservation(100, { first_name: 'Ana' }, 5);
+
+            const results = await parkingManager.materializeRecurringReservations(weekStart);
+            const messages = parkingManager.formatRecurringResults(results);
+
+            expect(messages.size).toBe(1);
+            const text = messages.get('100');
+            expect(text).toContain('04/11');
+            expect(text).toContain('08/11');
+            expect(text).toContain('Estacionamiento');
+        });
+    });
+});
@@ -1,4 +1,5 @@
 const moment = require('moment-timezone');
+const sinon = require('sinon');
 const Database = require('../../src/database');
 const ParkingManager = require('../../src/parkingManager');
 const TelegramBotMock = require('../mocks/TelegramBotMock');
@@ -103,15 +104,24 @@ describe('WTC Parking Bot Rules Validation', () => {
 
     describe('Direct Booking Rules', () => {
         test('should allow direct booking without lottery system', async () => {
-            // After removing lottery, all bookings should be direct
-            const nextMonday = moment().tz('America/Montevideo').add(1, 'week').day(1);
-            
-            const result = await parkingManager.reserveSpot('456', { first_name: 'Test' }, nextMonday);
-            
-            // Should succeed immediately without queuing
-            expect(result.success).toBe(true);
-            expect(result.spotNumber).toBeDefined();
-            expect(result.queued).toBeUndefined(); // No queuing anymore
+            // Next week only opens on Friday at 17:00
+            const clock = sinon.useFakeTimers({
+                now: moment.tz('2030-11-15 17:20', 'America/Montevideo').toDate(),
+                toFake: ['Date']
+            });
+            try {
+                // After removing lottery, all bookings should be direct
+                const nextMonday = moment().tz('America/Montevideo').add(1, 'week').day(1);
+                
+                const result = await parkingManager.reserveSpot('456', { first_name: 'Test' }, nextMonday);
+                
+                // Should succeed immediately without queuing
+                expect(result.success).toBe(true);
+                expect(result.spotNumber).toBeDefined();
+                expect(result.queued).toBeUndefined(); // No queuing anymore
+            } finally {
+                clock.restore();
+            }
         });
     });
 
@@ -152,12 +162,18 @@ describe('WTC Parking Bot Rules Validation', () => {
             // Add to waitlist
             await db.addToWaitlist('user4', { first_name: 'User4', user_id: 'user4' }, tomorrow.format('YYYY-MM-DD'));
             
-            // Release a spot and notify waitlist
+            // Release a spot and offer it to the waitlist
             await parkingManager.releaseSpot('user1', tomorrow);
             const notified = await parkingManager.notifyWaitlist(tomorrow, '1', bot);
             
             expect(notified).toBe(true);
             
+            // The spot is held for user4 until they accept
+            const offer = await db.getPendingOfferForSpot(tomorrow.format('YYYY-MM-DD'), '1');
+            expect(offer.user_id).toBe('user4');
+            await parkingManager.waitlistOffers.acceptOffer(offer.id, 'user4');
+            parkingManager.waitlistOffers.clearAllTimers();
+            
             // Check that user4 now has a reservation
             const reservation = await db.getReservation('user4', tomorrow.format('YYYY-MM-DD'));
             expect(reservation).toBeTruthy();
@@ -0,0 +1,85 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const WaitlistOfferManager = require('../../src/waitlistOfferManager');
+const TelegramBotMock = require('../mocks/TelegramBotMock');
+const { parseAttributes } = require('../../src/spotAttributes');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Spot Attributes and Vehicle Profiles', () => {
+    let db, parkingManager, clock;
+    const date = moment.tz('2030-11-12', 'America/Montevideo'); // Tuesday
+    const dateStr = '2030-11-12';
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-11 10:00', 'America/Montevideo').toDate(),
+            toFake: ['Date']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        parkingManager = new ParkingManager(db);
+        await parkingManager.setParkingSpots(['1', '2', '3', '4']);
+        await db.setSpotAttributes('1', ['accessible']);
+        await db.setSpotAttributes('2', ['ev']);
+        await db.setSpotAttributes('3', ['motorcycle']);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+    });
+
+    test('should parse attribute names and aliases', () => {
+        expect(parseAttributes('EV, accesible moto')).toEqual({
+            attributes: ['ev', 'accessible', 'motorcycle'],
+            unknown: []
+        });
+        expect(parseAttributes('cargador, grande').unknown).toEqual(['grande']);
+    });
+
+    test('should keep accessible and charging spots for last when nobody needs them', async () => {
+        const results = [];
+        for (const userId of ['100', '200', '300']) {
+            const result = await parkingManager.reserveSpot(userId, { first_name: userId }, date);
+            results.push(result.spotNumber);
+        }
+
+        // The motorcycle spot never goes to a car
+        expect(results).toEqual(['4', '2', '1']);
+        expect((await parkingManager.reserveSpot('400', { first_name: 'Dani' }, date)).waitlist).toBe(true);
+    });
+
+    test('should match each vehicle profile to its spot first', async () => {
+        await db.setVehicleProfile('100', ['accessible']);
+        await db.setVehicleProfile('200', ['motorcycle']);
+        await db.setVehicleProfile('300', ['ev']);
+
+        expect((await parkingManager.reserveSpot('100', { first_name: 'Ana' }, date)).spotNumber).toBe('1');
+        expect((await parkingManager.reserveSpot('200', { first_name: 'Beto' }, date)).spotNumber).toBe('3');
+        expect((await parkingManager.reserveSpot('300', { first_name: 'Carla' }, date)).spotNumber).toBe('2');
+    });
+
+    test('should require a charger when asked for one', async () => {
+        expect((await parkingManager.reserveSpot('100', { first_name: 'Ana' }, date, 'full', ['ev'])).spotNumber).toBe('2');
+
+        const result = await parkingManager.reserveSpot('200', { first_name: 'Beto' }, date, 'full', ['ev']);
+        expect(result.success).toBe(false);
+        expect(result.waitlist).toBeUndefined();
+        expect(result.message).toContain('No quedan espacios con 🔌 cargador eléctrico');
+    });
+
+    test('should offer a released motorcycle spot to the first rider in the waitlist', async () => {
+        const bot = new TelegramBotMock('test-token');
+        const offers = new WaitlistOfferManager(db, bot);
+        await db.setVehicleProfile('200', ['motorcycle']);
+        await db.addToWaitlist('100', { first_name: 'Ana' }, dateStr);
+        await db.addToWaitlist('200', { first_name: 'Beto' }, dateStr);
+
+        expect(await offers.offerSpot(date, '3')).toBe(true);
+
+        expect((await db.getPendingOfferForSpot(dateStr, '3')).user_id).toBe('200');
+        expect((await db.getNextInWaitlist(dateStr)).user_id).toBe('100');
+        offers.clearAllTimers();
+    });
+});
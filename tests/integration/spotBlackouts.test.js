@@ -0,0 +1,93 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const WaitlistOfferManager = require('../../src/waitlistOfferManager');
+const TelegramBotMock = require('../mocks/TelegramBotMock');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Spot Blackouts', () => {
+    let db, bot, parkingManager, waitlistOffers, clock;
+    const tuesday = moment.tz('2030-11-12', 'America/Montevideo');
+    const thursday = moment.tz('2030-11-14', 'America/Montevideo');
+    const ana = { id: 100, username: 'ana', first_name: 'Ana' };
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-11 10:00', 'America/Montevideo').toDate(), // Monday
+            toFake: ['Date']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1058', '1060']);
+        bot = new TelegramBotMock('test-token');
+        waitlistOffers = new WaitlistOfferManager(db, bot);
+        parkingManager = new ParkingManager(db, waitlistOffers);
+    });
+
+    afterEach(async () => {
+        for (const offer of await db.getPendingWaitlistOffers()) {
+            waitlistOffers.clearExpiry(offer.id);
+        }
+        clock.restore();
+        db.close();
+    });
+
+    test('should take the spot out of bookings and the status only within the range', async () => {
+        await parkingManager.blackoutSpot('1058', tuesday, thursday, 'Obra', bot);
+
+        expect(await db.getAvailableSpot('2030-11-13')).toEqual({ number: '1060' });
+        expect((await db.getDayStatus('2030-11-13')).map(spot => spot.spot_number)).toEqual(['1060']);
+        expect(await db.getAvailableSpot('2030-11-15')).toEqual({ number: '1058' });
+
+        // Asking for the blocked spot gets another one
+        const result = await parkingManager.reserveSpot(ana.id, ana, tuesday, 'full', [], '1058');
+        expect(result.spotNumber).toBe('1060');
+
+        const status = await parkingManager.formatWeekStatus({ '2030-11-13': await db.getDayStatus('2030-11-13') });
+        expect(status).toContain('🚧 Bloqueados: 1058 (Obra)');
+        expect(status).toContain('🅿️ Disponibles: 1060');
+    });
+
+    test('should move the holders to another spot or to the head of the waitlist', async () => {
+        await parkingManager.reserveSpot(ana.id, ana, tuesday);
+        await parkingManager.reserveSpot('200', { first_name: 'Beto' }, thursday);
+        await parkingManager.reserveSpot('300', { first_name: 'Carla' }, thursday);
+
+        const result = await parkingManager.blackoutSpot('1058', tuesday, thursday, 'Camión de mudanza', bot);
+
+        expect(result.displaced).toEqual([
+            { date: expect.anything(), name: 'Ana', newSpot: '1060' },
+            { date: expect.anything(), name: 'Beto', newSpot: null }
+        ]);
+        expect((await db.getReservation('100', '2030-11-12')).spot_number).toBe('1060');
+        expect(await db.getReservation('200', '2030-11-14')).toBeUndefined();
+        expect((await db.getWaitlistForDate('2030-11-14'))[0].user_id).toBe('200');
+
+        const toAna = bot.sentMessages.find(m => m.chatId === '100').text;
+        expect(toAna).toContain('El estacionamiento 1058 está bloqueado el');
+        expect(toAna).toContain('12/11 (Camión de mudanza). Te pasé al estacionamiento 1060.');
+        expect(bot.sentMessages.find(m => m.chatId === '200').text).toContain('quedaste primero en la lista de espera');
+    });
+
+    test('should reject unknown spots', async () => {
+        const result = await parkingManager.blackoutSpot('999', tuesday, thursday, null, bot);
+
+        expect(result).toEqual({ success: false, message: '❌ El espacio 999 no existe.' });
+        expect(await db.getSpotBlackouts('2030-11-11')).toEqual([]);
+    });
+
+    test('should offer the freed days to the waitlist when the spot is unblocked', async () => {
+        await parkingManager.blackoutSpot('1058', tuesday, tuesday, null, bot);
+        await parkingManager.reserveSpot(ana.id, ana, tuesday);
+        const full = await parkingManager.reserveSpot('200', { first_name: 'Beto' }, tuesday);
+        expect(full.waitlist).toBe(true);
+        await parkingManager.addToWaitlist('200', { first_name: 'Beto' }, tuesday);
+
+        const removed = await parkingManager.unblockSpot('1058', bot);
+
+        expect(removed).toHaveLength(1);
+        const [offer] = await db.getPendingWaitlistOffers();
+        expect(offer).toMatchObject({ user_id: '200', spot_number: '1058', date: '2030-11-12' });
+        expect(parkingManager.formatBlackouts(await db.getSpotBlackouts('2030-11-11'))).toBe('🚧 No hay espacios bloqueados.');
+    });
+});
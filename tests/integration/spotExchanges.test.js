@@ -0,0 +1,119 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const SpotExchangeManager = require('../../src/spotExchangeManager');
+const TelegramBotMock = require('../mocks/TelegramBotMock');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Spot Exchanges', () => {
+    let db, bot, parkingManager, exchanges, clock;
+    const day = (dateStr) => moment.tz(dateStr, 'America/Montevideo');
+    const tuesday = day('2030-11-12');
+    const thursday = day('2030-11-14');
+    const ana = { id: 100, username: 'ana', first_name: 'Ana' };
+    const beto = { id: 200, username: 'Beto', first_name: 'Beto' };
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-11 10:00', 'America/Montevideo').toDate(), // Monday
+            toFake: ['Date']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1', '2']);
+        bot = new TelegramBotMock('test-token');
+        parkingManager = new ParkingManager(db);
+        exchanges = new SpotExchangeManager(db, bot, parkingManager);
+
+        await db.createReservation('100', ana, '2030-11-12', '1');
+        await db.createReservation('200', beto, '2030-11-14', '2');
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+    });
+
+    const lastExchangeId = () => {
+        const buttons = bot.sentMessages[bot.sentMessages.length - 1].options.reply_markup.inline_keyboard[0];
+        return parseInt(buttons[0].callback_data.split('_')[2]);
+    };
+
+    test('should hand the reservation over only after the colleague accepts', async () => {
+        const proposal = await exchanges.proposeTransfer(ana, tuesday, 'beto');
+        expect(proposal.success).toBe(true);
+
+        const [ask] = bot.sentMessages;
+        expect(ask.chatId).toBe('200');
+        expect(ask.text).toContain('Ana te pasa su estacionamiento 1');
+        const exchangeId = lastExchangeId();
+        expect(ask.options.reply_markup.inline_keyboard[0].map(b => b.callback_data))
+            .toEqual([`exchange_accept_${exchangeId}`, `exchange_decline_${exchangeId}`]);
+        expect((await db.getSpotExchange(exchangeId)).message_id).toBe(1);
+
+        // Until then it is still Ana's, and only Beto can answer
+        expect((await db.getReservation('100', '2030-11-12')).spot_number).toBe('1');
+        expect((await exchanges.accept(exchangeId, 300)).message).toBe('Esta propuesta no es para ti.');
+
+        const result = await exchanges.accept(exchangeId, 200);
+        expect(result.success).toBe(true);
+        expect(await db.getReservation('100', '2030-11-12')).toBeUndefined();
+        expect(await db.getReservation('200', '2030-11-12')).toMatchObject({ spot_number: '1', first_name: 'Beto' });
+        expect(bot.getLastMessage()).toMatchObject({ chatId: '100' });
+        expect(bot.getLastMessage().text).toContain('@Beto aceptó');
+
+        // A second click does nothing
+        expect((await exchanges.accept(exchangeId, 200)).message).toBe('Esta propuesta ya no está disponible.');
+    });
+
+    test('should keep the reservation when the colleague declines', async () => {
+        await exchanges.proposeTransfer(ana, tuesday, 'beto');
+
+        expect((await exchanges.decline(lastExchangeId(), 200)).success).toBe(true);
+        expect((await db.getReservation('100', '2030-11-12')).spot_number).toBe('1');
+        expect(bot.getLastMessage().text).toContain('la reserva sigue siendo tuya');
+    });
+
+    test('should swap two days in one step and take the new owners out of the waitlist', async () => {
+        await db.addToWaitlist('200', beto, '2030-11-12');
+
+        expect((await exchanges.proposeSwap(ana, tuesday, 'beto', thursday)).success).toBe(true);
+        expect(bot.sentMessages[0].text).toContain('a cambio de tu 2');
+
+        expect((await exchanges.accept(lastExchangeId(), 200)).success).toBe(true);
+        expect((await db.getReservation('100', '2030-11-14')).spot_number).toBe('2');
+        expect((await db.getReservation('200', '2030-11-12')).spot_number).toBe('1');
+        expect(await db.getReservation('100', '2030-11-12')).toBeUndefined();
+        expect(await db.getWaitlistForDate('2030-11-12')).toEqual([]);
+    });
+
+    test('should reject proposals that cannot work', async () => {
+        expect((await exchanges.proposeTransfer(ana, thursday, 'beto')).message).toContain('No tienes reserva');
+        expect((await exchanges.proposeTransfer(ana, tuesday, 'nadie')).message).toContain('No encontré a @nadie');
+        expect((await exchanges.proposeTransfer(ana, tuesday, 'ANA')).message).toBe('No puedes hacer esto contigo mismo.');
+        expect((await exchanges.proposeSwap(ana, tuesday, 'beto', tuesday)).message).toContain('días distintos');
+        expect((await exchanges.proposeSwap(ana, tuesday, 'beto', day('2030-11-13'))).message).toContain('@beto no tiene reserva');
+
+        await db.createReservation('200', beto, '2030-11-12', '2');
+        expect((await exchanges.proposeTransfer(ana, tuesday, 'beto')).message).toContain('ya tiene estacionamiento');
+        expect(bot.sentMessages).toHaveLength(0);
+    });
+
+    test('should fail if things changed before the answer, or the quota would be exceeded', async () => {
+        await exchanges.proposeTransfer(ana, tuesday, 'beto');
+        const exchangeId = lastExchangeId();
+        await parkingManager.releaseSpot('100', tuesday);
+
+        expect((await exchanges.accept(exchangeId, 200)).message).toBe('Esa reserva ya no existe.');
+        expect((await db.getSpotExchange(exchangeId)).status).toBe('failed');
+
+        await db.createReservation('100', ana, '2030-11-12', '1');
+        await parkingManager.setQuotaLimits({ maxDaysPerWeek: 1 });
+        await exchanges.proposeTransfer(ana, tuesday, 'beto');
+
+        const result = await exchanges.accept(lastExchangeId(), 200);
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('máximo de 1 día por semana');
+        expect((await db.getReservation('100', '2030-11-12')).spot_number).toBe('1');
+    });
+});
@@ -0,0 +1,66 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Preferred and Requested Spots', () => {
+    let db, parkingManager, clock;
+    const date = moment.tz('2030-11-12', 'America/Montevideo'); // Tuesday
+    const ana = { first_name: 'Ana' };
+    const beto = { first_name: 'Beto' };
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-11 10:00', 'America/Montevideo').toDate(),
+            toFake: ['Date']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        parkingManager = new ParkingManager(db);
+        await parkingManager.setParkingSpots(['1058', '1059', '1060']);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        db.close();
+    });
+
+    test('should give the first free preferred spot, then fall back', async () => {
+        expect((await parkingManager.setSpotPreferences('100', ['1060', '1059'])).success).toBe(true);
+        expect(await db.getSpotPreferences('100')).toEqual(['1060', '1059']);
+
+        await db.createReservation('200', beto, '2030-11-12', '1060');
+        expect((await parkingManager.reserveSpot('100', ana, date)).spotNumber).toBe('1059');
+
+        // Somebody without preferences keeps getting the lowest free number
+        expect((await parkingManager.reserveSpot('300', { first_name: 'Carla' }, date)).spotNumber).toBe('1058');
+    });
+
+    test('should reject preferences for spots that do not exist', async () => {
+        const result = await parkingManager.setSpotPreferences('100', ['1058', '9999']);
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('9999');
+        expect(await db.getSpotPreferences('100')).toEqual([]);
+    });
+
+    test('should honour a requested spot and assign another one when it is taken', async () => {
+        expect((await parkingManager.reserveSpot('100', ana, date, 'full', [], '1060')).spotNumber).toBe('1060');
+
+        const result = await parkingManager.reserveSpot('200', beto, date, 'full', [], '1060');
+        expect(result.spotNumber).toBe('1058');
+        expect(parkingManager.formatRequestedSpotNote('1060', result.spotNumber)).toBe(' (el 1060 no estaba libre)');
+        expect(parkingManager.formatRequestedSpotNote('1060', '1060')).toBe('');
+    });
+
+    test('should not let a preference take an accessible spot from who needs it', async () => {
+        await db.setSpotAttributes('1058', ['accessible']);
+        await parkingManager.setSpotPreferences('100', ['1058']);
+
+        expect((await parkingManager.reserveSpot('100', ana, date)).spotNumber).toBe('1059');
+
+        // Asking for it explicitly is still allowed
+        await db.deleteReservation('100', '2030-11-12');
+        expect((await parkingManager.reserveSpot('100', ana, date, 'full', [], '1058')).spotNumber).toBe('1058');
+    });
+});
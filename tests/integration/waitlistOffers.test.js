@@ -0,0 +1,203 @@
+const Database = require('../../src/database');
+const ParkingManager = require('../../src/parkingManager');
+const WaitlistOfferManager = require('../../src/waitlistOfferManager');
+const TelegramBotMock = require('../mocks/TelegramBotMock');
+const moment = require('moment-timezone');
+const sinon = require('sinon');
+
+describe('Waitlist Offers', () => {
+    let db, bot, offers, parkingManager, clock;
+    const date = moment.tz('2030-11-12', 'America/Montevideo'); // Tuesday
+    const dateStr = '2030-11-12';
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({
+            now: moment.tz('2030-11-11 10:00', 'America/Montevideo').toDate(),
+            toFake: ['Date', 'setTimeout', 'clearTimeout']
+        });
+        db = new Database(':memory:');
+        await db.init();
+        await db.setParkingSpots(['1']);
+        bot = new TelegramBotMock('test-token');
+        offers = new WaitlistOfferManager(db, bot);
+        parkingManager = new ParkingManager(db, offers);
+
+        // Ana has the only spot, Beto and Carla wait
+        await db.createReservation('100', { first_name: 'Ana' }, dateStr, '1');
+        await db.addToWaitlist('200', { first_name: 'Beto' }, dateStr);
+        await db.addToWaitlist('300', { first_name: 'Carla' }, dateStr);
+        await parkingManager.releaseSpot('100', date);
+    });
+
+    afterEach(() => {
+        offers.clearAllTimers();
+        clock.restore();
+        db.close();
+    });
+
+    test('should offer the freed spot with buttons and hold it', async () => {
+        expect(await parkingManager.notifyWaitlist(date, '1', bot)).toBe(true);
+
+        const offer = await db.getPendingOfferForSpot(dateStr, '1');
+        expect(offer.user_id).toBe('200');
+        expect(moment(offer.expires_at).diff(moment(), 'minutes')).toBe(30);
+
+        const [sent] = bot.sentMessages;
+        expect(sent.chatId).toBe('200');
+        expect(sent.options.reply_markup.inline_keyboard[0].map(b => b.callback_data))
+            .toEqual([`offer_accept_${offer.id}`, `offer_decline_${offer.id}`]);
+
+        // Held: nobody else can take it, and the status shows it as on offer
+        expect(await db.getAvailableSpot(dateStr)).toBeNull();
+        const result = await parkingManager.reserveSpot('400', { first_name: 'Dani' }, date);
+        expect(result.waitlist).toBe(true);
+        const [spot] = await db.getDayStatus(dateStr);
+        expect(spot).toMatchObject({ reserved: 1, held: 1, first_name: 'Beto' });
+    });
+
+    test('should create the reservation when accepted', async () => {
+        await parkingManager.notifyWaitlist(date, '1', bot);
+        const offer = await db.getPendingOfferForSpot(dateStr, '1');
+
+        const result = await offers.acceptOffer(offer.id, 200);
+
+        expect(result.success).toBe(true);
+        expect((await db.getReservation('200', dateStr)).spot_number).toBe('1');
+        expect(await db.getPendingOfferForSpot(dateStr, '1')).toBeUndefined();
+
+        // A second tap on the button does nothing
+        expect((await offers.acceptOffer(offer.id, 200)).success).toBe(false);
+    });
+
+    test('should pass the spot on when the booking rules no longer allow it', async () => {
+        await parkingManager.setQuotaLimits({ maxDaysPerWeek: 1 });
+        await parkingManager.notifyWaitlist(date, '1', bot);
+        const offer = await db.getPendingOfferForSpot(dateStr, '1');
+
+        // Beto booked another day of the week while the offer waited
+        await db.setParkingSpots(['1', '2']);
+        await db.createReservation('200', { first_name: 'Beto' }, '2030-11-13', '2');
+
+        const result = await offers.acceptOffer(offer.id, 200);
+
+        expect(result).toEqual({
+            success: false,
+            message: 'Llegaste al máximo de 1 día por semana (semana del 11/11). Si necesitas este día, libera otro primero.'
+        });
+        expect(await db.getReservation('200', dateStr)).toBeUndefined();
+        expect((await db.getPendingOfferForSpot(dateStr, '1')).user_id).toBe('300');
+
+        // A holiday declared in the meantime closes the day for everyone
+        await db.addHoliday(dateStr, 'Cierre de oficina');
+        const next = await db.getPendingOfferForSpot(dateStr, '1');
+        expect((await offers.acceptOffer(next.id, 300)).message).toContain('Cierre de oficina');
+        expect(await db.getReservation('300', dateStr)).toBeUndefined();
+        expect(await db.getPendingOfferForSpot(dateStr, '1')).toBeUndefined();
+    });
+
+    test('should reject answers from someone else', async () => {
+        await parkingManager.notifyWaitlist(date, '1', bot);
+        const offer = await db.getPendingOfferForSpot(dateStr, '1');
+
+        const result = await offers.acceptOffer(offer.id, 300);
+
+        expect(result.success).toBe(false);
+        expect(await db.getReservation('300', dateStr)).toBeUndefined();
+    });
+
+    test('should cascade to the next person on decline', async () => {
+        await parkingManager.notifyWaitlist(date, '1', bot);
+        const first = await db.getPendingOfferForSpot(dateStr, '1');
+
+        await offers.declineOffer(first.id, 200);
+
+        const next = await db.getPendingOfferForSpot(dateStr, '1');
+        expect(next.user_id).toBe('300');
+        expect(await db.getWaitlistUser('200', dateStr)).toBeUndefined();
+    });
+
+    test('should cascade to the next person on expiry', async () => {
+        await parkingManager.notifyWaitlist(date, '1', bot);
+        const first = await db.getPendingOfferForSpot(dateStr, '1');
+
+        expect(await offers.expireOffer(first.id)).toBe(true);
+
+        expect((await db.getWaitlistOffer(first.id)).status).toBe('expired');
+        expect(bot.editedMessages[0].text).toContain('expiró');
+        expect((await db.getPendingOfferForSpot(dateStr, '1')).user_id).toBe('300');
+
+        // Late answer to the expired offer
+        expect((await offers.acceptOffer(first.id, 200)).success).toBe(false);
+    });
+
+    test('should release the hold when nobody is left', async () => {
+        await db.removeFromWaitlist('300', dateStr);
+        await parkingManager.notifyWaitlist(date, '1', bot);
+        const offer = await db.getPendingOfferForSpot(dateStr, '1');
+
+        await offers.declineOffer(offer.id, 200);
+
+        expect((await db.getAvailableSpot(dateStr)).number).toBe('1');
+    });
+
+    test('should use the configured timeout and expire on time', async () => {
+        await offers.setOfferTimeoutMinutes(10);
+        const expireSpy = jest.spyOn(offers, 'expireOffer').mockResolvedValue(true);
+
+        await parkingManager.notifyWaitlist(date, '1', bot);
+
+        clock.tick(9 * 60 * 1000);
+        expect(expireSpy).not.toHaveBeenCalled();
+        clock.tick(60 * 1000);
+        expect(expireSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should re-arm pending offers after a restart', async () => {
+        await parkingManager.notifyWaitlist(date, '1', bot);
+        offers.clearAllTimers();
+
+        const restarted = new WaitlistOfferManager(db, bot);
+        const expireSpy = jest.spyOn(restarted, 'expireOffer').mockResolvedValue(true);
+
+        expect(await restarted.restoreOffers()).toBe(1);
+        clock.tick(30 * 60 * 1000);
+        expect(expireSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should offer only the freed half of a shared spot', async () => {
+        await db.createReservation('100', { first_name: 'Ana' }, dateStr, '1', 'morning');
+        await db.createReservation('400', { first_name: 'Dani' }, dateStr, '1', 'afternoon');
+        await parkingManager.releaseSpot('400', date);
+
+        expect(await parkingManager.notifyWaitlist(date, '1', bot)).toBe(true);
+        const offer = await db.getPendingOfferForSpot(dateStr, '1');
+        expect(offer).toMatchObject({ user_id: '200', slot: 'afternoon' });
+        expect(bot.sentMessages[0].text).toContain('disponible para Tuesday 12/11 (tarde).');
+
+        // Only the afternoon is held
+        expect(await db.getAvailableSpot(dateStr, 'afternoon')).toBeNull();
+        const [spot] = await db.getDayStatus(dateStr);
+        expect(spot.afternoon).toMatchObject({ first_name: 'Beto', held: 1 });
+
+        const result = await offers.acceptOffer(offer.id, 200);
+        expect(result).toMatchObject({ success: true, spotNumber: '1', slot: 'afternoon' });
+        expect((await db.getReservation('200', dateStr)).slot).toBe('afternoon');
+        expect((await db.getReservation('100', dateStr)).slot).toBe('morning');
+    });
+
+    test('should offer a freed half while the other half is on offer', async () => {
+        await db.createReservation('100', { first_name: 'Ana' }, dateStr, '1', 'morning');
+        await db.createReservation('400', { first_name: 'Dani' }, dateStr, '1', 'afternoon');
+
+        await parkingManager.releaseSpot('100', date);
+        expect(await parkingManager.notifyWaitlist(date, '1', bot)).toBe(true);
+        await parkingManager.releaseSpot('400', date);
+        expect(await parkingManager.notifyWaitlist(date, '1', bot)).toBe(true);
+
+        const pending = await db.getPendingOffersForSpot(dateStr, '1');
+        expect(pending.map(o => [o.user_id, o.slot])).toEqual([['200', 'morning'], ['300', 'afternoon']]);
+
+        // Both halves are held, nothing else to offer
+        expect(await parkingManager.notifyWaitlist(date, '1', bot)).toBe(false);
+    });
+});
@@ -23,10 +23,15 @@ class TelegramBotMock {
     // Emit events for testing
     emit(event, data) {
         if (this.handlers[event]) {
-            this.handlers[event].forEach(handler => handler(data));
+            this.pending = Promise.all(this.handlers[event].map(handler => handler(data)));
         }
     }
 
+    // Wait until the handlers of the last emitted event have finished
+    settle() {
+        return this.pending || Promise.resolve();
+    }
+
     // Mock sending message
     sendMessage(chatId, text, options = {}) {
         const message = { chatId, text, options, timestamp: Date.now() };
@@ -1,5 +1,6 @@
 const MessageProcessor = require('../../src/messageProcessor');
 const moment = require('moment-timezone');
+const sinon = require('sinon');
 
 describe('MessageProcessor', () => {
     let processor;
@@ -35,12 +36,12 @@ describe('MessageProcessor', () => {
             expect(result.dates[1].day()).toBe(3); // Wednesday
         });
 
-        test('should NOT detect whole week reservation for flex spots', () => {
+        test('should detect whole week reservation for flex spots', () => {
             const text = 'voy toda la semana';
             const result = processor.processMessage(text);
             
-            // Should return UNKNOWN since "toda la semana" is no longer supported for flex spots
-            expect(result.type).toBe('UNKNOWN');
+            // Only the days still ahead in the week (or the whole next week after the reset)
+            expect(['RESERVE', 'RESERVE_MULTIPLE']).toContain(result.type);
         });
 
         test('should handle next week reservations', () => {
@@ -132,6 +133,373 @@ describe('MessageProcessor', () => {
         });
     });
 
+    describe('Explicit Calendar Dates', () => {
+        test('should reserve numeric dates', () => {
+            const cases = ['voy el 24/10', 'reservo el 24-10', 'necesito el 24/10/2030'];
+
+            cases.forEach(text => {
+                const result = processor.processMessage(text);
+                expect(result.type).toBe('RESERVE');
+                expect(result.date.date()).toBe(24);
+                expect(result.date.month()).toBe(9); // October
+            });
+
+            expect(processor.processMessage('voy el 24/10/2030').date.year()).toBe(2030);
+            expect(processor.processMessage('voy el 24/10/30').date.year()).toBe(2030);
+        });
+
+        test('should reserve spelled-out Spanish dates', () => {
+            const result = processor.processMessage('reservo el 3 de noviembre de 2030');
+
+            expect(result.type).toBe('RESERVE');
+            expect(result.date.format('YYYY-MM-DD')).toBe('2030-11-03');
+        });
+
+        test('should detect multiple explicit dates in order', () => {
+            const result = processor.processMessage('voy el 3/11/2030 y el 5 de noviembre de 2030');
+
+            expect(result.type).toBe('RESERVE_MULTIPLE');
+            expect(result.dates.map(d => d.format('YYYY-MM-DD'))).toEqual(['2030-11-03', '2030-11-05']);
+        });
+
+        test('should mix weekday names and explicit dates', () => {
+            const result = processor.processMessage('voy el lunes y el 5/11/2030');
+
+            expect(result.type).toBe('RESERVE_MULTIPLE');
+            expect(result.dates[0].day()).toBe(1);
+            expect(result.dates[1].format('YYYY-MM-DD')).toBe('2030-11-05');
+        });
+
+        test('should not count a weekday that accompanies a date twice', () => {
+            // 05/11/2030 is a Tuesday
+            const result = processor.processMessage('voy el martes 5/11/2030');
+
+            expect(result.type).toBe('RESERVE');
+            expect(result.date.format('YYYY-MM-DD')).toBe('2030-11-05');
+        });
+
+        test('should release explicit dates', () => {
+            expect(processor.processMessage('libero el 5/11/2030').type).toBe('RELEASE');
+            expect(processor.processMessage('no voy el 5 de noviembre de 2030').type).toBe('RELEASE');
+            expect(processor.processMessage('el 5/11/2030 queda libre').type).toBe('RELEASE');
+
+            const multiple = processor.processMessage('libero el 5/11/2030 y el 6/11/2030');
+            expect(multiple.type).toBe('RELEASE_MULTIPLE');
+            expect(multiple.dates).toHaveLength(2);
+        });
+
+        test('should release fixed spots on explicit dates', () => {
+            const result = processor.processMessage('libero el 8033 para el 5/11/2030');
+
+            expect(result.type).toBe('FIXED_RELEASE');
+            expect(result.spotNumber).toBe('8033');
+            expect(result.startDate.format('YYYY-MM-DD')).toBe('2030-11-05');
+            expect(result.endDate.format('YYYY-MM-DD')).toBe('2030-11-05');
+        });
+
+        test('should reject impossible dates with a helpful message', () => {
+            const cases = ['voy el 31/02', 'reservo el 30 de febrero', 'libero el 24/13', 'libero el 8033 para el 32/10'];
+
+            cases.forEach(text => {
+                const result = processor.processMessage(text);
+                expect(result.type).toBe('INVALID_DATE');
+                expect(result.message).toContain('no existe');
+                expect(result.message).toContain('DD/MM');
+            });
+        });
+
+        test('should reject a weekday that does not match the date', () => {
+            // 05/11/2030 is a Tuesday
+            const result = processor.processMessage('voy el viernes 5/11/2030');
+
+            expect(result.type).toBe('INVALID_DATE');
+            expect(result.message).toContain('es martes, no viernes');
+        });
+    });
+
+    describe('Ranges and Relative Expressions', () => {
+        let clock;
+
+        beforeEach(() => {
+            // Tuesday 05/11/2030 10:00 Montevideo
+            clock = sinon.useFakeTimers({
+                now: moment.tz('2030-11-05 10:00', 'America/Montevideo').toDate(),
+                toFake: ['Date']
+            });
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        const formatDates = dates => dates.map(d => d.format('YYYY-MM-DD'));
+
+        test('should expand "del lunes al jueves" into every day in between', () => {
+            // Monday already passed this week, so the range starts next Monday
+            const result = processor.processMessage('voy del lunes al jueves');
+
+            expect(result.type).toBe('RESERVE_MULTIPLE');
+            expect(formatDates(result.dates)).toEqual(['2030-11-11', '2030-11-12', '2030-11-13', '2030-11-14']);
+        });
+
+        test('should expand "de martes a viernes"', () => {
+            const result = processor.processMessage('reservo de martes a viernes');
+
+            expect(result.type).toBe('RESERVE_MULTIPLE');
+            expect(formatDates(result.dates)).toEqual(['2030-11-05', '2030-11-06', '2030-11-07', '2030-11-08']);
+        });
+
+        test('should wrap ranges that cross the weekend', () => {
+            const result = processor.processMessage('voy del jueves al martes');
+
+            expect(formatDates(result.dates)).toEqual(['2030-11-07', '2030-11-08', '2030-11-11', '2030-11-12']);
+        });
+
+        test('should expand explicit date ranges skipping weekends', () => {
+            const result = processor.processMessage('voy del 8/11/2030 al 12/11/2030');
+
+            expect(formatDates(result.dates)).toEqual(['2030-11-08', '2030-11-11', '2030-11-12']);
+        });
+
+        test('should expand release ranges', () => {
+            const result = processor.processMessage('libero del miércoles al jueves');
+
+            expect(result.type).toBe('RELEASE_MULTIPLE');
+            expect(formatDates(result.dates)).toEqual(['2030-11-06', '2030-11-07']);
+        });
+
+        test('should handle "pasado mañana"', () => {
+            const reserve = processor.processMessage('voy pasado mañana');
+            expect(reserve.type).toBe('RESERVE');
+            expect(reserve.date.format('YYYY-MM-DD')).toBe('2030-11-07');
+
+            const release = processor.processMessage('no voy pasado mañana');
+            expect(release.type).toBe('RELEASE');
+            expect(release.date.format('YYYY-MM-DD')).toBe('2030-11-07');
+        });
+
+        test('should handle "la semana que viene el martes"', () => {
+            ['voy la semana que viene el martes', 'la semana que viene voy el martes'].forEach(text => {
+                const result = processor.processMessage(text);
+                expect(result.type).toBe('RESERVE');
+                expect(result.date.format('YYYY-MM-DD')).toBe('2030-11-12');
+            });
+        });
+
+        test('should reserve the rest of the week with "toda la semana"', () => {
+            const result = processor.processMessage('voy toda la semana');
+
+            expect(result.type).toBe('RESERVE_MULTIPLE');
+            expect(formatDates(result.dates)).toEqual(['2030-11-05', '2030-11-06', '2030-11-07', '2030-11-08']);
+        });
+
+        test('should reserve the whole next week with "toda la semana que viene"', () => {
+            const result = processor.processMessage('voy toda la semana que viene');
+
+            expect(formatDates(result.dates)).toEqual(['2030-11-11', '2030-11-12', '2030-11-13', '2030-11-14', '2030-11-15']);
+        });
+
+        test('should release the whole week', () => {
+            const result = processor.processMessage('no voy toda la semana');
+
+            expect(result.type).toBe('RELEASE_MULTIPLE');
+            expect(result.dates).toHaveLength(4);
+        });
+
+        test('should release fixed spots for a range', () => {
+            const result = processor.processMessage('libero el 8033 del miércoles al viernes');
+
+            expect(result.type).toBe('FIXED_RELEASE');
+            expect(result.startDate.format('YYYY-MM-DD')).toBe('2030-11-06');
+            expect(result.endDate.format('YYYY-MM-DD')).toBe('2030-11-08');
+        });
+    });
+
+    describe('Recurring Reservations', () => {
+        test('should detect standing booking requests', () => {
+            const result = processor.processMessage('voy todos los martes y jueves');
+
+            expect(result.type).toBe('RECURRING_ADD');
+            expect(result.weekdays).toEqual([2, 4]);
+        });
+
+        test('should detect cancellation of specific days or all of them', () => {
+            expect(processor.processMessage('cancelar mis fijos de los martes')).toEqual({
+                type: 'RECURRING_CANCEL',
+                weekdays: [2]
+            });
+            expect(processor.processMessage('ya no voy todos los viernes').weekdays).toEqual([5]);
+            expect(processor.processMessage('cancelar mis reservas fijas').weekdays).toEqual([]);
+        });
+
+        test('should list standing bookings without shadowing "mis reservas"', () => {
+            expect(processor.processMessage('mis fijos').type).toBe('RECURRING_LIST');
+            expect(processor.processMessage('mis reservas fijas').type).toBe('RECURRING_LIST');
+            expect(processor.processMessage('mis reservas').type).toBe('MY_RESERVATIONS');
+            expect(processor.processMessage('ver fijos').type).toBe('FIXED_LIST');
+        });
+    });
+
+    describe('Waitlist Queries', () => {
+        test('should detect waitlist position requests before the status view', () => {
+            expect(processor.processMessage('mi posición').type).toBe('WAITLIST_POSITION');
+            expect(processor.processMessage('en qué lugar estoy?').type).toBe('WAITLIST_POSITION');
+            expect(processor.processMessage('lista de espera').type).toBe('WAITLIST_POSITION');
+            expect(processor.processMessage('lista').type).toBe('STATUS');
+            expect(processor.processMessage('cómo voy en la lista de espera?').type).toBe('WAITLIST_POSITION');
+        });
+
+        test('should not take over releases and bookings that mention the list or "mi lugar"', () => {
+            expect(processor.processMessage('no voy el martes, libero mi lugar').type).toBe('RELEASE');
+            const freed = processor.processMessage('libero mi lugar del martes');
+            expect(freed.type).toBe('RELEASE');
+            expect(freed.date.day()).toBe(2);
+            expect(processor.processMessage('voy el martes, si no hay me anoto en la lista de espera').type).toBe('RESERVE');
+        });
+
+        test('should detect leaving the waitlist of specific days', () => {
+            const result = processor.processMessage('salgo de la espera del martes');
+
+            expect(result.type).toBe('WAITLIST_LEAVE');
+            expect(result.dates).toHaveLength(1);
+            expect(result.dates[0].day()).toBe(2);
+
+            const multiple = processor.processMessage('sacame de la lista de espera del lunes y jueves');
+            expect(multiple.dates.map(d => d.day())).toEqual([1, 4]);
+
+            expect(processor.processMessage('salgo de la espera mañana').dates).toHaveLength(1);
+        });
+
+        test('should leave every waitlist when no day is given', () => {
+            expect(processor.processMessage('me bajo de la lista de espera')).toEqual({
+                type: 'WAITLIST_LEAVE',
+                dates: []
+            });
+        });
+    });
+
+    describe('Half-day Reservations', () => {
+        test('should read "de mañana" as the morning slot, not as tomorrow', () => {
+            const result = processor.processMessage('voy el martes de mañana');
+
+            expect(result.type).toBe('RESERVE');
+            expect(result.slot).toBe('morning');
+            expect(result.date.day()).toBe(2);
+        });
+
+        test('should combine a relative day with the afternoon slot', () => {
+            const result = processor.processMessage('voy mañana a la tarde');
+            const tomorrow = moment().tz('America/Montevideo').add(1, 'day');
+
+            expect(result.slot).toBe('afternoon');
+            expect(result.date.format('YYYY-MM-DD')).toBe(tomorrow.format('YYYY-MM-DD'));
+        });
+
+        test('should apply the slot to every day of a multi-day request', () => {
+            const result = processor.processMessage('reservo lunes y jueves por la tarde');
+
+            expect(result.type).toBe('RESERVE_MULTIPLE');
+            expect(result.slot).toBe('afternoon');
+            expect(result.dates.map(d => d.day())).toEqual([1, 4]);
+        });
+
+        test('should keep full-day requests without a slot', () => {
+            expect(processor.processMessage('voy mañana').slot).toBeUndefined();
+            expect(processor.processMessage('voy pasado mañana').slot).toBeUndefined();
+            expect(processor.processMessage('no voy el martes de mañana').type).toBe('RELEASE');
+        });
+    });
+
+    describe('Spot Requirements', () => {
+        test('should detect a charger request in any position', () => {
+            const result = processor.processMessage('voy el martes con cargador');
+
+            expect(result.type).toBe('RESERVE');
+            expect(result.required).toEqual(['ev']);
+            expect(result.date.day()).toBe(2);
+            expect(processor.processMessage('voy con cargador el martes').required).toEqual(['ev']);
+        });
+
+        test('should combine requirements with half-day and multiple days', () => {
+            const result = processor.processMessage('reservo lunes y jueves por la tarde en un lugar accesible');
+
+            expect(result.type).toBe('RESERVE_MULTIPLE');
+            expect(result.slot).toBe('afternoon');
+            expect(result.required).toEqual(['accessible']);
+            expect(result.dates).toHaveLength(2);
+            expect(processor.processMessage('voy el martes').required).toBeUndefined();
+        });
+    });
+
+    describe('Preferred and Requested Spots', () => {
+        test('should detect a requested spot without confusing it with dates', () => {
+            const result = processor.processMessage('voy el martes al 1058');
+
+            expect(result.type).toBe('RESERVE');
+            expect(result.spotNumber).toBe('1058');
+            expect(result.date.day()).toBe(2);
+            expect(processor.processMessage('reservo lunes y jueves en el 1060').spotNumber).toBe('1060');
+            expect(processor.processMessage('voy del 24/10 al 28/10').spotNumber).toBeUndefined();
+            expect(processor.processMessage('voy del lunes al 3 de noviembre').spotNumber).toBeUndefined();
+        });
+
+        test('should set, list and clear preferred spots in order', () => {
+            expect(processor.processMessage('prefiero el 1058 o el 1060')).toEqual({
+                type: 'SPOT_PREFERENCE_SET',
+                spotNumbers: ['1058', '1060']
+            });
+            expect(processor.processMessage('prefiero los espacios 3, 1 y 2').spotNumbers).toEqual(['3', '1', '2']);
+            expect(processor.processMessage('mis preferencias').type).toBe('SPOT_PREFERENCE_LIST');
+            expect(processor.processMessage('ya no tengo preferencia').type).toBe('SPOT_PREFERENCE_CLEAR');
+        });
+    });
+
+    describe('Guest Reservations', () => {
+        test('should read the guest name and plate after the colon', () => {
+            const result = processor.processMessage('reservo para un visitante el jueves: Pedro Gómez, patente ABC1234');
+
+            expect(result.type).toBe('GUEST_RESERVE');
+            expect(result.date.day()).toBe(4);
+            expect(result.guestName).toBe('Pedro Gómez');
+            expect(result.plate).toBe('ABC1234');
+            expect(processor.processMessage('reservo para un cliente el 24/11: ana díaz')).toMatchObject({
+                guestName: 'Ana Díaz',
+                plate: null
+            });
+            expect(processor.processMessage('necesito lugar para mi invitado mañana').guestName).toBeNull();
+        });
+
+        test('should release guests without touching the own release intent', () => {
+            expect(processor.processMessage('libero mi visitante del jueves').type).toBe('GUEST_RELEASE');
+            expect(processor.processMessage('cancelo la visita del 24/11').date.format('DD/MM')).toBe('24/11');
+            expect(processor.processMessage('libero el jueves').type).toBe('RELEASE');
+        });
+    });
+
+    describe('Transfers and Swaps', () => {
+        test('should detect a transfer to a colleague', () => {
+            const result = processor.processMessage('Le paso mi lugar del martes a @Juan');
+
+            expect(result.type).toBe('TRANSFER');
+            expect(result.username).toBe('juan');
+            expect(result.date.day()).toBe(2);
+            expect(processor.processMessage('le doy mi reserva del 24/11 a @ana').date.format('DD/MM')).toBe('24/11');
+            expect(processor.processMessage('le paso mi lugar a @juan').date).toBeNull();
+            // "mi lugar" alone is still the waitlist position
+            expect(processor.processMessage('mi lugar').type).toBe('WAITLIST_POSITION');
+        });
+
+        test('should detect a swap with both days', () => {
+            const result = processor.processMessage('cambio mi martes con @ana por su jueves');
+
+            expect(result.type).toBe('SWAP');
+            expect(result.username).toBe('ana');
+            expect(result.date.day()).toBe(2);
+            expect(result.otherDate.day()).toBe(4);
+            expect(processor.processMessage('cambio mi lugar del 24/11 con @ana por su 31/11').type).toBe('INVALID_DATE');
+        });
+    });
+
     describe('Unknown Commands', () => {
         test('should return UNKNOWN for unrecognized text', () => {
             const testCases = [
@@ -1,3 +1,5 @@
+const ParkingManager = require('../../src/parkingManager');
+
 describe('SetFixed Command Parsing', () => {
     test('should parse simple format correctly', () => {
         const text = '/setfixed 8033:123456:Juan';
@@ -37,4 +39,15 @@ describe('SetFixed Command Parsing', () => {
         expect(parts[1]).toBe('123456');
         expect(parts[2]).toBe('Juan Carlos');
     });
-});
\ No newline at end of file
+
+    test('should parse owners given as @username or Telegram ID', () => {
+        const parkingManager = new ParkingManager(null);
+        const definitions = parkingManager.parseFixedSpotDefinitions('222, 8033:@juan ,4424:123456:Juan Carlos');
+        
+        expect(definitions).toEqual([
+            { spotNumber: '222', owner: null },
+            { spotNumber: '8033', owner: { username: 'juan', name: null } },
+            { spotNumber: '4424', owner: { userId: '123456', name: 'Juan Carlos' } }
+        ]);
+    });
+});